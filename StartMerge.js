@@ -35,7 +35,6 @@ async function main() {
 
     // Optional: Adjust configuration for your needs
     // CONFIG.BATCH_SIZE = 50; // Lower for less memory usage
-    // CONFIG.BULK_WRITE_BATCH_SIZE = 500; // Lower for more frequent commits
 
     // Step 1: Check current statistics
     console.log("Step 1: Checking collection statistics...");
@@ -0,0 +1,119 @@
+// config/permissions.js
+// Permission catalogue ("resource:action") and the default role templates.
+// Admins can replace a role's template (RoleTemplate) and grant or revoke
+// single permissions per user; see services/permissions.js.
+
+const PERMISSIONS = {
+  "customer:read": "View customers",
+  "customer:create": "Create customers",
+  "customer:update": "Edit customers and add notes",
+  "customer:assign": "Assign and unassign customers to agents",
+  "customer:import": "Import customers from SAP or files",
+  "customer:merge": "Merge duplicate customers",
+  "customer:delete": "Delete customers",
+  "customer:credit": "Set credit limits and credit holds",
+  "quotation:read": "View quotations",
+  "quotation:create": "Create and duplicate quotations",
+  "quotation:update": "Edit, cancel and email quotations",
+  "quotation:approve": "Approve or reject quotations",
+  "quotation:convert": "Convert quotations to orders",
+  "order:read": "View sales orders",
+  "order:create": "Create sales orders and payment links",
+  "order:approve_credit": "Approve orders held for credit",
+  "order:push_sap": "Push orders to SAP manually",
+  "order:import": "Import sales orders from Excel",
+  "invoice:import": "Import invoices from Excel",
+  "item:manage": "Create items and change stock levels",
+  "receivables:read": "View AR ageing, statements and credit exposure",
+  "dunning:read": "View the dunning sequence",
+  "dunning:exempt": "Exclude customers from dunning",
+  "dunning:manage": "Edit and run the dunning sequence",
+  "approval_rule:manage": "Edit quotation approval rules",
+  "sap_sync:manage": "Monitor and retry SAP synchronisation",
+  "target:read": "View customer targets",
+  "target:manage": "Create, edit and roll over customer targets",
+  "target:delete": "Delete customer targets",
+  "target:rollover_all": "Roll over every eligible target",
+  "lead:read": "View leads",
+  "lead:manage": "Delete and assign leads",
+  "task:manage": "Approve, delete and fully edit any task",
+  "user:read": "View users",
+  "user:manage": "Create and edit users",
+  "user:permissions": "Edit role templates and user permissions",
+  "user:two_factor": "Set the 2FA policy and reset users' 2FA",
+  "catalog:sync": "Synchronise the product catalogue and menu",
+  "journey:read": "View sales agent journeys",
+  "attendance:read": "View team attendance",
+  "activity:manage": "Upload and delete DeskTime, call and app usage data",
+  "dashboard:team": "View team dashboards",
+  "route_audit:read": "View the API route audit",
+  "audit:read": "Search the audit trail of every record",
+  "recycle_bin:manage": "Restore deleted customers, leads, deals and tasks",
+  // Data scope: without these a user only sees their own records
+  "scope:team": "See the records of the agents one manages",
+  "scope:all": "See every record",
+};
+
+// "*" grants everything, "resource:*" every action on a resource
+const ROLE_TEMPLATES = {
+  admin: ["*"],
+  sales_manager: [
+    "customer:read",
+    "customer:create",
+    "customer:update",
+    "customer:assign",
+    "customer:credit",
+    "quotation:*",
+    "order:read",
+    "order:create",
+    "order:approve_credit",
+    "order:push_sap",
+    "receivables:read",
+    "dunning:read",
+    "dunning:exempt",
+    "target:read",
+    "target:manage",
+    "lead:*",
+    "user:read",
+    "user:manage",
+    "journey:read",
+    "attendance:read",
+    "dashboard:team",
+    "scope:team",
+  ],
+  sales_agent: [
+    "customer:read",
+    "customer:create",
+    "customer:update",
+    "quotation:read",
+    "quotation:create",
+    "quotation:update",
+    "quotation:convert",
+    "order:read",
+    "order:create",
+    "order:push_sap",
+    "receivables:read",
+    "target:read",
+    "lead:read",
+    "journey:read",
+  ],
+  "data-tech_admin": [
+    "customer:read",
+    "quotation:read",
+    "order:read",
+    "receivables:read",
+    "scope:all",
+  ],
+  // Read-only like data-tech_admin; both always saw every record
+  "data-tech_sales_agent": [
+    "customer:read",
+    "quotation:read",
+    "order:read",
+    "scope:all",
+  ],
+};
+
+module.exports = {
+  PERMISSIONS,
+  ROLE_TEMPLATES,
+};
@@ -0,0 +1,29 @@
+// controllers/admin.controller.js
+const { listRoutes } = require("../services/routeAudit");
+
+// Every API route with its guard; ?public=true lists the public ones only
+exports.getRouteAudit = async (req, res) => {
+  try {
+    let routes = listRoutes(req.app);
+    if (req.query.public === "true") {
+      routes = routes.filter((route) => route.publicReason);
+    }
+
+    res.status(200).json({
+      success: true,
+      summary: {
+        total: routes.length,
+        public: routes.filter((route) => route.publicReason).length,
+        unguarded: routes.filter((route) => !route.guarded).length,
+      },
+      data: routes,
+    });
+  } catch (error) {
+    console.error("Error building route audit:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error building route audit",
+      error: error.message,
+    });
+  }
+};
@@ -0,0 +1,57 @@
+// controllers/adyenWebhook.controller.js
+const {
+  isValidHmac,
+  processNotification,
+} = require("../services/adyenWebhook");
+
+// Receive Adyen standard notifications (payment link payments)
+exports.handleAdyenNotification = async (req, res) => {
+  try {
+    const items = (req.body.notificationItems || [])
+      .map((entry) => entry.NotificationRequestItem)
+      .filter(Boolean);
+
+    if (!items.length) {
+      return res.status(400).json({
+        success: false,
+        message: "No notification items in request",
+      });
+    }
+
+    // Every item is signed; one bad signature rejects the whole batch
+    if (!items.every(isValidHmac)) {
+      console.warn("Rejected Adyen notification with invalid HMAC signature");
+      return res.status(401).json({
+        success: false,
+        message: "Invalid HMAC signature",
+      });
+    }
+
+    const failed = [];
+    for (const item of items) {
+      const event = await processNotification(item, { live: req.body.live });
+      if (event.status === "failed") {
+        failed.push(item.pspReference);
+      }
+    }
+
+    // Anything but a 2xx makes Adyen deliver the batch again
+    if (failed.length) {
+      return res.status(500).json({
+        success: false,
+        message: "Error processing Adyen notification",
+        error: `Failed events: ${failed.join(", ")}`,
+      });
+    }
+
+    // Adyen only needs a 2xx; "[accepted]" is the documented body
+    res.status(200).send("[accepted]");
+  } catch (error) {
+    console.error("Error handling Adyen notification:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error handling Adyen notification",
+      error: error.message,
+    });
+  }
+};
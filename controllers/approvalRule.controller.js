@@ -0,0 +1,151 @@
+// controllers/approvalRule.controller.js
+const mongoose = require("mongoose");
+const ApprovalRule = require("../models/ApprovalRule");
+const { DEFAULT_RULES } = require("../services/quotationApproval");
+
+const EDITABLE_FIELDS = [
+  "name",
+  "description",
+  "metric",
+  "operator",
+  "threshold",
+  "approverRole",
+  "active",
+];
+
+const pickEditable = (body) =>
+  Object.fromEntries(
+    Object.entries(body).filter(([field]) => EDITABLE_FIELDS.includes(field))
+  );
+
+// List approval rules; the built-in defaults apply while none are stored
+exports.getRules = async (req, res) => {
+  try {
+    const rules = await ApprovalRule.find()
+      .populate("createdBy", "firstName lastName email")
+      .sort({ createdAt: 1 });
+
+    res.status(200).json({
+      success: true,
+      usingDefaults: rules.length === 0,
+      data: rules.length ? rules : DEFAULT_RULES,
+    });
+  } catch (error) {
+    console.error("Error fetching approval rules:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching approval rules",
+      error: error.message,
+    });
+  }
+};
+
+// Create an approval rule
+exports.createRule = async (req, res) => {
+  try {
+    const rule = new ApprovalRule({
+      ...pickEditable(req.body),
+      createdBy: req.user._id,
+    });
+    await rule.save();
+
+    res.status(201).json({
+      success: true,
+      message: "Approval rule created",
+      data: rule,
+    });
+  } catch (error) {
+    if (error.name === "ValidationError") {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid approval rule",
+        error: error.message,
+      });
+    }
+    console.error("Error creating approval rule:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error creating approval rule",
+      error: error.message,
+    });
+  }
+};
+
+// Update an approval rule
+exports.updateRule = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid rule id",
+      });
+    }
+
+    const rule = await ApprovalRule.findByIdAndUpdate(
+      req.params.id,
+      { $set: pickEditable(req.body) },
+      { new: true, runValidators: true }
+    );
+
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        message: "Approval rule not found",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Approval rule updated",
+      data: rule,
+    });
+  } catch (error) {
+    if (error.name === "ValidationError") {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid approval rule",
+        error: error.message,
+      });
+    }
+    console.error("Error updating approval rule:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error updating approval rule",
+      error: error.message,
+    });
+  }
+};
+
+// Delete an approval rule
+exports.deleteRule = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid rule id",
+      });
+    }
+
+    const rule = await ApprovalRule.findByIdAndDelete(req.params.id);
+
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        message: "Approval rule not found",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Approval rule deleted",
+      data: rule,
+    });
+  } catch (error) {
+    console.error("Error deleting approval rule:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error deleting approval rule",
+      error: error.message,
+    });
+  }
+};
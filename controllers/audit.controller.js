@@ -0,0 +1,154 @@
+// controllers/audit.controller.js
+const mongoose = require("mongoose");
+const AuditLog = require("../models/AuditLog");
+const Customer = require("../models/Customer");
+const Quotation = require("../models/Quotation");
+const SalesOrder = require("../models/SalesOrder");
+const CustomerTarget = require("../models/CustomerTarget");
+const { canAccessOwner } = require("../services/permissions");
+const { parsePagination, paginationInfo } = require("../utils/pagination");
+
+const ENTITIES = ["Customer", "Quotation", "SalesOrder", "CustomerTarget"];
+
+const isObjectId = (value) => mongoose.Types.ObjectId.isValid(value);
+
+// Page of audit entries, newest first
+async function findEntries(query, { page, limit }) {
+  const pagination = parsePagination({ page, limit });
+
+  const [entries, total] = await Promise.all([
+    AuditLog.find(query)
+      .sort({ createdAt: -1 })
+      .skip(pagination.skip)
+      .limit(pagination.limit)
+      .populate("actor", "firstName lastName email role")
+      .lean(),
+    AuditLog.countDocuments(query),
+  ]);
+
+  return {
+    data: entries,
+    pagination: paginationInfo(pagination, total),
+  };
+}
+
+// Search the audit trail: ?entity=&id=&actor=&action=&requestId=&from=&to=
+exports.getAuditLog = async (req, res) => {
+  try {
+    const { entity, id, actor, action, requestId, from, to } = req.query;
+    const query = {};
+
+    if (entity) {
+      if (!ENTITIES.includes(entity)) {
+        return res.status(400).json({
+          success: false,
+          message: `entity must be one of ${ENTITIES.join(", ")}`,
+        });
+      }
+      query.entity = entity;
+    }
+    for (const [field, value] of [
+      ["entityId", id],
+      ["actor", actor],
+    ]) {
+      if (value) {
+        if (!isObjectId(value)) {
+          return res
+            .status(400)
+            .json({ success: false, message: `Invalid ${field}` });
+        }
+        query[field] = value;
+      }
+    }
+    if (action) {
+      query.action = action;
+    }
+    if (requestId) {
+      query.requestId = requestId;
+    }
+    if (from || to) {
+      query.createdAt = {};
+      if (from) query.createdAt.$gte = new Date(from);
+      if (to) query.createdAt.$lte = new Date(to);
+    }
+
+    res.status(200).json({
+      success: true,
+      ...(await findEntries(query, req.query)),
+    });
+  } catch (error) {
+    console.error("Error fetching audit log:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching audit log",
+      error: error.message,
+    });
+  }
+};
+
+// Handler listing the audit trail of one record the user may view
+function recordAudit({ entity, label, findRecord, owner, allowUnowned }) {
+  return async (req, res) => {
+    try {
+      const record = await findRecord(req.params);
+      if (!record) {
+        return res
+          .status(404)
+          .json({ success: false, message: `${label} not found` });
+      }
+      if (!(await canAccessOwner(req.user, owner(record), { allowUnowned }))) {
+        return res.status(403).json({
+          success: false,
+          message: `Not authorized to view this ${label.toLowerCase()}`,
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        ...(await findEntries({ entity, entityId: record._id }, req.query)),
+      });
+    } catch (error) {
+      console.error(`Error fetching ${label.toLowerCase()} audit:`, error);
+      res.status(500).json({
+        success: false,
+        message: "Error fetching audit log",
+        error: error.message,
+      });
+    }
+  };
+}
+
+exports.getCustomerAudit = recordAudit({
+  entity: "Customer",
+  label: "Customer",
+  findRecord: ({ id }) =>
+    isObjectId(id) ? Customer.findById(id).select("assignedTo") : null,
+  owner: (customer) => customer.assignedTo,
+});
+
+exports.getQuotationAudit = recordAudit({
+  entity: "Quotation",
+  label: "Quotation",
+  findRecord: ({ docEntry }) =>
+    Quotation.findOne({ DocEntry: docEntry }).select("salesAgent"),
+  owner: (quotation) => quotation.salesAgent,
+  allowUnowned: true,
+});
+
+exports.getOrderAudit = recordAudit({
+  entity: "SalesOrder",
+  label: "Order",
+  findRecord: ({ docEntry }) =>
+    SalesOrder.findOne({ DocEntry: docEntry }).select("salesAgent"),
+  owner: (order) => order.salesAgent,
+  allowUnowned: true,
+});
+
+exports.getTargetAudit = recordAudit({
+  entity: "CustomerTarget",
+  label: "Customer target",
+  findRecord: ({ id }) =>
+    isObjectId(id) ? CustomerTarget.findById(id).select("salesAgent") : null,
+  owner: (target) => target.salesAgent,
+  allowUnowned: true,
+});
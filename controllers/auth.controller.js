@@ -2,17 +2,34 @@ const bcrypt = require("bcryptjs");
 const multer = require("multer");
 const csv = require("csv-parser");
 const fs = require("fs");
-const jwt = require("jsonwebtoken");
 const XLSX = require("xlsx");
 
 const SalesOrder = require("../models/SalesOrder");
 const User = require("../models/User");
+const Session = require("../models/Session");
+const authSessions = require("../services/authSessions");
+const loginThrottle = require("../services/loginThrottle");
+const twoFactor = require("../services/twoFactor");
+const passwordReset = require("../services/passwordReset");
+const {
+  canAccessOwner,
+  hasPermission,
+  teamMemberIds,
+} = require("../services/permissions");
 
 const mongoose = require("mongoose");
 
-// Environment variables
-const JWT_SECRET = process.env.JWT_SECRET || "your_secret_key";
-const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || "24h";
+// Client details stored on a session
+const clientInfo = (req) => ({
+  ip: req.ip,
+  userAgent: req.get("User-Agent"),
+});
+
+// Accounts a user may manage: every account with "scope:all", otherwise
+// their own and their team's (scope:team)
+const canManageUser = async (user, target) =>
+  (await hasPermission(user, "user:manage")) &&
+  (await canAccessOwner(user, target._id));
 // Set up multer for file upload
 const upload = multer({
   dest: "uploads/",
@@ -33,6 +50,17 @@ const upload = multer({
   },
 }).single("file");
 
+// 429 while an account or IP is locked out by loginThrottle
+function sendLockedOut(
+  res,
+  lockedUntil,
+  message = "Too many failed login attempts, try again later"
+) {
+  const retryAfter = Math.ceil((lockedUntil - Date.now()) / 1000);
+  res.set("Retry-After", String(retryAfter));
+  return res.status(429).json({ message, retryAfter });
+}
+
 // Login controller
 exports.login = async (req, res) => {
   try {
@@ -43,53 +71,143 @@ exports.login = async (req, res) => {
       return res.status(400).json({ message: "All fields are required" });
     }
 
+    // Too many failures for this account or IP
+    const throttleKeys = loginThrottle.loginKeys(email, req.ip);
+    const lockedUntil = await loginThrottle.lockedUntil(throttleKeys);
+    if (lockedUntil) {
+      return sendLockedOut(res, lockedUntil);
+    }
+
     // Find user by email
     const user = await User.findOne({ email, deactivated: false });
     if (!user) {
+      await loginThrottle.recordFailure(throttleKeys);
       return res.status(401).json({ message: "Invalid credentials" });
     }
 
     // Check password
     const isMatch = await bcrypt.compare(password, user.password);
     if (!isMatch) {
+      await loginThrottle.recordFailure(throttleKeys);
       return res.status(401).json({ message: "Invalid credentials" });
     }
 
-    // Update last login
-    user.lastLogin = Date.now();
-    await user.save();
+    // Second step at /login/2fa
+    if (user.twoFactor && user.twoFactor.enabled) {
+      return res.json({
+        message: "Two-factor code required",
+        twoFactorRequired: true,
+        challengeToken: authSessions.signTwoFactorChallenge(user),
+      });
+    }
+
+    await loginThrottle.clearFailures(email);
+    await completeLogin(req, res, user);
+  } catch (error) {
+    console.error("Login error:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+// Open a session and send the tokens
+async function completeLogin(req, res, user, extra = {}) {
+  // Update last login
+  user.lastLogin = Date.now();
+  await user.save();
+
+  // Short-lived access token plus a refresh token for /refresh
+  const { accessToken, refreshToken } = await authSessions.createSession(
+    user,
+    clientInfo(req)
+  );
+
+  // Return user data without password
+  const userData = user.toObject();
+  delete userData.password;
+
+  res.json({
+    message: "Login successful",
+    token: accessToken,
+    refreshToken,
+    expiresIn: authSessions.ACCESS_TOKEN_EXPIRES_IN,
+    // Enrolment is due before anything else is allowed
+    twoFactorSetupRequired: await twoFactor.mustEnrol(user),
+    user: userData,
+    ...extra,
+  });
+}
+
+// Second login step: TOTP code or recovery code for the challenge token
+exports.loginTwoFactor = async (req, res) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+    if (!challengeToken || (!code && !recoveryCode)) {
+      return res
+        .status(400)
+        .json({ message: "Challenge token and code are required" });
+    }
 
-    // Create token
-    const token = jwt.sign({ userId: user._id, role: user.role }, JWT_SECRET, {
-      expiresIn: JWT_EXPIRES_IN,
+    const challenge = authSessions.verifyTwoFactorChallenge(challengeToken);
+    const user = await User.findOne({
+      _id: challenge.userId,
+      deactivated: false,
     });
+    if (!user) {
+      return res.status(401).json({ message: "Invalid credentials" });
+    }
 
-    // Return user data without password
-    const userData = user.toObject();
-    delete userData.password;
+    const throttleKeys = loginThrottle.loginKeys(user.email, req.ip);
+    const lockedUntil = await loginThrottle.lockedUntil(throttleKeys);
+    if (lockedUntil) {
+      return sendLockedOut(res, lockedUntil);
+    }
 
-    res.json({
-      message: "Login successful",
-      token,
-      user: userData,
+    const result = await twoFactor.verifyLogin(user._id, {
+      code,
+      recoveryCode,
     });
+    if (!result) {
+      await loginThrottle.recordFailure(throttleKeys);
+      return res.status(401).json({ message: "Invalid two-factor code" });
+    }
+
+    await loginThrottle.clearFailures(user.email);
+    await completeLogin(
+      req,
+      res,
+      user,
+      result.method === "recovery_code"
+        ? { recoveryCodesLeft: result.recoveryCodesLeft }
+        : {}
+    );
   } catch (error) {
-    console.error("Login error:", error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error("Two-factor login error:", error);
     res.status(500).json({ message: "Server error", error: error.message });
   }
 };
 
 exports.registerAdmin = async (req, res) => {
   try {
-    const { firstName, lastName, email, password, role } = req.body;
+    const { firstName, lastName, email, password } = req.body;
 
     // Validation
-    if (!firstName || !lastName || !email || !password || !role) {
+    if (!firstName || !lastName || !email || !password) {
       return res
         .status(400)
         .json({ message: "All required fields must be provided" });
     }
 
+    // The route is public, so it only bootstraps the first admin; later
+    // users are created through /register
+    if (await User.exists({ role: "admin" })) {
+      return res.status(403).json({
+        message: "An admin already exists, use /api/auth/register",
+      });
+    }
+
     // Check if email already exists
     const existing = await User.findOne({ email });
     if (existing) {
@@ -106,7 +224,7 @@ exports.registerAdmin = async (req, res) => {
       lastName,
       email,
       password: hashedPassword,
-      role,
+      role: "admin",
     });
 
     // Save user
@@ -114,6 +232,7 @@ exports.registerAdmin = async (req, res) => {
 
     // Return user data without password
     const userData = newUser.toObject();
+    delete userData.password;
 
     res.status(201).json({
       message: "User registered successfully",
@@ -125,6 +244,122 @@ exports.registerAdmin = async (req, res) => {
   }
 };
 
+// Exchange a refresh token for a new access/refresh token pair
+exports.refreshToken = async (req, res) => {
+  try {
+    const { accessToken, refreshToken } =
+      await authSessions.rotateRefreshToken(
+        req.body.refreshToken,
+        clientInfo(req)
+      );
+
+    res.json({
+      message: "Token refreshed",
+      token: accessToken,
+      refreshToken,
+      expiresIn: authSessions.ACCESS_TOKEN_EXPIRES_IN,
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error("Token refresh error:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+// Log out of the current session
+exports.logout = async (req, res) => {
+  try {
+    const session = await Session.findById(req.sessionId);
+    if (session) {
+      await authSessions.revokeSession(session, "logout");
+    }
+
+    res.json({ message: "Logged out" });
+  } catch (error) {
+    console.error("Logout error:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+// Log out of every session of the current user
+exports.logoutAll = async (req, res) => {
+  try {
+    const revoked = await authSessions.revokeAllSessions(
+      req.user._id,
+      "logout_all"
+    );
+
+    res.json({ message: "Logged out of all sessions", revoked });
+  } catch (error) {
+    console.error("Logout all error:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+// Open sessions of the current user
+exports.getSessions = async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      user: req.user._id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() },
+    })
+      .select("createdAt lastUsedAt expiresAt createdByIp lastIp userAgent")
+      .sort({ lastUsedAt: -1 })
+      .lean();
+
+    res.json({
+      sessions: sessions.map((session) => ({
+        ...session,
+        current: session._id.toString() === String(req.sessionId),
+      })),
+    });
+  } catch (error) {
+    console.error("Session fetch error:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+// Revoke one of the current user's sessions (e.g. a lost device)
+exports.revokeSession = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.sessionId)) {
+      return res.status(400).json({ message: "Invalid session id" });
+    }
+
+    const session = await Session.findOne({
+      _id: req.params.sessionId,
+      user: req.user._id,
+    });
+    if (!session) {
+      return res.status(404).json({ message: "Session not found" });
+    }
+
+    await authSessions.revokeSession(session, "revoked");
+    res.json({ message: "Session revoked" });
+  } catch (error) {
+    console.error("Session revoke error:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+// Log a user out everywhere (admin, or a manager for their agents)
+exports.revokeUserSessions = async (req, res) => {
+  try {
+    const revoked = await authSessions.revokeAllSessions(
+      req.params.id,
+      "revoked"
+    );
+
+    res.json({ message: "User sessions revoked", revoked });
+  } catch (error) {
+    console.error("User session revoke error:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
 // Register user controller
 exports.register = async (req, res) => {
   try {
@@ -152,30 +387,27 @@ exports.register = async (req, res) => {
       return res.status(400).json({ message: "Email already in use" });
     }
 
-    // Role-based permission checks
-    const currentUserRole = req.user.role;
+    // Permission checks
+    if (!(await hasPermission(req.user, "user:manage"))) {
+      return res
+        .status(403)
+        .json({ message: "You don't have permission to register new users" });
+    }
+    const managesAllUsers = await hasPermission(req.user, "scope:all");
 
-    // Admin can create sales_manager and sales_agent
-    if (currentUserRole === "admin") {
+    // With "scope:all" sales managers and sales agents can be created
+    if (managesAllUsers) {
       if (role !== "sales_manager" && role !== "sales_agent") {
         return res.status(403).json({
           message: "Admin can only create sales manager or sales agent",
         });
       }
     }
-    // Sales manager can only create sales_agent
-    else if (currentUserRole === "sales_manager") {
-      if (role !== "sales_agent") {
-        return res
-          .status(403)
-          .json({ message: "Sales manager can only create sales agent" });
-      }
-    }
-    // Sales agent cannot create users
-    else {
+    // Otherwise only sales agents for the user's own team
+    else if (role !== "sales_agent") {
       return res
         .status(403)
-        .json({ message: "You don't have permission to register new users" });
+        .json({ message: "Sales manager can only create sales agent" });
     }
 
     // Hash password
@@ -198,14 +430,14 @@ exports.register = async (req, res) => {
       if (target) newUser.target = target;
 
       // Set manager
-      if (currentUserRole === "admin" && managerId) {
+      if (managesAllUsers && managerId) {
         // Admin specified a manager
         const manager = await User.findById(managerId);
         if (!manager || manager.role !== "sales_manager") {
           return res.status(400).json({ message: "Invalid manager ID" });
         }
         newUser.manager = managerId;
-      } else if (currentUserRole === "sales_manager") {
+      } else if (!managesAllUsers) {
         // Sales manager is creating - they are the manager
         newUser.manager = req.user._id;
       } else {
@@ -304,6 +536,11 @@ exports.changePassword = async (req, res) => {
     user.password = hashedPassword;
     await user.save();
 
+    // Other devices have to log in with the new password
+    await authSessions.revokeAllSessions(user._id, "password_changed", {
+      exceptSessionId: req.sessionId,
+    });
+
     res.json({ message: "Password updated successfully" });
   } catch (error) {
     console.error("Password change error:", error);
@@ -323,20 +560,16 @@ exports.getUsers = async (req, res) => {
       query.role = role;
     }
 
-    // Apply role-based filtering
-    if (req.user.role === "admin" || req.user.role === "sales_agent") {
-      // Admin can see all users (no additional filtering)
-    } else if (req.user.role === "sales_manager") {
-      // Sales manager can only see their own team members (sales agents assigned to them)
+    // Managers (scope:team) only see their own team members; everyone else
+    // sees all users
+    const teamIds = await teamMemberIds(req.user);
+    if (teamIds && (await hasPermission(req.user, "scope:team"))) {
       if (role === "sales_agent" || !role) {
         query.manager = req.user._id;
       } else {
         // If requesting other roles (like sales_manager), return empty array
         return res.json([]);
       }
-    } else {
-      // Other roles should not access this endpoint
-      return res.status(403).json({ message: "Access denied" });
     }
 
     const users = await User.find(query)
@@ -355,37 +588,18 @@ exports.getUsers = async (req, res) => {
 exports.getUserById = async (req, res) => {
   try {
     const { id } = req.params;
-    let user;
-
-    // Check permissions
-    if (req.user.role === "admin") {
-      // Admin can see any user
-      user = await User.findById(id)
-        .select("-password")
-        .populate("createdBy", "firstName lastName email")
-        .populate("manager", "firstName lastName email");
-    } else if (req.user.role === "sales_manager") {
-      // Sales manager can only see their sales agents
-      user = await User.findOne({
-        _id: id,
-        role: "sales_agent",
-        createdBy: req.user._id,
-      })
-        .select("-password")
-        .populate("createdBy", "firstName lastName email")
-        .populate("manager", "firstName lastName email");
-    } else {
-      // Sales agents can only see themselves
-      if (id !== req.user._id.toString()) {
-        return res.status(403).json({ message: "Access denied" });
-      }
 
-      user = await User.findById(id)
-        .select("-password")
-        .populate("createdBy", "firstName lastName email")
-        .populate("manager", "firstName lastName email");
+    // Check permissions - themselves, their team (scope:team) or anyone
+    // (scope:all)
+    if (!(await canAccessOwner(req.user, id))) {
+      return res.status(403).json({ message: "Access denied" });
     }
 
+    const user = await User.findById(id)
+      .select("-password")
+      .populate("createdBy", "firstName lastName email")
+      .populate("manager", "firstName lastName email");
+
     if (!user) {
       return res.status(404).json({ message: "User not found" });
     }
@@ -418,12 +632,7 @@ exports.updateUser = async (req, res) => {
     }
 
     // Permission check
-    if (req.user.role === "admin") {
-      // Admin can update any user
-    } else if (req.user.role === "sales_manager") {
-      // Sales manager can only update their sales agents
-    } else {
-      // Sales agents cannot update other users
+    if (!(await canManageUser(req.user, userToUpdate))) {
       return res.status(403).json({ message: "Access denied" });
     }
 
@@ -439,8 +648,11 @@ exports.updateUser = async (req, res) => {
       if (hubspotId !== undefined) updatedFields.hubspotId = hubspotId;
       if (target !== undefined) updatedFields.target = target;
 
-      // Manager update (admin only)
-      if (req.user.role === "admin" && managerId !== undefined) {
+      // Manager update (scope:all only)
+      if (
+        managerId !== undefined &&
+        (await hasPermission(req.user, "scope:all"))
+      ) {
         const manager = await User.findById(managerId);
         if (!manager || manager.role !== "sales_manager") {
           return res.status(400).json({ message: "Invalid manager ID" });
@@ -459,6 +671,11 @@ exports.updateUser = async (req, res) => {
       .populate("createdBy", "firstName lastName email")
       .populate("manager", "firstName lastName email");
 
+    // Deactivation logs the user out everywhere
+    if (updatedFields.deactivated === true) {
+      await authSessions.revokeAllSessions(id, "deactivated");
+    }
+
     console.log(updatedUser);
     res.json({
       message: "User updated successfully",
@@ -487,21 +704,10 @@ exports.resetPassword = async (req, res) => {
     }
 
     // Permission check
-    if (req.user.role === "admin") {
-      // Admin can reset any user's password
-    } else if (req.user.role === "sales_manager") {
-      // Sales manager can only reset their sales agents' passwords
-      if (
-        userToUpdate.role !== "sales_agent" ||
-        userToUpdate.createdBy.toString() !== req.user._id.toString()
-      ) {
-        return res.status(403).json({
-          message: "You can only reset passwords for sales agents you created",
-        });
-      }
-    } else {
-      // Sales agents cannot reset other users' passwords
-      return res.status(403).json({ message: "Access denied" });
+    if (!(await canManageUser(req.user, userToUpdate))) {
+      return res.status(403).json({
+        message: "You can only reset passwords for your own sales agents",
+      });
     }
 
     // Hash new password
@@ -510,7 +716,15 @@ exports.resetPassword = async (req, res) => {
 
     // Update password
     userToUpdate.password = hashedPassword;
+    userToUpdate.passwordReset = undefined;
     await userToUpdate.save();
+    await authSessions.revokeAllSessions(userToUpdate._id, "password_reset");
+    await passwordReset.recordSecurityEvent(
+      userToUpdate._id,
+      "password_reset_by_admin",
+      clientInfo(req),
+      req.user._id
+    );
 
     res.json({ message: "Password reset successfully" });
   } catch (error) {
@@ -519,6 +733,58 @@ exports.resetPassword = async (req, res) => {
   }
 };
 
+// Email a reset link. The answer is the same whether or not the address
+// belongs to a user
+exports.forgotPassword = async (req, res) => {
+  try {
+    const { email } = req.body;
+    if (!email) {
+      return res.status(400).json({ message: "Email is required" });
+    }
+
+    const keys = loginThrottle.passwordResetKeys(email, req.ip);
+    const lockedUntil = await loginThrottle.lockedUntil(keys);
+    if (lockedUntil) {
+      return sendLockedOut(
+        res,
+        lockedUntil,
+        "Too many password reset requests, try again later"
+      );
+    }
+    await loginThrottle.recordFailure(keys);
+
+    await passwordReset.requestReset(email, clientInfo(req));
+    res.json({
+      message:
+        "If an account exists for this email, a reset link has been sent",
+    });
+  } catch (error) {
+    console.error("Forgot password error:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+// Set a new password with the emailed token; logs out every session
+exports.resetPasswordWithToken = async (req, res) => {
+  try {
+    const { token, newPassword } = req.body;
+    if (!token || !newPassword) {
+      return res
+        .status(400)
+        .json({ message: "Token and new password are required" });
+    }
+
+    await passwordReset.resetPassword(token, newPassword, clientInfo(req));
+    res.json({ message: "Password reset successfully, please log in" });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error("Password reset error:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
 exports.importSalesAgents = async (req, res) => {
   // Use multer to handle file upload
   upload(req, res, async (err) => {
@@ -531,9 +797,8 @@ exports.importSalesAgents = async (req, res) => {
         return res.status(400).json({ message: "Please upload an Excel file" });
       }
 
-      // Role-based permission check
-      const currentUserRole = req.user.role;
-      if (currentUserRole !== "admin" && currentUserRole !== "sales_manager") {
+      // Permission check
+      if (!(await hasPermission(req.user, "user:manage"))) {
         return res.status(403).json({
           message: "Only admins and sales managers can import sales agents",
         });
@@ -632,15 +897,9 @@ exports.importSalesAgents = async (req, res) => {
             target: 0, // Default target
           });
 
-          // Set manager based on current user role
-          if (currentUserRole === "sales_manager") {
-            // If sales manager is creating, they are the manager
-            newUser.manager = req.user._id;
-          } else if (currentUserRole === "admin") {
-            // For admin, we would ideally have a manager ID in the Excel
-            // For now, we'll just set it to the admin (can be updated later)
-            newUser.manager = req.user._id;
-          }
+          // The importing user is the manager; for admins we would ideally
+          // have a manager ID in the Excel (can be updated later)
+          newUser.manager = req.user._id;
 
           // Save user
           await newUser.save();
@@ -701,14 +960,10 @@ exports.setTarget = async (req, res) => {
     }
 
     // Permission check
-    if (req.user.role === "admin") {
-      // Admin can update any user
-    } else if (req.user.role === "sales_manager") {
-      // Sales manager can only update their sales agents
-      if (userToUpdate.manager?.toString() !== req.user._id.toString()) {
-        return res.status(403).json({ message: "Access denied" });
-      }
-    } else {
+    if (
+      !(await hasPermission(req.user, "target:manage")) ||
+      !(await canAccessOwner(req.user, userToUpdate._id))
+    ) {
       return res.status(403).json({ message: "Access denied" });
     }
 
@@ -737,7 +992,7 @@ exports.getSalesPerformance = async (req, res) => {
     const { startDate, endDate } = req.query;
 
     // Permission checks
-    if (req.user.role === "sales_agent" && req.user._id.toString() !== id) {
+    if (!(await canAccessOwner(req.user, id))) {
       return res.status(403).json({ message: "Access denied" });
     }
 
@@ -812,7 +1067,7 @@ exports.getTargetHistory = async (req, res) => {
     const { year, period } = req.query;
 
     // Permission checks
-    if (req.user.role === "sales_agent" && req.user._id.toString() !== id) {
+    if (!(await canAccessOwner(req.user, id))) {
       return res.status(403).json({ message: "Access denied" });
     }
 
@@ -954,12 +1209,12 @@ exports.getSalesDashboard = async (req, res) => {
   try {
     const { startDate, endDate } = req.query;
 
-    // Permission checks based on user role
     const query = { role: "sales_agent" };
 
-    // If sales manager, only show their agents
-    if (req.user.role === "sales_manager") {
-      query.manager = req.user._id;
+    // Only the user's team (scope:team) or every agent (scope:all)
+    const teamIds = await teamMemberIds(req.user);
+    if (teamIds) {
+      query._id = { $in: teamIds };
     }
 
     const salesAgents = await User.find(query)
@@ -1075,9 +1330,7 @@ exports.getTargetHistory = async (req, res) => {
     const { year } = req.query;
 
     // Permission checks
-    const currentUserRole = req.user.role;
-
-    if (currentUserRole === "sales_agent" && req.user._id.toString() !== id) {
+    if (!(await canAccessOwner(req.user, id))) {
       return res.status(403).json({ message: "Access denied" });
     }
 
@@ -1119,9 +1372,14 @@ exports.getSalesDashboard = async (req, res) => {
   try {
     const { startDate, endDate } = req.query;
 
-    // Permission checks based on user role
     const query = { role: "sales_agent" };
 
+    // Only the user's team (scope:team) or every agent (scope:all)
+    const teamIds = await teamMemberIds(req.user);
+    if (teamIds) {
+      query._id = { $in: teamIds };
+    }
+
     const salesAgents = await User.find(query)
       .select(
         "firstName lastName email target targetAchieved salesHistory targetHistory"
@@ -1301,11 +1559,8 @@ exports.getAgentOrdersByMonth = async (req, res) => {
       return res.status(400).json({ message: "Month and year are required" });
     }
 
-    // Permission checks based on user role
-    const currentUserRole = req.user.role;
-
-    // Sales agents can only see their own data
-    if (currentUserRole === "sales_agent" && req.user._id.toString() !== id) {
+    // Own data, the team's (scope:team) or anyone's (scope:all)
+    if (!(await canAccessOwner(req.user, id))) {
       return res.status(403).json({ message: "Access denied" });
     }
 
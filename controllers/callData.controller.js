@@ -4,6 +4,34 @@ const axios = require("axios");
 const { parse } = require("csv-parse");
 const CallData = require("../models/CallData");
 const User = require("../models/User");
+const { findContactsByPhone } = require("../services/phoneLookup");
+const { teamMemberIds, canAccessOwner } = require("../services/permissions");
+
+// Calls in the user's scope: those of the agents they may see, matched on
+// the agent's name (Ringover userName) or phone, as in the agent views
+const callScopeFilter = async (user) => {
+  const ids = await teamMemberIds(user);
+  if (!ids) {
+    return {};
+  }
+  const agents = await User.find({ _id: { $in: ids } })
+    .select("firstName lastName phone")
+    .lean();
+  return {
+    $or: [
+      {
+        userName: {
+          $in: agents.map((agent) => `${agent.firstName} ${agent.lastName}`),
+        },
+      },
+      {
+        fromNumber: {
+          $in: agents.map((agent) => agent.phone).filter(Boolean),
+        },
+      },
+    ],
+  };
+};
 
 // Helper function to parse CSV data
 const parseCSV = (filePath) => {
@@ -281,7 +309,7 @@ const callDataController = {
   // Get all call data
   getAllCallData: async (req, res) => {
     try {
-      const callData = await CallData.find();
+      const callData = await CallData.find(await callScopeFilter(req.user));
       return res.status(200).json(callData);
     } catch (error) {
       console.error("Error fetching call data:", error);
@@ -296,7 +324,11 @@ const callDataController = {
   getCallDataById: async (req, res) => {
     try {
       const { id } = req.params;
-      const callData = await CallData.findOne({ id });
+      // Calls outside the user's scope are reported as not found
+      const callData = await CallData.findOne({
+        id,
+        ...(await callScopeFilter(req.user)),
+      });
 
       if (!callData) {
         return res.status(404).json({ error: "Call data not found" });
@@ -312,6 +344,36 @@ const callDataController = {
     }
   },
 
+  // Customers and leads the call's numbers belong to
+  getCallContacts: async (req, res) => {
+    try {
+      const { id } = req.params;
+      // Calls outside the user's scope are reported as not found
+      const callData = await CallData.findOne({
+        id,
+        ...(await callScopeFilter(req.user)),
+      })
+        .select("id direction fromNumber toNumber")
+        .lean();
+
+      if (!callData) {
+        return res.status(404).json({ error: "Call data not found" });
+      }
+
+      const contacts = await findContactsByPhone([
+        callData.fromNumber,
+        callData.toNumber,
+      ]);
+      return res.status(200).json({ call: callData, ...contacts });
+    } catch (error) {
+      console.error("Error matching call contacts:", error);
+      return res.status(500).json({
+        error: "Error matching call contacts",
+        details: error.message,
+      });
+    }
+  },
+
   // Delete call data by ID
   deleteCallDataById: async (req, res) => {
     try {
@@ -969,6 +1031,12 @@ const callDataController = {
       const { agentId } = req.params;
       const { startDate, endDate } = req.query;
 
+      if (!(await canAccessOwner(req.user, agentId))) {
+        return res
+          .status(403)
+          .json({ error: "Not authorized to view this agent's calls" });
+      }
+
       // Find the agent by ID to get their name
       const agent = await User.findById(agentId);
       if (!agent) {
@@ -15,50 +15,45 @@ const Cart = require("../models/Cart");
 const {
   getLastCustomerFromSAP,
   generateNextCardCode,
-  formatCustomerForSAP,
-  createCustomerInSAP,
   checkCustomerExistsInSAP,
 } = require("../utils/sapB1CustomerIntegration");
+const sapSyncQueue = require("../services/sapSyncQueue");
+const customerStatement = require("../services/customerStatement");
+const customerMerge = require("../services/customerMerge");
+const duplicateDetection = require("../services/duplicateDetection");
+const {
+  canAccessOwner,
+  hasPermission,
+  scopeFilter,
+} = require("../services/permissions");
+const { toE164, toE164List } = require("../utils/phoneNumber");
+const { callsWithNumbers } = require("../services/phoneLookup");
+
+// Helper function to push customer to SAP through the sync queue.
+// Transient failures stay queued and are retried by jobs/sapSyncJob.js
+async function pushCustomerToSAPInternal(customer, options = {}) {
+  const result = await sapSyncQueue.syncNow("Customer", customer, options);
+
+  return {
+    success: result.success,
+    CardCode: result.success ? result.sapReference : undefined,
+    sapData: result.sapData,
+    error: result.error,
+    code: result.code,
+    willRetry: result.willRetry,
+    nextAttemptAt: result.nextAttemptAt,
+    syncJobId: result.job ? result.job._id : undefined,
+  };
+}
 
-// Helper function to push customer to SAP
-async function pushCustomerToSAPInternal(customer) {
+// Likely duplicates of a new customer; a failed check never blocks the
+// creation
+async function findPossibleDuplicates(customer) {
   try {
-    // Format the customer for SAP B1
-    const sapCustomer = await formatCustomerForSAP(customer);
-
-    // Push to SAP B1
-    const sapResponse = await createCustomerInSAP(sapCustomer);
-
-    // Update local customer with SAP CardCode if successful
-    if (sapResponse && sapResponse.CardCode) {
-      customer.CardCode = sapResponse.CardCode;
-      customer.customerType = "sap";
-      customer.SyncedWithSAP = true;
-      customer.LocalStatus = "Synced";
-      customer.updatedAt = new Date();
-
-      await customer.save();
-
-      return {
-        success: true,
-        CardCode: sapResponse.CardCode,
-        sapData: sapResponse,
-      };
-    } else {
-      throw new Error("Invalid response from SAP B1");
-    }
+    return await duplicateDetection.findDuplicatesOf(customer);
   } catch (error) {
-    // Update local customer to mark sync failure
-    customer.SyncErrors = error.message;
-    customer.LastSyncAttempt = new Date();
-    customer.LocalStatus = "SyncFailed";
-    await customer.save();
-
-    console.error("Error pushing customer to SAP:", error);
-    return {
-      success: false,
-      error: error.message || "Unknown error",
-    };
+    console.error("Error checking for duplicate customers:", error);
+    return [];
   }
 }
 
@@ -82,6 +77,9 @@ exports.createCustomer = async (req, res) => {
 
     console.log(req.user.role, "is creating a new customer", req.user._id);
 
+    // Warn about likely duplicates, they go to the review queue
+    const possibleDuplicates = await findPossibleDuplicates(req.body);
+
     // Get the next CardCode from SAP
     console.log("Getting next CardCode from SAP...");
     const nextCardCode = await generateNextCardCode();
@@ -91,10 +89,10 @@ exports.createCustomer = async (req, res) => {
       ...req.body,
       CardCode: nextCardCode,
       customerType: "non-sap", // Will be updated to "sap" after successful sync
-      assignedTo:
-        req.user && req.user.role === "sales_agent"
-          ? req.user._id
-          : req.body.assignedTo || null,
+      // Users who can't assign customers get the ones they create
+      assignedTo: (await hasPermission(req.user, "customer:assign"))
+        ? req.body.assignedTo || null
+        : req.user._id,
       SyncedWithSAP: false,
       LocalStatus: "Created",
       createdAt: new Date(),
@@ -110,9 +108,19 @@ exports.createCustomer = async (req, res) => {
     // Save to local database
     await newCustomer.save();
 
+    if (possibleDuplicates.length) {
+      await duplicateDetection
+        .recordDuplicates(newCustomer._id, possibleDuplicates)
+        .catch((error) =>
+          console.error("Error recording duplicate customers:", error)
+        );
+    }
+
     // Push to SAP automatically
     console.log("Automatically pushing new customer to SAP...");
-    const sapResult = await pushCustomerToSAPInternal(newCustomer);
+    const sapResult = await pushCustomerToSAPInternal(newCustomer, {
+      createdBy: req.user._id,
+    });
 
     // Return response with both local creation and SAP push results
     if (sapResult.success) {
@@ -124,6 +132,7 @@ exports.createCustomer = async (req, res) => {
           success: true,
           CardCode: sapResult.CardCode,
         },
+        possibleDuplicates,
       });
     } else {
       res.status(201).json({
@@ -134,7 +143,12 @@ exports.createCustomer = async (req, res) => {
         sapSync: {
           success: false,
           error: sapResult.error,
+          code: sapResult.code,
+          willRetry: sapResult.willRetry,
+          nextAttemptAt: sapResult.nextAttemptAt,
+          syncJobId: sapResult.syncJobId,
         },
+        possibleDuplicates,
       });
     }
   } catch (error) {
@@ -202,28 +216,8 @@ const processXLSXFile = (filePath) => {
   }
 };
 
-// Add this function to your customer.controller.js
-
-const normalizePhoneNumber = (phone) => {
-  if (!phone) return "";
-
-  // Remove all non-digit characters
-  let digitsOnly = phone.replace(/[^\d]/g, "");
-
-  // Handle French phone numbers
-  if (digitsOnly.startsWith("33") && digitsOnly.length >= 11) {
-    // +33123456789 -> 123456789
-    return digitsOnly.substring(2);
-  } else if (digitsOnly.startsWith("0") && digitsOnly.length === 10) {
-    // 0123456789 -> 123456789
-    return digitsOnly.substring(1);
-  } else if (digitsOnly.length === 9) {
-    // 123456789 -> 123456789
-    return digitsOnly;
-  }
-
-  return digitsOnly;
-};
+// Comparable form of a phone number: E.164, "" when it isn't one
+const normalizePhoneNumber = (phone) => toE164(phone) || "";
 
 const normalizeNameForMatching = (name) => {
   if (!name) return "";
@@ -1414,16 +1408,11 @@ exports.unassignCustomer = async (req, res) => {
       return res.status(404).json({ message: "Customer not found" });
     }
 
-    // Verify user has permission (admins and sales managers)
-    if (
-      req.user &&
-      req.user.role !== "admin" &&
-      req.user.role !== "sales_manager"
-    ) {
-      return res.status(403).json({
-        message:
-          "Unauthorized: Only admins and sales managers can unassign customers",
-      });
+    // customer:assign is checked by the route; the customer must be in scope
+    if (!(await canAccessOwner(req.user, customer.assignedTo))) {
+      return res
+        .status(403)
+        .json({ message: "You can only unassign customers of your team" });
     }
 
     // Remove assignedTo field
@@ -1462,22 +1451,13 @@ exports.bulkUnassignCustomers = async (req, res) => {
       });
     }
 
-    // Verify user has permission (admins and sales managers)
-    if (
-      req.user &&
-      req.user.role !== "admin" &&
-      req.user.role !== "sales_manager"
-    ) {
-      return res.status(403).json({
-        success: false,
-        message:
-          "Unauthorized: Only admins and sales managers can unassign customers",
-      });
-    }
-
-    // Perform bulk update
+    // customer:assign is checked by the route; customers outside the user's
+    // scope are left alone
     const result = await Customer.updateMany(
-      { _id: { $in: customerIds } },
+      {
+        _id: { $in: customerIds },
+        ...(await scopeFilter(req.user, "assignedTo")),
+      },
       { $unset: { assignedTo: "" } }
     );
 
@@ -1501,34 +1481,14 @@ exports.bulkUnassignCustomers = async (req, res) => {
 exports.getCustomerById = async (req, res) => {
   try {
     const customerId = req.params.id;
-    let customer;
-
-    // Role-based permissions
-    if (req.user && req.user.role === "admin") {
-      // Admin can see any customer
-      customer = await Customer.findById(customerId).populate(
-        "assignedTo",
-        "firstName lastName email hubspotId"
-      );
-    } else if (req.user && req.user.role === "sales_manager") {
-      // Get all agents managed by this manager
-      const salesAgents = await User.find({
-        role: "sales_agent",
-        manager: req.user._id,
-      }).select("_id");
-
-      const agentIds = salesAgents.map((agent) => agent._id);
-
-      // Find customer assigned to one of those agents
-      customer = await Customer.findOne({
-        _id: customerId,
-        assignedTo: { $in: agentIds },
-      }).populate("assignedTo", "firstName lastName email hubspotId");
-    } else {
-      // Sales agent can only see assigned customers
-      customer = await Customer.findOne({
-        _id: customerId,
-      }).populate("assignedTo", "firstName lastName email hubspotId");
+    let customer = await Customer.findById(customerId).populate(
+      "assignedTo",
+      "firstName lastName email hubspotId"
+    );
+
+    // Customers outside the user's scope are reported as not found
+    if (customer && !(await canAccessOwner(req.user, customer.assignedTo))) {
+      customer = null;
     }
 
     if (!customer) {
@@ -1555,6 +1515,7 @@ exports.updateCustomer = async (req, res) => {
       assignedTo,
       status,
       notes,
+      quotationRemindersOptOut,
     } = req.body;
 
     // Find customer
@@ -1572,14 +1533,15 @@ exports.updateCustomer = async (req, res) => {
     if (hubspotId !== undefined) updateData.hubspotId = hubspotId;
     if (status) updateData.status = status;
     if (notes !== undefined) updateData.notes = notes;
+    if (quotationRemindersOptOut !== undefined)
+      updateData.quotationRemindersOptOut = Boolean(quotationRemindersOptOut);
 
     // Handle assignedTo separately with permission checks
     if (assignedTo !== undefined) {
-      // Only admin and sales manager can reassign
-      if (req.user && req.user.role === "sales_agent") {
+      if (!(await hasPermission(req.user, "customer:assign"))) {
         return res
           .status(403)
-          .json({ message: "Sales agents cannot reassign customers" });
+          .json({ message: "Not authorized to reassign customers" });
       }
 
       if (assignedTo) {
@@ -1767,29 +1729,11 @@ exports.getCustomersByAgent = async (req, res) => {
   try {
     const { agentId } = req.params;
 
-    // Permission checks
-    if (
-      req.user &&
-      req.user.role === "sales_agent" &&
-      req.user._id.toString() !== agentId
-    ) {
+    // The agent's customers: one's own or, with scope:team, one's agents'
+    if (!(await canAccessOwner(req.user, agentId))) {
       return res
         .status(403)
-        .json({ message: "You can only view your own customers" });
-    }
-
-    if (req.user && req.user.role === "sales_manager") {
-      // Check if the agent belongs to this manager
-      const agent = await User.findById(agentId);
-      if (
-        !agent ||
-        agent.role !== "sales_agent" ||
-        agent.manager.toString() !== req.user._id.toString()
-      ) {
-        return res.status(403).json({
-          message: "You can only view customers of your sales agents",
-        });
-      }
+        .json({ message: "You can only view customers of your team" });
     }
 
     // Get customers
@@ -2331,12 +2275,6 @@ exports.getCustomersPaginated = async (req, res) => {
     const limit = parseInt(req.query.limit) || 50;
     const skip = (page - 1) * limit;
 
-    // Check user role
-    if (req.user && req.user.role === "sales_agent") {
-      // Sales agents can only see customers assigned to them
-      req.query.assignedTo = req.user._id;
-    }
-
     // Extract filtering parameters
     const { status, search, assignedTo, type, sortBy, sortOrder } = req.query;
     const query = {};
@@ -2350,6 +2288,17 @@ exports.getCustomersPaginated = async (req, res) => {
       query.assignedTo = assignedTo;
     }
 
+    // Own customers, the team's (scope:team, with the unassigned ones) or
+    // every customer (scope:all)
+    const scope = await scopeFilter(req.user, "assignedTo");
+    if (scope.assignedTo) {
+      query.$and = [
+        (await hasPermission(req.user, "scope:team"))
+          ? { $or: [scope, { assignedTo: null }] }
+          : scope,
+      ];
+    }
+
     // Search by name, code or email
     if (search) {
       query.$or = [
@@ -4064,48 +4013,16 @@ exports.getCustomerCallData = async (req, res) => {
       allPhoneNumbers.push(...customer.additionalPhones);
     }
 
-    // Function to normalize phone numbers to core digits for matching
-    const normalizePhoneForMatching = (phone) => {
-      if (!phone || typeof phone !== "string") return null;
-
-      // Remove all non-digit characters
-      let digitsOnly = phone.replace(/[^\d]/g, "");
-
-      // Handle French numbers - normalize to 9 digits (without leading 0)
-      if (digitsOnly.startsWith("33") && digitsOnly.length >= 11) {
-        // +33123456789 -> 123456789
-        return digitsOnly.substring(2);
-      } else if (digitsOnly.startsWith("0") && digitsOnly.length === 10) {
-        // 0123456789 -> 123456789
-        return digitsOnly.substring(1);
-      } else if (digitsOnly.length === 9) {
-        // 123456789 -> 123456789
-        return digitsOnly;
-      }
-
-      return digitsOnly;
-    };
-
-    // Normalize customer phone numbers to core digits
-    const customerCoreNumbers = [];
-
-    allPhoneNumbers.forEach((phone) => {
-      const coreNumber = normalizePhoneForMatching(phone);
-      if (coreNumber && coreNumber.length >= 6) {
-        customerCoreNumbers.push(coreNumber);
-      }
-    });
-
-    // Remove duplicates
-    const uniqueCoreNumbers = [...new Set(customerCoreNumbers)];
+    // Calls are matched on the indexed E.164 numbers (utils/phoneNumber.js)
+    const phoneNumbers = toE164List(allPhoneNumbers);
 
     console.log(`Customer ${customerId} phone numbers:`, {
       original: allPhoneNumbers,
-      coreNumbers: uniqueCoreNumbers,
+      e164: phoneNumbers,
     });
 
     // If no valid numbers, return empty response
-    if (uniqueCoreNumbers.length === 0) {
+    if (phoneNumbers.length === 0) {
       return res.status(200).json({
         success: true,
         data: [],
@@ -4131,34 +4048,7 @@ exports.getCustomerCallData = async (req, res) => {
     const limit = parseInt(req.query.limit) || 10;
     const skip = (page - 1) * limit;
 
-    // Get all call data to check against customer numbers
-    const allCalls = await CallData.find({
-      $and: [
-        { fromNumber: { $nin: [null, "", ".", "N/A", "Unknown"] } },
-        { toNumber: { $nin: [null, "", ".", "N/A", "Unknown"] } },
-      ],
-    })
-      .select("fromNumber toNumber _id")
-      .lean();
-
-    // Find matching calls by normalizing call data phone numbers
-    const matchingCallIds = [];
-
-    allCalls.forEach((call) => {
-      const fromCore = normalizePhoneForMatching(call.fromNumber);
-      const toCore = normalizePhoneForMatching(call.toNumber);
-
-      if (
-        (fromCore && uniqueCoreNumbers.includes(fromCore)) ||
-        (toCore && uniqueCoreNumbers.includes(toCore))
-      ) {
-        matchingCallIds.push(call._id);
-      }
-    });
-
-    const filter = {
-      _id: { $in: matchingCallIds },
-    };
+    const filter = callsWithNumbers(phoneNumbers);
 
     // Date range filter
     if (req.query.startDate && req.query.endDate) {
@@ -4186,10 +4076,6 @@ exports.getCustomerCallData = async (req, res) => {
       filter.$and.push({ missed: "" });
     }
 
-    console.log(
-      `Found ${matchingCallIds.length} matching calls for customer ${customerId}`
-    );
-
     // Get paginated call data
     const callData = await CallData.find(filter)
       .select(
@@ -4253,8 +4139,8 @@ exports.getCustomerCallData = async (req, res) => {
         pages: Math.ceil(total / limit),
       },
       debug: {
-        customerPhones: uniqueCoreNumbers,
-        totalMatchingCalls: matchingCallIds.length,
+        customerPhones: phoneNumbers,
+        totalMatchingCalls: total,
       },
     });
   } catch (error) {
@@ -4267,8 +4153,11 @@ exports.getCustomerCallData = async (req, res) => {
 };
 
 // Merge customers with the same email address
+// ?dryRun=true previews the merges without changing anything
 exports.mergeCustomersWithSameEmail = async (req, res) => {
   try {
+    const dryRun = req.query.dryRun === "true";
+
     // Get all customers with non-empty emails
     const customersWithEmail = await Customer.find({
       Email: { $ne: null, $ne: "" },
@@ -4289,7 +4178,9 @@ exports.mergeCustomersWithSameEmail = async (req, res) => {
       totalMerges: 0,
       skippedSingleCustomers: 0,
       skippedMoreThanTwoCustomers: 0,
+      failedMerges: 0,
       mergedPairs: [],
+      failedPairs: [],
     };
 
     // Process each email group
@@ -4314,78 +4205,11 @@ exports.mergeCustomersWithSameEmail = async (req, res) => {
         const sapCustomer = sapCustomers[0];
         const nonSapCustomer = nonSapCustomers[0];
 
-        // Merge the customers
-        const primaryCustomer = sapCustomer; // SAP customer is the primary
+        // SAP customer is the primary; references are rewired and the merge
+        // can be undone (services/customerMerge.js)
+        const primaryCustomer = sapCustomer;
         const secondaryCustomer = nonSapCustomer;
-
-        // Create a merged customer object
-        const mergedData = {
-          // Keep SAP data from the primary customer
-          CardName: primaryCustomer.CardName,
-          CardCode: primaryCustomer.CardCode,
-          Email: primaryCustomer.Email,
-
-          // Prefer data from the SAP customer but fall back to non-SAP data
-          firstName: primaryCustomer.firstName || secondaryCustomer.firstName,
-          lastName: primaryCustomer.lastName || secondaryCustomer.lastName,
-          phoneNumber:
-            primaryCustomer.phoneNumber || secondaryCustomer.phoneNumber,
-
-          // Keep external IDs
-          hubspotId: secondaryCustomer.hubspotId || primaryCustomer.hubspotId,
-
-          // Keep assignedTo from either customer
-          assignedTo:
-            primaryCustomer.assignedTo || secondaryCustomer.assignedTo,
-
-          // Keep additional data
-          notes: primaryCustomer.notes || secondaryCustomer.notes,
-
-          // Combine additional emails
-          additionalEmails: [
-            ...(primaryCustomer.additionalEmails || []),
-            ...(secondaryCustomer.additionalEmails || []),
-            // Add the secondary customer's email if different from primary
-            ...(primaryCustomer.Email !== secondaryCustomer.Email
-              ? [secondaryCustomer.Email]
-              : []),
-          ].filter((email, index, self) => self.indexOf(email) === index), // Remove duplicates
-
-          // Prefer SAP customer's address
-          address: primaryCustomer.address || secondaryCustomer.address,
-
-          // Use SAP customer's balance
-          outstandingBalance: primaryCustomer.outstandingBalance,
-
-          // Set the customer type to SAP
-          customerType: "sap",
-
-          // Keep the active status if either customer is active
-          status:
-            primaryCustomer.status === "active" ||
-            secondaryCustomer.status === "active"
-              ? "active"
-              : primaryCustomer.status,
-
-          // Update timestamp
-          updatedAt: new Date(),
-        };
-
-        // Update the primary customer with the merged data
-        await Customer.findByIdAndUpdate(primaryCustomer._id, mergedData);
-
-        // Optionally: Mark the secondary customer as merged or delete it
-        // Here we'll keep it but mark it as inactive and add a note
-        await Customer.findByIdAndUpdate(secondaryCustomer._id, {
-          status: "inactive",
-          notes: `Merged with ${primaryCustomer.CardCode} (${
-            primaryCustomer.CardName
-          }) on ${new Date().toISOString()}. ${secondaryCustomer.notes || ""}`,
-          mergedInto: primaryCustomer._id,
-        });
-
-        mergeResults.totalMerges++;
-        mergeResults.mergedPairs.push({
+        const pair = {
           primaryCustomer: {
             _id: primaryCustomer._id,
             CardCode: primaryCustomer.CardCode,
@@ -4398,6 +4222,34 @@ exports.mergeCustomersWithSameEmail = async (req, res) => {
             CardName: secondaryCustomer.CardName,
             Email: secondaryCustomer.Email,
           },
+        };
+
+        // One failing pair must not hide the merges already committed
+        let merge;
+        try {
+          merge = dryRun
+            ? await customerMerge.previewMerge(
+                primaryCustomer._id,
+                secondaryCustomer._id
+              )
+            : await customerMerge.mergeCustomers(
+                primaryCustomer._id,
+                secondaryCustomer._id,
+                { mergedBy: req.user._id, reason: "Same email" }
+              );
+        } catch (error) {
+          console.error(`Error merging customers with email ${email}:`, error);
+          mergeResults.failedMerges++;
+          mergeResults.failedPairs.push({ ...pair, error: error.message });
+          continue;
+        }
+
+        mergeResults.totalMerges++;
+        mergeResults.mergedPairs.push({
+          ...pair,
+          ...(dryRun
+            ? { preview: merge }
+            : { mergeId: merge._id, counts: merge.counts }),
         });
       } else if (customers.length > 2) {
         // If we have more than 2 customers but not a SAP + non-SAP pair
@@ -4407,7 +4259,10 @@ exports.mergeCustomersWithSameEmail = async (req, res) => {
 
     return res.status(200).json({
       success: true,
-      message: "Customer merge operation completed",
+      message: dryRun
+        ? "Customer merge preview (nothing was changed)"
+        : "Customer merge operation completed",
+      dryRun,
       results: mergeResults,
     });
   } catch (error) {
@@ -4446,15 +4301,16 @@ exports.deleteMergedNonSapCustomers = async (req, res) => {
       `Deleting ${customerIdsToDelete.length} merged non-SAP customers`
     );
 
-    // Delete all these customers in one operation
-    const deleteResult = await Customer.deleteMany({
-      _id: { $in: customerIdsToDelete },
-    });
+    // Move them to the recycle bin in one operation
+    const deleteResult = await Customer.softDeleteMany(
+      { _id: { $in: customerIdsToDelete } },
+      req.user._id
+    );
 
     return res.status(200).json({
       success: true,
       message: "Successfully deleted merged non-SAP customers",
-      count: deleteResult.deletedCount,
+      count: deleteResult.modifiedCount,
       details: mergedCustomers.map((c) => ({
         _id: c._id,
         CardCode: c.CardCode,
@@ -4977,19 +4833,6 @@ exports.bulkAssignCustomers = async (req, res) => {
       });
     }
 
-    // Verify user has permission (admins and sales managers)
-    if (
-      req.user &&
-      req.user.role !== "admin" &&
-      req.user.role !== "sales_manager"
-    ) {
-      return res.status(403).json({
-        success: false,
-        message:
-          "Unauthorized: Only admins and sales managers can reassign customers",
-      });
-    }
-
     // Verify the agent exists and is a sales agent
     const agent = await User.findById(agentId);
     if (!agent || agent.role !== "sales_agent") {
@@ -5345,10 +5188,14 @@ exports.removeCustomersWithSCardCode = async (req, res) => {
       `Proceeding to delete ${allSCustomers.length} customers with CardCode starting with 'S'...`
     );
 
-    const deleteResult = await Customer.deleteMany(sCustomersQuery);
+    // Soft delete: restorable from the recycle bin until purged
+    const deleteResult = await Customer.softDeleteMany(
+      sCustomersQuery,
+      req.user._id
+    );
 
     console.log(
-      `Deletion completed. Deleted ${deleteResult.deletedCount} customers.`
+      `Deletion completed. Deleted ${deleteResult.modifiedCount} customers.`
     );
 
     // Step 6: Final verification - ensure deletion was successful
@@ -5363,10 +5210,10 @@ exports.removeCustomersWithSCardCode = async (req, res) => {
 
     res.status(200).json({
       success: true,
-      message: `Successfully removed ${deleteResult.deletedCount} customers with CardCode starting with 'S'`,
+      message: `Successfully removed ${deleteResult.modifiedCount} customers with CardCode starting with 'S'`,
       results: {
         totalFound: sCustomersCount,
-        deleted: deleteResult.deletedCount,
+        deleted: deleteResult.modifiedCount,
         remainingCustomers: remainingCount,
         processingTimeMs: totalTime,
         sampleDeletedCustomers: sampleCustomers.map((customer) => ({
@@ -5431,3 +5278,118 @@ exports.previewCustomersWithSCardCode = async (req, res) => {
     });
   }
 };
+
+// Customer and statement for the statement endpoints, or null once a
+// response was sent
+async function loadCustomerStatement(req, res) {
+  const customer = await Customer.findOne({ CardCode: req.params.cardCode });
+  if (!customer) {
+    res.status(404).json({
+      success: false,
+      message: `Customer with CardCode ${req.params.cardCode} not found`,
+    });
+    return null;
+  }
+
+  if (!(await canAccessOwner(req.user, customer.assignedTo))) {
+    res.status(403).json({
+      success: false,
+      message: "Not authorized to view this customer's account",
+    });
+    return null;
+  }
+
+  try {
+    const statement = await customerStatement.buildStatement(
+      customer.CardCode,
+      { from: req.query.from, to: req.query.to }
+    );
+    return { customer, statement };
+  } catch (error) {
+    if (error.statusCode === 400) {
+      res.status(400).json({ success: false, message: error.message });
+      return null;
+    }
+    throw error;
+  }
+}
+
+// Statement of account: opening balance, transactions and closing balance
+// for ?from=&to= (JSON, or PDF with ?format=pdf)
+exports.getCustomerStatement = async (req, res) => {
+  try {
+    const loaded = await loadCustomerStatement(req, res);
+    if (!loaded) return;
+    const { customer, statement } = loaded;
+
+    if (req.query.format === "pdf") {
+      const pdfBuffer = await customerStatement.generateStatementPDF(
+        statement,
+        customer
+      );
+      res.set({
+        "Content-Type": "application/pdf",
+        "Content-Disposition": `attachment; filename="${customerStatement.statementPdfFilename(
+          statement
+        )}"`,
+        "Content-Length": pdfBuffer.length,
+      });
+      return res.send(pdfBuffer);
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        customer: {
+          CardCode: customer.CardCode,
+          CardName: customer.CardName,
+          Email: customer.Email,
+        },
+        ...statement,
+      },
+    });
+  } catch (error) {
+    console.error("Error generating customer statement:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error generating customer statement",
+      error: error.message,
+    });
+  }
+};
+
+// Email the statement for ?from=&to= as a PDF attachment
+exports.emailCustomerStatement = async (req, res) => {
+  try {
+    const loaded = await loadCustomerStatement(req, res);
+    if (!loaded) return;
+    const { customer, statement } = loaded;
+
+    const { email, cc, subject, message } = req.body;
+    const result = await customerStatement.sendStatementEmail(
+      statement,
+      customer,
+      { to: email, cc, subject, message }
+    );
+
+    res.status(200).json({
+      success: true,
+      message: `Statement sent to ${result.to}`,
+      data: {
+        messageId: result.messageId,
+        sentTo: result.to,
+        period: { from: statement.from, to: statement.to },
+        closingBalance: statement.closingBalance,
+      },
+    });
+  } catch (error) {
+    console.error("Error emailing customer statement:", error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode
+        ? error.message
+        : "Error emailing customer statement",
+      error: error.message,
+    });
+  }
+};
@@ -0,0 +1,85 @@
+// controllers/customerDuplicate.controller.js
+const mongoose = require("mongoose");
+const duplicateDetection = require("../services/duplicateDetection");
+const { sendError } = require("../utils/serviceErrors");
+
+const isObjectId = (value) => mongoose.Types.ObjectId.isValid(value);
+
+// Review queue: ?status=open|accepted|dismissed&customerId=&minScore=
+exports.getDuplicates = async (req, res) => {
+  try {
+    const { customerId } = req.query;
+    if (customerId && !isObjectId(customerId)) {
+      return res
+        .status(400)
+        .json({ success: false, message: "Invalid customerId" });
+    }
+
+    const result = await duplicateDetection.listDuplicates(req.query);
+    res.status(200).json({
+      success: true,
+      threshold: duplicateDetection.SCORE_THRESHOLD,
+      ...result,
+    });
+  } catch (error) {
+    sendError(res, error, "Error fetching duplicate customers");
+  }
+};
+
+// Likely duplicates of the customer in the body, e.g. while filling the
+// creation form
+exports.checkDuplicates = async (req, res) => {
+  try {
+    const matches = await duplicateDetection.findDuplicatesOf(req.body);
+    res.status(200).json({ success: true, data: matches });
+  } catch (error) {
+    sendError(res, error, "Error checking for duplicate customers");
+  }
+};
+
+const decide = (decision, label) => async (req, res) => {
+  try {
+    if (!isObjectId(req.params.id)) {
+      return res.status(400).json({ success: false, message: "Invalid id" });
+    }
+    const { primaryId, note } = req.body;
+    if (primaryId && !isObjectId(primaryId)) {
+      return res
+        .status(400)
+        .json({ success: false, message: "Invalid primaryId" });
+    }
+
+    const pair = await duplicateDetection.decideDuplicate(
+      req.params.id,
+      decision,
+      { decidedBy: req.user._id, note, primaryId }
+    );
+    res.status(200).json({
+      success: true,
+      message: `Duplicate ${label}`,
+      data: pair,
+    });
+  } catch (error) {
+    sendError(res, error, "Error saving the duplicate decision");
+  }
+};
+
+// Confirm a pair; with { primaryId } the other customer is merged into it
+exports.acceptDuplicate = decide("accepted", "accepted");
+
+// Not duplicates; the pair stays out of the queue
+exports.dismissDuplicate = decide("dismissed", "dismissed");
+
+// Run the nightly scan (jobs/duplicateDetectionJob.js) now
+exports.scanDuplicates = async (req, res) => {
+  try {
+    const stats = await duplicateDetection.scanDuplicates();
+    res.status(200).json({
+      success: true,
+      message: "Duplicate scan completed",
+      data: stats,
+    });
+  } catch (error) {
+    sendError(res, error, "Error scanning for duplicate customers");
+  }
+};
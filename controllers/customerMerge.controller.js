@@ -0,0 +1,121 @@
+// controllers/customerMerge.controller.js
+const mongoose = require("mongoose");
+const CustomerMerge = require("../models/CustomerMerge");
+const customerMerge = require("../services/customerMerge");
+const { sendError } = require("../utils/serviceErrors");
+const { parsePagination, paginationInfo } = require("../utils/pagination");
+
+const isObjectId = (value) => mongoose.Types.ObjectId.isValid(value);
+
+// Merge secondaryId into primaryId; with dryRun: true only preview it
+exports.mergeCustomers = async (req, res) => {
+  try {
+    const { primaryId, secondaryId, dryRun, reason } = req.body;
+    if (!isObjectId(primaryId) || !isObjectId(secondaryId)) {
+      return res.status(400).json({
+        success: false,
+        message: "primaryId and secondaryId must be customer ids",
+      });
+    }
+
+    if (dryRun) {
+      const preview = await customerMerge.previewMerge(primaryId, secondaryId);
+      return res.status(200).json({ success: true, dryRun: true, preview });
+    }
+
+    const merge = await customerMerge.mergeCustomers(primaryId, secondaryId, {
+      mergedBy: req.user._id,
+      reason,
+    });
+    res.status(201).json({
+      success: true,
+      message: "Customers merged",
+      data: merge,
+    });
+  } catch (error) {
+    sendError(res, error, "Error merging customers");
+  }
+};
+
+// Merges, newest first; ?customerId= for those involving one customer
+exports.getMerges = async (req, res) => {
+  try {
+    const { customerId, status } = req.query;
+    const pagination = parsePagination(req.query);
+    const query = {};
+
+    if (customerId) {
+      if (!isObjectId(customerId)) {
+        return res
+          .status(400)
+          .json({ success: false, message: "Invalid customerId" });
+      }
+      query.$or = [
+        { "primary._id": customerId },
+        { "secondary._id": customerId },
+      ];
+    }
+    if (status) {
+      query.status = status;
+    }
+
+    const [merges, total] = await Promise.all([
+      CustomerMerge.find(query)
+        .select("-documents")
+        .sort({ createdAt: -1 })
+        .skip(pagination.skip)
+        .limit(pagination.limit)
+        .populate("mergedBy undoneBy", "firstName lastName email")
+        .lean(),
+      CustomerMerge.countDocuments(query),
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: merges,
+      pagination: paginationInfo(pagination, total),
+    });
+  } catch (error) {
+    sendError(res, error, "Error fetching customer merges");
+  }
+};
+
+// One merge; ?documents=true includes every rewired document
+exports.getMerge = async (req, res) => {
+  try {
+    if (!isObjectId(req.params.id)) {
+      return res.status(400).json({ success: false, message: "Invalid id" });
+    }
+
+    const merge = await CustomerMerge.findById(req.params.id)
+      .select(req.query.documents === "true" ? "" : "-documents")
+      .populate("mergedBy undoneBy", "firstName lastName email")
+      .lean();
+    if (!merge) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Merge not found" });
+    }
+
+    res.status(200).json({ success: true, data: merge });
+  } catch (error) {
+    sendError(res, error, "Error fetching customer merge");
+  }
+};
+
+exports.undoMerge = async (req, res) => {
+  try {
+    if (!isObjectId(req.params.id)) {
+      return res.status(400).json({ success: false, message: "Invalid id" });
+    }
+
+    const merge = await customerMerge.undoMerge(req.params.id, req.user._id);
+    res.status(200).json({
+      success: true,
+      message: "Merge undone",
+      data: merge,
+    });
+  } catch (error) {
+    sendError(res, error, "Error undoing customer merge");
+  }
+};
@@ -2,6 +2,12 @@
 const CustomerTarget = require("../models/CustomerTarget");
 const User = require("../models/User");
 const SalesOrder = require("../models/SalesOrder");
+const {
+  canAccessOwner,
+  hasPermission,
+  scopeFilter,
+  teamMemberIds,
+} = require("../services/permissions");
 
 const calculateTargetAchievement = async (target) => {
   try {
@@ -125,21 +131,7 @@ exports.getCustomerTargetById = async (req, res) => {
     }
 
     // Check permissions
-    if (
-      req.user.role === "sales_agent" &&
-      target.salesAgent._id.toString() !== req.user._id.toString()
-    ) {
-      return res.status(403).json({
-        success: false,
-        message: "Not authorized to view this target",
-      });
-    }
-
-    if (
-      req.user.role === "sales_manager" &&
-      target.salesAgent.manager &&
-      target.salesAgent.manager.toString() !== req.user._id.toString()
-    ) {
+    if (!(await canAccessOwner(req.user, target.salesAgent))) {
       return res.status(403).json({
         success: false,
         message: "Not authorized to view this target",
@@ -174,11 +166,15 @@ exports.deleteCustomerTarget = async (req, res) => {
       });
     }
 
-    // Only admins can delete targets
-    if (req.user.role !== "admin") {
+    // Check permissions (the route requires target:delete)
+    if (
+      !(await canAccessOwner(req.user, target.salesAgent, {
+        allowUnowned: true,
+      }))
+    ) {
       return res.status(403).json({
         success: false,
-        message: "Only administrators can delete targets",
+        message: "Not authorized to delete this target",
       });
     }
 
@@ -213,10 +209,7 @@ exports.getAgentCustomerTargets = async (req, res) => {
     }
 
     // Permission check
-    if (
-      req.user.role === "sales_agent" &&
-      req.user._id.toString() !== agentId
-    ) {
+    if (!(await canAccessOwner(req.user, agent._id))) {
       return res.status(403).json({
         success: false,
         message: "Not authorized to view other agents' targets",
@@ -258,14 +251,7 @@ exports.getCustomerTargetsByCustomer = async (req, res) => {
     const query = { cardCode };
 
     // Permission restrictions
-    if (req.user.role === "sales_agent") {
-      query.salesAgent = req.user._id;
-    } else if (req.user.role === "sales_manager") {
-      const agentIds = await User.find({ manager: req.user._id }).distinct(
-        "_id"
-      );
-      query.salesAgent = { $in: agentIds };
-    }
+    Object.assign(query, await scopeFilter(req.user, "salesAgent"));
 
     // Get targets
     const targets = await CustomerTarget.find(query)
@@ -287,55 +273,22 @@ exports.getCustomerTargetsByCustomer = async (req, res) => {
   }
 };
 
-// Helper function to check if a sales agent is managed by a specific user
-async function isSalesAgentManagedByUser(agentId, managerId) {
-  const agent = await User.findById(agentId);
-  return (
-    agent && agent.manager && agent.manager.toString() === managerId.toString()
-  );
-}
-
 // Get dashboard summary of customer targets
 exports.getCustomerTargetsDashboard = async (req, res) => {
   try {
     // Base query
     let query = {};
 
-    // Permission-based filtering
-    if (req.user.role === "sales_agent") {
-      query.salesAgent = req.user._id;
-    } else if (req.user.role === "sales_manager") {
-      // Get only agents managed by this sales manager
-      const agentIds = await User.find({
-        manager: req.user._id,
-        role: "sales_agent",
-      }).distinct("_id");
-
-      if (agentIds.length === 0) {
-        return res.status(200).json({
-          success: true,
-          data: {
-            summary: {
-              totalTargets: 0,
-              activeTargets: 0,
-              completedTargets: 0,
-              expiredTargets: 0,
-              totalTargetAmount: 0,
-              totalAchievedAmount: 0,
-              overallAchievementRate: 0,
-            },
-            closeToDeadline: [],
-            highestAchieving: [],
-            lowestAchieving: [],
-          },
-        });
-      }
-
-      query.salesAgent = { $in: agentIds };
-    }
-    222;
+    // Own, team (scope:team) or every target (scope:all); a requested agent
+    // outside that scope gives an empty dashboard
+    Object.assign(query, await scopeFilter(req.user, "salesAgent"));
     if (req.query.salesAgentId) {
-      query.salesAgent = req.query.salesAgentId;
+      query.salesAgent = (await canAccessOwner(
+        req.user,
+        req.query.salesAgentId
+      ))
+        ? req.query.salesAgentId
+        : { $in: [] };
     }
 
     // Get all relevant targets
@@ -467,21 +420,15 @@ exports.getSalesManagerDashboard = async (req, res) => {
     // Get all agents under this sales manager
     let managedAgentsQuery = { role: "sales_agent", deactivated: false };
 
-    if (req.user.role === "sales_manager") {
-      // Sales manager can only see their managed agents
-      managedAgentsQuery.manager = req.user._id;
-    } else if (req.user.role === "admin") {
-      // Admin can see all agents - no additional filter needed
-      // managedAgentsQuery remains as { role: "sales_agent" }
-    } else {
-      // For other roles, return empty result
-      managedAgentsQuery._id = null; // This will return no results
+    const teamIds = await teamMemberIds(req.user);
+    if (teamIds) {
+      // Without "scope:all" only the user's own team is shown
+      managedAgentsQuery._id = { $in: teamIds };
     }
 
-    const managedAgents = await User.find({
-      role: "sales_agent",
-      deactivated: false,
-    }).select("firstName lastName email target deactivated");
+    const managedAgents = await User.find(managedAgentsQuery).select(
+      "firstName lastName email target deactivated"
+    );
 
     if (managedAgents.length === 0) {
       return res.status(200).json({
@@ -705,19 +652,9 @@ exports.createCustomerTarget = async (req, res) => {
       });
     }
 
-    // Permission check - only admin and sales managers can create targets
-    if (req.user.role === "sales_agent") {
-      return res.status(403).json({
-        success: false,
-        message: "Not authorized to create customer targets",
-      });
-    }
-
-    // Sales managers can only create targets for their agents
-    if (
-      req.user.role === "sales_manager" &&
-      salesAgent.manager.toString() !== req.user._id.toString()
-    ) {
+    // Targets can only be created for agents in the user's scope (the route
+    // requires target:manage)
+    if (!(await canAccessOwner(req.user, salesAgent._id))) {
       return res.status(403).json({
         success: false,
         message: "Not authorized to create targets for this agent",
@@ -785,11 +722,6 @@ exports.getAllCustomerTargets = async (req, res) => {
 
     let query = {};
 
-    // Filter by sales agent if agent ID is provided
-    if (req.query.salesAgentId) {
-      query.salesAgent = req.query.salesAgentId;
-    }
-
     // Filter by customer if customer code is provided
     if (req.query.cardCode) {
       query.cardCode = req.query.cardCode;
@@ -805,17 +737,16 @@ exports.getAllCustomerTargets = async (req, res) => {
       query.period = req.query.period;
     }
 
-    // Restrict to agent's own targets if user is sales agent
-    if (req.user.role === "sales_agent") {
-      query.salesAgent = req.user._id;
-    }
-
-    // Restrict to manager's agents if user is sales manager
-    if (req.user.role === "sales_manager") {
-      const agentIds = await User.find({ manager: req.user._id }).distinct(
-        "_id"
-      );
-      query.salesAgent = { $in: agentIds };
+    // Own, team (scope:team) or every target (scope:all); a requested agent
+    // outside that scope gives no targets
+    Object.assign(query, await scopeFilter(req.user, "salesAgent"));
+    if (req.query.salesAgentId) {
+      query.salesAgent = (await canAccessOwner(
+        req.user,
+        req.query.salesAgentId
+      ))
+        ? req.query.salesAgentId
+        : { $in: [] };
     }
 
     // Get targets with pagination
@@ -887,18 +818,11 @@ exports.updateCustomerTarget = async (req, res) => {
       });
     }
 
-    // Check permissions
-    if (req.user.role === "sales_agent") {
-      return res.status(403).json({
-        success: false,
-        message: "Not authorized to update targets",
-      });
-    }
-
+    // Check permissions (the route requires target:manage)
     if (
-      req.user.role === "sales_manager" &&
-      target.salesAgent &&
-      !(await isSalesAgentManagedByUser(target.salesAgent, req.user._id))
+      !(await canAccessOwner(req.user, target.salesAgent, {
+        allowUnowned: true,
+      }))
     ) {
       return res.status(403).json({
         success: false,
@@ -980,14 +904,7 @@ exports.getCustomerTargets = async (req, res) => {
     const query = { cardCode };
 
     // Permission restrictions
-    if (req.user.role === "sales_agent") {
-      query.salesAgent = req.user._id;
-    } else if (req.user.role === "sales_manager") {
-      const agentIds = await User.find({ manager: req.user._id }).distinct(
-        "_id"
-      );
-      query.salesAgent = { $in: agentIds };
-    }
+    Object.assign(query, await scopeFilter(req.user, "salesAgent"));
 
     // Get targets
     const targets = await CustomerTarget.find(query)
@@ -1209,8 +1126,8 @@ exports.recalculateAllTargetsFromInvoices = async () => {
 // Endpoint to manually recalculate all targets from invoices
 exports.recalculateTargetsFromInvoices = async (req, res) => {
   try {
-    // Only allow admins to perform this operation
-    if (req.user.role !== "admin") {
+    // Recalculating touches every target
+    if (!(await hasPermission(req.user, "target:rollover_all"))) {
       return res.status(403).json({
         success: false,
         message: "Only administrators can recalculate targets",
@@ -1264,10 +1181,7 @@ exports.getTargetAchievementDetails = async (req, res) => {
     }
 
     // Check permissions
-    if (
-      req.user.role === "sales_agent" &&
-      target.salesAgent._id.toString() !== req.user._id.toString()
-    ) {
+    if (!(await canAccessOwner(req.user, target.salesAgent))) {
       return res.status(403).json({
         success: false,
         message: "Not authorized to view this target",
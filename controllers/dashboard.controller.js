@@ -4,6 +4,11 @@ const CallData = require("../models/CallData");
 const SalesOrder = require("../models/SalesOrder");
 const Invoice = require("../models/Invoice");
 const mongoose = require("mongoose");
+const {
+  canAccessOwner,
+  hasPermission,
+  teamMemberIds,
+} = require("../services/permissions");
 
 // Get all dashboard data for a sales manager in a single request
 // controllers/dashboardController.js
@@ -324,10 +329,8 @@ exports.getTeamRecentCalls = async (req, res) => {
 // Add a new endpoint to get team members for sales manager
 exports.getTeamMembers = async (req, res) => {
   try {
-    const managerId = req.user._id;
-
-    // Check if user is a sales manager
-    if (req.user.role !== "sales_manager" && req.user.role !== "admin") {
+    // Check if user may see team data
+    if (!(await hasPermission(req.user, "dashboard:team"))) {
       return res.status(403).json({
         success: false,
         message: "Access denied. Only sales managers can view team members.",
@@ -340,8 +343,9 @@ exports.getTeamMembers = async (req, res) => {
       deactivated: false,
     };
 
-    if (req.user.role === "sales_manager") {
-      query.manager = managerId;
+    const teamIds = await teamMemberIds(req.user);
+    if (teamIds) {
+      query._id = { $in: teamIds };
     }
 
     const teamMembers = await User.find(query).select("-password");
@@ -380,12 +384,8 @@ exports.getSalesAgentDashboard = async (req, res) => {
       });
     }
 
-    // Check if the current user is admin or the manager of this agent
-    if (
-      req.user.role !== "admin" &&
-      agent.manager &&
-      agent.manager.toString() !== req.user._id.toString()
-    ) {
+    // Check if the agent is in the user's team (scope:team) or any (scope:all)
+    if (!(await canAccessOwner(req.user, agent._id))) {
       return res.status(403).json({
         success: false,
         message: "You don't have permission to view this agent's dashboard",
@@ -84,7 +84,7 @@ exports.updateDeal = async (req, res) => {
 // Delete a deal
 exports.deleteDeal = async (req, res) => {
   try {
-    const deal = await Deal.findByIdAndDelete(req.params.id);
+    const deal = await Deal.findById(req.params.id);
 
     if (!deal) {
       return res
@@ -92,6 +92,9 @@ exports.deleteDeal = async (req, res) => {
         .json({ success: false, message: "Deal not found" });
     }
 
+    // Kept in the recycle bin until purged
+    await deal.softDelete(req.user._id);
+
     res.status(200).json({ success: true, data: {} });
   } catch (error) {
     handleError(res, error);
@@ -1,5 +1,7 @@
 // controllers/itemController.js
 const Item = require("../models/item");
+const { checkAvailability } = require("../services/stockAvailability");
+const { resolvePrice } = require("../services/pricingEngine");
 
 // Get all items with pagination
 exports.getAllItems = async (req, res) => {
@@ -92,17 +94,52 @@ exports.getItemsByWarehouse = async (req, res) => {
     const limit = parseInt(req.query.limit) || 20;
     const skip = (page - 1) * limit;
 
-    const items = await Item.find({
-      "ItemWarehouseInfoCollection.WarehouseCode": warehouseCode,
-      "ItemWarehouseInfoCollection.InStock": { $gt: 0 },
-    })
+    // Stock has to be in the requested warehouse, not in any warehouse
+    const query = {
+      ItemWarehouseInfoCollection: {
+        $elemMatch: { WarehouseCode: warehouseCode, InStock: { $gt: 0 } },
+      },
+    };
+
+    const items = await Item.find(query).skip(skip).limit(limit);
+
+    const total = await Item.countDocuments(query);
+
+    res.status(200).json({
+      success: true,
+      count: items.length,
+      total,
+      page,
+      pages: Math.ceil(total / limit),
+      data: items,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Server Error",
+      error: error.message,
+    });
+  }
+};
+
+// Get items whose stock dropped below MinimalStock
+exports.getLowStockItems = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    const query = { lowStock: true };
+    if (req.query.warehouse) {
+      query.lowStockWarehouses = req.query.warehouse;
+    }
+
+    const items = await Item.find(query)
+      .sort({ lowStockSince: 1 })
       .skip(skip)
       .limit(limit);
 
-    const total = await Item.countDocuments({
-      "ItemWarehouseInfoCollection.WarehouseCode": warehouseCode,
-      "ItemWarehouseInfoCollection.InStock": { $gt: 0 },
-    });
+    const total = await Item.countDocuments(query);
 
     res.status(200).json({
       success: true,
@@ -121,6 +158,37 @@ exports.getItemsByWarehouse = async (req, res) => {
   }
 };
 
+// Check stock for a set of document lines without creating anything
+exports.checkStockAvailability = async (req, res) => {
+  try {
+    const { DocumentLines, excludeQuotation } = req.body;
+
+    if (!Array.isArray(DocumentLines) || DocumentLines.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: "Please provide DocumentLines",
+      });
+    }
+
+    const stockCheck = await checkAvailability(DocumentLines, {
+      exclude: excludeQuotation
+        ? { documentType: "Quotation", documentEntry: excludeQuotation }
+        : undefined,
+    });
+
+    res.status(200).json({
+      success: true,
+      data: stockCheck,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Server Error",
+      error: error.message,
+    });
+  }
+};
+
 // Search items by name or code
 exports.searchItems = async (req, res) => {
   try {
@@ -175,6 +243,42 @@ exports.searchItems = async (req, res) => {
   }
 };
 
+// Get the price of an item for a customer and quantity.
+// Without itemCode the route keeps working as the price range search.
+exports.getItemPrice = async (req, res) => {
+  if (!req.query.itemCode) {
+    return exports.getItemsByPriceRange(req, res);
+  }
+
+  try {
+    const price = await resolvePrice({
+      cardCode: req.query.cardCode,
+      itemCode: req.query.itemCode,
+      quantity: parseFloat(req.query.qty) || 1,
+      priceList: req.query.priceList,
+      date: req.query.date,
+    });
+
+    if (!price) {
+      return res.status(404).json({
+        success: false,
+        message: `Item with code ${req.query.itemCode} not found`,
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: price,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Server Error",
+      error: error.message,
+    });
+  }
+};
+
 // Get items by price range
 exports.getItemsByPriceRange = async (req, res) => {
   try {
@@ -321,6 +425,7 @@ exports.updateStock = async (req, res) => {
       (total, wh) => total + wh.InStock,
       0
     );
+    item.refreshLowStock();
 
     await item.save();
 
@@ -2,6 +2,11 @@
 const Lead = require("../models/Lead");
 const Task = require("../models/Task");
 const User = require("../models/User");
+const {
+  canAccessOwner,
+  hasPermission,
+  scopeFilter,
+} = require("../services/permissions");
 
 /**
  * Get all leads
@@ -22,8 +27,6 @@ exports.getLeads = async (req, res) => {
       }
     }
 
-    if (assignedTo) query.assignedTo = assignedTo;
-
     // Search
     if (search) {
       query.$or = [
@@ -34,23 +37,14 @@ exports.getLeads = async (req, res) => {
       ];
     }
 
-    // Role-based access control
-    if (req.user.role === "sales_agent") {
-      // Sales agents can only see leads assigned to them
-      query.assignedTo = req.user._id;
-    } else if (req.user.role === "sales_manager") {
-      // Sales managers can see their own leads and leads assigned to their team
-      const salesAgents = await User.find({
-        role: "sales_agent",
-        manager: req.user._id,
-      }).select("_id");
-
-      const agentIds = salesAgents.map((agent) => agent._id);
-      agentIds.push(req.user._id); // Include the manager's own leads
-
-      query.assignedTo = { $in: agentIds };
+    // Own, team (scope:team) or every lead (scope:all); a requested agent
+    // outside that scope gives no leads
+    Object.assign(query, await scopeFilter(req.user, "assignedTo"));
+    if (assignedTo) {
+      query.assignedTo = (await canAccessOwner(req.user, assignedTo))
+        ? assignedTo
+        : { $in: [] };
     }
-    // Admins can see all leads
 
     // Get leads
     const leads = await Lead.find(query)
@@ -95,34 +89,12 @@ exports.getLeadById = async (req, res) => {
       });
     }
 
-    // Role-based permissions check
-    if (
-      req.user.role === "sales_agent" &&
-      lead.assignedTo._id.toString() !== req.user._id.toString()
-    ) {
+    // Check permissions
+    if (!(await canAccessOwner(req.user, lead.assignedTo))) {
       return res.status(403).json({
         success: false,
         message: "You do not have permission to view this lead",
       });
-    } else if (req.user.role === "sales_manager") {
-      // Manager can view if it's their lead or assigned to their team
-      const isOwnLead =
-        lead.assignedTo._id.toString() === req.user._id.toString();
-
-      if (!isOwnLead) {
-        const agent = await User.findById(lead.assignedTo._id);
-        const isTeamMember =
-          agent &&
-          agent.manager &&
-          agent.manager.toString() === req.user._id.toString();
-
-        if (!isTeamMember) {
-          return res.status(403).json({
-            success: false,
-            message: "You do not have permission to view this lead",
-          });
-        }
-      }
     }
 
     return res.status(200).json({
@@ -257,32 +229,12 @@ exports.updateLead = async (req, res) => {
       });
     }
 
-    // Check permissions - only assigned agent, their manager, or admin can update
-    if (
-      req.user.role === "sales_agent" &&
-      lead.assignedTo.toString() !== req.user._id.toString()
-    ) {
+    // Check permissions - only leads in the user's scope can be updated
+    if (!(await canAccessOwner(req.user, lead.assignedTo))) {
       return res.status(403).json({
         success: false,
         message: "You do not have permission to update this lead",
       });
-    } else if (req.user.role === "sales_manager") {
-      const isOwnLead = lead.assignedTo.toString() === req.user._id.toString();
-
-      if (!isOwnLead) {
-        const agent = await User.findById(lead.assignedTo);
-        const isTeamMember =
-          agent &&
-          agent.manager &&
-          agent.manager.toString() === req.user._id.toString();
-
-        if (!isTeamMember) {
-          return res.status(403).json({
-            success: false,
-            message: "You do not have permission to update this lead",
-          });
-        }
-      }
     }
 
     // Update lead
@@ -324,44 +276,29 @@ exports.deleteLead = async (req, res) => {
       });
     }
 
-    // Check permissions - only admin or the manager of the assigned agent can delete
-    if (req.user.role === "sales_agent") {
+    // Check permissions (the route requires lead:manage)
+    if (!(await canAccessOwner(req.user, lead.assignedTo))) {
       return res.status(403).json({
         success: false,
-        message: "Sales agents cannot delete leads",
+        message: "You do not have permission to delete this lead",
       });
-    } else if (req.user.role === "sales_manager") {
-      const isOwnLead = lead.assignedTo.toString() === req.user._id.toString();
-
-      if (!isOwnLead) {
-        const agent = await User.findById(lead.assignedTo);
-        const isTeamMember =
-          agent &&
-          agent.manager &&
-          agent.manager.toString() === req.user._id.toString();
-
-        if (!isTeamMember) {
-          return res.status(403).json({
-            success: false,
-            message: "You do not have permission to delete this lead",
-          });
-        }
-      }
     }
 
-    // Delete related tasks
+    // Soft delete the lead and its tasks together, so restoring the lead
+    // from the recycle bin brings its tasks back
+    const deletedAt = new Date();
     if (lead.tasks && lead.tasks.length > 0) {
-      await Task.deleteMany({
-        _id: { $in: lead.tasks },
-      });
+      await Task.softDeleteMany(
+        { _id: { $in: lead.tasks } },
+        req.user._id,
+        deletedAt
+      );
     }
-
-    // Delete the lead
-    await Lead.findByIdAndDelete(id);
+    await Lead.softDeleteMany({ _id: lead._id }, req.user._id, deletedAt);
 
     res.json({
       success: true,
-      message: "Lead and related tasks deleted successfully",
+      message: "Lead and related tasks moved to the recycle bin",
     });
   } catch (error) {
     console.error(`Error deleting lead ${req.params.id}:`, error);
@@ -398,58 +335,29 @@ exports.assignLead = async (req, res) => {
       });
     }
 
-    // Check permissions
-    if (req.user.role === "sales_agent") {
+    // Check permissions (the route requires lead:manage) - both the lead and
+    // the new agent must be in the user's scope
+    if (!(await canAccessOwner(req.user, lead.assignedTo))) {
       return res.status(403).json({
         success: false,
-        message: "Sales agents cannot reassign leads",
+        message: "You do not have permission to reassign this lead",
       });
     }
 
-    // For managers, check if they manage the lead's current agent and the new agent
-    if (req.user.role === "sales_manager") {
-      // Check if manager owns the lead
-      const isOwnLead = lead.assignedTo.toString() === req.user._id.toString();
-
-      if (!isOwnLead) {
-        // Check if manager manages the current agent
-        const currentAgent = await User.findById(lead.assignedTo);
-        const managesCurrentAgent =
-          currentAgent &&
-          currentAgent.manager &&
-          currentAgent.manager.toString() === req.user._id.toString();
-
-        if (!managesCurrentAgent) {
-          return res.status(403).json({
-            success: false,
-            message: "You do not have permission to reassign this lead",
-          });
-        }
-      }
-
-      // Check if manager manages the new agent
-      const newAgent = await User.findById(assignedTo);
-      if (!newAgent) {
-        return res.status(404).json({
-          success: false,
-          message: "Assigned agent not found",
-        });
-      }
-
-      const managesNewAgent =
-        newAgent._id.toString() === req.user._id.toString() ||
-        (newAgent.manager &&
-          newAgent.manager.toString() === req.user._id.toString());
-
-      if (!managesNewAgent) {
-        return res.status(403).json({
-          success: false,
-          message: "You can only assign leads to yourself or your team members",
-        });
-      }
+    const newAgent = await User.findById(assignedTo);
+    if (!newAgent) {
+      return res.status(404).json({
+        success: false,
+        message: "Assigned agent not found",
+      });
     }
 
-    // Admin can assign to any agent - no additional checks needed
+    if (!(await canAccessOwner(req.user, newAgent._id))) {
+      return res.status(403).json({
+        success: false,
+        message: "You can only assign leads to yourself or your team members",
+      });
+    }
 
     // Update the lead
     lead.assignedTo = assignedTo;
@@ -509,10 +417,7 @@ exports.updateTags = async (req, res) => {
     }
 
     // Check permissions
-    if (
-      req.user.role === "sales_agent" &&
-      lead.assignedTo.toString() !== req.user._id.toString()
-    ) {
+    if (!(await canAccessOwner(req.user, lead.assignedTo))) {
       return res.status(403).json({
         success: false,
         message: "You do not have permission to update tags for this lead",
@@ -568,10 +473,10 @@ exports.getAgentLeads = async (req, res) => {
   try {
     const agentId = req.user._id;
 
-    // Verify this is a sales agent
-    if (req.user.role !== "sales_agent") {
+    // Only the leads assigned to the user are listed
+    if (!(await hasPermission(req.user, "lead:read"))) {
       return res.status(403).json({
-        message: "Not authorized. This endpoint is for sales agents only.",
+        message: "Not authorized to view leads",
       });
     }
 
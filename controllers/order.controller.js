@@ -3,12 +3,22 @@ const SalesOrder = require("../models/SalesOrder");
 const User = require("../models/User");
 const Item = require("../models/item");
 const customerTargetController = require("./customerTarget.controller");
+const { getSalesOrderFromSAP } = require("../utils/sapB1Integration");
+const sapSyncQueue = require("../services/sapSyncQueue");
 const {
-  formatOrderForSAP,
-  createSalesOrderInSAP,
-  getSalesOrderFromSAP,
-  checkBusinessPartnerExists,
-} = require("../utils/sapB1Integration");
+  checkAvailability,
+  blocksOnShortage,
+} = require("../services/stockAvailability");
+const { applyPricing } = require("../services/pricingEngine");
+const paymentPlans = require("../services/paymentPlans");
+const customerCredit = require("../services/customerCredit");
+const {
+  canAccessOwner,
+  hasPermission,
+  scopeFilter,
+} = require("../services/permissions");
+const Task = require("../models/Task");
+const NotificationService = require("../utils/notificationService");
 const XLSX = require("xlsx");
 
 // Add these to orderController.js
@@ -106,6 +116,15 @@ exports.generatePaymentLinkForOrder = async (req, res) => {
 
     order.Payment_id = paymentId;
     order.Link_sent = true;
+    paymentPlans.recordSingleLink(
+      order,
+      {
+        ...response.data,
+        reference: paymentLinkRequest.reference,
+        amount: paymentLinkRequest.amount,
+      },
+      { email, createdBy: req.user?._id }
+    );
 
     // Create line items table for email
     const lineItemsHtml = order.DocumentLines.map(
@@ -229,12 +248,17 @@ exports.getUpdateOnPaymentLinkForOrder = async (req, res) => {
 
     const paymentStatus = response.data.status;
     order.payment_status = paymentStatus;
+    // Links of a payment plan are refreshed too
+    const balance = order.paymentLinks.length
+      ? await paymentPlans.refreshLinkStatuses(order)
+      : undefined;
     await order.save();
 
     res.status(200).json({
       success: true,
       message: "Payment status updated successfully",
       paymentStatus,
+      balance,
       paymentData: response.data,
     });
   } catch (error) {
@@ -246,6 +270,123 @@ exports.getUpdateOnPaymentLinkForOrder = async (req, res) => {
     });
   }
 };
+// Create payment links for a sales order payment plan (deposit, balance, ...)
+exports.createOrderPaymentLinks = async (req, res) => {
+  try {
+    const { docNum } = req.params;
+    const { email, installments } = req.body;
+
+    const order = await SalesOrder.findOne({ DocNum: docNum });
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        error: "Sales order not found",
+      });
+    }
+
+    if (
+      !(await canAccessOwner(req.user, order.salesAgent, {
+        allowUnowned: true,
+      }))
+    ) {
+      return res.status(403).json({
+        success: false,
+        error: "Not authorized to create payment links for this order",
+      });
+    }
+
+    // A single instalment can be sent without the array
+    const requested = installments || [
+      {
+        label: req.body.label,
+        amount: req.body.amount,
+        percent: req.body.percent,
+        dueDate: req.body.dueDate,
+      },
+    ];
+
+    const result = await paymentPlans.createPaymentLinks(
+      "SalesOrder",
+      order,
+      requested,
+      { email, createdBy: req.user._id }
+    );
+
+    // Links created before an Adyen failure are live and were sent
+    if (result.error) {
+      return res.status(502).json({
+        success: false,
+        error: "Failed to generate every payment link",
+        details: result.error,
+        data: result.links,
+        balance: result.balance,
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: "Payment links generated and sent successfully",
+      data: result.links,
+      balance: result.balance,
+    });
+  } catch (error) {
+    console.error("Error in createOrderPaymentLinks:", error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.statusCode
+        ? error.message
+        : "Failed to generate payment links",
+      details: error.message,
+    });
+  }
+};
+
+// Payment plan, balance and reconciliation against SAP incoming payments
+exports.getOrderPayments = async (req, res) => {
+  try {
+    const order = await SalesOrder.findOne({ DocNum: req.params.docNum });
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        error: "Sales order not found",
+      });
+    }
+
+    if (
+      !(await canAccessOwner(req.user, order.salesAgent, {
+        allowUnowned: true,
+      }))
+    ) {
+      return res.status(403).json({
+        success: false,
+        error: "Not authorized to view this order's payments",
+      });
+    }
+
+    const reconciliation = await paymentPlans.reconcilePayments(
+      "SalesOrder",
+      order
+    );
+
+    res.status(200).json({
+      success: true,
+      data: {
+        DocNum: order.DocNum,
+        CardCode: order.CardCode,
+        payment_status: order.payment_status,
+        ...reconciliation,
+      },
+    });
+  } catch (error) {
+    console.error("Error in getOrderPayments:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to load payments",
+      details: error.message,
+    });
+  }
+};
+
 exports.bulkImportSalesOrders = async (req, res) => {
   try {
     if (!req.file) {
@@ -562,111 +703,21 @@ async function updateSalesAgentStats(salesAgentId, order) {
   }
 }
 
-async function updateSalesAgentAchievement(salesAgentId, order) {
-  const agent = await User.findById(salesAgentId);
-  if (!agent) return;
-
-  // You might want to add some logic here based on your business rules
-  // For example, maybe achievements only count when orders are pushed to SAP
-
-  // Maybe increment a counter of successfully synced orders
-  agent.syncedOrderCount = (agent.syncedOrderCount || 0) + 1;
-
-  await agent.save();
-}
-
-// Helper function to push order to SAP
-async function pushOrderToSAPInternal(order) {
-  try {
-    // Format the order for SAP B1 - Note this is now async
-    const sapOrder = await formatOrderForSAP(order);
-
-    try {
-      // First check if business partner exists in SAP
-      const businessPartnerExists = await checkBusinessPartnerExists(
-        order.CardCode
-      );
-
-      if (!businessPartnerExists) {
-        // Update order to reflect BP doesn't exist in SAP
-        order.SyncErrors = `Business partner ${order.CardCode} does not exist in SAP B1`;
-        order.LastSyncAttempt = new Date();
-        order.LocalStatus = "SyncFailed";
-        order.SAPSyncDisabled = true; // Flag to indicate we shouldn't try to sync this order again
-        await order.save();
-
-        return {
-          success: false,
-          error: order.SyncErrors,
-          code: "BP_NOT_FOUND",
-        };
-      }
-    } catch (bpError) {
-      // If BP check itself fails, continue with the order creation attempt
-      console.warn(
-        `Could not verify business partner in SAP: ${bpError.message}`
-      );
-    }
-
-    // Push to SAP B1
-    const sapResponse = await createSalesOrderInSAP(sapOrder);
-
-    // Update local order with SAP DocEntry if successful
-    if (sapResponse && sapResponse.DocEntry) {
-      order.SAPDocEntry = sapResponse.DocEntry;
-      order.DocumentStatus = "bost_Closed"; // Or any appropriate status
-      order.UpdateDate = new Date();
-      order.SyncedWithSAP = true;
-      order.LocalStatus = "Synced";
-
-      await order.save();
-
-      // Update sales agent stats for synced order
-      if (order.salesAgent) {
-        await updateSalesAgentAchievement(order.salesAgent, order);
-      }
-
-      return {
-        success: true,
-        SAPDocEntry: sapResponse.DocEntry,
-        sapData: sapResponse,
-      };
-    } else {
-      throw new Error("Invalid response from SAP B1");
-    }
-  } catch (error) {
-    // Check for specific error types
-    let errorCode = "GENERAL_ERROR";
-
-    if (
-      error.message &&
-      error.message.includes("Business partner") &&
-      error.message.includes("does not exist")
-    ) {
-      errorCode = "BP_NOT_FOUND";
-    } else if (error.message && error.message.includes("Invalid BP code")) {
-      errorCode = "INVALID_BP_CODE";
-    }
-
-    // Update local order to mark sync failure
-    order.SyncErrors = error.message;
-    order.LastSyncAttempt = new Date();
-    order.LocalStatus = "SyncFailed";
-
-    // If BP doesn't exist, mark order to not attempt sync again
-    if (errorCode === "BP_NOT_FOUND" || errorCode === "INVALID_BP_CODE") {
-      order.SAPSyncDisabled = true;
-    }
-
-    await order.save();
-
-    console.error("Error pushing order to SAP:", error);
-    return {
-      success: false,
-      error: error.message || "Unknown error",
-      code: errorCode,
-    };
-  }
+// Helper function to push order to SAP through the sync queue.
+// Transient failures stay queued and are retried by jobs/sapSyncJob.js
+async function pushOrderToSAPInternal(order, options = {}) {
+  const result = await sapSyncQueue.syncNow("SalesOrder", order, options);
+
+  return {
+    success: result.success,
+    SAPDocEntry: result.success ? Number(result.sapReference) : undefined,
+    sapData: result.sapData,
+    error: result.error,
+    code: result.code,
+    willRetry: result.willRetry,
+    nextAttemptAt: result.nextAttemptAt,
+    syncJobId: result.job ? result.job._id : undefined,
+  };
 }
 
 // Create a new sales order (save to local DB and push to SAP)
@@ -700,7 +751,7 @@ exports.createOrder = async (req, res) => {
       });
     }
 
-    // Validate items but don't check stock availability
+    // Validate items; stock is checked once the lines are processed
     const itemCodes = req.body.DocumentLines.map((line) => line.ItemCode);
     const items = await Item.find({ ItemCode: { $in: itemCodes } });
 
@@ -710,7 +761,7 @@ exports.createOrder = async (req, res) => {
       itemMap[item.ItemCode] = item;
     });
 
-    // Check if all items exist but don't check stock
+    // Check if all items exist
     const invalidItems = [];
     for (const line of req.body.DocumentLines) {
       const item = itemMap[line.ItemCode];
@@ -737,8 +788,29 @@ exports.createOrder = async (req, res) => {
       });
     }
 
+    // Resolve customer prices; lines sent without a price get the resolved one
+    const pricing = await applyPricing(
+      req.body.CardCode,
+      req.body.DocumentLines,
+      { priceList: req.body.PriceList, date: req.body.DocDate }
+    );
+
+    // Orders go straight to SAP, so only quotation approvers may sell below
+    // the margin floor
+    if (
+      pricing.belowMarginFloor.length > 0 &&
+      !(await hasPermission(req.user, "quotation:approve"))
+    ) {
+      return res.status(422).json({
+        success: false,
+        message: `Some line prices are below the ${pricing.marginFloorPercent}% margin floor`,
+        belowMarginFloor: pricing.belowMarginFloor,
+        data: pricing,
+      });
+    }
+
     // Generate DocEntry (you might want to use a more sophisticated method)
-    const orderPriceList = req.body.PriceList || "2"; // Default to Prix Livraison
+    const orderPriceList = req.body.PriceList || String(pricing.priceList);
 
     // Process document lines to ensure price list is set on each line
     const processedDocumentLines = req.body.DocumentLines.map((line) => ({
@@ -757,6 +829,24 @@ exports.createOrder = async (req, res) => {
     req.body.DocumentLines = processedDocumentLines;
     // ✅ END OF NEW CODE BLOCK
 
+    // Check stock per line and warehouse; shortages are returned as a warning
+    // unless STOCK_CHECK_MODE blocks them
+    const stockCheck = await checkAvailability(req.body.DocumentLines);
+    if (blocksOnShortage(stockCheck, req.body.allowShortage === true)) {
+      return res.status(409).json({
+        success: false,
+        message: "Insufficient stock for some lines",
+        shortages: stockCheck.shortages,
+        data: stockCheck,
+      });
+    }
+    delete req.body.allowShortage;
+
+    // Managers and admins confirm orders over the credit limit explicitly
+    const creditOverride = req.body.creditOverride === true;
+    delete req.body.creditOverride;
+    delete req.body.creditApproval;
+
     // Generate DocEntry (you might want to use a more sophisticated method)
     const lastOrder = await SalesOrder.findOne().sort({ DocEntry: -1 });
     const newDocEntry = lastOrder ? lastOrder.DocEntry + 1 : 1;
@@ -774,7 +864,7 @@ exports.createOrder = async (req, res) => {
     // Create the new order
     const newOrder = new SalesOrder({
       ...req.body,
-      PriceList: req.body.PriceList,
+      PriceList: orderPriceList,
       DocEntry: newDocEntry,
       DocNum: newDocEntry, // Consider separate numbering if needed
       DocType: req.body.DocType || "dDocument_Items",
@@ -788,6 +878,8 @@ exports.createOrder = async (req, res) => {
       LocalStatus: "Created", // Custom field to track local status
       salesAgent: salesAgentId,
       U_Notes: salesAgentName,
+      HasPriceOverrides: pricing.overrides.length > 0,
+      BelowMarginFloor: pricing.belowMarginFloor.length > 0,
     });
 
     console.log("Creating new order:", newOrder);
@@ -803,12 +895,44 @@ exports.createOrder = async (req, res) => {
       newOrder.DocTotal = total;
     }
 
+    // Credit limit and credit hold of the customer
+    const creditDecision = await customerCredit.evaluateOrderCredit(
+      newOrder,
+      req.user,
+      { override: creditOverride }
+    );
+    if (creditDecision.action === "block") {
+      return res.status(409).json({
+        success: false,
+        message: creditDecision.message,
+        creditCheck: creditDecision.check,
+      });
+    }
+    customerCredit.recordCreditDecision(newOrder, creditDecision, req.user);
+    if (creditDecision.action === "approval") {
+      await customerCredit.routeOrderCreditApproval(newOrder, req.user);
+    }
+
     // Save to local database
     await newOrder.save();
 
+    // Orders over the credit limit go to SAP once approved
+    if (creditDecision.action === "approval") {
+      return res.status(202).json({
+        success: true,
+        data: newOrder,
+        message: `Order saved and sent for credit approval: ${creditDecision.message}`,
+        creditCheck: creditDecision.check,
+        stockCheck,
+        pricing,
+      });
+    }
+
     // NEW CODE: Push to SAP automatically
     console.log("Automatically pushing new order to SAP...");
-    const sapResult = await pushOrderToSAPInternal(newOrder);
+    const sapResult = await pushOrderToSAPInternal(newOrder, {
+      createdBy: salesAgentId,
+    });
 
     // Return response with both local creation and SAP push results
     if (sapResult.success) {
@@ -820,6 +944,8 @@ exports.createOrder = async (req, res) => {
           success: true,
           SAPDocEntry: sapResult.SAPDocEntry,
         },
+        stockCheck,
+        pricing,
       });
     } else {
       // Customize message based on error code
@@ -830,6 +956,8 @@ exports.createOrder = async (req, res) => {
         sapResult.code === "INVALID_BP_CODE"
       ) {
         sapErrorMessage = `Business partner ${newOrder.CardCode} does not exist in SAP B1`;
+      } else if (sapResult.willRetry) {
+        sapErrorMessage = "Failed to sync with SAP, retry scheduled";
       }
 
       res.status(201).json({
@@ -837,13 +965,17 @@ exports.createOrder = async (req, res) => {
         data: newOrder,
         message:
           "Order created successfully in local database but failed to sync with SAP",
-        targetUpdated: updatedTarget ? true : false,
         sapSync: {
           success: false,
           error: sapResult.error,
           message: sapErrorMessage,
           code: sapResult.code,
+          willRetry: sapResult.willRetry,
+          nextAttemptAt: sapResult.nextAttemptAt,
+          syncJobId: sapResult.syncJobId,
         },
+        stockCheck,
+        pricing,
       });
     }
   } catch (error) {
@@ -882,18 +1014,8 @@ exports.getAllOrders = async (req, res) => {
       };
     }
 
-    // Filter for current user if sales agent
-    if (req.user.role === "sales_agent") {
-      query.salesAgent = req.user._id;
-    }
-
-    // If sales manager, get all orders from their agents
-    if (req.user.role === "sales_manager") {
-      const agentIds = await User.find({ manager: req.user._id }).distinct(
-        "_id"
-      );
-      query.salesAgent = { $in: agentIds };
-    }
+    // Own orders, the team's orders (scope:team) or every order (scope:all)
+    Object.assign(query, await scopeFilter(req.user, "salesAgent"));
 
     const orders = await SalesOrder.find(query)
       .populate("salesAgent", "firstName lastName email")
@@ -927,8 +1049,11 @@ exports.getOrdersByCustomer = async (req, res) => {
     const { cardCode } = req.params;
     const page = parseInt(req.query.page) || 1;
 
-    // Base query
-    const query = { CardCode: cardCode };
+    // Own orders, the team's orders (scope:team) or every order (scope:all)
+    const query = {
+      CardCode: cardCode,
+      ...(await scopeFilter(req.user, "salesAgent")),
+    };
 
     const orders = await SalesOrder.find(query)
       .populate("salesAgent", "firstName lastName email")
@@ -972,11 +1097,11 @@ exports.getOrderByDocEntry = async (req, res) => {
       });
     }
 
-    // Check permissions for sales agents
+    // Own orders, the team's (scope:team) or any (scope:all)
     if (
-      req.user.role === "sales_agent" &&
-      order.salesAgent &&
-      order.salesAgent._id.toString() !== req.user._id.toString()
+      !(await canAccessOwner(req.user, order.salesAgent, {
+        allowUnowned: true,
+      }))
     ) {
       return res.status(403).json({
         success: false,
@@ -984,17 +1109,6 @@ exports.getOrderByDocEntry = async (req, res) => {
       });
     }
 
-    // Check permissions for sales managers
-    if (req.user.role === "sales_manager" && order.salesAgent) {
-      const agent = await User.findById(order.salesAgent._id);
-      if (!agent || agent.manager.toString() !== req.user._id.toString()) {
-        return res.status(403).json({
-          success: false,
-          message: "Not authorized to view this order",
-        });
-      }
-    }
-
     res.status(200).json({
       success: true,
       data: order,
@@ -1029,6 +1143,13 @@ exports.pushOrderToSAP = async (req, res) => {
       });
     }
 
+    if (customerCredit.isCreditBlocked(order)) {
+      return res.status(409).json({
+        success: false,
+        message: `Order credit approval is ${order.creditApproval.status}; it cannot be pushed to SAP`,
+      });
+    }
+
     // Check if sync was previously disabled due to BP not existing
     if (order.SAPSyncDisabled) {
       // Allow force sync if specifically requested
@@ -1044,7 +1165,11 @@ exports.pushOrderToSAP = async (req, res) => {
       await order.save();
     }
 
-    const sapResult = await pushOrderToSAPInternal(order);
+    const sapResult = await pushOrderToSAPInternal(order, {
+      createdBy: req.user ? req.user._id : undefined,
+      triggeredBy: "manual",
+      rearm: true,
+    });
 
     if (sapResult.success) {
       return res.status(200).json({
@@ -1070,6 +1195,9 @@ exports.pushOrderToSAP = async (req, res) => {
         message: errorMessage,
         error: sapResult.error,
         code: sapResult.code,
+        willRetry: sapResult.willRetry,
+        nextAttemptAt: sapResult.nextAttemptAt,
+        syncJobId: sapResult.syncJobId,
       });
     }
   } catch (error) {
@@ -1080,3 +1208,151 @@ exports.pushOrderToSAP = async (req, res) => {
     });
   }
 };
+
+// Approve an order held for credit and push it to SAP
+exports.approveOrderCredit = async (req, res) => {
+  try {
+    const { comments } = req.body;
+    const order = await SalesOrder.findOne({ DocEntry: req.params.docEntry });
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: `Order with DocEntry ${req.params.docEntry} not found`,
+      });
+    }
+
+    if (order.creditApproval.status !== "pending") {
+      return res.status(400).json({
+        success: false,
+        message: `Order is not awaiting credit approval (status: ${order.creditApproval.status})`,
+      });
+    }
+
+    if (!(await customerCredit.canDecideCredit(order, req.user))) {
+      return res.status(403).json({
+        success: false,
+        message:
+          "Only an admin or the approver this order was routed to can approve it",
+      });
+    }
+
+    order.creditApproval.status = "approved";
+    order.creditApproval.decidedBy = req.user._id;
+    order.creditApproval.decidedAt = new Date();
+    if (comments) order.creditApproval.comments = comments;
+    order.UpdateDate = new Date();
+    await order.save();
+
+    if (order.creditApproval.task) {
+      await Task.findByIdAndUpdate(order.creditApproval.task, {
+        status: "completed",
+        completedDate: new Date(),
+        comments: `Credit approved by ${req.user.firstName} ${
+          req.user.lastName
+        }${comments ? ": " + comments : ""}`,
+      });
+    }
+
+    try {
+      await NotificationService.createOrderCreditDecisionNotification(
+        order,
+        req.user._id,
+        true
+      );
+    } catch (error) {
+      console.error("Error sending credit decision notification:", error);
+    }
+
+    const sapResult = await pushOrderToSAPInternal(order, {
+      createdBy: req.user._id,
+    });
+
+    res.status(200).json({
+      success: true,
+      data: order,
+      message: sapResult.success
+        ? "Order approved on credit and synced with SAP"
+        : "Order approved on credit but failed to sync with SAP",
+      sapSync: sapResult,
+    });
+  } catch (error) {
+    console.error("Error approving order credit:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error approving order credit",
+      error: error.message,
+    });
+  }
+};
+
+// Reject an order held for credit; it is closed and never sent to SAP
+exports.rejectOrderCredit = async (req, res) => {
+  try {
+    const { reason } = req.body;
+    const order = await SalesOrder.findOne({ DocEntry: req.params.docEntry });
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: `Order with DocEntry ${req.params.docEntry} not found`,
+      });
+    }
+
+    if (order.creditApproval.status !== "pending") {
+      return res.status(400).json({
+        success: false,
+        message: `Order is not awaiting credit approval (status: ${order.creditApproval.status})`,
+      });
+    }
+
+    if (!(await customerCredit.canDecideCredit(order, req.user))) {
+      return res.status(403).json({
+        success: false,
+        message:
+          "Only an admin or the approver this order was routed to can reject it",
+      });
+    }
+
+    order.creditApproval.status = "rejected";
+    order.creditApproval.decidedBy = req.user._id;
+    order.creditApproval.decidedAt = new Date();
+    if (reason) order.creditApproval.comments = reason;
+    order.DocumentStatus = "bost_Close";
+    order.UpdateDate = new Date();
+    await order.save();
+
+    if (order.creditApproval.task) {
+      await Task.findByIdAndUpdate(order.creditApproval.task, {
+        status: "rejected",
+        completedDate: new Date(),
+        comments: `Credit rejected by ${req.user.firstName} ${
+          req.user.lastName
+        }${reason ? ": " + reason : ""}`,
+      });
+    }
+
+    try {
+      await NotificationService.createOrderCreditDecisionNotification(
+        order,
+        req.user._id,
+        false
+      );
+    } catch (error) {
+      console.error("Error sending credit decision notification:", error);
+    }
+
+    res.status(200).json({
+      success: true,
+      data: order,
+      message: "Order rejected on credit",
+    });
+  } catch (error) {
+    console.error("Error rejecting order credit:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error rejecting order credit",
+      error: error.message,
+    });
+  }
+};
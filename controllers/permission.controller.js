@@ -0,0 +1,234 @@
+// controllers/permission.controller.js
+const mongoose = require("mongoose");
+const RoleTemplate = require("../models/RoleTemplate");
+const User = require("../models/User");
+const { PERMISSIONS, ROLE_TEMPLATES } = require("../config/permissions");
+const permissions = require("../services/permissions");
+
+// Roles a template can be stored for
+const ROLES = User.schema.path("role").enumValues;
+
+// Rejects anything that is not a list of known permissions
+function invalidPermissions(list) {
+  if (!Array.isArray(list) || list.some((entry) => typeof entry !== "string")) {
+    return "Permissions must be an array of strings";
+  }
+  const unknown = permissions.unknownPermissions(list);
+  if (unknown.length) {
+    return `Unknown permissions: ${unknown.join(", ")}`;
+  }
+  return null;
+}
+
+// Permission catalogue and the effective template of every role
+exports.getCatalogue = async (req, res) => {
+  try {
+    const [templates, stored] = await Promise.all([
+      permissions.getRoleTemplates(),
+      RoleTemplate.find().select("role").lean(),
+    ]);
+    const customised = stored.map((template) => template.role);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        permissions: PERMISSIONS,
+        roles: ROLES.map((role) => ({
+          role,
+          permissions: templates[role] || [],
+          isDefault: !customised.includes(role),
+        })),
+      },
+    });
+  } catch (error) {
+    console.error("Error fetching permission catalogue:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching permission catalogue",
+      error: error.message,
+    });
+  }
+};
+
+// Permissions of the logged-in user
+exports.getMyPermissions = async (req, res) => {
+  try {
+    res.status(200).json({
+      success: true,
+      data: {
+        role: req.user.role,
+        permissions: await permissions.listPermissions(req.user),
+      },
+    });
+  } catch (error) {
+    console.error("Error fetching user permissions:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching permissions",
+      error: error.message,
+    });
+  }
+};
+
+// Replace the template of a role
+exports.updateRoleTemplate = async (req, res) => {
+  try {
+    const { role } = req.params;
+    if (!ROLES.includes(role)) {
+      return res.status(404).json({
+        success: false,
+        message: `Unknown role ${role}`,
+      });
+    }
+
+    const invalid = invalidPermissions(req.body.permissions);
+    if (invalid) {
+      return res.status(400).json({
+        success: false,
+        message: invalid,
+      });
+    }
+
+    const template = await RoleTemplate.findOneAndUpdate(
+      { role },
+      { permissions: req.body.permissions, updatedBy: req.user._id },
+      { new: true, upsert: true }
+    );
+    permissions.clearTemplateCache();
+
+    res.status(200).json({
+      success: true,
+      message: `Permissions of ${role} updated`,
+      data: template,
+    });
+  } catch (error) {
+    console.error("Error updating role template:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error updating role template",
+      error: error.message,
+    });
+  }
+};
+
+// Go back to the built-in template of a role
+exports.resetRoleTemplate = async (req, res) => {
+  try {
+    const { role } = req.params;
+    if (!ROLES.includes(role)) {
+      return res.status(404).json({
+        success: false,
+        message: `Unknown role ${role}`,
+      });
+    }
+
+    await RoleTemplate.deleteOne({ role });
+    permissions.clearTemplateCache();
+
+    res.status(200).json({
+      success: true,
+      message: `Permissions of ${role} reset to the default`,
+      data: { role, permissions: ROLE_TEMPLATES[role] || [] },
+    });
+  } catch (error) {
+    console.error("Error resetting role template:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error resetting role template",
+      error: error.message,
+    });
+  }
+};
+
+// Overrides and effective permissions of a user
+exports.getUserPermissions = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid user id",
+      });
+    }
+
+    const user = await User.findById(req.params.id).select(
+      "firstName lastName email role permissionOverrides"
+    );
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        user: {
+          _id: user._id,
+          firstName: user.firstName,
+          lastName: user.lastName,
+          email: user.email,
+          role: user.role,
+        },
+        overrides: user.permissionOverrides,
+        permissions: await permissions.listPermissions(user),
+      },
+    });
+  } catch (error) {
+    console.error("Error fetching user permissions:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching user permissions",
+      error: error.message,
+    });
+  }
+};
+
+// Grant or revoke single permissions on top of the user's role template
+exports.updateUserPermissions = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid user id",
+      });
+    }
+
+    const { granted = [], revoked = [] } = req.body;
+    const invalid = invalidPermissions(granted) || invalidPermissions(revoked);
+    if (invalid) {
+      return res.status(400).json({
+        success: false,
+        message: invalid,
+      });
+    }
+
+    const user = await User.findByIdAndUpdate(
+      req.params.id,
+      { permissionOverrides: { granted, revoked } },
+      { new: true }
+    ).select("firstName lastName email role permissionOverrides");
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "User permissions updated",
+      data: {
+        overrides: user.permissionOverrides,
+        permissions: await permissions.listPermissions(user),
+      },
+    });
+  } catch (error) {
+    console.error("Error updating user permissions:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error updating user permissions",
+      error: error.message,
+    });
+  }
+};
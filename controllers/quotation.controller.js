@@ -5,13 +5,34 @@ const Task = require("../models/Task");
 const User = require("../models/User");
 const Item = require("../models/item");
 const customerTargetController = require("./customerTarget.controller");
+const sapSyncQueue = require("../services/sapSyncQueue");
+const stockAvailability = require("../services/stockAvailability");
+const { applyPricing } = require("../services/pricingEngine");
+const paymentPlans = require("../services/paymentPlans");
+const customerCredit = require("../services/customerCredit");
+const quotationApproval = require("../services/quotationApproval");
+const quotationRevisions = require("../services/quotationRevisions");
 const {
-  formatOrderForSAP,
-  createSalesOrderInSAP,
-  checkBusinessPartnerExists,
-} = require("../utils/sapB1Integration");
+  canAccessOwner,
+  hasPermission,
+  scopeFilter,
+} = require("../services/permissions");
+const { defaultValidUntil } = require("../services/quotationExpiry");
+const {
+  sendQuotationEmail,
+  quotationPdfFilename,
+} = require("../services/quotationEmail");
+const QuotationRevision = require("../models/QuotationRevision");
+const NotificationService = require("../utils/notificationService");
+const SapSyncJob = require("../models/SapSyncJob");
+const { getQuotationFromSAP } = require("../utils/sapB1Integration");
 const Customer = require("../models/Customer");
 
+// Own quotations, the team's (scope:team) or any (scope:all); unassigned
+// quotations are open to everyone
+const canAccessQuotation = (user, quotation) =>
+  canAccessOwner(user, quotation.salesAgent, { allowUnowned: true });
+
 // Add these functions to quotation.controller.js
 
 const nodemailer = require("nodemailer");
@@ -149,6 +170,15 @@ exports.generatePaymentLinkForQuotation = async (req, res) => {
 
     quotation.Payment_id = paymentId;
     quotation.Link_sent = true;
+    paymentPlans.recordSingleLink(
+      quotation,
+      {
+        ...response.data,
+        reference: paymentLinkRequest.reference,
+        amount: paymentLinkRequest.amount,
+      },
+      { email, createdBy: req.user?._id }
+    );
 
     // Comprehensive email template matching the sales order format
     const emailHtml = `
@@ -251,7 +281,7 @@ ${quotation.DocumentLines.map(
       html: emailHtml,
       attachments: [
         {
-          filename: `Devis_HFS_${quotation.DocNum}.pdf`,
+          filename: quotationPdfFilename(quotation),
           content: pdfBuffer,
           contentType: "application/pdf",
           encoding: "binary",
@@ -305,12 +335,17 @@ exports.getUpdateOnPaymentLinkForQuotation = async (req, res) => {
 
     const paymentStatus = response.data.status;
     quotation.payment_status = paymentStatus;
+    // Links of a payment plan are refreshed too
+    const balance = quotation.paymentLinks.length
+      ? await paymentPlans.refreshLinkStatuses(quotation)
+      : undefined;
     await quotation.save();
 
     res.status(200).json({
       success: true,
       message: "Payment status updated successfully",
       paymentStatus,
+      balance,
     });
   } catch (error) {
     console.error("Error in getUpdateOnPaymentLinkForQuotation:", error);
@@ -322,107 +357,147 @@ exports.getUpdateOnPaymentLinkForQuotation = async (req, res) => {
   }
 };
 
-// Helper function to update sales agent stats
-async function updateSalesAgentAchievement(salesAgentId, order) {
-  const agent = await User.findById(salesAgentId);
-  if (!agent) return;
-
-  // Increment a counter of successfully synced orders
-  agent.syncedOrderCount = (agent.syncedOrderCount || 0) + 1;
-  await agent.save();
-}
-
-// Helper function to push converted order to SAP
-async function pushOrderToSAPInternal(order) {
+// Create payment links for a quotation payment plan (deposit, balance, ...)
+exports.createQuotationPaymentLinks = async (req, res) => {
   try {
-    // Format the order for SAP B1
-    const sapOrder = await formatOrderForSAP(order);
-
-    try {
-      // First check if business partner exists in SAP
-      const businessPartnerExists = await checkBusinessPartnerExists(
-        order.CardCode
-      );
-
-      if (!businessPartnerExists) {
-        // Update order to reflect BP doesn't exist in SAP
-        order.SyncErrors = `Business partner ${order.CardCode} does not exist in SAP B1`;
-        order.LastSyncAttempt = new Date();
-        order.LocalStatus = "SyncFailed";
-        order.SAPSyncDisabled = true;
-        await order.save();
+    const { docNum } = req.params;
+    const { email, installments } = req.body;
 
-        return {
-          success: false,
-          error: order.SyncErrors,
-          code: "BP_NOT_FOUND",
-        };
-      }
-    } catch (bpError) {
-      console.warn(
-        `Could not verify business partner in SAP: ${bpError.message}`
-      );
+    const quotation = await Quotation.findOne({ DocNum: docNum });
+    if (!quotation) {
+      return res.status(404).json({
+        success: false,
+        error: "Quotation not found",
+      });
     }
 
-    // Push to SAP B1
-    const sapResponse = await createSalesOrderInSAP(sapOrder);
-
-    // Update local order with SAP DocEntry if successful
-    if (sapResponse && sapResponse.DocEntry) {
-      order.SAPDocEntry = sapResponse.DocEntry;
-      order.DocumentStatus = "bost_Closed";
-      order.UpdateDate = new Date();
-      order.SyncedWithSAP = true;
-      order.LocalStatus = "Synced";
+    if (!(await canAccessQuotation(req.user, quotation))) {
+      return res.status(403).json({
+        success: false,
+        error: "Not authorized to create payment links for this quotation",
+      });
+    }
 
-      await order.save();
+    // A single instalment can be sent without the array
+    const requested = installments || [
+      {
+        label: req.body.label,
+        amount: req.body.amount,
+        percent: req.body.percent,
+        dueDate: req.body.dueDate,
+      },
+    ];
 
-      // Update sales agent stats for synced order
-      if (order.salesAgent) {
-        await updateSalesAgentAchievement(order.salesAgent, order);
-      }
+    const result = await paymentPlans.createPaymentLinks(
+      "Quotation",
+      quotation,
+      requested,
+      { email, createdBy: req.user._id }
+    );
 
-      return {
-        success: true,
-        SAPDocEntry: sapResponse.DocEntry,
-        sapData: sapResponse,
-      };
-    } else {
-      throw new Error("Invalid response from SAP B1");
+    // Links created before an Adyen failure are live and were sent
+    if (result.error) {
+      return res.status(502).json({
+        success: false,
+        error: "Failed to generate every payment link",
+        details: result.error,
+        data: result.links,
+        balance: result.balance,
+      });
     }
+
+    res.status(201).json({
+      success: true,
+      message: "Payment links generated and sent successfully",
+      data: result.links,
+      balance: result.balance,
+    });
   } catch (error) {
-    // Check for specific error types
-    let errorCode = "GENERAL_ERROR";
+    console.error("Error in createQuotationPaymentLinks:", error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.statusCode
+        ? error.message
+        : "Failed to generate payment links",
+      details: error.message,
+    });
+  }
+};
 
-    if (
-      error.message &&
-      error.message.includes("Business partner") &&
-      error.message.includes("does not exist")
-    ) {
-      errorCode = "BP_NOT_FOUND";
-    } else if (error.message && error.message.includes("Invalid BP code")) {
-      errorCode = "INVALID_BP_CODE";
+// Payment plan, balance and reconciliation against SAP incoming payments
+exports.getQuotationPayments = async (req, res) => {
+  try {
+    const quotation = await Quotation.findOne({ DocNum: req.params.docNum });
+    if (!quotation) {
+      return res.status(404).json({
+        success: false,
+        error: "Quotation not found",
+      });
     }
 
-    // Update local order to mark sync failure
-    order.SyncErrors = error.message;
-    order.LastSyncAttempt = new Date();
-    order.LocalStatus = "SyncFailed";
-
-    // If BP doesn't exist, mark order to not attempt sync again
-    if (errorCode === "BP_NOT_FOUND" || errorCode === "INVALID_BP_CODE") {
-      order.SAPSyncDisabled = true;
+    if (!(await canAccessQuotation(req.user, quotation))) {
+      return res.status(403).json({
+        success: false,
+        error: "Not authorized to view this quotation's payments",
+      });
     }
 
-    await order.save();
+    const reconciliation = await paymentPlans.reconcilePayments(
+      "Quotation",
+      quotation
+    );
 
-    console.error("Error pushing order to SAP:", error);
-    return {
+    res.status(200).json({
+      success: true,
+      data: {
+        DocNum: quotation.DocNum,
+        CardCode: quotation.CardCode,
+        payment_status: quotation.payment_status,
+        ...reconciliation,
+      },
+    });
+  } catch (error) {
+    console.error("Error in getQuotationPayments:", error);
+    res.status(500).json({
       success: false,
-      error: error.message || "Unknown error",
-      code: errorCode,
-    };
+      error: "Failed to load payments",
+      details: error.message,
+    });
   }
+};
+
+// Helper function to push converted order to SAP through the sync queue
+async function pushOrderToSAPInternal(order, options = {}) {
+  const result = await sapSyncQueue.syncNow("SalesOrder", order, options);
+
+  return {
+    success: result.success,
+    SAPDocEntry: result.success ? Number(result.sapReference) : undefined,
+    sapData: result.sapData,
+    error: result.error,
+    code: result.code,
+    willRetry: result.willRetry,
+    nextAttemptAt: result.nextAttemptAt,
+    syncJobId: result.job ? result.job._id : undefined,
+  };
+}
+
+// Helper function to push an approved quotation to SAP as a sales quotation
+async function pushQuotationToSAPInternal(quotation, options = {}) {
+  const result = await sapSyncQueue.syncNow("Quotation", quotation, {
+    resync: true,
+    ...options,
+  });
+
+  return {
+    success: result.success,
+    SAPDocEntry: result.success ? Number(result.sapReference) : undefined,
+    error: result.error,
+    code: result.code,
+    willRetry: result.willRetry,
+    nextAttemptAt: result.nextAttemptAt,
+    syncJobId: result.job ? result.job._id : undefined,
+  };
 }
 
 // Get quotation data for editing
@@ -439,29 +514,13 @@ exports.getQuotationForEdit = async (req, res) => {
       });
     }
 
-    // Check permissions for sales agents
-    if (
-      req.user.role === "sales_agent" &&
-      quotation.salesAgent &&
-      quotation.salesAgent._id.toString() !== req.user._id.toString()
-    ) {
+    if (!(await canAccessQuotation(req.user, quotation))) {
       return res.status(403).json({
         success: false,
         message: "Not authorized to edit this quotation",
       });
     }
 
-    // Check permissions for sales managers
-    if (req.user.role === "sales_manager" && quotation.salesAgent) {
-      const agent = await User.findById(quotation.salesAgent._id);
-      if (!agent || agent.manager.toString() !== req.user._id.toString()) {
-        return res.status(403).json({
-          success: false,
-          message: "Not authorized to edit this quotation",
-        });
-      }
-    }
-
     res.status(200).json({
       success: true,
       data: quotation,
@@ -510,7 +569,13 @@ exports.prepareQuotationForDuplicate = async (req, res) => {
     delete quotationData.Payment_id;
     delete quotationData.Link_sent;
     delete quotationData.payment_status;
+    delete quotationData.paymentLinks;
+    delete quotationData.AmountPaid;
+    delete quotationData.AmountOutstanding;
     delete quotationData.emailSentTo;
+    delete quotationData.ExpiredAt;
+    delete quotationData.ExpiryFollowUpTask;
+    delete quotationData.ExpiryReminderSentAt;
 
     // Set new dates
     const today = new Date();
@@ -540,31 +605,13 @@ exports.getQuotationStats = async (req, res) => {
     // Build filter query with role-based restrictions
     let query = { IsActive: true };
 
-    // Role-based filtering
-    if (req.user.role === "sales_agent") {
-      // Sales agents can only see their own stats
-      query.salesAgent = req.user._id;
-    } else if (req.user.role === "sales_manager") {
-      // Sales managers can see stats from their team members
-      const teamMembers = await User.find({ manager: req.user._id }).distinct(
-        "_id"
-      );
-      const allAgentIds = [...teamMembers, req.user._id];
-      query.salesAgent = { $in: allAgentIds };
-
-      // If specific sales agent requested, verify they're in the team
-      if (salesAgent) {
-        if (allAgentIds.map((id) => id.toString()).includes(salesAgent)) {
-          query.salesAgent = salesAgent;
-        } else {
-          query.salesAgent = "invalid_agent_id"; // Will return 0 results
-        }
-      }
-    } else if (req.user.role === "admin") {
-      // Admins can see all stats, optionally filtered by sales agent
-      if (salesAgent) {
-        query.salesAgent = salesAgent;
-      }
+    // Own, team (scope:team) or every quotation (scope:all); a requested
+    // agent outside that scope gives empty stats
+    Object.assign(query, await scopeFilter(req.user, "salesAgent"));
+    if (salesAgent) {
+      query.salesAgent = (await canAccessOwner(req.user, salesAgent))
+        ? salesAgent
+        : { $in: [] };
     }
 
     if (fromDate && toDate) {
@@ -694,6 +741,14 @@ exports.approveQuotation = async (req, res) => {
       });
     }
 
+    if (!(await quotationApproval.canDecide(quotation, req.user))) {
+      return res.status(403).json({
+        success: false,
+        message:
+          "Only an admin or the approver this quotation was routed to can approve it",
+      });
+    }
+
     quotation.approvalStatus = "approved";
     quotation.approvedBy = req.user._id;
     quotation.approvedDate = new Date();
@@ -721,10 +776,28 @@ exports.approveQuotation = async (req, res) => {
       }
     }
 
+    try {
+      await NotificationService.createQuotationDecisionNotification(
+        quotation,
+        req.user._id,
+        true
+      );
+    } catch (error) {
+      console.error("Error sending quotation decision notification:", error);
+    }
+
+    // Create (or update) the quotation in SAP now that it is approved
+    const sapResult = await pushQuotationToSAPInternal(quotation, {
+      createdBy: req.user._id,
+    });
+
     res.status(200).json({
       success: true,
       data: quotation,
-      message: "Quotation approved successfully",
+      message: sapResult.success
+        ? "Quotation approved successfully and synced with SAP"
+        : "Quotation approved successfully but failed to sync with SAP",
+      sapSync: sapResult,
     });
   } catch (error) {
     console.error("Error approving quotation:", error);
@@ -755,6 +828,14 @@ exports.rejectQuotation = async (req, res) => {
       });
     }
 
+    if (!(await quotationApproval.canDecide(quotation, req.user))) {
+      return res.status(403).json({
+        success: false,
+        message:
+          "Only an admin or the approver this quotation was routed to can reject it",
+      });
+    }
+
     quotation.approvalStatus = "rejected";
     quotation.rejectedBy = req.user._id;
     quotation.rejectedDate = new Date();
@@ -781,6 +862,16 @@ exports.rejectQuotation = async (req, res) => {
       }
     }
 
+    try {
+      await NotificationService.createQuotationDecisionNotification(
+        quotation,
+        req.user._id,
+        false
+      );
+    } catch (error) {
+      console.error("Error sending quotation decision notification:", error);
+    }
+
     res.status(200).json({
       success: true,
       data: quotation,
@@ -801,6 +892,18 @@ exports.bulkUpdateStatus = async (req, res) => {
   try {
     const { docEntries, status } = req.body;
 
+    // Bulk decisions bypass the approval routing, so they need an approver
+    // who sees every record
+    if (
+      !(await hasPermission(req.user, "quotation:approve")) ||
+      !(await hasPermission(req.user, "scope:all"))
+    ) {
+      return res.status(403).json({
+        success: false,
+        message: "Not allowed to bulk update quotation status",
+      });
+    }
+
     if (!docEntries || !Array.isArray(docEntries) || docEntries.length === 0) {
       return res.status(400).json({
         success: false,
@@ -826,6 +929,21 @@ exports.bulkUpdateStatus = async (req, res) => {
       updateData
     );
 
+    // Approved quotations are queued for SAP; the sync worker pushes them
+    if (status === "approved") {
+      const approvedQuotations = await Quotation.find({
+        DocEntry: { $in: docEntries },
+        IsActive: true,
+        approvalStatus: "approved",
+      });
+      for (const quotation of approvedQuotations) {
+        await sapSyncQueue.enqueue("Quotation", quotation, {
+          createdBy: req.user._id,
+          resync: true,
+        });
+      }
+    }
+
     res.status(200).json({
       success: true,
       message: `${result.modifiedCount} quotations updated successfully`,
@@ -862,10 +980,9 @@ exports.createQuotation = async (req, res) => {
       });
     }
 
-    // Validate items without checking stock availability
+    // Validate items; stock is checked once the lines are processed
     const itemCodes = req.body.DocumentLines.map((line) => line.ItemCode);
     const items = await Item.find({ ItemCode: { $in: itemCodes } });
-    const adminUsers = await User.find({ role: "admin" }).select("_id");
 
     // Create a map for quick lookups
     const itemMap = {};
@@ -907,9 +1024,17 @@ exports.createQuotation = async (req, res) => {
     // Calculate today's date
     const today = new Date();
 
+    // Resolve customer prices; lines sent without a price get the resolved one.
+    // Overrides and lines below the margin floor are flagged for approval.
+    const pricing = await applyPricing(
+      req.body.CardCode,
+      req.body.DocumentLines,
+      { priceList: req.body.PriceList, date: req.body.DocDate }
+    );
+
     // CRITICAL FIX: Process document lines to ensure price list consistency
 
-    const priceList = req.body.PriceList || "2"; // Default to Prix Livraison
+    const priceList = req.body.PriceList || String(pricing.priceList);
     const processedDocumentLines = req.body.DocumentLines.map((line) => ({
       ...line,
       // CRITICAL FIX: Ensure each line has the price list info
@@ -922,6 +1047,27 @@ exports.createQuotation = async (req, res) => {
       LineTotalWithVAT: line.LineTotalWithVAT || 0,
     }));
 
+    // Check stock per line and warehouse; shortages are returned as a warning
+    // unless STOCK_CHECK_MODE blocks them
+    const { allowShortage, reserveStock, reservationExpiresAt } = req.body;
+    delete req.body.allowShortage;
+    delete req.body.reserveStock;
+    delete req.body.reservationExpiresAt;
+
+    const stockCheck = await stockAvailability.checkAvailability(
+      processedDocumentLines
+    );
+    if (
+      stockAvailability.blocksOnShortage(stockCheck, allowShortage === true)
+    ) {
+      return res.status(409).json({
+        success: false,
+        message: "Insufficient stock for some lines",
+        shortages: stockCheck.shortages,
+        data: stockCheck,
+      });
+    }
+
     // Create the new quotation
     const newQuotation = new Quotation({
       ...req.body,
@@ -931,7 +1077,8 @@ exports.createQuotation = async (req, res) => {
       DocumentStatus: "bost_Open",
       CreationDate: today,
       DocDate: req.body.DocDate || today,
-      DocDueDate: req.body.DocDueDate || today,
+      // Without a validity date the quotation would expire on the next run
+      DocDueDate: req.body.DocDueDate || defaultValidUntil(today),
       UpdateDate: today,
       SyncedWithSAP: false,
       LocalStatus: "Created",
@@ -943,6 +1090,9 @@ exports.createQuotation = async (req, res) => {
 
       // CRITICAL FIX: Use processed document lines
       DocumentLines: processedDocumentLines,
+
+      HasPriceOverrides: pricing.overrides.length > 0,
+      BelowMarginFloor: pricing.belowMarginFloor.length > 0,
     });
 
     // Calculate totals if not provided - INCLUDE VAT TOTALS
@@ -960,40 +1110,58 @@ exports.createQuotation = async (req, res) => {
       newQuotation.VatSum = totalIncVAT - totalExVAT; // VAT amount
     }
 
-    if (adminUsers.length > 0) {
-      // Assign to the first admin (or you could implement round-robin assignment)
-      const adminId = adminUsers[0]._id;
-
-      // Create new task for quotation approval
-      const task = new Task({
-        title: `Approve Quotation #${newQuotation.DocNum}`,
-        description: `Review and approve quotation #${
-          newQuotation.DocNum
-        } for ${newQuotation.CardName} (${
-          newQuotation.CardCode
-        }) - Total: $${newQuotation.DocTotal.toFixed(2)}`,
-        dueDate: new Date(new Date().setDate(new Date().getDate() + 1)), // Due tomorrow
-        priority: "medium",
-        type: "approval",
-        status: "pending_approval",
-        assignedTo: adminId,
-        createdBy: salesAgentId,
-        relatedQuotation: newQuotation.DocEntry,
-      });
-
-      await task.save();
+    // Discount/margin rules decide between auto-approval and an approval
+    // task for the agent's manager (or an admin)
+    const approval = await quotationApproval.routeQuotationApproval(
+      newQuotation,
+      req.user
+    );
 
-      // Link the task to the quotation
-      newQuotation.approvalTask = task._id;
-      newQuotation.approvalStatus = "pending";
+    // Optionally hold the stock until the quotation is converted or expires
+    if (reserveStock === true) {
+      newQuotation.StockReservedUntil = stockAvailability.getReservationExpiry(
+        newQuotation,
+        reservationExpiresAt
+      );
     }
 
     await newQuotation.save();
 
+    await quotationRevisions.recordRevision(newQuotation, {
+      changeType: "created",
+      changedBy: req.user._id,
+    });
+
+    if (newQuotation.StockReservedUntil) {
+      await stockAvailability.reserveStock(
+        "Quotation",
+        newQuotation.DocEntry,
+        newQuotation.DocumentLines,
+        { expiresAt: newQuotation.StockReservedUntil, createdBy: salesAgentId }
+      );
+    }
+
+    // Auto-approved quotations go to SAP right away, like manual approvals
+    const sapSync = approval.autoApproved
+      ? await pushQuotationToSAPInternal(newQuotation, {
+          createdBy: salesAgentId,
+        })
+      : undefined;
+
     res.status(201).json({
       success: true,
       data: newQuotation,
-      message: "Quotation created successfully",
+      message: approval.autoApproved
+        ? "Quotation created and approved automatically"
+        : "Quotation created successfully and sent for approval",
+      approval: {
+        autoApproved: approval.autoApproved,
+        firedRules: approval.evaluation.firedRules,
+        routedTo: approval.approver,
+      },
+      sapSync,
+      stockCheck,
+      pricing,
     });
   } catch (error) {
     console.error("Error creating quotation:", error);
@@ -1024,20 +1192,9 @@ exports.getAllQuotations = async (req, res) => {
       query = {};
     }
 
-    // Role-based filtering
-    if (req.user.role === "sales_agent") {
-      // Sales agents can only see their own quotations
-      query.salesAgent = req.user._id;
-    } else if (req.user.role === "sales_manager") {
-      // Sales managers can see quotations from their team members
-      const teamMembers = await User.find({ manager: req.user._id }).distinct(
-        "_id"
-      );
-      // Include the manager's own quotations if they have any
-      const allAgentIds = [...teamMembers, req.user._id];
-      query.salesAgent = { $in: allAgentIds };
-    }
-    // Admin users can see all quotations (no additional filtering)
+    // Own quotations, the team's quotations (scope:team) or every quotation
+    // (scope:all)
+    Object.assign(query, await scopeFilter(req.user, "salesAgent"));
 
     // Add filters if provided
     if (req.query.cardCode) {
@@ -1084,23 +1241,11 @@ exports.getAllQuotations = async (req, res) => {
       };
     }
 
-    // Additional sales agent filter for sales managers
-    if (req.query.salesAgent && req.user.role === "sales_manager") {
-      // Verify the requested agent is in their team
-      const teamMembers = await User.find({ manager: req.user._id }).distinct(
-        "_id"
-      );
-      const requestedAgentId = req.query.salesAgent;
-
-      if (
-        teamMembers.map((id) => id.toString()).includes(requestedAgentId) ||
-        requestedAgentId === req.user._id.toString()
-      ) {
-        query.salesAgent = requestedAgentId;
-      } else {
-        // If requesting an agent not in their team, return empty results
-        query.salesAgent = "invalid_agent_id";
-      }
+    // Narrow to one agent, within the user's scope
+    if (req.query.salesAgent) {
+      query.salesAgent = (await canAccessOwner(req.user, req.query.salesAgent))
+        ? req.query.salesAgent
+        : { $in: [] };
     }
 
     // Sorting
@@ -1154,13 +1299,8 @@ exports.getQuotationsByCustomer = async (req, res) => {
       delete query.IsActive;
     }
 
-    // If sales manager, get all quotations from their agents
-    if (req.user.role === "sales_manager") {
-      const agentIds = await User.find({ manager: req.user._id }).distinct(
-        "_id"
-      );
-      query.salesAgent = { $in: agentIds };
-    }
+    // Own quotations, the team's (scope:team) or all (scope:all)
+    Object.assign(query, await scopeFilter(req.user, "salesAgent"));
 
     const quotations = await Quotation.find(query)
       .populate("salesAgent", "firstName lastName email")
@@ -1203,37 +1343,244 @@ exports.getQuotationByDocEntry = async (req, res) => {
       });
     }
 
-    // Check permissions for sales agents
-    if (
-      req.user.role === "sales_agent" &&
-      quotation.salesAgent &&
-      quotation.salesAgent._id.toString() !== req.user._id.toString()
-    ) {
+    if (!(await canAccessQuotation(req.user, quotation))) {
       return res.status(403).json({
         success: false,
         message: "Not authorized to view this quotation",
       });
     }
 
-    // Check permissions for sales managers
-    if (req.user.role === "sales_manager" && quotation.salesAgent) {
-      const agent = await User.findById(quotation.salesAgent._id);
-      if (!agent || agent.manager.toString() !== req.user._id.toString()) {
-        return res.status(403).json({
-          success: false,
-          message: "Not authorized to view this quotation",
-        });
+    res.status(200).json({
+      success: true,
+      data: quotation,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error fetching quotation",
+      error: error.message,
+    });
+  }
+};
+
+// Quotation for the revision endpoints, or null once a response was sent
+async function findQuotationForRevisions(req, res) {
+  const quotation = await Quotation.findOne({
+    DocEntry: req.params.docEntry,
+  }).select("DocEntry DocNum salesAgent CurrentRevision");
+
+  if (!quotation) {
+    res.status(404).json({
+      success: false,
+      message: `Quotation with DocEntry ${req.params.docEntry} not found`,
+    });
+    return null;
+  }
+
+  if (
+    !(await canAccessOwner(req.user, quotation.salesAgent, {
+      allowUnowned: true,
+    }))
+  ) {
+    res.status(403).json({
+      success: false,
+      message: "Not authorized to view this quotation",
+    });
+    return null;
+  }
+
+  return quotation;
+}
+
+// List the revisions of a quotation, newest first
+exports.getQuotationRevisions = async (req, res) => {
+  try {
+    const quotation = await findQuotationForRevisions(req, res);
+    if (!quotation) {
+      return;
+    }
+
+    const revisions = await QuotationRevision.find({
+      DocEntry: quotation.DocEntry,
+    })
+      .select(
+        "revision changeType changedBy changedFields DocTotal DocTotalWithVAT approvalStatus createdAt"
+      )
+      .populate("changedBy", "firstName lastName email")
+      .sort({ revision: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: revisions.length,
+      currentRevision: quotation.CurrentRevision,
+      data: revisions,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error fetching quotation revisions",
+      error: error.message,
+    });
+  }
+};
+
+// Get one revision of a quotation with its lines
+exports.getQuotationRevision = async (req, res) => {
+  try {
+    const quotation = await findQuotationForRevisions(req, res);
+    if (!quotation) {
+      return;
+    }
+
+    const revision = await QuotationRevision.findOne({
+      DocEntry: quotation.DocEntry,
+      revision: parseInt(req.params.revision, 10),
+    }).populate("changedBy", "firstName lastName email");
+
+    if (!revision) {
+      return res.status(404).json({
+        success: false,
+        message: `Revision ${req.params.revision} of quotation ${quotation.DocEntry} not found`,
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: revision,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error fetching quotation revision",
+      error: error.message,
+    });
+  }
+};
+
+// Compare two revisions (?from=&to=); "to" defaults to the current revision
+// and "from" to the one before it
+exports.diffQuotationRevisions = async (req, res) => {
+  try {
+    const quotation = await findQuotationForRevisions(req, res);
+    if (!quotation) {
+      return;
+    }
+
+    const to = parseInt(req.query.to, 10) || quotation.CurrentRevision;
+    const from = parseInt(req.query.from, 10) || to - 1;
+
+    if (!(from >= 1) || !(to >= 1) || from === to) {
+      return res.status(400).json({
+        success: false,
+        message: "Two different revision numbers are required (from, to)",
+      });
+    }
+
+    const revisions = await QuotationRevision.find({
+      DocEntry: quotation.DocEntry,
+      revision: { $in: [from, to] },
+    }).lean();
+    const fromRevision = revisions.find((r) => r.revision === from);
+    const toRevision = revisions.find((r) => r.revision === to);
+
+    if (!fromRevision || !toRevision) {
+      return res.status(404).json({
+        success: false,
+        message: `Revision ${
+          fromRevision ? to : from
+        } of quotation ${quotation.DocEntry} not found`,
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        DocEntry: quotation.DocEntry,
+        from: {
+          revision: from,
+          createdAt: fromRevision.createdAt,
+          changedBy: fromRevision.changedBy,
+        },
+        to: {
+          revision: to,
+          createdAt: toRevision.createdAt,
+          changedBy: toRevision.changedBy,
+        },
+        ...quotationRevisions.diffSnapshots(fromRevision, toRevision),
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error comparing quotation revisions",
+      error: error.message,
+    });
+  }
+};
+
+// Get the SAP sync state of a quotation and its live status in SAP B1
+exports.getSAPQuotationStatus = async (req, res) => {
+  try {
+    const quotation = await Quotation.findOne({
+      DocEntry: req.params.docEntry,
+    });
+
+    if (!quotation) {
+      return res.status(404).json({
+        success: false,
+        message: `Quotation with DocEntry ${req.params.docEntry} not found`,
+      });
+    }
+
+    if (!(await canAccessQuotation(req.user, quotation))) {
+      return res.status(403).json({
+        success: false,
+        message: "Not authorized to view this quotation",
+      });
+    }
+
+    const syncJob = await SapSyncJob.findOne({
+      entityType: "Quotation",
+      entityId: quotation._id,
+      operation: { $ne: "cancel" },
+    }).select("-history");
+
+    const status = {
+      DocEntry: quotation.DocEntry,
+      approvalStatus: quotation.approvalStatus,
+      SyncedWithSAP: quotation.SyncedWithSAP,
+      SAPDocEntry: quotation.SAPDocEntry,
+      LocalStatus: quotation.LocalStatus,
+      SyncErrors: quotation.SyncErrors,
+      LastSyncAttempt: quotation.LastSyncAttempt,
+      syncJob,
+      sap: null,
+    };
+
+    if (quotation.SAPDocEntry) {
+      try {
+        const sapQuotation = await getQuotationFromSAP(quotation.SAPDocEntry);
+        status.sap = {
+          DocEntry: sapQuotation.DocEntry,
+          DocNum: sapQuotation.DocNum,
+          DocumentStatus: sapQuotation.DocumentStatus,
+          Cancelled: sapQuotation.Cancelled,
+          DocTotal: sapQuotation.DocTotal,
+          UpdateDate: sapQuotation.UpdateDate,
+        };
+      } catch (sapError) {
+        status.sapError = sapError.message;
       }
     }
 
     res.status(200).json({
       success: true,
-      data: quotation,
+      data: status,
     });
   } catch (error) {
     res.status(500).json({
       success: false,
-      message: "Error fetching quotation",
+      message: "Error fetching SAP status of quotation",
       error: error.message,
     });
   }
@@ -1263,21 +1610,58 @@ exports.convertToOrder = async (req, res) => {
       });
     }
 
-    // Check permissions for sales agents
-    if (
-      req.user.role === "sales_agent" &&
-      quotation.salesAgent &&
-      quotation.salesAgent.toString() !== req.user._id.toString()
-    ) {
+    if (!(await canAccessQuotation(req.user, quotation))) {
       return res.status(403).json({
         success: false,
         message: "Not authorized to convert this quotation",
       });
     }
 
+    if (quotation.ExpiredAt) {
+      return res.status(409).json({
+        success: false,
+        message:
+          "Quotation has expired; extend its validity date (DocDueDate) before conversion to order",
+      });
+    }
+
+    // Stock held by this quotation's own reservation counts as available
+    const allowShortage = req.body.allowShortage === true;
+    delete req.body.allowShortage;
+    const creditOverride = req.body.creditOverride === true;
+    delete req.body.creditOverride;
+    delete req.body.creditApproval;
+
+    const stockCheck = await stockAvailability.checkAvailability(
+      req.body.DocumentLines || quotation.DocumentLines,
+      {
+        exclude: { documentType: "Quotation", documentEntry: quotation.DocEntry },
+      }
+    );
+    if (stockAvailability.blocksOnShortage(stockCheck, allowShortage)) {
+      return res.status(409).json({
+        success: false,
+        message: "Insufficient stock for some lines",
+        shortages: stockCheck.shortages,
+        data: stockCheck,
+      });
+    }
+
     const userId = req.user._id;
     const userName = req.user.firstName + " " + req.user.lastName;
 
+    // Make sure the quotation exists in SAP so the order can be based on it
+    if (!quotation.SyncedWithSAP) {
+      const quotationSync = await pushQuotationToSAPInternal(quotation, {
+        createdBy: userId,
+      });
+      if (!quotationSync.success) {
+        console.warn(
+          `Quotation ${quotation.DocEntry} not in SAP, order will not be linked: ${quotationSync.error}`
+        );
+      }
+    }
+
     // Generate DocEntry for the new order
     const lastOrder = await SalesOrder.findOne().sort({ DocEntry: -1 });
     const newDocEntry = lastOrder ? lastOrder.DocEntry + 1 : 1;
@@ -1325,6 +1709,11 @@ exports.convertToOrder = async (req, res) => {
       DocDueDate: req.body.DocDueDate || new Date(),
       SyncedWithSAP: false,
       LocalStatus: "Created",
+      // The quotation's SAP state must not leak into the new order
+      SAPDocEntry: undefined,
+      SyncErrors: undefined,
+      LastSyncAttempt: undefined,
+      SAPSyncDisabled: false,
 
       // CRITICAL FIX: Ensure price list is set at order level
       PriceList: quotationData.PriceList || "2",
@@ -1343,6 +1732,29 @@ exports.convertToOrder = async (req, res) => {
       U_Notes: salesAgentName,
     });
 
+    // Payments already made on the quotation (deposit) count for the order
+    if (newOrder.paymentLinks.length) {
+      paymentPlans.refreshBalance(newOrder);
+    }
+
+    // Credit limit and credit hold of the customer
+    const creditDecision = await customerCredit.evaluateOrderCredit(
+      newOrder,
+      req.user,
+      { override: creditOverride }
+    );
+    if (creditDecision.action === "block") {
+      return res.status(409).json({
+        success: false,
+        message: creditDecision.message,
+        creditCheck: creditDecision.check,
+      });
+    }
+    customerCredit.recordCreditDecision(newOrder, creditDecision, req.user);
+    if (creditDecision.action === "approval") {
+      await customerCredit.routeOrderCreditApproval(newOrder, req.user);
+    }
+
     // Save the new order
     await newOrder.save();
 
@@ -1352,9 +1764,29 @@ exports.convertToOrder = async (req, res) => {
     quotation.ConvertedDate = new Date();
     await quotation.save();
 
+    // The order commits the stock in SAP from here on
+    await stockAvailability.releaseReservations("Quotation", quotation.DocEntry);
+
+    // Orders over the credit limit go to SAP once approved
+    if (creditDecision.action === "approval") {
+      return res.status(202).json({
+        success: true,
+        data: newOrder,
+        originalQuotation: {
+          DocEntry: quotation.DocEntry,
+          status: "Converted",
+        },
+        message: `Quotation converted to order, sent for credit approval: ${creditDecision.message}`,
+        creditCheck: creditDecision.check,
+        stockCheck,
+      });
+    }
+
     // Push to SAP
     console.log("Pushing converted order to SAP...");
-    const sapResult = await pushOrderToSAPInternal(newOrder);
+    const sapResult = await pushOrderToSAPInternal(newOrder, {
+      createdBy: userId,
+    });
 
     // Return response
     if (sapResult.success) {
@@ -1371,6 +1803,7 @@ exports.convertToOrder = async (req, res) => {
           success: true,
           SAPDocEntry: sapResult.SAPDocEntry,
         },
+        stockCheck,
       });
     } else {
       // Customize message based on error code
@@ -1381,6 +1814,8 @@ exports.convertToOrder = async (req, res) => {
         sapResult.code === "INVALID_BP_CODE"
       ) {
         sapErrorMessage = `Business partner ${newOrder.CardCode} does not exist in SAP B1`;
+      } else if (sapResult.willRetry) {
+        sapErrorMessage = "Failed to sync with SAP, retry scheduled";
       }
 
       res.status(201).json({
@@ -1396,7 +1831,11 @@ exports.convertToOrder = async (req, res) => {
           error: sapResult.error,
           message: sapErrorMessage,
           code: sapResult.code,
+          willRetry: sapResult.willRetry,
+          nextAttemptAt: sapResult.nextAttemptAt,
+          syncJobId: sapResult.syncJobId,
         },
+        stockCheck,
       });
     }
   } catch (error) {
@@ -1424,12 +1863,7 @@ exports.updateQuotation = async (req, res) => {
       });
     }
 
-    // Check permissions for sales agents
-    if (
-      req.user.role === "sales_agent" &&
-      quotation.salesAgent &&
-      quotation.salesAgent.toString() !== req.user._id.toString()
-    ) {
+    if (!(await canAccessQuotation(req.user, quotation))) {
       return res.status(403).json({
         success: false,
         message: "Not authorized to update this quotation",
@@ -1447,6 +1881,16 @@ exports.updateQuotation = async (req, res) => {
       "ConvertedDate",
       "SyncedWithSAP",
       "SAPDocEntry",
+      "StockReservedUntil",
+      "HasPriceOverrides",
+      "BelowMarginFloor",
+      "approvalStatus",
+      "approvalRouting",
+      "approvalTask",
+      "ExpiredAt",
+      "ExpiryFollowUpTask",
+      "ExpiryReminderSentAt",
+      "CurrentRevision",
     ];
 
     // Remove protected fields from the update
@@ -1456,6 +1900,10 @@ exports.updateQuotation = async (req, res) => {
       }
     });
 
+    // Quotations from before revision tracking keep their original state
+    await quotationRevisions.ensureBaseline(quotation);
+    const before = quotationRevisions.snapshot(quotation);
+
     // Update allowed fields
     Object.keys(req.body).forEach((key) => {
       quotation[key] = req.body[key];
@@ -1464,8 +1912,30 @@ exports.updateQuotation = async (req, res) => {
     // Update the UpdateDate
     quotation.UpdateDate = new Date();
 
+    // A new validity date reopens the quotation and re-arms the follow-up
+    // task and customer reminder
+    if (req.body.DocDueDate && quotation.DocDueDate > new Date()) {
+      quotation.ExpiredAt = undefined;
+      quotation.ExpiryFollowUpTask = undefined;
+      quotation.ExpiryReminderSentAt = undefined;
+    }
+
+    // The SAP copy is now out of date; it is updated on the next approval
+    if (quotation.SyncedWithSAP) {
+      quotation.SyncedWithSAP = false;
+      quotation.LocalStatus = "Created";
+    }
+
     // Recalculate totals if DocumentLines are updated
     if (req.body.DocumentLines) {
+      const pricing = await applyPricing(
+        quotation.CardCode,
+        quotation.DocumentLines,
+        { priceList: quotation.PriceList }
+      );
+      quotation.HasPriceOverrides = pricing.overrides.length > 0;
+      quotation.BelowMarginFloor = pricing.belowMarginFloor.length > 0;
+
       let totalExVAT = 0;
       let totalIncVAT = 0;
 
@@ -1486,68 +1956,82 @@ exports.updateQuotation = async (req, res) => {
     }
 
     // **CRITICAL FIX: Reset approval status for ANY update**
-    // Only reset if currently approved or rejected (don't reset if already pending)
-    if (
-      quotation.approvalStatus === "approved" ||
-      quotation.approvalStatus === "rejected"
-    ) {
-      quotation.approvalStatus = "pending";
-
-      // Clear previous approval/rejection data
-      quotation.approvedBy = undefined;
-      quotation.approvedDate = undefined;
-      quotation.rejectedBy = undefined;
-      quotation.rejectedDate = undefined;
-      quotation.rejectionReason = undefined;
-      quotation.approvalComments = undefined;
-
-      // Create new approval task
-      const adminUsers = await User.find({ role: "admin" }).select("_id");
-      if (adminUsers.length > 0) {
-        const adminId = adminUsers[0]._id;
-
-        const Task = require("../models/Task");
-
-        // Cancel/complete old approval task first
-        if (quotation.approvalTask) {
-          await Task.findByIdAndUpdate(quotation.approvalTask, {
-            status: "cancelled",
-            comments: `Task cancelled due to quotation update by ${req.user.firstName} ${req.user.lastName}`,
-          });
+    // The updated quotation goes through the approval rules again; any open
+    // approval task is cancelled first
+    if (quotation.approvalTask) {
+      await Task.findOneAndUpdate(
+        {
+          _id: quotation.approvalTask,
+          status: { $in: ["pending", "pending_approval"] },
+        },
+        {
+          status: "cancelled",
+          comments: `Task cancelled due to quotation update by ${req.user.firstName} ${req.user.lastName}`,
         }
+      );
+    }
 
-        const task = new Task({
-          title: `Approve Updated Quotation #${quotation.DocNum}`,
-          description: `Review and approve updated quotation #${
-            quotation.DocNum
-          } for ${quotation.CardName} (${
-            quotation.CardCode
-          }) - Total: €${quotation.DocTotal.toFixed(2)}`,
-          dueDate: new Date(new Date().setDate(new Date().getDate() + 1)),
-          priority: "medium",
-          type: "approval",
-          status: "pending",
-          assignedTo: adminId,
-          createdBy: req.user._id,
-          relatedQuotation: quotation.DocEntry,
-        });
+    quotation.approvedBy = undefined;
+    quotation.approvedDate = undefined;
+    quotation.rejectedBy = undefined;
+    quotation.rejectedDate = undefined;
+    quotation.rejectionReason = undefined;
+    quotation.approvalComments = undefined;
 
-        await task.save();
-        quotation.approvalTask = task._id;
-      }
-    }
+    const approval = await quotationApproval.routeQuotationApproval(
+      quotation,
+      req.user
+    );
 
     await quotation.save();
 
-    const responseMessage =
-      quotation.approvalStatus === "pending"
-        ? "Quotation updated successfully and sent for re-approval"
-        : "Quotation updated successfully";
+    const diff = quotationRevisions.diffSnapshots(
+      before,
+      quotationRevisions.snapshot(quotation)
+    );
+    if (diff.hasChanges) {
+      await quotationRevisions.recordRevision(quotation, {
+        changeType: "updated",
+        changedBy: req.user._id,
+        changedFields: quotationRevisions.changedFieldNames(diff),
+      });
+    }
+
+    // Keep an active reservation in line with the edited lines
+    if (
+      req.body.DocumentLines &&
+      quotation.StockReservedUntil &&
+      quotation.StockReservedUntil > new Date()
+    ) {
+      await stockAvailability.reserveStock(
+        "Quotation",
+        quotation.DocEntry,
+        quotation.DocumentLines,
+        { expiresAt: quotation.StockReservedUntil, createdBy: req.user._id }
+      );
+    }
+
+    // Auto-approved changes reach the SAP quotation right away
+    const sapSync = approval.autoApproved
+      ? await pushQuotationToSAPInternal(quotation, {
+          createdBy: req.user._id,
+        })
+      : undefined;
+
+    const responseMessage = approval.autoApproved
+      ? "Quotation updated and approved automatically"
+      : "Quotation updated successfully and sent for re-approval";
 
     res.status(200).json({
       success: true,
       data: quotation,
       message: responseMessage,
+      approval: {
+        autoApproved: approval.autoApproved,
+        firedRules: approval.evaluation.firedRules,
+        routedTo: approval.approver,
+      },
+      sapSync,
     });
   } catch (error) {
     console.error("Error updating quotation:", error);
@@ -1573,6 +2057,13 @@ exports.cancelQuotation = async (req, res) => {
       });
     }
 
+    if (!(await canAccessQuotation(req.user, quotation))) {
+      return res.status(403).json({
+        success: false,
+        message: "Not authorized to cancel this quotation",
+      });
+    }
+
     // Deactivate the quotation
     quotation.IsActive = false;
     quotation.CancelReason = req.body.reason || "Cancelled by user";
@@ -1580,6 +2071,15 @@ exports.cancelQuotation = async (req, res) => {
     quotation.DocumentStatus = "bost_Close"; // Or another appropriate status
 
     await quotation.save();
+    await stockAvailability.releaseReservations("Quotation", quotation.DocEntry);
+
+    // Close it in SAP too, or it can still be copied to an order there
+    if (quotation.SAPDocEntry) {
+      await sapSyncQueue.enqueue("Quotation", quotation, {
+        operation: "cancel",
+        createdBy: req.user._id,
+      });
+    }
 
     res.status(200).json({
       success: true,
@@ -1600,6 +2100,119 @@ exports.cancelQuotation = async (req, res) => {
   }
 };
 
+// Place or refresh a soft stock reservation for an open quotation
+exports.reserveQuotationStock = async (req, res) => {
+  try {
+    const quotation = await Quotation.findOne({
+      DocEntry: req.params.docEntry,
+      IsActive: true,
+    });
+
+    if (!quotation) {
+      return res.status(404).json({
+        success: false,
+        message: `Active quotation with DocEntry ${req.params.docEntry} not found`,
+      });
+    }
+
+    if (!(await canAccessQuotation(req.user, quotation))) {
+      return res.status(403).json({
+        success: false,
+        message: "Not authorized to reserve stock for this quotation",
+      });
+    }
+
+    const stockCheck = await stockAvailability.checkAvailability(
+      quotation.DocumentLines,
+      {
+        exclude: { documentType: "Quotation", documentEntry: quotation.DocEntry },
+      }
+    );
+    if (!stockCheck.available && req.body.allowShortage !== true) {
+      return res.status(409).json({
+        success: false,
+        message: "Insufficient stock for some lines",
+        shortages: stockCheck.shortages,
+        data: stockCheck,
+      });
+    }
+
+    quotation.StockReservedUntil = stockAvailability.getReservationExpiry(
+      quotation,
+      req.body.expiresAt
+    );
+    await quotation.save();
+
+    const reservations = await stockAvailability.reserveStock(
+      "Quotation",
+      quotation.DocEntry,
+      quotation.DocumentLines,
+      { expiresAt: quotation.StockReservedUntil, createdBy: req.user._id }
+    );
+
+    res.status(200).json({
+      success: true,
+      message: "Stock reserved for quotation",
+      data: {
+        DocEntry: quotation.DocEntry,
+        StockReservedUntil: quotation.StockReservedUntil,
+        reservations,
+      },
+      stockCheck,
+    });
+  } catch (error) {
+    console.error("Error reserving stock for quotation:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error reserving stock for quotation",
+      error: error.message,
+    });
+  }
+};
+
+// Release the soft stock reservation of a quotation
+exports.releaseQuotationStock = async (req, res) => {
+  try {
+    const quotation = await Quotation.findOne({
+      DocEntry: req.params.docEntry,
+    });
+
+    if (!quotation) {
+      return res.status(404).json({
+        success: false,
+        message: `Quotation with DocEntry ${req.params.docEntry} not found`,
+      });
+    }
+
+    if (!(await canAccessQuotation(req.user, quotation))) {
+      return res.status(403).json({
+        success: false,
+        message: "Not authorized to release stock for this quotation",
+      });
+    }
+
+    const released = await stockAvailability.releaseReservations(
+      "Quotation",
+      quotation.DocEntry
+    );
+    quotation.StockReservedUntil = undefined;
+    await quotation.save();
+
+    res.status(200).json({
+      success: true,
+      message: "Stock reservation released",
+      data: { DocEntry: quotation.DocEntry, itemsReleased: released },
+    });
+  } catch (error) {
+    console.error("Error releasing stock for quotation:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error releasing stock for quotation",
+      error: error.message,
+    });
+  }
+};
+
 // Duplicate quotation
 exports.duplicateQuotation = async (req, res) => {
   try {
@@ -1614,6 +2227,13 @@ exports.duplicateQuotation = async (req, res) => {
       });
     }
 
+    if (!(await canAccessQuotation(req.user, quotation))) {
+      return res.status(403).json({
+        success: false,
+        message: "Not authorized to duplicate this quotation",
+      });
+    }
+
     // Generate new DocEntry
     const lastQuotation = await Quotation.findOne().sort({ DocEntry: -1 });
     const newDocEntry = lastQuotation ? lastQuotation.DocEntry + 1 : 1;
@@ -1629,12 +2249,40 @@ exports.duplicateQuotation = async (req, res) => {
       CreationDate: new Date(),
       UpdateDate: new Date(),
       DocDate: new Date(),
-      DocDueDate: new Date(),
+      DocDueDate: defaultValidUntil(),
       IsActive: true,
       // Keep the same sales agent
       salesAgent: quotation.salesAgent,
       // Reference to the original
       DuplicatedFrom: quotation.DocEntry,
+      // The copy is a new document for SAP and for the approval rules
+      SyncedWithSAP: false,
+      LocalStatus: "Created",
+      SAPDocEntry: undefined,
+      SyncErrors: undefined,
+      LastSyncAttempt: undefined,
+      StockReservedUntil: undefined,
+      CurrentRevision: 0,
+      ExpiredAt: undefined,
+      ExpiryFollowUpTask: undefined,
+      ExpiryReminderSentAt: undefined,
+      // Payments belong to the original
+      Payment_id: undefined,
+      Link_sent: false,
+      payment_status: undefined,
+      PaymentPspReference: undefined,
+      PaymentStatusUpdatedAt: undefined,
+      PaymentAuthorisedAt: undefined,
+      paymentLinks: [],
+      AmountPaid: 0,
+      AmountOutstanding: undefined,
+      approvalTask: undefined,
+      approvedBy: undefined,
+      approvedDate: undefined,
+      rejectedBy: undefined,
+      rejectedDate: undefined,
+      rejectionReason: undefined,
+      approvalComments: undefined,
     });
 
     // Remove any converted/cancelled statuses from the original
@@ -1643,8 +2291,18 @@ exports.duplicateQuotation = async (req, res) => {
     delete duplicatedQuotation.CancelReason;
     delete duplicatedQuotation.CancelDate;
 
+    await quotationApproval.routeQuotationApproval(
+      duplicatedQuotation,
+      req.user
+    );
+
     await duplicatedQuotation.save();
 
+    await quotationRevisions.recordRevision(duplicatedQuotation, {
+      changeType: "created",
+      changedBy: req.user._id,
+    });
+
     res.status(201).json({
       success: true,
       data: duplicatedQuotation,
@@ -1694,98 +2352,35 @@ exports.sendQuotationByEmail = async (req, res) => {
       });
     }
 
-    // Find the customer
-    const customer = await Customer.findOne({
-      CardCode: quotation.CardCode,
-    });
-
-    if (!customer) {
-      return res.status(404).json({
-        success: false,
-        message: `Customer with CardCode ${quotation.CardCode} not found`,
-      });
-    }
-    const customerForTemplate = {
-      CardName: customer.CardName || "Customer",
-      // Directly flatten address fields to avoid nested property access issues
-      street: customer.address?.street || customer.Address || "",
-      city: customer.address?.city || customer.City || "",
-      zipCode: customer.address?.zipCode || customer.ZipCode || "",
-      Country: customer.Country || "",
-      Phone: customer.Phone || customer.Telephone || "",
-    };
-
-    console.log("Prepared customer template data:", customerForTemplate);
-    console.log("Here is the customer", customer);
-
-    // Generate PDF
-    console.log("Generating PDF...");
-    let pdfBuffer;
-    try {
-      const pdfGenerator = require("../utils/pdfGenerator");
-      pdfBuffer = await pdfGenerator.generateQuotationPDF(
-        quotation,
-        customerForTemplate
-      );
-      // Log PDF details
-      console.log(`PDF generated successfully: ${pdfBuffer.length} bytes`);
-    } catch (pdfError) {
-      console.error("Error generating PDF:", pdfError);
-      return res.status(500).json({
+    if (!(await canAccessQuotation(req.user, quotation))) {
+      return res.status(403).json({
         success: false,
-        message: `Error generating PDF: ${pdfError.message}`,
+        message: "Not authorized to email this quotation",
       });
     }
 
-    // Send email with attachment
-    console.log("Sending email with PDF attachment...");
     try {
-      const emailService = require("../utils/emailService");
-
-      // Format the email for better deliverability
-      const emailText =
-        emailData.message ||
-        `Cher client,\n\nVeuillez trouver ci-joint votre devis #${quotation.DocNum}.\n\nCordialement,\nL'équipe Halal Food Service`;
-
-      const emailHtml = emailText.replace(/\n/g, "<br>");
-
-      const info = await emailService.sendEmail({
+      const sent = await sendQuotationEmail(quotation, {
         to: emailData.to,
-        cc: emailData.cc || "",
-        subject: emailData.subject || `Devis HFS #${quotation.DocNum}`,
-        text: emailText,
-        html: emailHtml,
-        attachments: [
-          {
-            filename: `Devis_HFS_${quotation.DocNum}.pdf`,
-            content: pdfBuffer,
-            contentType: "application/pdf",
-            encoding: "binary",
-          },
-        ],
-      });
-
-      // Record email sent
-      quotation.emailSentTo = quotation.emailSentTo || [];
-      quotation.emailSentTo.push({
-        email: emailData.to,
+        cc: emailData.cc,
+        subject: emailData.subject,
+        message: emailData.message,
         sentBy: req.user._id,
-        sentDate: new Date(),
-        messageId: info.messageId,
       });
 
-      await quotation.save();
-
       return res.status(200).json({
         success: true,
         message: "Email sent successfully",
-        messageId: info.messageId,
+        messageId: sent.messageId,
+        revision: sent.revision,
       });
     } catch (emailError) {
       console.error("Error sending email:", emailError);
-      return res.status(500).json({
+      return res.status(emailError.statusCode || 500).json({
         success: false,
-        message: `Error sending email: ${emailError.message}`,
+        message: emailError.statusCode
+          ? emailError.message
+          : `Error sending email: ${emailError.message}`,
       });
     }
   } catch (error) {
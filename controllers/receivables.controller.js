@@ -0,0 +1,469 @@
+// controllers/receivables.controller.js
+const mongoose = require("mongoose");
+const Customer = require("../models/Customer");
+const DunningStep = require("../models/DunningStep");
+const receivablesAgeing = require("../services/receivablesAgeing");
+const { DEFAULT_STEPS, runDunning } = require("../services/dunning");
+const { checkCredit } = require("../services/customerCredit");
+const { teamMemberIds, canAccessOwner } = require("../services/permissions");
+
+const EDITABLE_STEP_FIELDS = [
+  "level",
+  "name",
+  "minDaysOverdue",
+  "sendEmail",
+  "createTask",
+  "creditHold",
+  "emailSubject",
+  "emailMessage",
+  "taskPriority",
+  "active",
+];
+
+const pickEditable = (body) =>
+  Object.fromEntries(
+    Object.entries(body).filter(([field]) =>
+      EDITABLE_STEP_FIELDS.includes(field)
+    )
+  );
+
+// CardCodes the report covers, narrowed to ?agentId= when given.
+// Returns null for every customer, or false when the agent is out of scope.
+async function scopeCardCodes(user, agentId) {
+  const visible = await teamMemberIds(user);
+  if (agentId && visible && !visible.includes(String(agentId))) {
+    return false;
+  }
+
+  const agentIds = agentId ? [agentId] : visible;
+  if (!agentIds) {
+    return null;
+  }
+
+  const customers = await Customer.find({ assignedTo: { $in: agentIds } })
+    .select("CardCode")
+    .lean();
+  return customers.map((customer) => customer.CardCode).filter(Boolean);
+}
+
+// AR ageing per customer (default) or per agent (?groupBy=agent)
+exports.getAgeingReport = async (req, res) => {
+  try {
+    const { groupBy = "customer", agentId, asOf } = req.query;
+
+    if (agentId && !mongoose.Types.ObjectId.isValid(agentId)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid agent id",
+      });
+    }
+    if (asOf && isNaN(new Date(asOf).getTime())) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid asOf date",
+      });
+    }
+
+    const cardCodes = await scopeCardCodes(req.user, agentId);
+    if (cardCodes === false) {
+      return res.status(403).json({
+        success: false,
+        message: "Not authorized to view this agent's receivables",
+      });
+    }
+
+    const rows = await receivablesAgeing.computeAgeing({
+      cardCodes: cardCodes || undefined,
+      asOf,
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        asOf: asOf ? new Date(asOf) : new Date(),
+        buckets: receivablesAgeing.BUCKETS.map(({ key, label }) => ({
+          key,
+          label,
+        })),
+        totals: receivablesAgeing.summarize(rows),
+        ...(groupBy === "agent"
+          ? { agents: await receivablesAgeing.groupByAgent(rows) }
+          : { customers: rows }),
+      },
+    });
+  } catch (error) {
+    console.error("Error computing AR ageing:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error computing AR ageing",
+      error: error.message,
+    });
+  }
+};
+
+// Ageing of one customer with its open invoices and dunning state
+exports.getCustomerAgeing = async (req, res) => {
+  try {
+    const customer = await Customer.findOne({
+      CardCode: req.params.cardCode,
+    })
+      .select(
+        "CardCode CardName assignedTo outstandingBalance dunning creditHold creditHoldReason creditHoldSince creditHoldSource"
+      )
+      .lean();
+
+    if (!customer) {
+      return res.status(404).json({
+        success: false,
+        message: `Customer with CardCode ${req.params.cardCode} not found`,
+      });
+    }
+
+    if (!(await canAccessOwner(req.user, customer.assignedTo))) {
+      return res.status(403).json({
+        success: false,
+        message: "Not authorized to view this customer's receivables",
+      });
+    }
+
+    const [row] = await receivablesAgeing.computeAgeing({
+      cardCodes: [customer.CardCode],
+      asOf: req.query.asOf,
+      includeInvoices: true,
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        customer,
+        ageing: row || null,
+      },
+    });
+  } catch (error) {
+    console.error("Error computing customer ageing:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error computing customer ageing",
+      error: error.message,
+    });
+  }
+};
+
+// List dunning steps; the built-in sequence applies while none are stored
+exports.getDunningSteps = async (req, res) => {
+  try {
+    const steps = await DunningStep.find()
+      .populate("createdBy", "firstName lastName email")
+      .sort({ level: 1 });
+
+    res.status(200).json({
+      success: true,
+      usingDefaults: steps.length === 0,
+      data: steps.length ? steps : DEFAULT_STEPS,
+    });
+  } catch (error) {
+    console.error("Error fetching dunning steps:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching dunning steps",
+      error: error.message,
+    });
+  }
+};
+
+// Create a dunning step
+exports.createDunningStep = async (req, res) => {
+  try {
+    const step = new DunningStep({
+      ...pickEditable(req.body),
+      createdBy: req.user._id,
+    });
+    await step.save();
+
+    res.status(201).json({
+      success: true,
+      message: "Dunning step created",
+      data: step,
+    });
+  } catch (error) {
+    if (error.name === "ValidationError" || error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message:
+          error.code === 11000
+            ? "A dunning step with this level already exists"
+            : "Invalid dunning step",
+        error: error.message,
+      });
+    }
+    console.error("Error creating dunning step:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error creating dunning step",
+      error: error.message,
+    });
+  }
+};
+
+// Update a dunning step
+exports.updateDunningStep = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid step id",
+      });
+    }
+
+    const step = await DunningStep.findByIdAndUpdate(
+      req.params.id,
+      { $set: pickEditable(req.body) },
+      { new: true, runValidators: true }
+    );
+
+    if (!step) {
+      return res.status(404).json({
+        success: false,
+        message: "Dunning step not found",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Dunning step updated",
+      data: step,
+    });
+  } catch (error) {
+    if (error.name === "ValidationError" || error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message:
+          error.code === 11000
+            ? "A dunning step with this level already exists"
+            : "Invalid dunning step",
+        error: error.message,
+      });
+    }
+    console.error("Error updating dunning step:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error updating dunning step",
+      error: error.message,
+    });
+  }
+};
+
+// Delete a dunning step
+exports.deleteDunningStep = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid step id",
+      });
+    }
+
+    const step = await DunningStep.findByIdAndDelete(req.params.id);
+
+    if (!step) {
+      return res.status(404).json({
+        success: false,
+        message: "Dunning step not found",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Dunning step deleted",
+      data: step,
+    });
+  } catch (error) {
+    console.error("Error deleting dunning step:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error deleting dunning step",
+      error: error.message,
+    });
+  }
+};
+
+// Run the dunning sequence now; ?dryRun=true only lists what would happen
+exports.runDunningNow = async (req, res) => {
+  try {
+    const dryRun = String(req.query.dryRun) === "true";
+    const stats = await runDunning({ dryRun });
+
+    res.status(200).json({
+      success: true,
+      message: dryRun ? "Dunning dry run completed" : "Dunning run completed",
+      data: stats,
+    });
+  } catch (error) {
+    console.error("Error running dunning:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error running dunning",
+      error: error.message,
+    });
+  }
+};
+
+// Exclude a customer from dunning (or include it again)
+exports.setDunningExempt = async (req, res) => {
+  try {
+    const exempt = Boolean(req.body.exempt);
+    const customer = await Customer.findOneAndUpdate(
+      { CardCode: req.params.cardCode },
+      { $set: { "dunning.exempt": exempt } },
+      { new: true }
+    ).select("CardCode CardName dunning");
+
+    if (!customer) {
+      return res.status(404).json({
+        success: false,
+        message: `Customer with CardCode ${req.params.cardCode} not found`,
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: exempt
+        ? "Customer excluded from dunning"
+        : "Customer included in dunning",
+      data: customer,
+    });
+  } catch (error) {
+    console.error("Error updating dunning exemption:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error updating dunning exemption",
+      error: error.message,
+    });
+  }
+};
+
+// Credit limit, hold and exposure (open invoices + open orders) of a customer
+exports.getCustomerCredit = async (req, res) => {
+  try {
+    const customer = await Customer.findOne({
+      CardCode: req.params.cardCode,
+    }).select(
+      "CardCode CardName assignedTo creditLimit creditLimitSource creditLimitUpdatedAt creditHold creditHoldReason creditHoldSince creditHoldSource"
+    );
+
+    if (!customer) {
+      return res.status(404).json({
+        success: false,
+        message: `Customer with CardCode ${req.params.cardCode} not found`,
+      });
+    }
+
+    if (!(await canAccessOwner(req.user, customer.assignedTo))) {
+      return res.status(403).json({
+        success: false,
+        message: "Not authorized to view this customer's credit",
+      });
+    }
+
+    const orderTotal = parseFloat(req.query.orderTotal) || 0;
+    const check = await checkCredit(customer, { orderTotal });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        customer,
+        credit: check,
+      },
+    });
+  } catch (error) {
+    console.error("Error checking customer credit:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error checking customer credit",
+      error: error.message,
+    });
+  }
+};
+
+// Set a customer's credit limit (overriding SAP) and/or credit hold.
+// creditLimit: null hands the limit back to the SAP sync.
+exports.updateCustomerCredit = async (req, res) => {
+  try {
+    const { creditLimit, creditHold, creditHoldReason } = req.body;
+    const set = {};
+    const unset = {};
+
+    if (creditLimit !== undefined) {
+      if (creditLimit === null) {
+        Object.assign(set, { creditLimit: null });
+        unset.creditLimitSource = "";
+      } else if (isNaN(parseFloat(creditLimit)) || creditLimit < 0) {
+        return res.status(400).json({
+          success: false,
+          message: "creditLimit must be a positive number or null",
+        });
+      } else {
+        Object.assign(set, {
+          creditLimit: parseFloat(creditLimit),
+          creditLimitSource: "manual",
+        });
+      }
+      set.creditLimitUpdatedAt = new Date();
+    }
+
+    if (creditHold !== undefined) {
+      if (creditHold) {
+        Object.assign(set, {
+          creditHold: true,
+          creditHoldReason:
+            creditHoldReason ||
+            `Placed by ${req.user.firstName} ${req.user.lastName}`,
+          creditHoldSince: new Date(),
+          creditHoldSource: "manual",
+        });
+      } else {
+        set.creditHold = false;
+        Object.assign(unset, {
+          creditHoldReason: "",
+          creditHoldSince: "",
+          creditHoldSource: "",
+        });
+      }
+    }
+
+    if (!Object.keys(set).length) {
+      return res.status(400).json({
+        success: false,
+        message: "Nothing to update (creditLimit, creditHold)",
+      });
+    }
+
+    const customer = await Customer.findOneAndUpdate(
+      { CardCode: req.params.cardCode },
+      { $set: set, ...(Object.keys(unset).length ? { $unset: unset } : {}) },
+      { new: true }
+    ).select(
+      "CardCode CardName creditLimit creditLimitSource creditLimitUpdatedAt creditHold creditHoldReason creditHoldSince creditHoldSource"
+    );
+
+    if (!customer) {
+      return res.status(404).json({
+        success: false,
+        message: `Customer with CardCode ${req.params.cardCode} not found`,
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Customer credit updated",
+      data: customer,
+    });
+  } catch (error) {
+    console.error("Error updating customer credit:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error updating customer credit",
+      error: error.message,
+    });
+  }
+};
@@ -5,17 +5,19 @@ const Invoice = require("../models/Invoice");
 const SalesOrder = require("../models/SalesOrder");
 const Payment = require("../models/payment");
 const mongoose = require("mongoose");
+const {
+  hasPermission,
+  scopeFilter,
+  teamMemberIds,
+} = require("../services/permissions");
 
 /**
- * Get personalized recommendations based on user role
+ * Get personalized recommendations based on the user's data scope
  * - Sales Agents see recommendations for their assigned customers
- * - Sales Managers see general recommendations across all customers/agents
+ * - Sales Managers (scope:team) see their team's customers and agents
  */
 exports.getRecommendations = async (req, res) => {
   try {
-    const userId = req.user._id;
-    const userRole = req.user.role;
-
     // Common recommendations object structure
     const recommendations = {
       highPotentialCustomers: [],
@@ -25,21 +27,12 @@ exports.getRecommendations = async (req, res) => {
       performanceInsights: [],
     };
 
-    // Filter query based on user role
-    let customerQuery = {};
-    let agentQuery = {};
-
-    if (userRole === "sales_agent") {
-      // For sales agents, only show customers assigned to them
-      customerQuery = { assignedTo: userId };
-      agentQuery = { _id: userId };
-    } else if (userRole === "sales_manager") {
-      // For sales managers, show all customers/agents
-      // Optionally could filter to only see agents they manage
-      agentQuery = { role: "sales_agent" };
-    } else {
-      // Admin can see everything
-      agentQuery = { role: "sales_agent" };
+    // Own, team (scope:team) or every customer and agent (scope:all)
+    const customerQuery = await scopeFilter(req.user, "assignedTo");
+    const agentQuery = { role: "sales_agent" };
+    const teamIds = await teamMemberIds(req.user);
+    if (teamIds) {
+      agentQuery._id = { $in: teamIds };
     }
 
     // Get assigned customers and associated data
@@ -99,8 +92,8 @@ exports.getRecommendations = async (req, res) => {
       payments
     );
 
-    // 5. Performance insights (only for managers or admins)
-    if (userRole === "sales_manager" || userRole === "admin") {
+    // 5. Performance insights (only for team dashboards)
+    if (await hasPermission(req.user, "dashboard:team")) {
       recommendations.performanceInsights = await getPerformanceInsights(
         salesAgents,
         customers,
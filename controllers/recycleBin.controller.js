@@ -0,0 +1,35 @@
+// controllers/recycleBin.controller.js
+const mongoose = require("mongoose");
+const recycleBin = require("../services/recycleBin");
+const { sendError } = require("../utils/serviceErrors");
+
+// Deleted records of one type: customers, leads, deals or tasks
+exports.listDeleted = async (req, res) => {
+  try {
+    const result = await recycleBin.listDeleted(req.params.type, req.query);
+    res.status(200).json({
+      success: true,
+      retentionDays: recycleBin.RETENTION_DAYS,
+      ...result,
+    });
+  } catch (error) {
+    sendError(res, error, "Error fetching the recycle bin");
+  }
+};
+
+exports.restore = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ success: false, message: "Invalid id" });
+    }
+
+    const record = await recycleBin.restore(req.params.type, req.params.id);
+    res.status(200).json({
+      success: true,
+      message: "Record restored",
+      data: record,
+    });
+  } catch (error) {
+    sendError(res, error, "Error restoring record");
+  }
+};
@@ -2,14 +2,21 @@
 const User = require("../models/User");
 const CustomerTarget = require("../models/CustomerTarget");
 const SalesOrder = require("../models/SalesOrder");
+const {
+  canAccessOwner,
+  scopeFilter,
+  teamMemberIds,
+} = require("../services/permissions");
 
 // Get team members (sales agents) for the current sales manager
 exports.getTeamMembers = async (req, res) => {
   try {
-   
-
-    // Base query
+    // Base query: the user's team (scope:team) or every agent (scope:all)
     let query = { role: "sales_agent" };
+    const teamIds = await teamMemberIds(req.user);
+    if (teamIds) {
+      query._id = { $in: teamIds };
+    }
 
     // Get team members
     const teamMembers = await User.find(query).select(
@@ -47,9 +54,10 @@ exports.getTeamPerformance = async (req, res) => {
     // Base query for getting agents
     let agentsQuery = { role: "sales_agent" };
 
-    // For sales manager, only get agents assigned to them
-    if (req.user.role === "sales_manager") {
-      agentsQuery.manager = req.user._id;
+    // Only the user's team (scope:team) or every agent (scope:all)
+    const teamIds = await teamMemberIds(req.user);
+    if (teamIds) {
+      agentsQuery._id = { $in: teamIds };
     }
 
     // Get team members
@@ -248,13 +256,8 @@ exports.getAnalyticsDashboard = async (req, res) => {
       deadline: { $gte: startDate },
     };
 
-    // For sales manager, only get targets for their team
-    if (req.user.role === "sales_manager") {
-      const agentIds = await User.find({ manager: req.user._id }).distinct(
-        "_id"
-      );
-      targetQuery.salesAgent = { $in: agentIds };
-    }
+    // Only the targets of the user's team (scope:team) or all (scope:all)
+    Object.assign(targetQuery, await scopeFilter(req.user, "salesAgent"));
 
     // Get all relevant targets
     const allTargets = await CustomerTarget.find(targetQuery).populate(
@@ -264,8 +267,9 @@ exports.getAnalyticsDashboard = async (req, res) => {
 
     // Get team members
     let agentQuery = { role: "sales_agent" };
-    if (req.user.role === "sales_manager") {
-      agentQuery.manager = req.user._id;
+    const teamIds = await teamMemberIds(req.user);
+    if (teamIds) {
+      agentQuery._id = { $in: teamIds };
     }
     const agents = await User.find(agentQuery).select(
       "_id firstName lastName email avatar"
@@ -454,7 +458,14 @@ exports.getAgentPerformanceDetails = async (req, res) => {
   try {
     const { agentId } = req.params;
 
-  
+    // Only agents in the user's team (scope:team) or any (scope:all)
+    if (!(await canAccessOwner(req.user, agentId))) {
+      return res.status(403).json({
+        success: false,
+        message: "Not authorized to view this agent's performance",
+      });
+    }
+
     // Get date range from query params
     let startDate, endDate;
     const period = req.query.period || "month";
@@ -0,0 +1,276 @@
+// controllers/sapSync.controller.js
+const mongoose = require("mongoose");
+const SapSyncJob = require("../models/SapSyncJob");
+const sapSyncQueue = require("../services/sapSyncQueue");
+const { getPullSyncStatus } = require("../services/sapPullSync");
+const { runSapPullSync } = require("../jobs/sapPullSyncJob");
+const { getItemSyncStatus } = require("../services/sapItemSync");
+const { runSapItemSync } = require("../jobs/sapItemSyncJob");
+
+// List SAP sync jobs with pagination and filtering
+exports.getJobs = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    const query = {};
+    if (req.query.status) {
+      query.status = { $in: req.query.status.split(",") };
+    }
+    if (req.query.entityType) {
+      query.entityType = req.query.entityType;
+    }
+    if (req.query.entityRef) {
+      query.entityRef = req.query.entityRef;
+    }
+
+    const [jobs, total, statusCounts] = await Promise.all([
+      SapSyncJob.find(query)
+        .select("-history")
+        .populate("createdBy", "firstName lastName email")
+        .sort({ updatedAt: -1 })
+        .skip(skip)
+        .limit(limit),
+      SapSyncJob.countDocuments(query),
+      SapSyncJob.aggregate([{ $group: { _id: "$status", count: { $sum: 1 } } }]),
+    ]);
+
+    const summary = {};
+    statusCounts.forEach((entry) => {
+      summary[entry._id] = entry.count;
+    });
+
+    res.status(200).json({
+      success: true,
+      count: jobs.length,
+      total,
+      page,
+      pages: Math.ceil(total / limit),
+      summary,
+      data: jobs,
+    });
+  } catch (error) {
+    console.error("Error fetching SAP sync jobs:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching SAP sync jobs",
+      error: error.message,
+    });
+  }
+};
+
+// Get a single SAP sync job including its attempt history
+exports.getJobById = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid job id",
+      });
+    }
+
+    const job = await SapSyncJob.findById(req.params.id)
+      .populate("createdBy", "firstName lastName email")
+      .populate("abandonedBy", "firstName lastName email");
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: "SAP sync job not found",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: job,
+    });
+  } catch (error) {
+    console.error("Error fetching SAP sync job:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching SAP sync job",
+      error: error.message,
+    });
+  }
+};
+
+// Retry a failed, dead or abandoned job right away
+exports.retryJob = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid job id",
+      });
+    }
+
+    const result = await sapSyncQueue.retryJob(req.params.id);
+
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        message: "SAP sync job not found",
+      });
+    }
+
+    if (result.unchanged) {
+      return res.status(409).json({
+        success: false,
+        message: `SAP sync job is ${result.job.status} and cannot be retried`,
+        data: result.job,
+      });
+    }
+
+    res.status(200).json({
+      success: result.success,
+      message: result.success
+        ? "Document successfully pushed to SAP B1"
+        : "Retry failed",
+      error: result.error,
+      code: result.code,
+      data: result.job,
+    });
+  } catch (error) {
+    console.error("Error retrying SAP sync job:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error retrying SAP sync job",
+      error: error.message,
+    });
+  }
+};
+
+// Stop retrying a job
+exports.abandonJob = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid job id",
+      });
+    }
+
+    const result = await sapSyncQueue.abandonJob(req.params.id, req.user._id);
+
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        message: "SAP sync job not found",
+      });
+    }
+
+    if (result.unchanged) {
+      return res.status(409).json({
+        success: false,
+        message: `SAP sync job is ${result.job.status} and cannot be abandoned`,
+        data: result.job,
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "SAP sync job abandoned",
+      data: result.job,
+    });
+  } catch (error) {
+    console.error("Error abandoning SAP sync job:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error abandoning SAP sync job",
+      error: error.message,
+    });
+  }
+};
+
+// Run the SAP invoice/credit note/payment pull right away
+exports.runPullSync = async (req, res) => {
+  try {
+    const stats = await runSapPullSync();
+
+    if (!stats) {
+      return res.status(409).json({
+        success: false,
+        message: "SAP pull sync is already running",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "SAP pull sync completed",
+      data: stats,
+    });
+  } catch (error) {
+    console.error("Error running SAP pull sync:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error running SAP pull sync",
+      error: error.message,
+    });
+  }
+};
+
+// Watermarks and last results of the SAP pull sync
+exports.getPullSyncStatus = async (req, res) => {
+  try {
+    const states = await getPullSyncStatus();
+
+    res.status(200).json({
+      success: true,
+      data: states,
+    });
+  } catch (error) {
+    console.error("Error fetching SAP pull sync status:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching SAP pull sync status",
+      error: error.message,
+    });
+  }
+};
+
+// Run the SAP item master, price and stock sync right away
+exports.runItemSync = async (req, res) => {
+  try {
+    const stats = await runSapItemSync();
+
+    if (!stats) {
+      return res.status(409).json({
+        success: false,
+        message: "SAP item sync is already running",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "SAP item sync completed",
+      data: stats,
+    });
+  } catch (error) {
+    console.error("Error running SAP item sync:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error running SAP item sync",
+      error: error.message,
+    });
+  }
+};
+
+// Watermarks and last results of the SAP item sync
+exports.getItemSyncStatus = async (req, res) => {
+  try {
+    const states = await getItemSyncStatus();
+
+    res.status(200).json({
+      success: true,
+      data: states,
+    });
+  } catch (error) {
+    console.error("Error fetching SAP item sync status:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching SAP item sync status",
+      error: error.message,
+    });
+  }
+};
@@ -4,6 +4,13 @@ const Lead = require("../models/Lead");
 const User = require("../models/User");
 const Quotation = require("../models/Quotation");
 const NotificationService = require("../utils/notificationService");
+const quotationApproval = require("../services/quotationApproval");
+const sapSyncQueue = require("../services/sapSyncQueue");
+const {
+  canAccessOwner,
+  hasPermission,
+  teamMemberIds,
+} = require("../services/permissions");
 const {
   uploadToS3,
   generateSignedUrl,
@@ -14,6 +21,12 @@ const upload = uploadToS3.single("attachment");
 const util = require("util");
 const uploadAsync = util.promisify(upload);
 
+// Tasks assigned to or created by the user, their team (scope:team) or anyone
+// (scope:all)
+const canAccessTask = async (user, task) =>
+  (await canAccessOwner(user, task.assignedTo)) ||
+  (await canAccessOwner(user, task.createdBy));
+
 /**
  * Get all tasks with filtering options
  */
@@ -47,9 +60,8 @@ exports.getTasks = async (req, res) => {
     }
 
     // NEW: Add agent filter
-    if (agentFilter && req.user.role !== "sales_agent") {
-      // Only admins and sales managers can filter by specific agents
-      // Sales agents automatically see their own tasks
+    if (agentFilter && (await canAccessOwner(req.user, agentFilter))) {
+      // Agents outside the user's scope are ignored
       query.assignedTo = agentFilter;
     }
 
@@ -68,83 +80,30 @@ exports.getTasks = async (req, res) => {
       }
     }
 
-    // Role-based access control with proper "All Tasks" view logic
-    if (req.user.role === "sales_agent") {
-      // For sales agents, "All Tasks" should show both assigned to them AND created by them
-      if (view === "all") {
-        query.$or = [
-          { assignedTo: req.user._id }, // Tasks assigned to them
-          { createdBy: req.user._id }, // Tasks created by them
-        ];
-      } else if (view === "assigned") {
-        // Only tasks assigned to them
-        query.assignedTo = req.user._id;
-      } else if (view === "created") {
-        // Only tasks created by them
-        query.createdBy = req.user._id;
-      } else {
-        // Default behavior - show both (same as "all")
-        query.$or = [{ assignedTo: req.user._id }, { createdBy: req.user._id }];
-      }
-    } else if (req.user.role === "sales_manager") {
-      console.log("Assigned To", assignedTo);
-      if (assignedTo) {
-        // If specific assignedTo is requested, check if it's the manager or their agent
-        const requestedUser = await User.findById(assignedTo);
-        if (
-          requestedUser &&
-          (requestedUser._id.toString() === req.user._id.toString() ||
-            requestedUser.manager?.toString() === req.user._id.toString())
-        ) {
-          query.assignedTo = assignedTo;
-        } else {
-          // Not authorized to see this user's tasks
-          return res.status(403).json({
-            success: false,
-            message:
-              "You can only view tasks for yourself or your team members",
-          });
-        }
-      } else {
-        // Get sales agents under this manager
-        const salesAgents = await User.find({
-          role: "sales_agent",
-          manager: req.user._id,
-        }).select("_id");
-
-        console.log(salesAgents);
-
-        const agentIds = salesAgents.map((agent) => agent._id);
-        agentIds.push(req.user._id); // Include the manager's own ID
-
-        // IMPORTANT: Convert to ObjectIds for proper comparison
-        const agentObjectIds = agentIds.map((id) => id.toString());
-        const managerIdString = req.user._id.toString();
-
-        if (view === "all") {
-          // Show all tasks assigned to team members OR created by team members
-          query.$or = [
-            { assignedTo: { $in: agentIds } },
-            { createdBy: { $in: agentIds } },
-          ];
-        } else if (view === "assigned") {
-          // Only tasks assigned to manager or their agents
-          query.assignedTo = { $in: agentIds };
-        } else if (view === "created") {
-          // Only tasks created by manager or their agents
-          query.createdBy = { $in: agentIds };
-        } else {
-          // Default - show all team tasks
-          query.$or = [
-            { assignedTo: { $in: agentIds } },
-            { createdBy: { $in: agentIds } },
-          ];
-        }
-      }
-    } else if (req.user.role === "admin") {
-      // Admin can filter by assignedTo if provided, otherwise see everything
+    // Tasks assigned to or created by the user, their team (scope:team) or
+    // anyone (scope:all)
+    const teamIds = await teamMemberIds(req.user);
+    if (!teamIds) {
       if (assignedTo) query.assignedTo = assignedTo;
-      // No additional filtering for admins - they can see all tasks
+    } else if (assignedTo) {
+      if (!teamIds.includes(assignedTo.toString())) {
+        return res.status(403).json({
+          success: false,
+          message: "You can only view tasks for yourself or your team members",
+        });
+      }
+      query.assignedTo = assignedTo;
+    } else if (view === "assigned") {
+      // An agent filter is already limited to the scope
+      query.assignedTo = query.assignedTo || { $in: teamIds };
+    } else if (view === "created") {
+      query.createdBy = { $in: teamIds };
+    } else {
+      // "all" and the default show both
+      query.$or = [
+        { assignedTo: { $in: teamIds } },
+        { createdBy: { $in: teamIds } },
+      ];
     }
 
     // Search functionality
@@ -202,35 +161,12 @@ exports.getTaskById = async (req, res) => {
         message: "Task not found",
       });
     }
-    // Check permissions for non-admin users
-    if (req.user.role !== "admin") {
-      const isCreator = task.createdBy.toString() === req.user._id.toString();
-      const isAssignee = task.assignedTo.toString() === req.user._id.toString();
-      const isManager = req.user.role === "sales_manager";
-
-      let hasAccess = isCreator || isAssignee;
-
-      // For sales managers, check team access
-      if (isManager && !hasAccess) {
-        const salesAgents = await User.find({
-          role: "sales_agent",
-          manager: req.user._id,
-        }).select("_id");
-
-        const teamIds = salesAgents.map((agent) => agent._id.toString());
-        teamIds.push(req.user._id.toString());
-
-        hasAccess =
-          teamIds.includes(task.assignedTo.toString()) ||
-          teamIds.includes(task.createdBy.toString());
-      }
-
-      if (!hasAccess) {
-        return res.status(403).json({
-          success: false,
-          message: "You do not have permission to access this task",
-        });
-      }
+    // Check permissions
+    if (!(await canAccessTask(req.user, task))) {
+      return res.status(403).json({
+        success: false,
+        message: "You do not have permission to access this task",
+      });
     }
     return res.status(200).json({
       success: true,
@@ -364,27 +300,14 @@ exports.updateTask = async (req, res) => {
     // Check permissions - different role-based access control
     const isCreator = task.createdBy.toString() === req.user._id.toString();
     const isAssignee = task.assignedTo.toString() === req.user._id.toString();
-    const isAdmin = req.user.role === "admin";
-    const isManager = req.user.role === "sales_manager";
-
-    let canManagerAccess = false;
-    if (isManager) {
-      // Check if task is assigned to manager or their agents, or created by them or their agents
-      const salesAgents = await User.find({
-        role: "sales_agent",
-        manager: req.user._id,
-      }).select("_id");
-
-      const teamIds = salesAgents.map((agent) => agent._id.toString());
-      teamIds.push(req.user._id.toString()); // Include manager's own ID
-
-      canManagerAccess =
-        teamIds.includes(task.assignedTo.toString()) ||
-        teamIds.includes(task.createdBy.toString());
-    }
-
-    // Admins and managers (with team access) have full edit access
-    if (isAdmin || (isManager && canManagerAccess)) {
+    // task:manage, or managers (scope:team) for their team's tasks
+    const hasFullAccess =
+      (await hasPermission(req.user, "task:manage")) ||
+      ((await hasPermission(req.user, "scope:team")) &&
+        (await canAccessTask(req.user, task)));
+
+    // Users with full access can change every field
+    if (hasFullAccess) {
       // Allow all updates from admins/managers
 
       // If task is being reassigned, add a note to the comments
@@ -569,10 +492,10 @@ exports.approveOrRejectTask = async (req, res) => {
       });
     }
 
-    // Check permissions - only creator or admin can approve/reject
+    // Check permissions - only creator or task:manage can approve/reject
     const isCreator = task.createdBy.toString() === req.user._id.toString();
 
-    if (!isCreator && req.user.role !== "admin") {
+    if (!isCreator && !(await hasPermission(req.user, "task:manage"))) {
       return res.status(403).json({
         success: false,
         message:
@@ -648,10 +571,10 @@ exports.deleteTask = async (req, res) => {
       });
     }
 
-    // Check permissions - only creator, assignee with admin role, or admin can delete
+    // Check permissions - only creator or task:manage can delete
     const isCreator = task.createdBy.toString() === req.user._id.toString();
 
-    if (!isCreator && req.user.role !== "admin") {
+    if (!isCreator && !(await hasPermission(req.user, "task:manage"))) {
       return res.status(403).json({
         success: false,
         message: "You do not have permission to delete this task",
@@ -663,12 +586,13 @@ exports.deleteTask = async (req, res) => {
       $pull: { tasks: task._id },
     });
 
-    // Delete the task
-    await Task.findByIdAndDelete(id);
+    // Soft delete the task (restored from the recycle bin, it is linked to
+    // its lead again)
+    await Task.softDeleteMany({ _id: task._id }, req.user._id);
 
     res.json({
       success: true,
-      message: "Task deleted successfully",
+      message: "Task moved to the recycle bin",
     });
   } catch (error) {
     console.error(`Error deleting task ${req.params.id}:`, error);
@@ -975,7 +899,11 @@ exports.uploadAttachment = async (req, res) => {
     const isCreator = task.createdBy.toString() === req.user._id.toString();
     const isAssignee = task.assignedTo.toString() === req.user._id.toString();
 
-    if (!isCreator && !isAssignee && req.user.role !== "admin") {
+    if (
+      !isCreator &&
+      !isAssignee &&
+      !(await hasPermission(req.user, "task:manage"))
+    ) {
       return res.status(403).json({
         success: false,
         message: "You do not have permission to add attachments to this task",
@@ -1094,9 +1022,9 @@ exports.deleteAttachment = async (req, res) => {
 
     // Check permissions
     const isCreator = task.createdBy.toString() === req.user._id.toString();
-    const isAdmin = req.user.role === "admin";
+    const canManage = await hasPermission(req.user, "task:manage");
 
-    if (!isCreator && !isAdmin) {
+    if (!isCreator && !canManage) {
       return res.status(403).json({
         success: false,
         message: "Only the creator or an admin can delete attachments",
@@ -1164,14 +1092,6 @@ exports.approveQuotation = async (req, res) => {
       });
     }
 
-    // Check permissions - only admin can approve/reject
-    if (req.user.role !== "admin") {
-      return res.status(403).json({
-        success: false,
-        message: "Only admins can approve or reject quotations",
-      });
-    }
-
     // Find the related quotation
     const quotation = await Quotation.findOne({
       DocEntry: task.relatedQuotation,
@@ -1184,6 +1104,15 @@ exports.approveQuotation = async (req, res) => {
       });
     }
 
+    // Check permissions - admins, or the approver the quotation was routed to
+    if (!(await quotationApproval.canDecide(quotation, req.user))) {
+      return res.status(403).json({
+        success: false,
+        message:
+          "Only an admin or the assigned approver can approve or reject this quotation",
+      });
+    }
+
     // Update task status and add comments
     const newStatus = action === "approve" ? "completed" : "rejected";
     const newComments = comments
@@ -1213,8 +1142,30 @@ exports.approveQuotation = async (req, res) => {
 
     // Update quotation approval status
     quotation.approvalStatus = action === "approve" ? "approved" : "rejected";
+    if (action === "approve") {
+      quotation.approvedBy = req.user._id;
+      quotation.approvedDate = new Date();
+    } else {
+      quotation.rejectedBy = req.user._id;
+      quotation.rejectedDate = new Date();
+    }
     await quotation.save();
 
+    await NotificationService.createQuotationDecisionNotification(
+      quotation,
+      req.user._id,
+      action === "approve"
+    );
+
+    // Approved quotations are created (or updated) in SAP right away
+    const sapSync =
+      action === "approve"
+        ? await sapSyncQueue.syncNow("Quotation", quotation, {
+            createdBy: req.user._id,
+            resync: true,
+          })
+        : undefined;
+
     res.json({
       success: true,
       message: `Quotation ${
@@ -1225,6 +1176,11 @@ exports.approveQuotation = async (req, res) => {
         DocEntry: quotation.DocEntry,
         approvalStatus: quotation.approvalStatus,
       },
+      sapSync: sapSync && {
+        success: sapSync.success,
+        error: sapSync.error,
+        willRetry: sapSync.willRetry,
+      },
     });
   } catch (error) {
     console.error(
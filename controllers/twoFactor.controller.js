@@ -0,0 +1,142 @@
+// controllers/twoFactor.controller.js
+const bcrypt = require("bcryptjs");
+const mongoose = require("mongoose");
+const User = require("../models/User");
+const twoFactor = require("../services/twoFactor");
+const authSessions = require("../services/authSessions");
+
+const sendServiceError = (res, error, label) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({ message: error.message });
+  }
+  console.error(`${label}:`, error);
+  res.status(500).json({ message: "Server error", error: error.message });
+};
+
+// Enrolment state of the current user
+exports.getStatus = async (req, res) => {
+  try {
+    res.json(await twoFactor.getStatus(req.user));
+  } catch (error) {
+    sendServiceError(res, error, "Two-factor status error");
+  }
+};
+
+// Start enrolment (password required): secret and otpauth:// URI to scan
+exports.setup = async (req, res) => {
+  try {
+    const { password } = req.body;
+    if (!password || !(await bcrypt.compare(password, req.user.password))) {
+      return res.status(401).json({ message: "Password is incorrect" });
+    }
+
+    const { secret, otpauthUrl } = await twoFactor.startSetup(req.user._id);
+    res.json({
+      message: "Scan the code in your authenticator app, then confirm it",
+      secret,
+      otpauthUrl,
+    });
+  } catch (error) {
+    sendServiceError(res, error, "Two-factor setup error");
+  }
+};
+
+// Confirm enrolment with a first code; returns the recovery codes once
+exports.enable = async (req, res) => {
+  try {
+    const recoveryCodes = await twoFactor.enable(req.user._id, req.body.code);
+    res.json({
+      message: "Two-factor authentication enabled",
+      recoveryCodes,
+    });
+  } catch (error) {
+    sendServiceError(res, error, "Two-factor enable error");
+  }
+};
+
+// Turn 2FA off (password and a code or recovery code), unless the role
+// requires it
+exports.disable = async (req, res) => {
+  try {
+    const { password, code, recoveryCode } = req.body;
+    if (await twoFactor.isRequired(req.user)) {
+      return res.status(400).json({
+        message: "Two-factor authentication is required for your role",
+      });
+    }
+    if (!password || !(await bcrypt.compare(password, req.user.password))) {
+      return res.status(401).json({ message: "Password is incorrect" });
+    }
+    if (!(await twoFactor.verifyLogin(req.user._id, { code, recoveryCode }))) {
+      return res.status(401).json({ message: "Invalid two-factor code" });
+    }
+
+    await twoFactor.disable(req.user._id);
+    res.json({ message: "Two-factor authentication disabled" });
+  } catch (error) {
+    sendServiceError(res, error, "Two-factor disable error");
+  }
+};
+
+// Replace the recovery codes (current code required)
+exports.regenerateRecoveryCodes = async (req, res) => {
+  try {
+    if (!(await twoFactor.verifyLogin(req.user._id, { code: req.body.code }))) {
+      return res.status(401).json({ message: "Invalid two-factor code" });
+    }
+
+    const recoveryCodes = await twoFactor.regenerateRecoveryCodes(
+      req.user._id
+    );
+    res.json({ message: "Recovery codes regenerated", recoveryCodes });
+  } catch (error) {
+    sendServiceError(res, error, "Recovery code error");
+  }
+};
+
+// Roles that must use 2FA
+exports.getPolicy = async (req, res) => {
+  try {
+    res.json(await twoFactor.getPolicy());
+  } catch (error) {
+    sendServiceError(res, error, "Security policy error");
+  }
+};
+
+exports.updatePolicy = async (req, res) => {
+  try {
+    const { twoFactorRequiredRoles } = req.body;
+    if (!Array.isArray(twoFactorRequiredRoles)) {
+      return res
+        .status(400)
+        .json({ message: "twoFactorRequiredRoles must be an array" });
+    }
+
+    const policy = await twoFactor.updatePolicy(
+      { twoFactorRequiredRoles },
+      req.user._id
+    );
+    res.json({ message: "Security policy updated", policy });
+  } catch (error) {
+    sendServiceError(res, error, "Security policy error");
+  }
+};
+
+// Remove a user's 2FA (lost device) and log them out everywhere; they
+// enrol again at the next login if their role requires it
+exports.resetUserTwoFactor = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: "Invalid user id" });
+    }
+    if (!(await User.exists({ _id: req.params.id }))) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    await twoFactor.disable(req.params.id);
+    await authSessions.revokeAllSessions(req.params.id, "revoked");
+    res.json({ message: "Two-factor authentication reset" });
+  } catch (error) {
+    sendServiceError(res, error, "Two-factor reset error");
+  }
+};
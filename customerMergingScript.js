@@ -5,12 +5,11 @@ const Invoice = require("./models/Invoice");
 const Payment = require("./models/payment");
 const Customer = require("./models/Customer");
 const CustomerProductSales = require("./models/CustomerProductSales");
+const { mergeCustomers } = require("./services/customerMerge");
 
 // Configuration
 const CONFIG = {
   BATCH_SIZE: 100, // Process 100 customers at a time
-  BULK_WRITE_BATCH_SIZE: 1000, // Bulk write operations in batches of 1000
-  PROGRESS_LOG_INTERVAL: 10, // Log progress every 10 customers
   USE_LEAN: true, // Use lean queries for better performance
   INDEX_CHECK: true, // Check and create indexes before processing
 };
@@ -21,34 +20,6 @@ const isSAPCustomer = (cardCode) => {
   return sapPattern.test(cardCode);
 };
 
-// Helper function to create progress logger
-const createProgressLogger = (total, itemName) => {
-  let processed = 0;
-  const startTime = Date.now();
-
-  return {
-    increment: (count = 1) => {
-      processed += count;
-      if (
-        processed % CONFIG.PROGRESS_LOG_INTERVAL === 0 ||
-        processed === total
-      ) {
-        const elapsed = (Date.now() - startTime) / 1000;
-        const rate = processed / elapsed;
-        const remaining = (total - processed) / rate;
-        console.log(
-          `  ${itemName}: ${processed}/${total} (${(
-            (processed / total) *
-            100
-          ).toFixed(1)}%) - Rate: ${rate.toFixed(
-            1
-          )}/s - ETA: ${remaining.toFixed(0)}s`
-        );
-      }
-    },
-  };
-};
-
 // Ensure indexes exist for optimal performance
 async function ensureIndexes() {
   console.log("Ensuring indexes for optimal performance...");
@@ -287,47 +258,6 @@ async function createSkippedCustomersReport(skippedCustomers) {
   return filepath;
 }
 
-// Bulk update documents
-async function bulkUpdateDocuments(Model, filter, updates, modelName) {
-  const totalCount = await Model.countDocuments(filter);
-  if (totalCount === 0) return 0;
-
-  console.log(`  Updating ${totalCount} ${modelName}...`);
-  const progress = createProgressLogger(totalCount, modelName);
-
-  let processed = 0;
-  const bulkOps = [];
-
-  // Use cursor for memory efficiency
-  const cursor = Model.find(filter, { _id: 1 }).lean().cursor();
-
-  for (let doc = await cursor.next(); doc != null; doc = await cursor.next()) {
-    bulkOps.push({
-      updateOne: {
-        filter: { _id: doc._id },
-        update: { $set: updates },
-      },
-    });
-
-    // Execute bulk operations in batches
-    if (bulkOps.length >= CONFIG.BULK_WRITE_BATCH_SIZE) {
-      await Model.bulkWrite(bulkOps, { ordered: false });
-      processed += bulkOps.length;
-      progress.increment(bulkOps.length);
-      bulkOps.length = 0; // Clear array
-    }
-  }
-
-  // Execute remaining operations
-  if (bulkOps.length > 0) {
-    await Model.bulkWrite(bulkOps, { ordered: false });
-    processed += bulkOps.length;
-    progress.increment(bulkOps.length);
-  }
-
-  return processed;
-}
-
 // Main optimized merge function
 async function mergeHistoricalToSAPCustomers() {
   try {
@@ -360,7 +290,7 @@ async function mergeHistoricalToSAPCustomers() {
       invoicesUpdated: 0,
       paymentsUpdated: 0,
       productSalesUpdated: 0,
-      customersDeleted: 0,
+      customersRetired: 0,
       errors: [],
       skippedSapDuplicates: skippedCustomers.sapDuplicates.reduce(
         (sum, group) => sum + group.customers.length,
@@ -399,50 +329,19 @@ async function mergeHistoricalToSAPCustomers() {
         );
 
         try {
-          const updateData = {
-            CardCode: sapCustomer.CardCode,
-            Historical: true,
-            mergedFrom: historicalCustomer.CardCode,
-            mergeDate: new Date(),
-          };
-
-          // Update Invoices
-          const invoicesUpdated = await bulkUpdateDocuments(
-            Invoice,
-            { CardCode: historicalCustomer.CardCode },
-            updateData,
-            "invoices"
-          );
-          mergeStats.invoicesUpdated += invoicesUpdated;
-
-          // Update Payments
-          const paymentsUpdated = await bulkUpdateDocuments(
-            Payment,
-            { CardCode: historicalCustomer.CardCode },
-            updateData,
-            "payments"
-          );
-          mergeStats.paymentsUpdated += paymentsUpdated;
-
-          // Update Customer Product Sales
-          const productSalesUpdateData = {
-            customerId: sapCustomer.CardCode,
-            Historical: true,
-            mergedFrom: historicalCustomer.CardCode,
-            mergeDate: new Date(),
-          };
-
-          const productSalesUpdated = await bulkUpdateDocuments(
-            CustomerProductSales,
-            { customerId: historicalCustomer.CardCode },
-            productSalesUpdateData,
-            "product sales"
+          // Through the merge service: every reference is rewired, the
+          // historical customer goes to the recycle bin and the merge can
+          // be undone from the CRM
+          const merge = await mergeCustomers(
+            sapCustomer._id,
+            historicalCustomer._id,
+            { reason: "Historical customer with the same name as SAP" }
           );
-          mergeStats.productSalesUpdated += productSalesUpdated;
-
-          // Delete historical customer
-          await Customer.deleteOne({ _id: historicalCustomer._id });
-          mergeStats.customersDeleted++;
+          const counts = merge.counts || {};
+          mergeStats.invoicesUpdated += counts.Invoice || 0;
+          mergeStats.paymentsUpdated += counts.Payment || 0;
+          mergeStats.productSalesUpdated += counts.CustomerProductSales || 0;
+          mergeStats.customersRetired++;
           mergeStats.totalMerged++;
 
           console.log(
@@ -477,7 +376,9 @@ async function mergeHistoricalToSAPCustomers() {
     console.log(`Invoices updated: ${mergeStats.invoicesUpdated}`);
     console.log(`Payments updated: ${mergeStats.paymentsUpdated}`);
     console.log(`Product Sales updated: ${mergeStats.productSalesUpdated}`);
-    console.log(`Historical customers deleted: ${mergeStats.customersDeleted}`);
+    console.log(
+      `Historical customers retired to the recycle bin: ${mergeStats.customersRetired}`
+    );
     console.log(
       `SAP customers skipped (duplicates): ${mergeStats.skippedSapDuplicates}`
     );
@@ -631,7 +532,7 @@ async function dryRunMerge() {
     console.log(
       `Total product sales to update: ${stats.productSales.toLocaleString()}`
     );
-    console.log(`Total historical customers to delete: ${mergePreview.length}`);
+    console.log(`Total historical customers to retire: ${mergePreview.length}`);
 
     // Show some examples of skipped customers
     if (skippedCustomers.sapDuplicates.length > 0) {
@@ -727,7 +628,6 @@ module.exports = {
 //
 // // Adjust configuration if needed
 // CONFIG.BATCH_SIZE = 50; // Process 50 customers at a time
-// CONFIG.BULK_WRITE_BATCH_SIZE = 500; // Smaller bulk writes for lower memory usage
 //
 // // First check collection statistics
 // await getCollectionStats();
@@ -0,0 +1,57 @@
+const cron = require("node-cron");
+const { runDunning } = require("../services/dunning");
+
+// Every weekday at 08:00 unless overridden
+const DUNNING_CRON = process.env.DUNNING_CRON || "0 8 * * 1-5";
+// Until DUNNING_ENABLED=true the job only logs what it would do, so the
+// escalations can be reviewed (and legacy invoices fixed) before anything
+// is sent
+const DUNNING_ENABLED = process.env.DUNNING_ENABLED === "true";
+
+let running = false;
+
+/**
+ * Escalate customers through the dunning sequence as their invoices age.
+ * Skips the run if the previous one is still busy.
+ * @returns {Promise<Object|null>} Stats or null when skipped
+ */
+async function runDunningJob() {
+  if (running) {
+    console.log("Dunning job still in progress, skipping");
+    return null;
+  }
+
+  running = true;
+  try {
+    const { actions, ...stats } = await runDunning({
+      dryRun: !DUNNING_ENABLED,
+    });
+    if (DUNNING_ENABLED) {
+      console.log("Dunning job completed:", JSON.stringify(stats));
+    } else {
+      console.log(
+        "Dunning job dry run (set DUNNING_ENABLED=true to send):",
+        JSON.stringify(stats),
+        JSON.stringify(actions)
+      );
+    }
+    return { ...stats, actions };
+  } catch (error) {
+    console.error("Error running dunning job:", error);
+    return null;
+  } finally {
+    running = false;
+  }
+}
+
+cron.schedule(DUNNING_CRON, runDunningJob);
+
+console.log(
+  `Dunning job scheduled with cron expression: ${DUNNING_CRON}${
+    DUNNING_ENABLED ? "" : " (dry run)"
+  }`
+);
+
+module.exports = {
+  runDunningJob,
+};
@@ -0,0 +1,42 @@
+const cron = require("node-cron");
+const { scanDuplicates } = require("../services/duplicateDetection");
+
+// Every day at 04:00 unless overridden, after the recycle bin purge
+const DUPLICATE_SCAN_CRON = process.env.DUPLICATE_SCAN_CRON || "0 4 * * *";
+
+let running = false;
+
+/**
+ * Compare all customers and refresh the duplicate review queue.
+ * Skips the run if the previous one is still busy.
+ * @returns {Promise<Object|null>} Scan stats or null when skipped
+ */
+async function runDuplicateDetectionJob() {
+  if (running) {
+    console.log("Duplicate customer scan still in progress, skipping");
+    return null;
+  }
+
+  running = true;
+  try {
+    const stats = await scanDuplicates();
+    console.log("Duplicate customer scan completed:", JSON.stringify(stats));
+    return stats;
+  } catch (error) {
+    console.error("Error scanning for duplicate customers:", error);
+    return null;
+  } finally {
+    running = false;
+  }
+}
+
+cron.schedule(DUPLICATE_SCAN_CRON, runDuplicateDetectionJob);
+
+console.log(
+  "Duplicate customer scan scheduled with cron expression: " +
+    DUPLICATE_SCAN_CRON
+);
+
+module.exports = {
+  runDuplicateDetectionJob,
+};
@@ -0,0 +1,67 @@
+const cron = require("node-cron");
+const mongoose = require("mongoose");
+const Customer = require("../models/Customer");
+const Lead = require("../models/Lead");
+const CallData = require("../models/CallData");
+
+// Every day at 02:30 unless overridden
+const PHONE_NORMALIZATION_CRON =
+  process.env.PHONE_NORMALIZATION_CRON || "30 2 * * *";
+
+// Records without their E.164 fields yet: written before the fields existed
+// or straight to the collection
+const MISSING = [
+  [Customer, { phonesE164: { $exists: false } }],
+  [Lead, { phoneE164: { $exists: false } }],
+  [CallData, { fromE164: { $exists: false } }],
+];
+
+let running = false;
+
+/**
+ * Fill the E.164 phone fields of the customers, leads and calls missing
+ * them, so lookups by number (e.g. a customer's call history) find them
+ * without waiting for migratePhoneNumbers.js.
+ * Skips the run if the previous one is still busy.
+ * @returns {Promise<Object|null>} Updated records per model or null when
+ *   skipped
+ */
+async function runPhoneNormalizationJob() {
+  if (running) {
+    console.log("Phone number backfill still in progress, skipping");
+    return null;
+  }
+
+  running = true;
+  try {
+    const updated = {};
+    for (const [model, filter] of MISSING) {
+      updated[model.modelName] = await model.refreshPhoneNumbers(filter);
+    }
+    console.log("Phone number backfill completed:", JSON.stringify(updated));
+    return updated;
+  } catch (error) {
+    console.error("Error backfilling phone numbers:", error);
+    return null;
+  } finally {
+    running = false;
+  }
+}
+
+// Once at startup, then on schedule
+if (mongoose.connection.readyState === 1) {
+  runPhoneNormalizationJob();
+} else {
+  mongoose.connection.once("open", runPhoneNormalizationJob);
+}
+
+cron.schedule(PHONE_NORMALIZATION_CRON, runPhoneNormalizationJob);
+
+console.log(
+  "Phone number backfill scheduled with cron expression: " +
+    PHONE_NORMALIZATION_CRON
+);
+
+module.exports = {
+  runPhoneNormalizationJob,
+};
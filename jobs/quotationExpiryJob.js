@@ -0,0 +1,42 @@
+const cron = require("node-cron");
+const { runQuotationExpiry } = require("../services/quotationExpiry");
+
+// Every day at 07:00 unless overridden
+const QUOTATION_EXPIRY_CRON = process.env.QUOTATION_EXPIRY_CRON || "0 7 * * *";
+
+let running = false;
+
+/**
+ * Expire quotations past their validity date, open follow-up tasks and send
+ * the customer reminders for quotations about to expire.
+ * Skips the run if the previous one is still busy.
+ * @returns {Promise<Object|null>} Stats per step or null when skipped
+ */
+async function runQuotationExpiryJob() {
+  if (running) {
+    console.log("Quotation expiry job still in progress, skipping");
+    return null;
+  }
+
+  running = true;
+  try {
+    const stats = await runQuotationExpiry();
+    console.log("Quotation expiry job completed:", JSON.stringify(stats));
+    return stats;
+  } catch (error) {
+    console.error("Error running quotation expiry job:", error);
+    return null;
+  } finally {
+    running = false;
+  }
+}
+
+cron.schedule(QUOTATION_EXPIRY_CRON, runQuotationExpiryJob);
+
+console.log(
+  `Quotation expiry job scheduled with cron expression: ${QUOTATION_EXPIRY_CRON}`
+);
+
+module.exports = {
+  runQuotationExpiryJob,
+};
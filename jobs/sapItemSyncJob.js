@@ -0,0 +1,39 @@
+const cron = require("node-cron");
+const { runItemSync } = require("../services/sapItemSync");
+
+// Every 30 minutes unless overridden
+const SAP_ITEM_SYNC_CRON = process.env.SAP_ITEM_SYNC_CRON || "*/30 * * * *";
+
+let running = false;
+
+/**
+ * Pull item master data, prices and stock levels from SAP once.
+ * Skips the run if the previous one is still busy.
+ * @returns {Promise<Object|null>} Stats per step or null when skipped
+ */
+async function runSapItemSync() {
+  if (running) {
+    console.log("SAP item sync still in progress, skipping");
+    return null;
+  }
+
+  running = true;
+  try {
+    const stats = await runItemSync();
+    console.log("SAP item sync completed:", JSON.stringify(stats));
+    return stats;
+  } catch (error) {
+    console.error("Error running SAP item sync:", error);
+    return null;
+  } finally {
+    running = false;
+  }
+}
+
+cron.schedule(SAP_ITEM_SYNC_CRON, runSapItemSync);
+
+console.log(`SAP item sync scheduled with cron expression: ${SAP_ITEM_SYNC_CRON}`);
+
+module.exports = {
+  runSapItemSync,
+};
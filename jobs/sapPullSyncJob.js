@@ -0,0 +1,39 @@
+const cron = require("node-cron");
+const { runPullSync } = require("../services/sapPullSync");
+
+// Every 15 minutes unless overridden
+const SAP_PULL_CRON = process.env.SAP_PULL_CRON || "*/15 * * * *";
+
+let running = false;
+
+/**
+ * Pull invoices, credit notes and incoming payments from SAP once.
+ * Skips the run if the previous one is still busy.
+ * @returns {Promise<Object|null>} Stats per document type or null when skipped
+ */
+async function runSapPullSync() {
+  if (running) {
+    console.log("SAP pull sync still in progress, skipping");
+    return null;
+  }
+
+  running = true;
+  try {
+    const stats = await runPullSync();
+    console.log("SAP pull sync completed:", JSON.stringify(stats));
+    return stats;
+  } catch (error) {
+    console.error("Error running SAP pull sync:", error);
+    return null;
+  } finally {
+    running = false;
+  }
+}
+
+cron.schedule(SAP_PULL_CRON, runSapPullSync);
+
+console.log(`SAP pull sync scheduled with cron expression: ${SAP_PULL_CRON}`);
+
+module.exports = {
+  runSapPullSync,
+};
@@ -0,0 +1,42 @@
+const cron = require("node-cron");
+const { processDueJobs } = require("../services/sapSyncQueue");
+
+let running = false;
+
+/**
+ * Process the SAP outbox once. Skips the run if the previous one is still busy.
+ * @returns {Promise<Object|null>} Summary of the run or null when skipped
+ */
+async function runSapSyncQueue() {
+  if (running) {
+    console.log("SAP sync queue run still in progress, skipping");
+    return null;
+  }
+
+  running = true;
+  try {
+    const summary = await processDueJobs();
+    if (summary.processed > 0 || summary.released > 0) {
+      console.log(
+        `SAP sync queue: processed ${summary.processed}, ` +
+          `succeeded ${summary.succeeded}, failed ${summary.failed}, ` +
+          `released ${summary.released}`
+      );
+    }
+    return summary;
+  } catch (error) {
+    console.error("Error processing SAP sync queue:", error);
+    return null;
+  } finally {
+    running = false;
+  }
+}
+
+// Check the outbox every minute
+cron.schedule("* * * * *", runSapSyncQueue);
+
+console.log("SAP sync queue worker initialized");
+
+module.exports = {
+  runSapSyncQueue,
+};
@@ -0,0 +1,44 @@
+const cron = require("node-cron");
+const { purgeExpired, RETENTION_DAYS } = require("../services/recycleBin");
+
+// Every day at 03:00 unless overridden
+const SOFT_DELETE_PURGE_CRON =
+  process.env.SOFT_DELETE_PURGE_CRON || "0 3 * * *";
+
+let running = false;
+
+/**
+ * Permanently delete the customers, leads, deals and tasks that stayed in
+ * the recycle bin longer than SOFT_DELETE_RETENTION_DAYS.
+ * Skips the run if the previous one is still busy.
+ * @returns {Promise<Object|null>} Purged count per type or null when skipped
+ */
+async function runSoftDeletePurgeJob() {
+  if (running) {
+    console.log("Recycle bin purge still in progress, skipping");
+    return null;
+  }
+
+  running = true;
+  try {
+    const purged = await purgeExpired();
+    console.log("Recycle bin purge completed:", JSON.stringify(purged));
+    return purged;
+  } catch (error) {
+    console.error("Error purging the recycle bin:", error);
+    return null;
+  } finally {
+    running = false;
+  }
+}
+
+cron.schedule(SOFT_DELETE_PURGE_CRON, runSoftDeletePurgeJob);
+
+console.log(
+  "Recycle bin purge scheduled with cron expression: " +
+    `${SOFT_DELETE_PURGE_CRON} (retention ${RETENTION_DAYS} days)`
+);
+
+module.exports = {
+  runSoftDeletePurgeJob,
+};
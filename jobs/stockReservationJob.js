@@ -0,0 +1,35 @@
+const cron = require("node-cron");
+const { releaseExpiredReservations } = require("../services/stockAvailability");
+
+// Every hour unless overridden
+const STOCK_RESERVATION_CRON =
+  process.env.STOCK_RESERVATION_CRON || "0 * * * *";
+
+/**
+ * Remove soft reservations of quotations that were not converted in time.
+ * Expired reservations are already ignored by the availability check; this
+ * only keeps the item documents small.
+ * @returns {Promise<Number>} Number of items cleaned up
+ */
+async function cleanupExpiredReservations() {
+  try {
+    const released = await releaseExpiredReservations();
+    if (released) {
+      console.log(`Released expired stock reservations on ${released} items`);
+    }
+    return released;
+  } catch (error) {
+    console.error("Error releasing expired stock reservations:", error);
+    return 0;
+  }
+}
+
+cron.schedule(STOCK_RESERVATION_CRON, cleanupExpiredReservations);
+
+console.log(
+  `Stock reservation cleanup scheduled with cron expression: ${STOCK_RESERVATION_CRON}`
+);
+
+module.exports = {
+  cleanupExpiredReservations,
+};
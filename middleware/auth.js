@@ -1,45 +1,105 @@
-const jwt = require("jsonwebtoken");
 const User = require("../models/User");
+const permissions = require("../services/permissions");
+const authSessions = require("../services/authSessions");
+const twoFactor = require("../services/twoFactor");
+
+// Verify token middleware: a valid access token whose session is still open.
+// Users whose role requires two-factor authentication must enrol first;
+// until then only routes using authForTwoFactorSetup let them through.
+const authenticate = (options = {}) => {
+  const middleware = async (req, res, next) => {
+    try {
+      const token = req.header("Authorization")?.replace("Bearer ", "");
+
+      if (!token) {
+        return res.status(401).json({ message: "Authentication required" });
+      }
 
-// Environment variables should be properly set up
-const JWT_SECRET = process.env.JWT_SECRET || "your_secret_key";
+      const decoded = authSessions.verifyAccessToken(token);
+      if (!decoded.sid || !(await authSessions.isSessionActive(decoded.sid))) {
+        return res.status(401).json({ message: "Session expired or revoked" });
+      }
 
-// Verify token middleware
-const auth = async (req, res, next) => {
-  try {
-    const token = req.header("Authorization")?.replace("Bearer ", "");
+      const user = await User.findOne({
+        _id: decoded.userId,
+        deactivated: false,
+      });
 
-    if (!token) {
-      return res.status(401).json({ message: "Authentication required" });
-    }
+      if (!user) {
+        return res
+          .status(401)
+          .json({ message: "User not found or deactivated" });
+      }
+
+      if (!options.allowTwoFactorSetup && (await twoFactor.mustEnrol(user))) {
+        return res.status(403).json({
+          message: "Two-factor authentication must be set up first",
+          code: "TWO_FACTOR_SETUP_REQUIRED",
+        });
+      }
 
-    const decoded = jwt.verify(token, JWT_SECRET);
-    const user = await User.findOne({
-      _id: decoded.userId,
-      deactivated: false,
-    });
+      req.token = token;
+      req.sessionId = decoded.sid;
+      req.user = user;
 
-    if (!user) {
-      return res.status(401).json({ message: "User not found or deactivated" });
+      next();
+    } catch (error) {
+      res
+        .status(401)
+        .json({ message: "Authentication failed", error: error.message });
     }
+  };
+  // Read by the route audit (services/routeAudit.js)
+  middleware.authenticates = true;
+  return middleware;
+};
 
-    req.token = token;
-    req.user = user;
+const auth = authenticate();
+const authForTwoFactorSetup = authenticate({ allowTwoFactorSetup: true });
 
-  //console.log("User authenticated: ", user);
-    next();
-  } catch (error) {
-    res
-      .status(401)
-      .json({ message: "Authentication failed", error: error.message });
-  }
-};
+// Require every listed permission ("resource:action", see
+// config/permissions.js)
+const authorize = (...required) => {
+  const middleware = async (req, res, next) => {
+    try {
+      if (!req.user) {
+        return res.status(401).json({ message: "Authentication required" });
+      }
 
+      for (const permission of required) {
+        if (!(await permissions.hasPermission(req.user, permission))) {
+          return res.status(403).json({
+            message:
+              "Access denied. You don't have permission to perform this action",
+            permission,
+          });
+        }
+      }
 
+      next();
+    } catch (error) {
+      return res
+        .status(500)
+        .json({ message: "Server error", error: error.message });
+    }
+  };
+  // Read by the route audit (services/routeAudit.js)
+  middleware.permissions = required;
+  return middleware;
+};
+
+// Mark a route as deliberately reachable without a token (login, signed
+// webhooks, public catalogue). The route audit rejects routes that neither
+// use auth nor carry this marker.
+const publicRoute = (reason) => {
+  const middleware = (req, res, next) => next();
+  middleware.publicReason = reason;
+  return middleware;
+};
 
-// Check role middleware
+// Check role middleware (prefer authorize())
 const checkRole = (roles) => {
-  return (req, res, next) => {
+  const middleware = (req, res, next) => {
     if (!req.user) {
       return res.status(401).json({ message: "Authentication required" });
     }
@@ -53,46 +113,35 @@ const checkRole = (roles) => {
 
     next();
   };
+  middleware.roles = roles;
+  return middleware;
 };
 
-// Check if user can manage a specific user
-// Admin can manage all users
-// Sales manager can only manage sales agents created by them
+// Check if user can manage a specific user: user:manage on an account in
+// the user's scope (their team with scope:team, anyone with scope:all)
 const canManageUser = async (req, res, next) => {
   try {
     if (!req.user) {
       return res.status(401).json({ message: "Authentication required" });
     }
 
-    const targetUserId = req.params.id;
-
-    // Admin can manage all users
-    if (req.user.role === "admin") {
-      return next();
+    if (!(await permissions.hasPermission(req.user, "user:manage"))) {
+      return res.status(403).json({ message: "Access denied" });
     }
 
-    // Sales manager can only manage sales agents they created
-    if (req.user.role === "sales_manager") {
-      const targetUser = await User.findById(targetUserId);
-
-      if (!targetUser) {
-        return res.status(404).json({ message: "User not found" });
-      }
+    const targetUser = await User.findById(req.params.id).select("_id");
 
-      if (
-        targetUser.role !== "sales_agent" ||
-        targetUser.createdBy.toString() !== req.user._id.toString()
-      ) {
-        return res
-          .status(403)
-          .json({ message: "You can only manage sales agents you created" });
-      }
+    if (!targetUser) {
+      return res.status(404).json({ message: "User not found" });
+    }
 
-      return next();
+    if (!(await permissions.canAccessOwner(req.user, targetUser._id))) {
+      return res
+        .status(403)
+        .json({ message: "You can only manage users of your team" });
     }
 
-    // Sales agents cannot manage other users
-    return res.status(403).json({ message: "Access denied" });
+    return next();
   } catch (error) {
     return res
       .status(500)
@@ -100,41 +149,33 @@ const canManageUser = async (req, res, next) => {
   }
 };
 
-// Check if user can manage a specific customer
+// Check if user can manage a specific customer: customer:update on a
+// customer assigned to someone in the user's scope
 const canManageCustomer = async (req, res, next) => {
   try {
     if (!req.user) {
       return res.status(401).json({ message: "Authentication required" });
     }
 
-    const customerId = req.params.id;
-
-    // Admin and sales manager can manage all customers
-    if (["admin", "sales_manager"].includes(req.user.role)) {
-      return next();
+    if (!(await permissions.hasPermission(req.user, "customer:update"))) {
+      return res.status(403).json({ message: "Access denied" });
     }
 
-    // Sales agent can only manage assigned customers
-    if (req.user.role === "sales_agent") {
-      const customer = await require("../models/Customer").findById(customerId);
-
-      if (!customer) {
-        return res.status(404).json({ message: "Customer not found" });
-      }
+    const customer = await require("../models/Customer")
+      .findById(req.params.id)
+      .select("assignedTo");
 
-      if (
-        !customer.assignedTo ||
-        customer.assignedTo.toString() !== req.user._id.toString()
-      ) {
-        return res
-          .status(403)
-          .json({ message: "You can only manage customers assigned to you" });
-      }
+    if (!customer) {
+      return res.status(404).json({ message: "Customer not found" });
+    }
 
-      return next();
+    if (!(await permissions.canAccessOwner(req.user, customer.assignedTo))) {
+      return res
+        .status(403)
+        .json({ message: "You can only manage customers of your team" });
     }
 
-    return res.status(403).json({ message: "Access denied" });
+    return next();
   } catch (error) {
     return res
       .status(500)
@@ -157,6 +198,9 @@ const updateLastLogin = async (req, res, next) => {
 
 module.exports = {
   auth,
+  authForTwoFactorSetup,
+  authorize,
+  publicRoute,
   checkRole,
   canManageUser,
   canManageCustomer,
@@ -0,0 +1,43 @@
+// middleware/requestContext.js
+// Makes the current request reachable from code that has no access to req,
+// such as Mongoose middleware (see services/auditTrail.js).
+const crypto = require("crypto");
+const { AsyncLocalStorage } = require("async_hooks");
+
+const storage = new AsyncLocalStorage();
+
+// Mount before the routes. Each request gets an id, taken from the
+// X-Request-Id header when a proxy already set one, and echoed back.
+const requestContext = (req, res, next) => {
+  const requestId =
+    String(req.get("X-Request-Id") || "").slice(0, 100) || crypto.randomUUID();
+  req.requestId = requestId;
+  res.set("X-Request-Id", requestId);
+  storage.run({ requestId, req }, next);
+};
+
+/**
+ * Details of the request being handled, or null outside a request.
+ * The user is read when called, so it is set once auth has run.
+ * @returns {Object|null} { requestId, user, ip, userAgent, method, path }
+ */
+function getRequestContext() {
+  const store = storage.getStore();
+  if (!store) {
+    return null;
+  }
+  const { req } = store;
+  return {
+    requestId: store.requestId,
+    user: req.user || null,
+    ip: req.ip,
+    userAgent: req.get("User-Agent"),
+    method: req.method,
+    path: req.originalUrl.split("?")[0],
+  };
+}
+
+module.exports = {
+  requestContext,
+  getRequestContext,
+};
@@ -0,0 +1,47 @@
+require("dotenv").config();
+const mongoose = require("mongoose");
+const Customer = require("./models/Customer");
+const Lead = require("./models/Lead");
+const CallData = require("./models/CallData");
+
+/**
+ * Fill the E.164 phone fields (services/phoneNormalization.js) of existing
+ * customers, leads and calls. The phone numbers as entered are kept; safe
+ * to run again, only records whose E.164 fields are out of date are written.
+ * @returns {Promise<Object>} Updated records per model
+ */
+async function normalizePhoneNumbers() {
+  const updated = {};
+
+  for (const model of [Customer, Lead, CallData]) {
+    // Index the E.164 fields before filling them
+    await model.createIndexes();
+    updated[model.modelName] = await model.refreshPhoneNumbers();
+    console.log(
+      `${model.modelName}: ${updated[model.modelName]} records normalized`
+    );
+  }
+
+  return updated;
+}
+
+// Execute if this file is run directly: node migratePhoneNumbers.js
+if (require.main === module) {
+  const MONGO_URI =
+    process.env.MONGO_URI || "mongodb://127.0.0.1:27017/salesHalal";
+
+  mongoose
+    .connect(MONGO_URI)
+    .then(normalizePhoneNumbers)
+    .then(() => {
+      console.log("Phone number migration completed successfully");
+      return mongoose.connection.close();
+    })
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error("Phone number migration failed:", error);
+      process.exit(1);
+    });
+}
+
+module.exports = { normalizePhoneNumbers };
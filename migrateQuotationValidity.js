@@ -0,0 +1,64 @@
+require("dotenv").config();
+const mongoose = require("mongoose");
+const Quotation = require("./models/Quotation");
+const { defaultValidUntil } = require("./services/quotationExpiry");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Give open quotations created before validity dates were enforced, whose
+ * DocDueDate defaulted to their creation day, the default validity counted
+ * from their creation, so the expiry job does not expire them at once. Run
+ * once before enabling the expiry job; later quotations carry the validity
+ * the agent chose and are left alone.
+ * @returns {Promise<Object>} { backfilled }
+ */
+async function backfillValidityDates() {
+  const quotations = await Quotation.find({
+    IsActive: true,
+    ConvertedToOrderDocEntry: { $exists: false },
+    ExpiredAt: { $exists: false },
+    DocDueDate: { $exists: true, $ne: null },
+    $expr: {
+      $lt: [
+        "$DocDueDate",
+        { $add: [{ $ifNull: ["$createdAt", "$DocDate"] }, DAY_MS] },
+      ],
+    },
+  }).select("createdAt DocDate");
+
+  let backfilled = 0;
+  for (const quotation of quotations) {
+    const createdAt = quotation.createdAt || quotation.DocDate;
+    if (!createdAt) continue;
+    await Quotation.updateOne(
+      { _id: quotation._id },
+      { $set: { DocDueDate: defaultValidUntil(createdAt) } }
+    );
+    backfilled += 1;
+  }
+
+  console.log(`${backfilled} quotation validity dates backfilled`);
+  return { backfilled };
+}
+
+// Execute if this file is run directly: node migrateQuotationValidity.js
+if (require.main === module) {
+  const MONGO_URI =
+    process.env.MONGO_URI || "mongodb://127.0.0.1:27017/salesHalal";
+
+  mongoose
+    .connect(MONGO_URI)
+    .then(backfillValidityDates)
+    .then(() => {
+      console.log("Quotation validity migration completed successfully");
+      return mongoose.connection.close();
+    })
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error("Quotation validity migration failed:", error);
+      process.exit(1);
+    });
+}
+
+module.exports = { backfillValidityDates };
@@ -0,0 +1,71 @@
+// models/AdyenNotification.js
+const mongoose = require("mongoose");
+const Schema = mongoose.Schema;
+
+// One Adyen webhook event (NotificationRequestItem) as received
+const AdyenNotificationSchema = new Schema(
+  {
+    pspReference: {
+      type: String,
+      required: true,
+    },
+    originalReference: String,
+    eventCode: {
+      type: String,
+      required: true,
+    },
+    success: {
+      type: Boolean,
+      default: false,
+    },
+    merchantAccountCode: String,
+    merchantReference: String,
+    paymentLinkId: String,
+    paymentMethod: String,
+    reason: String,
+    amount: {
+      value: Number, // Minor units, as sent by Adyen
+      currency: String,
+    },
+    eventDate: Date,
+    live: Boolean,
+    // Document the event was matched to
+    documentType: {
+      type: String,
+      enum: ["SalesOrder", "Quotation"],
+    },
+    documentEntry: Number,
+    DocNum: Number,
+    paymentStatus: String,
+    status: {
+      type: String,
+      enum: ["processed", "unmatched", "failed"],
+      default: "processed",
+    },
+    error: String,
+    sapSync: {
+      triggered: {
+        type: Boolean,
+        default: false,
+      },
+      success: Boolean,
+      error: String,
+    },
+    payload: Schema.Types.Mixed,
+  },
+  {
+    timestamps: true,
+    collection: "AdyenNotifications",
+  }
+);
+
+// Indexes
+// Adyen retries deliveries; the same event is only recorded once
+AdyenNotificationSchema.index(
+  { pspReference: 1, eventCode: 1, success: 1 },
+  { unique: true }
+);
+AdyenNotificationSchema.index({ documentType: 1, documentEntry: 1 });
+AdyenNotificationSchema.index({ merchantReference: 1 });
+
+module.exports = mongoose.model("AdyenNotification", AdyenNotificationSchema);
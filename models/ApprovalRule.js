@@ -0,0 +1,64 @@
+// models/ApprovalRule.js
+const mongoose = require("mongoose");
+const Schema = mongoose.Schema;
+
+// Threshold that sends a quotation for approval instead of auto-approving it
+const ApprovalRuleSchema = new Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Rule name is required"],
+      trim: true,
+    },
+    description: {
+      type: String,
+      trim: true,
+    },
+    // What the rule looks at:
+    //  - line_discount_percent: highest discount of a line against its
+    //    resolved price (or its DiscountPercent)
+    //  - total_margin_percent: gross margin of the whole quotation
+    //  - doc_total: quotation total excluding VAT
+    //  - below_margin_floor: any line under the pricing margin floor
+    metric: {
+      type: String,
+      enum: [
+        "line_discount_percent",
+        "total_margin_percent",
+        "doc_total",
+        "below_margin_floor",
+      ],
+      required: true,
+    },
+    operator: {
+      type: String,
+      enum: ["gt", "gte", "lt", "lte"],
+      default: "gt",
+    },
+    threshold: {
+      type: Number,
+      default: 0,
+    },
+    // Who approves when the rule fires: the agent's manager (falls back to
+    // an admin when the agent has none) or an admin
+    approverRole: {
+      type: String,
+      enum: ["manager", "admin"],
+      default: "manager",
+    },
+    active: {
+      type: Boolean,
+      default: true,
+    },
+    createdBy: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+    collection: "ApprovalRules",
+  }
+);
+
+module.exports = mongoose.model("ApprovalRule", ApprovalRuleSchema);
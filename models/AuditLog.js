@@ -0,0 +1,59 @@
+// models/AuditLog.js
+const mongoose = require("mongoose");
+const Schema = mongoose.Schema;
+
+// One create, update or delete of an audited record (see
+// services/auditTrail.js), with the fields that changed and who changed them
+const AuditLogSchema = new Schema(
+  {
+    entity: {
+      type: String,
+      required: true,
+    },
+    entityId: {
+      type: Schema.Types.ObjectId,
+      required: true,
+    },
+    action: {
+      type: String,
+      enum: ["create", "update", "delete"],
+      required: true,
+    },
+    changes: [
+      {
+        _id: false,
+        path: String,
+        before: Schema.Types.Mixed,
+        after: Schema.Types.Mixed,
+      },
+    ],
+    // Null for changes made outside a request (cron jobs, SAP sync)
+    actor: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      index: true,
+    },
+    source: {
+      type: String,
+      enum: ["api", "system"],
+      default: "system",
+    },
+    requestId: {
+      type: String,
+      index: true,
+    },
+    method: String,
+    path: String,
+    ip: String,
+    userAgent: String,
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+    collection: "AuditLogs",
+  }
+);
+
+AuditLogSchema.index({ entity: 1, entityId: 1, createdAt: -1 });
+AuditLogSchema.index({ createdAt: -1 });
+
+module.exports = mongoose.model("AuditLog", AuditLogSchema);
@@ -1,4 +1,7 @@
 const mongoose = require("mongoose");
+const {
+  phoneNormalizationPlugin,
+} = require("../services/phoneNormalization");
 
 const callDataSchema = new mongoose.Schema(
   {
@@ -67,6 +70,12 @@ const callDataSchema = new mongoose.Schema(
   }
 );
 
+// fromE164 / toE164: the call's numbers in E.164, matched against
+// Customer.phonesE164 and Lead.phoneE164
+callDataSchema.plugin(phoneNormalizationPlugin, {
+  fields: { fromE164: ["fromNumber"], toE164: ["toNumber"] },
+});
+
 const CallData = mongoose.model("CallData", callDataSchema);
 
 module.exports = CallData;
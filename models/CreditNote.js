@@ -0,0 +1,15 @@
+const mongoose = require("mongoose");
+const Invoice = require("./Invoice");
+
+// A/R credit notes pulled from SAP (services/sapPullSync.js). Same document
+// layout as invoices but their own DocEntry sequence, so they are kept out
+// of the Invoices collection and its readers.
+const creditNoteSchema = Invoice.schema.clone();
+
+const CreditNote = mongoose.model(
+  "CreditNote",
+  creditNoteSchema,
+  "CreditNotes"
+);
+
+module.exports = CreditNote;
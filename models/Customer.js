@@ -1,5 +1,10 @@
 const mongoose = require("mongoose");
 const Schema = mongoose.Schema;
+const { auditTrailPlugin } = require("../services/auditTrail");
+const { softDeletePlugin } = require("../services/softDelete");
+const {
+  phoneNormalizationPlugin,
+} = require("../services/phoneNormalization");
 
 const CustomerSchema = new Schema({
   // SAP Data
@@ -70,6 +75,11 @@ const CustomerSchema = new Schema({
     enum: ["active", "inactive", "lead", "prospect"],
     default: "active",
   },
+  // Set once merged into another customer (services/customerMerge.js)
+  mergedInto: {
+    type: Schema.Types.ObjectId,
+    ref: "Customer",
+  },
   marketingStatus: {
     type: String,
     enum: ["marketing-contact", "non-marketing-contact", "unsubscribed"],
@@ -88,6 +98,11 @@ const CustomerSchema = new Schema({
     type: String,
     trim: true,
   },
+  // SIRET, SIREN or VAT number (SAP business partner FederalTaxID)
+  FederalTaxID: {
+    type: String,
+    trim: true,
+  },
   lastActivityDate: {
     type: Date,
   },
@@ -114,6 +129,76 @@ const CustomerSchema = new Schema({
     type: Number,
     default: 0,
   },
+  // No automatic quotation expiry reminders to this customer
+  quotationRemindersOptOut: {
+    type: Boolean,
+    default: false,
+  },
+  // Dunning: highest step reached for the current overdue invoices (0 when
+  // nothing is overdue) and the actions taken
+  dunning: {
+    level: {
+      type: Number,
+      default: 0,
+    },
+    daysOverdue: Number,
+    amountOverdue: Number,
+    lastRunAt: Date,
+    exempt: {
+      type: Boolean,
+      default: false,
+    },
+    history: [
+      {
+        level: Number,
+        stepName: String,
+        daysOverdue: Number,
+        amountOverdue: Number,
+        emailSentTo: String,
+        task: {
+          type: Schema.Types.ObjectId,
+          ref: "Task",
+        },
+        creditHold: Boolean,
+        error: String,
+        at: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
+  },
+  // Credit limit (null: no limit); synced from the SAP business partner
+  // unless set by hand in the CRM
+  creditLimit: {
+    type: Number,
+    default: null,
+  },
+  creditLimitSource: {
+    type: String,
+    enum: ["sap", "manual"],
+  },
+  creditLimitUpdatedAt: Date,
+  // Credit hold: new orders need a credit approval while set
+  creditHold: {
+    type: Boolean,
+    default: false,
+  },
+  creditHoldReason: String,
+  creditHoldSince: Date,
+  // Holds placed by dunning are lifted automatically once paid
+  creditHoldSource: {
+    type: String,
+    enum: ["dunning", "manual"],
+  },
+  // Pricing (mirrors the SAP business partner)
+  PriceListNum: {
+    type: Number,
+  },
+  DiscountPercent: {
+    type: Number,
+    default: 0,
+  },
   // NEW SAP SYNC FIELDS
   // SAP Integration Status
   SyncedWithSAP: {
@@ -154,5 +239,16 @@ CustomerSchema.index({
   company: "text",
 });
 
+// Deleted customers go to the recycle bin first
+CustomerSchema.plugin(softDeletePlugin);
+
+// phonesE164: every phone number in E.164, for lookups by number
+CustomerSchema.plugin(phoneNormalizationPlugin, {
+  fields: { phonesE164: ["phoneNumber", "additionalPhoneNumbers"] },
+});
+
+// Record every change in AuditLogs
+CustomerSchema.plugin(auditTrailPlugin, { entity: "Customer" });
+
 const Customer = mongoose.model("Customer", CustomerSchema);
 module.exports = Customer;
@@ -0,0 +1,64 @@
+// models/CustomerDuplicate.js
+const mongoose = require("mongoose");
+const Schema = mongoose.Schema;
+
+// A pair of customers that look like duplicates, found by
+// services/duplicateDetection.js, and the reviewer's decision on it.
+// customerA is always the lower id so a pair is stored once.
+const CustomerDuplicateSchema = new Schema(
+  {
+    customerA: {
+      type: Schema.Types.ObjectId,
+      ref: "Customer",
+      required: true,
+    },
+    customerB: {
+      type: Schema.Types.ObjectId,
+      ref: "Customer",
+      required: true,
+    },
+    // 0 to 1, higher is more likely a duplicate
+    score: {
+      type: Number,
+      index: true,
+    },
+    // What matched, e.g. { rule: "phone", value: "612345678", weight: 0.35 }
+    reasons: [
+      {
+        _id: false,
+        rule: String,
+        value: String,
+        weight: Number,
+      },
+    ],
+    // Dismissed and accepted pairs are never reopened by a scan
+    status: {
+      type: String,
+      enum: ["open", "accepted", "dismissed"],
+      default: "open",
+      index: true,
+    },
+    decidedBy: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+    },
+    decidedAt: Date,
+    decisionNote: String,
+    // Merge made when the pair was accepted, if any
+    merge: {
+      type: Schema.Types.ObjectId,
+      ref: "CustomerMerge",
+    },
+    lastDetectedAt: Date,
+  },
+  {
+    timestamps: true,
+    collection: "CustomerDuplicates",
+  }
+);
+
+CustomerDuplicateSchema.index({ customerA: 1, customerB: 1 }, { unique: true });
+CustomerDuplicateSchema.index({ customerB: 1 });
+CustomerDuplicateSchema.index({ status: 1, score: -1 });
+
+module.exports = mongoose.model("CustomerDuplicate", CustomerDuplicateSchema);
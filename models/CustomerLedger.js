@@ -16,6 +16,10 @@ const customerLedgerSchema = new mongoose.Schema(
     description: String,
     isBalanceForward: { type: Boolean, default: false },
     relatedInvoiceId: { type: mongoose.Schema.Types.ObjectId, ref: "Invoice" },
+    relatedCreditNoteId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "CreditNote",
+    },
     relatedPaymentId: { type: mongoose.Schema.Types.ObjectId, ref: "Payment" },
     dateStored: { type: Date, default: Date.now },
     verified: { type: Boolean, default: false },
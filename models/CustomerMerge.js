@@ -0,0 +1,77 @@
+// models/CustomerMerge.js
+const mongoose = require("mongoose");
+const Schema = mongoose.Schema;
+
+const CustomerSnapshotSchema = new Schema(
+  {
+    _id: {
+      type: Schema.Types.ObjectId,
+      ref: "Customer",
+    },
+    CardCode: String,
+    CardName: String,
+    Email: String,
+  },
+  { _id: false }
+);
+
+// One merge of a duplicate customer (secondary) into another (primary),
+// with every document it changed so it can be undone; see
+// services/customerMerge.js
+const CustomerMergeSchema = new Schema(
+  {
+    primary: CustomerSnapshotSchema,
+    secondary: CustomerSnapshotSchema,
+    status: {
+      type: String,
+      enum: ["pending", "merged", "failed", "undone"],
+      default: "pending",
+      index: true,
+    },
+    reason: String,
+    // Fields of the primary customer filled from the secondary
+    primaryChanges: [
+      {
+        _id: false,
+        field: String,
+        before: Schema.Types.Mixed,
+        after: Schema.Types.Mixed,
+      },
+    ],
+    // Secondary customer fields before it was retired
+    secondaryBefore: Schema.Types.Mixed,
+    // Rewired documents of other collections, with the values they had,
+    // and the calls following the secondary's phone numbers (no values)
+    documents: [
+      {
+        _id: false,
+        model: String,
+        documentId: Schema.Types.ObjectId,
+        before: Schema.Types.Mixed,
+      },
+    ],
+    // Rewired documents per model
+    counts: Schema.Types.Mixed,
+    error: String,
+    mergedBy: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+    },
+    undoneBy: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+    },
+    undoneAt: Date,
+    // Documents left alone by the undo because they changed since the merge
+    undoSkipped: Schema.Types.Mixed,
+  },
+  {
+    timestamps: true,
+    collection: "CustomerMerges",
+  }
+);
+
+CustomerMergeSchema.index({ "primary._id": 1, createdAt: -1 });
+CustomerMergeSchema.index({ "secondary._id": 1, createdAt: -1 });
+
+module.exports = mongoose.model("CustomerMerge", CustomerMergeSchema);
@@ -1,6 +1,7 @@
 // models/CustomerTarget.js
 const mongoose = require("mongoose");
 const Schema = mongoose.Schema;
+const { auditTrailPlugin } = require("../services/auditTrail");
 
 const CustomerTargetSchema = new Schema(
   {
@@ -197,4 +198,7 @@ CustomerTargetSchema.pre("save", function (next) {
   next();
 });
 
+// Record every change in AuditLogs
+CustomerTargetSchema.plugin(auditTrailPlugin, { entity: "CustomerTarget" });
+
 module.exports = mongoose.model("CustomerTarget", CustomerTargetSchema);
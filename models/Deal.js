@@ -1,5 +1,6 @@
 // models/Deal.js
 const mongoose = require("mongoose");
+const { softDeletePlugin } = require("../services/softDelete");
 
 const ProductSchema = new mongoose.Schema(
   {
@@ -101,4 +102,7 @@ const DealSchema = new mongoose.Schema(
   }
 );
 
+// Deleted deals go to the recycle bin first
+DealSchema.plugin(softDeletePlugin);
+
 module.exports = mongoose.model("Deal", DealSchema);
@@ -0,0 +1,68 @@
+// models/DunningStep.js
+const mongoose = require("mongoose");
+const Schema = mongoose.Schema;
+
+// One step of the dunning sequence, reached once the customer's oldest
+// overdue invoice is at least minDaysOverdue days past due
+const DunningStepSchema = new Schema(
+  {
+    level: {
+      type: Number,
+      required: [true, "Step level is required"],
+      min: 1,
+    },
+    name: {
+      type: String,
+      required: [true, "Step name is required"],
+      trim: true,
+    },
+    minDaysOverdue: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    // Actions taken when a customer reaches the step
+    sendEmail: {
+      type: Boolean,
+      default: true,
+    },
+    createTask: {
+      type: Boolean,
+      default: false,
+    },
+    creditHold: {
+      type: Boolean,
+      default: false,
+    },
+    // Reminder email; defaults are generated from the level when empty
+    emailSubject: {
+      type: String,
+      trim: true,
+    },
+    emailMessage: {
+      type: String,
+      trim: true,
+    },
+    taskPriority: {
+      type: String,
+      enum: ["low", "medium", "high"],
+      default: "high",
+    },
+    active: {
+      type: Boolean,
+      default: true,
+    },
+    createdBy: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+    collection: "DunningSteps",
+  }
+);
+
+DunningStepSchema.index({ level: 1 }, { unique: true });
+
+module.exports = mongoose.model("DunningStep", DunningStepSchema);
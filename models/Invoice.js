@@ -338,6 +338,10 @@ const invoiceSchema = new mongoose.Schema(
         Currency: String,
         LineTotal: Number,
         VatGroup: String,
+        // Document the line was copied from (17 = sales order)
+        BaseType: Number,
+        BaseEntry: Number,
+        BaseLine: Number,
       },
     ],
 
@@ -353,6 +357,12 @@ const invoiceSchema = new mongoose.Schema(
   }
 );
 
+invoiceSchema.index({ CardCode: 1, DocDate: 1 });
+invoiceSchema.index({
+  "DocumentLines.BaseType": 1,
+  "DocumentLines.BaseEntry": 1,
+});
+
 const Invoice = mongoose.model("Invoices", invoiceSchema);
 
 module.exports = Invoice;
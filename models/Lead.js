@@ -1,5 +1,9 @@
 const mongoose = require("mongoose");
 const Schema = mongoose.Schema;
+const { softDeletePlugin } = require("../services/softDelete");
+const {
+  phoneNormalizationPlugin,
+} = require("../services/phoneNormalization");
 
 const LeadSchema = new Schema({
   // Basic info
@@ -82,5 +86,13 @@ LeadSchema.index({
   notes: "text",
 });
 
+// Deleted leads go to the recycle bin first
+LeadSchema.plugin(softDeletePlugin);
+
+// phoneE164: phoneNumber in E.164, for lookups by number
+LeadSchema.plugin(phoneNormalizationPlugin, {
+  fields: { phoneE164: ["phoneNumber"] },
+});
+
 const Lead = mongoose.model("Lead", LeadSchema);
 module.exports = Lead;
@@ -0,0 +1,36 @@
+// models/LoginAttempt.js
+const mongoose = require("mongoose");
+const Schema = mongoose.Schema;
+
+// Failed logins per account ("account:<email>") or client IP ("ip:<ip>")
+// within the current window, see services/loginThrottle.js
+const LoginAttemptSchema = new Schema(
+  {
+    key: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    failures: {
+      type: Number,
+      default: 0,
+    },
+    windowStart: {
+      type: Date,
+      default: Date.now,
+    },
+    lockedUntil: Date,
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+    collection: "LoginAttempts",
+  }
+);
+
+LoginAttemptSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("LoginAttempt", LoginAttemptSchema);
@@ -8,10 +8,10 @@ const NotificationSchema = new Schema({
     ref: "User",
     required: true,
   },
+  // Empty for system events (e.g. payment webhooks)
   sender: {
     type: Schema.Types.ObjectId,
     ref: "User",
-    required: true,
   },
   type: {
     type: String,
@@ -21,6 +21,13 @@ const NotificationSchema = new Schema({
       "task_completed",
       "task_approved",
       "task_rejected",
+      "quotation_approval_required",
+      "quotation_approved",
+      "quotation_rejected",
+      "payment_update",
+      "order_credit_approval_required",
+      "order_credit_approved",
+      "order_credit_rejected",
     ],
     required: true,
   },
@@ -1,5 +1,6 @@
 const mongoose = require("mongoose");
 const Schema = mongoose.Schema;
+const { auditTrailPlugin } = require("../services/auditTrail");
 
 // Line Tax Jurisdiction Schema
 const LineTaxJurisdictionSchema = new Schema({}, { strict: false });
@@ -32,6 +33,12 @@ const DocumentLineSchema = new Schema({
   Currency: String,
   Rate: Number,
   DiscountPercent: Number,
+  // Pricing engine result for the line (see services/pricingEngine.js)
+  ResolvedPrice: Number,
+  PriceSource: String,
+  PriceOverride: Boolean,
+  MarginPercent: Number,
+  BelowMarginFloor: Boolean,
   VendorNum: String,
   SerialNum: String,
   WarehouseCode: String,
@@ -248,6 +255,53 @@ const DocumentLineSchema = new Schema({
 const DocumentApprovalRequestSchema = new Schema({}, { strict: false });
 
 // Main Order Schema
+// Payment link of a payment plan (deposit, balance, instalment)
+const PaymentLinkEntrySchema = new Schema({
+  // Adyen payment link id and merchant reference ("SO-<DocNum>-<n>")
+  linkId: String,
+  reference: {
+    type: String,
+    required: true,
+  },
+  url: String,
+  label: {
+    type: String,
+    default: "payment",
+  },
+  amount: {
+    type: Number,
+    required: true,
+  },
+  currency: String,
+  dueDate: Date,
+  expiresAt: Date,
+  status: {
+    type: String,
+    enum: [
+      "active",
+      "authorised",
+      "captured",
+      "refused",
+      "expired",
+      "cancelled",
+      "refunded",
+      "chargeback",
+    ],
+    default: "active",
+  },
+  email: String,
+  pspReference: String,
+  paidAt: Date,
+  createdBy: {
+    type: Schema.Types.ObjectId,
+    ref: "User",
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
 const OrderSchema = new Schema(
   {
     DocEntry: {
@@ -491,6 +545,10 @@ const OrderSchema = new Schema(
     UpdateTime: String,
     CreateQRCodeFrom: String,
     PriceMode: String,
+    PriceList: {
+      type: Number,
+      default: 2, // Default to Prix Livraison (2)
+    },
     ShipFrom: String,
     CommissionTrade: String,
     CommissionTradeReturn: String,
@@ -531,6 +589,36 @@ const OrderSchema = new Schema(
       enum: ["pending", "approved", "rejected", "approval"],
       default: "pending",
     },
+    // Outcome of the discount/margin approval rules
+    approvalRouting: {
+      evaluatedAt: Date,
+      autoApproved: Boolean,
+      metrics: {
+        maxLineDiscountPercent: Number,
+        totalMarginPercent: Number,
+        docTotal: Number,
+        belowMarginFloor: Boolean,
+      },
+      firedRules: [
+        {
+          _id: false,
+          rule: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "ApprovalRule",
+          },
+          name: String,
+          metric: String,
+          operator: String,
+          threshold: Number,
+          actual: Number,
+          approverRole: String,
+        },
+      ],
+      routedTo: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+    },
     emailSentTo: [
       {
         email: {
@@ -548,6 +636,15 @@ const OrderSchema = new Schema(
         messageId: {
           type: String,
         },
+        // Revision shown in the emailed PDF
+        revision: {
+          type: Number,
+        },
+        // Sent by the expiry reminder job
+        reminder: {
+          type: Boolean,
+          default: false,
+        },
       },
     ],
     Document_ApprovalRequests: [DocumentApprovalRequestSchema],
@@ -563,6 +660,30 @@ const OrderSchema = new Schema(
     CancelReason: String,
     CancelDate: Date,
     OriginatingQuotation: Number,
+    // Stock is soft-reserved on the items until this date
+    StockReservedUntil: Date,
+    // Expiry handling (DocDueDate is the validity date)
+    ExpiredAt: Date,
+    ExpiryFollowUpTask: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Task",
+    },
+    ExpiryReminderSentAt: Date,
+    // Latest entry in QuotationRevisions
+    CurrentRevision: {
+      type: Number,
+      default: 0,
+    },
+
+    // Set when a line price was overridden / is below the margin floor
+    HasPriceOverrides: {
+      type: Boolean,
+      default: false,
+    },
+    BelowMarginFloor: {
+      type: Boolean,
+      default: false,
+    },
 
     // SAP Integration fields
     SyncedWithSAP: {
@@ -589,6 +710,17 @@ const OrderSchema = new Schema(
       default: false,
     },
     payment_status: String,
+    // Set from the Adyen webhook
+    PaymentPspReference: String,
+    PaymentStatusUpdatedAt: Date,
+    PaymentAuthorisedAt: Date,
+    // Payment plan: one Adyen link per deposit/balance/instalment
+    paymentLinks: [PaymentLinkEntrySchema],
+    AmountPaid: {
+      type: Number,
+      default: 0,
+    },
+    AmountOutstanding: Number,
 
     // Additional fields
     rejectedBy: {
@@ -614,5 +746,9 @@ OrderSchema.index({ DocEntry: 1 });
 OrderSchema.index({ CardCode: 1 });
 OrderSchema.index({ DocDate: 1 });
 OrderSchema.index({ DocumentStatus: 1 });
+OrderSchema.index({ IsActive: 1, ExpiredAt: 1, DocDueDate: 1 });
+// Record every change in AuditLogs
+OrderSchema.plugin(auditTrailPlugin, { entity: "Quotation" });
+
 const Quotation = mongoose.model("Quotation", OrderSchema);
 module.exports = Quotation;
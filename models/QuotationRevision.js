@@ -0,0 +1,92 @@
+// models/QuotationRevision.js
+const mongoose = require("mongoose");
+const Schema = mongoose.Schema;
+
+// Line as it was at the time of the revision
+const RevisionLineSchema = new Schema(
+  {
+    LineNum: Number,
+    ItemCode: String,
+    ItemDescription: String,
+    Quantity: Number,
+    Price: Number,
+    ResolvedPrice: Number,
+    DiscountPercent: Number,
+    PriceAfterVAT: Number,
+    LineTotal: Number,
+    LineTotalWithVAT: Number,
+    VatGroup: String,
+    WarehouseCode: String,
+  },
+  { _id: false }
+);
+
+// Immutable snapshot of a quotation after a change
+const QuotationRevisionSchema = new Schema(
+  {
+    quotation: {
+      type: Schema.Types.ObjectId,
+      ref: "Quotation",
+      required: true,
+    },
+    DocEntry: {
+      type: Number,
+      required: true,
+    },
+    revision: {
+      type: Number,
+      required: true,
+    },
+    // created: first version, updated: edit through updateQuotation,
+    // baseline: state found on the first edit of a quotation that predates
+    // revision tracking
+    changeType: {
+      type: String,
+      enum: ["created", "updated", "baseline"],
+      default: "updated",
+    },
+    changedBy: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+    },
+    changedFields: [String],
+    // Snapshot
+    CardCode: String,
+    CardName: String,
+    DocDate: Date,
+    DocDueDate: Date,
+    PriceList: Number,
+    DocCurrency: String,
+    DiscountPercent: Number,
+    Comments: String,
+    DocTotal: Number,
+    VatSum: Number,
+    DocTotalWithVAT: Number,
+    approvalStatus: String,
+    DocumentLines: [RevisionLineSchema],
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+    collection: "QuotationRevisions",
+  }
+);
+
+// Indexes
+QuotationRevisionSchema.index({ DocEntry: 1, revision: 1 }, { unique: true });
+
+// Revisions are written once and never changed
+const rejectChange = function (next) {
+  next(new Error("Quotation revisions are immutable"));
+};
+QuotationRevisionSchema.pre(
+  ["updateOne", "updateMany", "findOneAndUpdate", "replaceOne"],
+  rejectChange
+);
+QuotationRevisionSchema.pre("save", function (next) {
+  if (!this.isNew) {
+    return rejectChange(next);
+  }
+  next();
+});
+
+module.exports = mongoose.model("QuotationRevision", QuotationRevisionSchema);
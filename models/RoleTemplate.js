@@ -0,0 +1,26 @@
+// models/RoleTemplate.js
+const mongoose = require("mongoose");
+const Schema = mongoose.Schema;
+
+// Permissions of a role, replacing its default template in
+// config/permissions.js
+const RoleTemplateSchema = new Schema(
+  {
+    role: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    permissions: [String],
+    updatedBy: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+    collection: "RoleTemplates",
+  }
+);
+
+module.exports = mongoose.model("RoleTemplate", RoleTemplateSchema);
@@ -1,5 +1,6 @@
 const mongoose = require("mongoose");
 const Schema = mongoose.Schema;
+const { auditTrailPlugin } = require("../services/auditTrail");
 
 // Line Tax Jurisdiction Schema
 const LineTaxJurisdictionSchema = new Schema({}, { strict: false });
@@ -32,6 +33,12 @@ const DocumentLineSchema = new Schema({
   Currency: String,
   Rate: Number,
   DiscountPercent: Number,
+  // Pricing engine result for the line (see services/pricingEngine.js)
+  ResolvedPrice: Number,
+  PriceSource: String,
+  PriceOverride: Boolean,
+  MarginPercent: Number,
+  BelowMarginFloor: Boolean,
   VendorNum: String,
   SerialNum: String,
   WarehouseCode: String,
@@ -254,6 +261,53 @@ const DocumentLineSchema = new Schema({
 const DocumentApprovalRequestSchema = new Schema({}, { strict: false });
 
 // Main Order Schema
+// Payment link of a payment plan (deposit, balance, instalment)
+const PaymentLinkEntrySchema = new Schema({
+  // Adyen payment link id and merchant reference ("SO-<DocNum>-<n>")
+  linkId: String,
+  reference: {
+    type: String,
+    required: true,
+  },
+  url: String,
+  label: {
+    type: String,
+    default: "payment",
+  },
+  amount: {
+    type: Number,
+    required: true,
+  },
+  currency: String,
+  dueDate: Date,
+  expiresAt: Date,
+  status: {
+    type: String,
+    enum: [
+      "active",
+      "authorised",
+      "captured",
+      "refused",
+      "expired",
+      "cancelled",
+      "refunded",
+      "chargeback",
+    ],
+    default: "active",
+  },
+  email: String,
+  pspReference: String,
+  paidAt: Date,
+  createdBy: {
+    type: Schema.Types.ObjectId,
+    ref: "User",
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
 const OrderSchema = new Schema(
   {
     DocEntry: {
@@ -535,6 +589,16 @@ const OrderSchema = new Schema(
     CancelReason: String,
     CancelDate: Date,
 
+    // Set when a line price was overridden / is below the margin floor
+    HasPriceOverrides: {
+      type: Boolean,
+      default: false,
+    },
+    BelowMarginFloor: {
+      type: Boolean,
+      default: false,
+    },
+
     // SAP Integration fields
     SyncedWithSAP: {
       type: Boolean,
@@ -560,6 +624,56 @@ const OrderSchema = new Schema(
       default: false,
     },
     payment_status: String,
+    // Set from the Adyen webhook
+    PaymentPspReference: String,
+    PaymentStatusUpdatedAt: Date,
+    PaymentAuthorisedAt: Date,
+    // Payment plan: one Adyen link per deposit/balance/instalment
+    paymentLinks: [PaymentLinkEntrySchema],
+    AmountPaid: {
+      type: Number,
+      default: 0,
+    },
+    AmountOutstanding: Number,
+    // Credit check at creation: orders over the customer's credit limit or
+    // for a customer on credit hold wait for a manager before going to SAP
+    creditApproval: {
+      status: {
+        type: String,
+        enum: ["not_required", "pending", "approved", "rejected"],
+        default: "not_required",
+      },
+      check: {
+        creditLimit: Number,
+        openInvoices: Number,
+        openOrders: Number,
+        exposure: Number,
+        orderTotal: Number,
+        projectedExposure: Number,
+        creditHold: Boolean,
+        creditHoldReason: String,
+        reasons: [String],
+        checkedAt: Date,
+      },
+      requestedBy: {
+        type: Schema.Types.ObjectId,
+        ref: "User",
+      },
+      routedTo: {
+        type: Schema.Types.ObjectId,
+        ref: "User",
+      },
+      task: {
+        type: Schema.Types.ObjectId,
+        ref: "Task",
+      },
+      decidedBy: {
+        type: Schema.Types.ObjectId,
+        ref: "User",
+      },
+      decidedAt: Date,
+      comments: String,
+    },
   },
   {
     timestamps: true,
@@ -571,5 +685,8 @@ OrderSchema.index({ DocEntry: 1 });
 OrderSchema.index({ CardCode: 1 });
 OrderSchema.index({ DocDate: 1 });
 OrderSchema.index({ DocumentStatus: 1 });
+// Record every change in AuditLogs
+OrderSchema.plugin(auditTrailPlugin, { entity: "SalesOrder" });
+
 const SalesOrder = mongoose.model("SalesOrder", OrderSchema);
 module.exports = SalesOrder;
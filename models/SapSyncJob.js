@@ -0,0 +1,102 @@
+// models/SapSyncJob.js
+const mongoose = require("mongoose");
+const Schema = mongoose.Schema;
+
+// One attempt against the SAP Service Layer
+const SapSyncAttemptSchema = new Schema(
+  {
+    attemptedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    success: {
+      type: Boolean,
+      default: false,
+    },
+    error: String,
+    code: String,
+    triggeredBy: {
+      type: String,
+      enum: ["request", "worker", "manual", "webhook"],
+      default: "worker",
+    },
+  },
+  { _id: false }
+);
+
+// Outbox entry for a document that has to reach SAP B1
+const SapSyncJobSchema = new Schema(
+  {
+    entityType: {
+      type: String,
+      enum: ["SalesOrder", "Quotation", "Customer"],
+      required: true,
+    },
+    entityId: {
+      type: Schema.Types.ObjectId,
+      required: true,
+      refPath: "entityType",
+    },
+    // What the job does in SAP: create/update the document, or cancel it
+    operation: {
+      type: String,
+      enum: ["push", "cancel"],
+      default: "push",
+    },
+    // Human readable reference (DocEntry / CardCode) for the admin list
+    entityRef: {
+      type: String,
+    },
+    // Stable key sent along with the SAP document so a retry can find a
+    // document that was created on a previous attempt
+    idempotencyKey: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    status: {
+      type: String,
+      enum: ["pending", "processing", "succeeded", "dead", "abandoned"],
+      default: "pending",
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    maxAttempts: {
+      type: Number,
+      default: 8,
+    },
+    nextAttemptAt: {
+      type: Date,
+      default: Date.now,
+    },
+    lockedAt: Date,
+    lastError: String,
+    lastErrorCode: String,
+    // SAP key of the created document (DocEntry for orders and quotations,
+    // CardCode for customers)
+    sapReference: String,
+    history: [SapSyncAttemptSchema],
+    createdBy: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+    },
+    abandonedBy: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+    },
+    abandonedAt: Date,
+    completedAt: Date,
+  },
+  {
+    timestamps: true,
+    collection: "SapSyncJobs",
+  }
+);
+
+// Indexes
+SapSyncJobSchema.index({ status: 1, nextAttemptAt: 1 });
+SapSyncJobSchema.index({ entityType: 1, entityId: 1 });
+
+module.exports = mongoose.model("SapSyncJob", SapSyncJobSchema);
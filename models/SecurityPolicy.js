@@ -0,0 +1,29 @@
+// models/SecurityPolicy.js
+const mongoose = require("mongoose");
+const Schema = mongoose.Schema;
+
+// Account security settings edited by admins. A single document
+// (key "default"); the defaults in services/twoFactor.js apply until it
+// exists.
+const SecurityPolicySchema = new Schema(
+  {
+    key: {
+      type: String,
+      required: true,
+      unique: true,
+      default: "default",
+    },
+    // Roles that must enrol in two-factor authentication
+    twoFactorRequiredRoles: [String],
+    updatedBy: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+    collection: "SecurityPolicies",
+  }
+);
+
+module.exports = mongoose.model("SecurityPolicy", SecurityPolicySchema);
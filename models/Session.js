@@ -0,0 +1,59 @@
+// models/Session.js
+const mongoose = require("mongoose");
+const Schema = mongoose.Schema;
+
+// A login session. Only the SHA-256 of the current refresh token is stored;
+// it changes on every refresh and the last ones are kept so a replayed
+// (stolen) token can be recognised.
+const SessionSchema = new Schema(
+  {
+    user: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    previousTokenHashes: {
+      type: [String],
+      index: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    lastUsedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    revokedAt: Date,
+    revokedReason: {
+      type: String,
+      enum: [
+        "logout",
+        "logout_all",
+        "revoked",
+        "deactivated",
+        "password_changed",
+        "password_reset",
+        "refresh_token_reuse",
+      ],
+    },
+    createdByIp: String,
+    lastIp: String,
+    userAgent: String,
+  },
+  {
+    timestamps: true,
+    collection: "Sessions",
+  }
+);
+
+// Expired sessions are purged by MongoDB
+SessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("Session", SessionSchema);
@@ -0,0 +1,56 @@
+// models/SpecialPrice.js
+const mongoose = require("mongoose");
+const Schema = mongoose.Schema;
+
+// Volume break inside a special price period
+const SpecialPriceQuantityAreaSchema = new Schema(
+  {
+    Quantity: { type: Number, required: true },
+    SpecialPrice: { type: Number },
+    PriceCurrency: { type: String },
+    Discount: { type: Number, default: 0 },
+  },
+  { _id: false }
+);
+
+// Period during which a different price or discount applies
+const SpecialPriceDataAreaSchema = new Schema(
+  {
+    DateFrom: { type: Date },
+    Dateto: { type: Date },
+    PriceListNo: { type: Number },
+    SpecialPrice: { type: Number },
+    PriceCurrency: { type: String },
+    Discount: { type: Number, default: 0 },
+    SpecialPriceQuantityAreas: [SpecialPriceQuantityAreaSchema],
+  },
+  { _id: false }
+);
+
+// SAP special price (OSPP). CardCode "*<n>" holds the period and volume
+// discounts of price list n that apply to every customer on that list.
+const SpecialPriceSchema = new Schema(
+  {
+    CardCode: { type: String, required: true },
+    ItemCode: { type: String, required: true },
+    PriceListNum: { type: Number },
+    Price: { type: Number, default: 0 },
+    Currency: { type: String },
+    DiscountPercent: { type: Number, default: 0 },
+    Valid: { type: String, enum: ["tYES", "tNO"], default: "tYES" },
+    ValidFrom: { type: Date },
+    ValidTo: { type: Date },
+    SpecialPriceDataAreas: [SpecialPriceDataAreaSchema],
+    lastSAPSync: { type: Date },
+  },
+  {
+    timestamps: true,
+    collection: "SpecialPrices",
+  }
+);
+
+// Indexes
+SpecialPriceSchema.index({ CardCode: 1, ItemCode: 1 }, { unique: true });
+SpecialPriceSchema.index({ ItemCode: 1 });
+
+module.exports = mongoose.model("SpecialPrice", SpecialPriceSchema);
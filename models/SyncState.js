@@ -0,0 +1,32 @@
+// models/SyncState.js
+const mongoose = require("mongoose");
+const Schema = mongoose.Schema;
+
+// Watermark and last-run summary of an incremental SAP pull
+const SyncStateSchema = new Schema(
+  {
+    key: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    // Highest SAP UpdateDate already imported
+    watermark: Date,
+    lastRunAt: Date,
+    lastSuccessAt: Date,
+    lastError: String,
+    lastStats: {
+      type: Schema.Types.Mixed,
+    },
+    running: {
+      type: Boolean,
+      default: false,
+    },
+  },
+  {
+    timestamps: true,
+    collection: "SyncStates",
+  }
+);
+
+module.exports = mongoose.model("SyncState", SyncStateSchema);
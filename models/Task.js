@@ -1,6 +1,7 @@
 // models/Task.js
 const mongoose = require("mongoose");
 const Schema = mongoose.Schema;
+const { softDeletePlugin } = require("../services/softDelete");
 
 const TaskSchema = new Schema({
   title: {
@@ -84,4 +85,7 @@ TaskSchema.pre("save", function (next) {
   next();
 });
 
+// Deleted tasks go to the recycle bin first
+TaskSchema.plugin(softDeletePlugin);
+
 module.exports = mongoose.model("Task", TaskSchema);
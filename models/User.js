@@ -117,6 +117,68 @@ const UserSchema = new Schema({
     type: Date,
     default: Date.now,
   },
+  // TOTP two-factor authentication (see services/twoFactor.js). Secrets and
+  // recovery code hashes are never selected by default.
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false,
+    },
+    secret: {
+      type: String,
+      select: false,
+    },
+    // Secret being enrolled, until the first code confirms it
+    pendingSecret: {
+      type: String,
+      select: false,
+    },
+    recoveryCodes: {
+      type: [String],
+      select: false,
+    },
+    // Last accepted time step, so a code cannot be replayed
+    lastUsedStep: {
+      type: Number,
+      select: false,
+    },
+    enabledAt: Date,
+  },
+  // Pending self-service password reset (services/passwordReset.js); only
+  // the SHA-256 of the emailed token is stored
+  passwordReset: {
+    tokenHash: {
+      type: String,
+      select: false,
+    },
+    expiresAt: Date,
+    requestedAt: Date,
+  },
+  // Account security history (password resets, ...), newest last
+  securityEvents: {
+    type: [
+      {
+        event: {
+          type: String,
+          enum: [
+            "password_reset_requested",
+            "password_reset",
+            "password_reset_by_admin",
+          ],
+        },
+        at: { type: Date, default: Date.now },
+        ip: String,
+        userAgent: String,
+        by: { type: Schema.Types.ObjectId, ref: "User" },
+      },
+    ],
+    select: false,
+  },
+  // Per-user exceptions to the role template (see config/permissions.js)
+  permissionOverrides: {
+    granted: [String],
+    revoked: [String],
+  },
   // Reference to the user who created this user (admin or sales manager)
   createdBy: {
     type: Schema.Types.ObjectId,
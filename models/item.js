@@ -31,6 +31,21 @@ const ItemWarehouseInfoSchema = new Schema({
   DefaultBinEnforced: { type: String, enum: ["tYES", "tNO"], default: "tNO" },
 });
 
+// Soft reservation held by an open quotation or order until it expires
+const StockReservationSchema = new Schema({
+  WarehouseCode: { type: String },
+  Quantity: { type: Number, required: true },
+  documentType: {
+    type: String,
+    enum: ["Quotation", "SalesOrder"],
+    required: true,
+  },
+  documentEntry: { type: Number, required: true },
+  expiresAt: { type: Date, required: true },
+  createdBy: { type: Schema.Types.ObjectId, ref: "User" },
+  createdAt: { type: Date, default: Date.now },
+});
+
 // Main Item Schema
 const ItemSchema = new Schema(
   {
@@ -206,6 +221,17 @@ const ItemSchema = new Schema(
     // Collections
     ItemPrices: [ItemPriceSchema],
     ItemWarehouseInfoCollection: [ItemWarehouseInfoSchema],
+
+    // Low stock flags (InStock below MinimalStock in at least one warehouse)
+    lowStock: { type: Boolean, default: false },
+    lowStockWarehouses: [{ type: String }],
+    lowStockSince: { type: Date },
+
+    // Soft reservations; not known to SAP, only used by the availability check
+    softReservations: [StockReservationSchema],
+
+    // Last time prices/stock were refreshed from SAP
+    lastSAPSync: { type: Date },
   },
   { timestamps: true }
 );
@@ -214,6 +240,11 @@ const ItemSchema = new Schema(
 ItemSchema.index({ ItemName: 1 });
 ItemSchema.index({ ForeignName: 1 });
 ItemSchema.index({ "ItemWarehouseInfoCollection.WarehouseCode": 1 });
+ItemSchema.index({ lowStock: 1 });
+ItemSchema.index({
+  "softReservations.documentType": 1,
+  "softReservations.documentEntry": 1,
+});
 
 // Virtual for checking if item is available (has stock)
 ItemSchema.virtual("isAvailable").get(function () {
@@ -236,6 +267,25 @@ ItemSchema.methods.getPriceFromList = function (priceListId) {
   return priceInfo ? priceInfo.Price : 0;
 };
 
+// Method to list warehouses whose stock dropped below MinimalStock
+ItemSchema.methods.getLowStockWarehouses = function () {
+  return this.ItemWarehouseInfoCollection.filter(
+    (wh) => wh.MinimalStock > 0 && wh.InStock < wh.MinimalStock
+  ).map((wh) => wh.WarehouseCode);
+};
+
+// Method to refresh the low stock flags from the warehouse collection
+ItemSchema.methods.refreshLowStock = function () {
+  this.lowStockWarehouses = this.getLowStockWarehouses();
+  const isLow = this.lowStockWarehouses.length > 0;
+  if (isLow && !this.lowStock) {
+    this.lowStockSince = new Date();
+  } else if (!isLow) {
+    this.lowStockSince = undefined;
+  }
+  this.lowStock = isLow;
+};
+
 // Static method to find available items
 ItemSchema.statics.findAvailable = function () {
   return this.find({ QuantityOnStock: { $gt: 0 } });
@@ -4,6 +4,10 @@ const {
   getCustomerProducts,
   getCustomersProductsSummary,
 } = require("../controllers/CustomerProductSales.controller");
+const { auth } = require("../middleware/auth");
+
+// Sales data is for logged-in users only
+router.use(auth);
 
 router.get("/:cardCode", getCustomerProducts);
 router.get("/products-summary", getCustomersProductsSummary);
@@ -0,0 +1,17 @@
+// routes/admin.routes.js
+const express = require("express");
+const router = express.Router();
+const { auth, authorize } = require("../middleware/auth");
+const adminController = require("../controllers/admin.controller");
+
+// @route   GET /api/admin/routes?public=true
+// @desc    Every API route with its auth/permission guard
+// @access  Private (Admin)
+router.get(
+  "/routes",
+  auth,
+  authorize("route_audit:read"),
+  adminController.getRouteAudit
+);
+
+module.exports = router;
@@ -0,0 +1,16 @@
+// routes/adyenWebhook.routes.js
+const express = require("express");
+const router = express.Router();
+const adyenWebhookController = require("../controllers/adyenWebhook.controller");
+const { publicRoute } = require("../middleware/auth");
+
+// @route   POST /api/webhooks/adyen
+// @desc    Adyen payment notifications (payment link status)
+// @access  Public (HMAC signed by Adyen)
+router.post(
+  "/",
+  publicRoute("HMAC signed by Adyen"),
+  adyenWebhookController.handleAdyenNotification
+);
+
+module.exports = router;
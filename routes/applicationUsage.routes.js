@@ -4,7 +4,7 @@ const router = express.Router();
 const multer = require("multer");
 const path = require("path");
 const applicationUsageController = require("../controllers/applicationUsage.controller");
-const { auth } = require("../middleware/auth"); // Assuming you have authentication middleware
+const { auth, authorize } = require("../middleware/auth");
 
 // Set up multer for file uploads
 const storage = multer.diskStorage({
@@ -38,6 +38,8 @@ const upload = multer({
 // Routes
 router.post(
   "/upload",
+  auth,
+  authorize("activity:manage"),
   upload.any(),
   applicationUsageController.processApplicationUsageCSV
 );
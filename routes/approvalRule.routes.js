@@ -0,0 +1,30 @@
+// routes/approvalRule.routes.js
+const express = require("express");
+const router = express.Router();
+const { auth, authorize } = require("../middleware/auth");
+const approvalRuleController = require("../controllers/approvalRule.controller");
+
+// All approval rule routes are admin only
+router.use(auth, authorize("approval_rule:manage"));
+
+// @route   GET /api/approval-rules
+// @desc    List quotation approval rules
+// @access  Private (Admin)
+router.get("/", approvalRuleController.getRules);
+
+// @route   POST /api/approval-rules
+// @desc    Create a quotation approval rule
+// @access  Private (Admin)
+router.post("/", approvalRuleController.createRule);
+
+// @route   PUT /api/approval-rules/:id
+// @desc    Update a quotation approval rule
+// @access  Private (Admin)
+router.put("/:id", approvalRuleController.updateRule);
+
+// @route   DELETE /api/approval-rules/:id
+// @desc    Delete a quotation approval rule
+// @access  Private (Admin)
+router.delete("/:id", approvalRuleController.deleteRule);
+
+module.exports = router;
@@ -0,0 +1,12 @@
+// routes/audit.routes.js
+const express = require("express");
+const router = express.Router();
+const { auth, authorize } = require("../middleware/auth");
+const auditController = require("../controllers/audit.controller");
+
+// @route   GET /api/audit?entity=&id=&actor=&action=&requestId=&from=&to=
+// @desc    Search the audit trail of customers, quotations, orders, targets
+// @access  Private (Admin)
+router.get("/", auth, authorize("audit:read"), auditController.getAuditLog);
+
+module.exports = router;
@@ -2,20 +2,105 @@ const express = require("express");
 const router = express.Router();
 const {
   auth,
-  checkRole,
+  authForTwoFactorSetup,
+  authorize,
+  publicRoute,
   updateLastLogin,
   canManageUser,
 } = require("../middleware/auth");
 const authController = require("../controllers/auth.controller");
+const twoFactorController = require("../controllers/twoFactor.controller");
 
 // Login route
-router.post("/login", authController.login);
+router.post("/login", publicRoute("Login"), authController.login);
+
+// Second login step when two-factor authentication is on
+router.post(
+  "/login/2fa",
+  publicRoute("Authenticated by the login challenge token"),
+  authController.loginTwoFactor
+);
+
+// Exchange a refresh token for a new token pair (the refresh token is the
+// credential)
+router.post(
+  "/refresh",
+  publicRoute("Authenticated by the refresh token"),
+  authController.refreshToken
+);
+
+// Self-service password reset: request an emailed link, then set the new
+// password with its token
+router.post(
+  "/forgot-password",
+  publicRoute("Password reset request"),
+  authController.forgotPassword
+);
+router.post(
+  "/reset-password",
+  publicRoute("Authenticated by the emailed reset token"),
+  authController.resetPasswordWithToken
+);
+
+// Log out of the current session, or of every session
+router.post("/logout", authForTwoFactorSetup, authController.logout);
+router.post("/logout-all", auth, authController.logoutAll);
+
+// Open sessions of the current user; revoke one (e.g. a lost device)
+router.get("/sessions", auth, authController.getSessions);
+router.delete("/sessions/:sessionId", auth, authController.revokeSession);
+
+// Log a user out everywhere (admin, or a manager for their agents)
+router.post(
+  "/users/:id/revoke-sessions",
+  auth,
+  canManageUser,
+  authController.revokeUserSessions
+);
+
+// Two-factor authentication. Status, setup and enable stay reachable for
+// users who still have to enrol.
+router.get("/2fa", authForTwoFactorSetup, twoFactorController.getStatus);
+router.post("/2fa/setup", authForTwoFactorSetup, twoFactorController.setup);
+router.post("/2fa/enable", authForTwoFactorSetup, twoFactorController.enable);
+router.post("/2fa/disable", auth, twoFactorController.disable);
+router.post(
+  "/2fa/recovery-codes",
+  auth,
+  twoFactorController.regenerateRecoveryCodes
+);
+
+// Roles that must use two-factor authentication
+router.get(
+  "/2fa/policy",
+  auth,
+  authorize("user:two_factor"),
+  twoFactorController.getPolicy
+);
+router.put(
+  "/2fa/policy",
+  auth,
+  authorize("user:two_factor"),
+  twoFactorController.updatePolicy
+);
+
+// Reset a user's two-factor authentication (lost device)
+router.delete(
+  "/users/:id/2fa",
+  auth,
+  authorize("user:two_factor"),
+  twoFactorController.resetUserTwoFactor
+);
 
 // Register user route (Admin can register sales manager and sales agent, Sales manager can register sales agent)
 router.post("/register", auth, authController.register);
 
-// Register Admin route
-router.post("/register-admin", authController.registerAdmin);
+// Register Admin route (only until the first admin exists)
+router.post(
+  "/register-admin",
+  publicRoute("Creates the first admin"),
+  authController.registerAdmin
+);
 
 // Get current user profile
 router.get("/profile", auth, updateLastLogin, authController.getProfile);
@@ -49,8 +134,6 @@ router.put("/setTarget/:id", auth, authController.setTarget);
 // Routes
 router.get("/users/:id/salesperformance",auth, authController.getSalesPerformance);
 router.get("/users/:id/targethistory",auth, authController.getTargetHistory);
-router.post("/users/:id/settarget", auth,authController.setMonthlyTarget);
-router.get("/dashboard/sales",auth, authController.getSalesDashboard);
 router.get(
   "/users/:id/salesperformance",
   auth,
@@ -60,14 +143,14 @@ router.get("/users/:id/targethistory", auth, authController.getTargetHistory);
 router.post(
   "/users/:id/settarget",
   auth,
-  checkRole(["admin", "sales_manager"]),
+  authorize("target:manage"),
   authController.setMonthlyTarget
 );
 router.get("/orders/agent/:id", auth, authController.getAgentOrdersByMonth);
 router.get(
   "/dashboard/sales",
   auth,
-  checkRole(["admin", "sales_manager"]),
+  authorize("dashboard:team"),
   authController.getSalesDashboard
 );
 module.exports = router;
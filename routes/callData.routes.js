@@ -4,7 +4,7 @@ const multer = require("multer");
 const path = require("path");
 const callDataController = require("../controllers/callData.controller");
 const processUnanalyzedCalls = require("../services/processUnanalyzedCalls");
-const { auth } = require("../middleware/auth");
+const { auth, authorize } = require("../middleware/auth");
 
 // Configure multer for file upload
 const storage = multer.diskStorage({
@@ -38,9 +38,19 @@ const upload = multer({
 });
 
 // Routes
-router.post("/upload", upload.single("file"), callDataController.uploadCSV);
+router.post(
+  "/upload",
+  auth,
+  authorize("activity:manage"),
+  upload.single("file"),
+  callDataController.uploadCSV
+);
 router.get("/agent", auth, callDataController.getAgentCallData);
-router.get('/agent/:agentId/hourly', callDataController.getAgentHourlyData);
+router.get(
+  "/agent/:agentId/hourly",
+  auth,
+  callDataController.getAgentHourlyData
+);
 
 // Get call statistics for the current authenticated agent
 router.get("/statistics", auth, callDataController.getAgentCallStatistics);
@@ -57,21 +67,45 @@ router.get(
   callDataController.getAgentPerformanceComparison
 );
 
-router.post("/analyze", callDataController.analyzeCall);
-router.get("/", callDataController.getAllCallData);
-router.get("/:id", callDataController.getCallDataById);
-router.delete("/:id", callDataController.deleteCallDataById);
+router.post(
+  "/analyze",
+  auth,
+  authorize("activity:manage"),
+  callDataController.analyzeCall
+);
+router.get("/", auth, callDataController.getAllCallData);
+router.get("/:id", auth, callDataController.getCallDataById);
+// Customers and leads matching the call's numbers
+router.get(
+  "/:id/contacts",
+  auth,
+  authorize("customer:read"),
+  callDataController.getCallContacts
+);
+router.delete(
+  "/:id",
+  auth,
+  authorize("activity:manage"),
+  callDataController.deleteCallDataById
+);
 
-router.post("/process-all-calls", async (req, res) => {
-  try {
-    await processUnanalyzedCalls();
-    res
-      .status(200)
-      .json({ message: "All unanalyzed calls have been processed." });
-  } catch (err) {
-    res.status(500).json({ error: "Processing failed", details: err.message });
+router.post(
+  "/process-all-calls",
+  auth,
+  authorize("activity:manage"),
+  async (req, res) => {
+    try {
+      await processUnanalyzedCalls();
+      res
+        .status(200)
+        .json({ message: "All unanalyzed calls have been processed." });
+    } catch (err) {
+      res
+        .status(500)
+        .json({ error: "Processing failed", details: err.message });
+    }
   }
-});
+);
 
 // Get call data for the current authenticated agent
 
@@ -2,8 +2,10 @@
 const express = require("express");
 const router = express.Router();
 const cartController = require("../controllers/ac.controller");
-const {auth} = require("../middleware/auth"); // Assuming you have auth middleware
+const { auth } = require("../middleware/auth");
 
+// Cart data and analytics are for logged-in users only
+router.use(auth);
 
 // Basic cart operations
 router.get("/", cartController.getCarts);
@@ -6,11 +6,18 @@ const path = require("path");
 const fs = require("fs");
 const {
   auth,
-  checkRole,
+  authorize,
   canManageCustomer,
   updateLastLogin,
 } = require("../middleware/auth");
 const customerController = require("../controllers/customer.controller");
+const auditController = require("../controllers/audit.controller");
+const customerMergeController = require(
+  "../controllers/customerMerge.controller"
+);
+const customerDuplicateController = require(
+  "../controllers/customerDuplicate.controller"
+);
 
 // Ensure uploads directory exists
 const uploadsDir = path.join(process.cwd(), "uploads");
@@ -57,13 +64,16 @@ router.post("/create", auth,customerController.createCustomer);
 // Route for mapping HubSpot emails and phones
 router.post(
   "/map-hubspot-emails-phones",
+  auth,
+  authorize("customer:import"),
   upload.single("file"),
   customerController.mapHubspotEmailsAndPhones
 );
 
 router.get(
   "/get-customer-by-card/:cardCode",
-
+  auth,
+  authorize("customer:read"),
   customerController.getCustomerByCardCode
 );
 
@@ -74,53 +84,71 @@ router.get(
 );
 router.get(
   "/preview-zero-value",
+  auth,
+  authorize("customer:delete"),
   customerController.previewZeroValueAbandonedCarts
 );
 
 // Route for removing zero-value abandoned carts (admin only with multiple safety checks)
 router.delete(
   "/remove-zero-value",
+  auth,
+  authorize("customer:delete"),
   customerController.removeZeroValueAbandonedCarts
 );
 // Add this route to your customer.routes.js file after the existing routes
 router.post(
   "/assign-from-file",
+  auth,
+  authorize("customer:assign"),
   upload.single("file"),
   customerController.assignCustomersFromFile
 );
 
 router.post(
   "/fast-hubspot-import",
+  auth,
+  authorize("customer:import"),
   upload.single("file"),
   customerController.fastHubspotImportWithAgents
 );
 
 router.post(
   "/comprehensive-update",
+  auth,
+  authorize("customer:import"),
   upload.single("file"),
   customerController.comprehensiveCustomerUpdate
 );
 
 router.post(
   "/update-missing-emails",
+  auth,
+  authorize("customer:import"),
   upload.single("file"),
   customerController.updateMissingEmails
 );
 
 router.post(
   "/update-phones",
+  auth,
+  authorize("customer:import"),
   upload.single("file"),
   customerController.updateCustomerPhones
 );
 
 router.post(
   "/update-addresses",
+  auth,
+  authorize("customer:import"),
   upload.single("file"),
   customerController.updateCustomerAddresses
 );
 
 router.post(
   "/update-balances",
+  auth,
+  authorize("customer:import"),
   upload.single("file"),
   customerController.updateCustomerOutstandingBalance
 );
@@ -134,7 +162,7 @@ router.get("/sap", auth, updateLastLogin, customerController.getSAPCustomers);
 router.post(
   "/bulk-unassign",
   auth,
-  checkRole(["admin", "sales_manager"]),
+  authorize("customer:assign"),
   customerController.bulkUnassignCustomers
 );
 router.get(
@@ -146,16 +174,33 @@ router.get(
 
 router.post(
   "/check-add-new",
+  auth,
+  authorize("customer:import"),
   upload.single("file"),
   customerController.checkAndAddNewCustomers
 );
 
-router.get("/preview-S-Code", customerController.previewCustomersWithSCardCode);
+router.get(
+  "/preview-S-Code",
+  auth,
+  authorize("customer:delete"),
+  customerController.previewCustomersWithSCardCode
+);
 
-router.post("/remove-S-Code", customerController.removeCustomersWithSCardCode);
+router.post(
+  "/remove-S-Code",
+  auth,
+  authorize("customer:delete"),
+  customerController.removeCustomersWithSCardCode
+);
 
 // Add this new route:
-router.post("/bulk-assign", auth, customerController.bulkAssignCustomers);
+router.post(
+  "/bulk-assign",
+  auth,
+  authorize("customer:assign"),
+  customerController.bulkAssignCustomers
+);
 
 router.get(
   "/paginated2",
@@ -168,18 +213,137 @@ router.get(
 router.post(
   "/:id/unassign",
   auth,
-  checkRole(["admin", "sales_manager"]),
+  authorize("customer:assign"),
   customerController.unassignCustomer
 );
 
+// @route   GET /api/customers/:cardCode/statement?from=&to=&format=pdf
+// @desc    Statement of account (opening balance, transactions, closing
+//          balance) as JSON or PDF
+// @access  Private
+router.get(
+  "/:cardCode/statement",
+  auth,
+  authorize("receivables:read"),
+  customerController.getCustomerStatement
+);
+
+// @route   POST /api/customers/:cardCode/statement/email?from=&to=
+// @desc    Email the statement of account as a PDF attachment
+// @access  Private
+router.post(
+  "/:cardCode/statement/email",
+  auth,
+  authorize("receivables:read"),
+  customerController.emailCustomerStatement
+);
+
+// @route   GET /api/customers/duplicates?status=&customerId=&minScore=
+// @desc    Duplicate customer review queue, highest score first
+// @access  Private (customer:merge)
+router.get(
+  "/duplicates",
+  auth,
+  authorize("customer:merge"),
+  customerDuplicateController.getDuplicates
+);
+
+// @route   POST /api/customers/duplicates/check
+// @desc    Likely duplicates of the customer in the body
+// @access  Private (customer:create)
+router.post(
+  "/duplicates/check",
+  auth,
+  authorize("customer:create"),
+  customerDuplicateController.checkDuplicates
+);
+
+// @route   POST /api/customers/duplicates/scan
+// @desc    Compare all customers and refresh the review queue now
+// @access  Private (customer:merge)
+router.post(
+  "/duplicates/scan",
+  auth,
+  authorize("customer:merge"),
+  customerDuplicateController.scanDuplicates
+);
+
+// @route   POST /api/customers/duplicates/:id/accept
+// @desc    Confirm a duplicate pair ({ primaryId } to merge into it)
+// @access  Private (customer:merge)
+router.post(
+  "/duplicates/:id/accept",
+  auth,
+  authorize("customer:merge"),
+  customerDuplicateController.acceptDuplicate
+);
+
+// @route   POST /api/customers/duplicates/:id/dismiss
+// @desc    Mark a pair as not duplicates
+// @access  Private (customer:merge)
+router.post(
+  "/duplicates/:id/dismiss",
+  auth,
+  authorize("customer:merge"),
+  customerDuplicateController.dismissDuplicate
+);
+
+// @route   POST /api/customers/merges
+// @desc    Merge secondaryId into primaryId ({ dryRun: true } to preview)
+// @access  Private (customer:merge)
+router.post(
+  "/merges",
+  auth,
+  authorize("customer:merge"),
+  customerMergeController.mergeCustomers
+);
+
+// @route   GET /api/customers/merges?customerId=&status=
+// @desc    Customer merges, newest first
+// @access  Private (customer:merge)
+router.get(
+  "/merges",
+  auth,
+  authorize("customer:merge"),
+  customerMergeController.getMerges
+);
+
+// @route   GET /api/customers/merges/:id?documents=true
+// @desc    One merge with the documents it rewired
+// @access  Private (customer:merge)
+router.get(
+  "/merges/:id",
+  auth,
+  authorize("customer:merge"),
+  customerMergeController.getMerge
+);
+
+// @route   POST /api/customers/merges/:id/undo
+// @desc    Undo a merge
+// @access  Private (customer:merge)
+router.post(
+  "/merges/:id/undo",
+  auth,
+  authorize("customer:merge"),
+  customerMergeController.undoMerge
+);
+
 // Get customer by ID
 router.get("/:id", auth, updateLastLogin, customerController.getCustomerById);
 
+// Who changed the customer, and what
+router.get(
+  "/:id/audit",
+  auth,
+  authorize("customer:read"),
+  auditController.getCustomerAudit
+);
+
 // Create customer
 router.post(
   "/",
   auth,
-  checkRole(["admin", "sales_manager", "sales_agent"]),
+  authorize("customer:create"),
   customerController.createCustomer
 );
 
@@ -190,7 +354,7 @@ router.put("/:id", auth, canManageCustomer, customerController.updateCustomer);
 router.post(
   "/import",
   auth,
-  checkRole(["admin"]),
+  authorize("customer:import"),
   customerController.importCustomers
 );
 
@@ -205,7 +369,7 @@ router.get(
 router.post(
   "/:id/assign",
   auth,
-  checkRole(["admin", "sales_manager"]),
+  authorize("customer:assign"),
   customerController.assignCustomer
 );
 
@@ -217,18 +381,22 @@ router.post("/:id/notes", auth, canManageCustomer, customerController.addNotes);
 
 // @route   POST /api/customers/upload
 // @desc    Upload customers from file (supports txt, xlsx, xls)
-// @access  Private (removed auth for testing)
+// @access  Private (customer:import)
 router.post(
   "/upload",
+  auth,
+  authorize("customer:import"),
   upload.single("file"),
   customerController.uploadCustomers
 );
 
 // @route   POST /api/customers/upload-csv
 // @desc    Upload customers from CSV file
-// @access  Private (removed auth for testing)
+// @access  Private (customer:import)
 router.post(
   "/upload-csv",
+  auth,
+  authorize("customer:import"),
   upload.single("file"),
   customerController.uploadCustomersCSV
 );
@@ -236,12 +404,23 @@ router.post(
 router.post(
   "/import-hubspot",
   auth,
+  authorize("customer:import"),
   upload.single("file"),
   customerController.importHubspotContacts
 );
 
-router.post("/merge-customers", customerController.mergeCustomersWithSameEmail);
+router.post(
+  "/merge-customers",
+  auth,
+  authorize("customer:merge"),
+  customerController.mergeCustomersWithSameEmail
+);
 
-router.post("/delete-merged", customerController.deleteMergedNonSapCustomers);
+router.post(
+  "/delete-merged",
+  auth,
+  authorize("customer:merge"),
+  customerController.deleteMergedNonSapCustomers
+);
 
 module.exports = router;
@@ -2,20 +2,21 @@
 const express = require("express");
 const router = express.Router();
 const customerTargetController = require("../controllers/customerTarget.controller");
-const { auth, checkRole, updateLastLogin } = require("../middleware/auth");
+const auditController = require("../controllers/audit.controller");
+const { auth, authorize, updateLastLogin } = require("../middleware/auth");
 
 // Get sales manager dashboard - specific for sales managers
 router.get(
   "/sales-manager/dashboard",
   auth,
-  checkRole(["sales_manager", "admin"]),
+  authorize("dashboard:team"),
   customerTargetController.getSalesManagerDashboard
 );
 // Create a new customer target - Admin and Sales Manager only
 router.post(
   "/",
   auth,
-  checkRole(["admin", "sales_manager"]),
+  authorize("target:manage"),
   customerTargetController.createCustomerTarget
 );
 
@@ -29,11 +30,19 @@ router.get(
 // Get a single customer target by ID
 router.get("/:id", auth, customerTargetController.getCustomerTargetById);
 
+// Who changed the target, and what (including rollovers)
+router.get(
+  "/:id/audit",
+  auth,
+  authorize("target:read"),
+  auditController.getTargetAudit
+);
+
 // Update a customer target - Admin and Sales Manager only
 router.put(
   "/:id",
   auth,
-  checkRole(["admin", "sales_manager"]),
+  authorize("target:manage"),
   customerTargetController.updateCustomerTarget
 );
 
@@ -41,7 +50,7 @@ router.put(
 router.delete(
   "/:id",
   auth,
-  checkRole(["admin"]),
+  authorize("target:delete"),
   customerTargetController.deleteCustomerTarget
 );
 
@@ -72,23 +81,28 @@ router.get(
 router.post(
   "/:targetId/rollover",
   auth,
-  checkRole(["admin", "sales_manager"]),
+  authorize("target:manage"),
   customerTargetController.manualRolloverTarget
 );
 
 // Trigger rollover of all eligible targets
-router.post("/rollover-all", auth, checkRole(["admin"]), async (req, res) => {
-  try {
-    const result = await customerTargetController.rolloverTargetPeriods();
-    res.status(200).json(result);
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      message: "Error rolling over targets",
-      error: error.message,
-    });
+router.post(
+  "/rollover-all",
+  auth,
+  authorize("target:rollover_all"),
+  async (req, res) => {
+    try {
+      const result = await customerTargetController.rolloverTargetPeriods();
+      res.status(200).json(result);
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: "Error rolling over targets",
+        error: error.message,
+      });
+    }
   }
-});
+);
 
 // Get historical performance for a specific target
 router.get("/:id/history", auth, async (req, res) => {
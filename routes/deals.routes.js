@@ -1,6 +1,10 @@
 const express = require("express");
 const router = express.Router();
 const dealController = require("../controllers/deals.controller");
+const { auth } = require("../middleware/auth");
+
+// Deals are for logged-in users only
+router.use(auth);
 
 
 // Basic CRUD routes
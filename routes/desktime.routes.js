@@ -6,7 +6,7 @@ const XLSX = require('xlsx');
 const { v4: uuidv4 } = require('uuid');
 const DeskTime = require('../models/desktime.model');
 const salesPerformanceController = require("../controllers/desktime.controller");
-const { auth, checkRole, updateLastLogin } = require("../middleware/auth");
+const { auth, authorize, updateLastLogin } = require("../middleware/auth");
 
 // Configure multer for file uploads
 const storage = multer.memoryStorage();
@@ -84,7 +84,7 @@ router.get(
   "/overall",
   auth,
   updateLastLogin,
-  checkRole(["admin", "sales_manager"]),
+  authorize("attendance:read"),
   salesPerformanceController.getOverallPerformance
 );
 
@@ -119,9 +119,9 @@ router.get(
 /**
  * @route   POST /api/desktime/upload
  * @desc    Upload and process DeskTime Excel file
- * @access  Private (admin only)
+ * @access  Private (activity:manage)
  */
-router.post('/upload', upload.single('desktimeFile'), async (req, res) => {
+router.post('/upload', auth, authorize('activity:manage'), upload.single('desktimeFile'), async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({
@@ -1,11 +1,14 @@
 const express = require("express");
 const router = express.Router();
 const invoiceController = require("../controllers/invoices.controller");
-const { protect, authorize } = require("../middleware/auth");
+const { auth, authorize } = require("../middleware/auth");
 
 const multer = require("multer");
 const upload = multer({ storage: multer.memoryStorage() });
 
+// Invoice data is for logged-in users only
+router.use(auth);
+
 // Get invoices by customer with pagination and filtering
 router.get("/customer", invoiceController.getInvoicesByCustomer);
 
@@ -22,6 +25,7 @@ router.get("/", invoiceController.getInvoices);
 
 router.post(
   "/bulk-import",
+  authorize("invoice:import"),
   upload.single("excelFile"), // Multer middleware for file upload
   invoiceController.bulkImportInvoices
 );
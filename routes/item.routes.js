@@ -2,50 +2,65 @@
 const express = require("express");
 const router = express.Router();
 const itemController = require("../controllers/item.controller");
+const { auth, authorize } = require("../middleware/auth");
+
+// Item, stock and price data is for logged-in users only
+router.use(auth);
 
 // @route   GET /api/items
 // @desc    Get all items with pagination
-// @access  Public
+// @access  Private
 router.get("/", itemController.getAllItems);
 
 // @route   GET /api/items/available
 // @desc    Get all available items (with stock > 0)
-// @access  Public
+// @access  Private
 router.get("/available", itemController.getAvailableItems);
 
+// @route   GET /api/items/low-stock
+// @desc    Get items whose stock dropped below MinimalStock (optional ?warehouse=)
+// @access  Private
+router.get("/low-stock", itemController.getLowStockItems);
+
+// @route   POST /api/items/availability
+// @desc    Check stock per line and warehouse, with alternative warehouses
+// @access  Private
+router.post("/availability", itemController.checkStockAvailability);
+
 // @route   GET /api/items/search
 // @desc    Search items by name or code
-// @access  Public
+// @access  Private
 router.get("/search", itemController.searchItems);
 
 // @route   GET /api/items/price
-// @desc    Get items by price range
-// @access  Public
-router.get("/price", itemController.getItemsByPriceRange);
+// @desc    Customer price of an item (?cardCode=&itemCode=&qty=), or items by
+//          price range when no itemCode is given
+// @access  Private
+router.get("/price", itemController.getItemPrice);
 
 // @route   GET /api/items/warehouse/:warehouseCode
 // @desc    Get items by warehouse
-// @access  Public
+// @access  Private
 router.get("/warehouse/:warehouseCode", itemController.getItemsByWarehouse);
 
 // @route   GET /api/items/:id
 // @desc    Get single item by ID
-// @access  Public
+// @access  Private
 router.get("/:id", itemController.getItemById);
 
 // @route   POST /api/items
 // @desc    Create a new item
-// @access  Private (typically would have auth middleware)
-router.post("/", itemController.createItem);
+// @access  Private (item:manage)
+router.post("/", authorize("item:manage"), itemController.createItem);
 
 // @route   PUT /api/items/:id
 // @desc    Update an item
-// @access  Private
-router.put("/:id", itemController.updateItem);
+// @access  Private (item:manage)
+router.put("/:id", authorize("item:manage"), itemController.updateItem);
 
 // @route   PATCH /api/items/stock
 // @desc    Update stock levels
-// @access  Private
-router.patch("/stock", itemController.updateStock);
+// @access  Private (item:manage)
+router.patch("/stock", authorize("item:manage"), itemController.updateStock);
 
 module.exports = router;
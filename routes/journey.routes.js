@@ -4,7 +4,11 @@ const router = express.Router();
 const customerJourneyController = require("../controllers/customerjourney.controller");
 const { auth } = require("../middleware/auth");
 
-router.get('/invoices/by-segment', customerJourneyController.getInvoicesBySegment);
+router.get(
+  "/invoices/by-segment",
+  auth,
+  customerJourneyController.getInvoicesBySegment
+);
 /**
  * @route   GET /api/customer-journey/analytics
  * @desc    Get global customer journey analytics across all customers
@@ -32,7 +36,11 @@ router.get(
  * @desc    Get customer journey for a specific customer
  * @access  Admin, Sales Manager, Sales Agent (for assigned customers)
  */
-router.get("/:customerId", customerJourneyController.getCustomerJourney);
+router.get(
+  "/:customerId",
+  auth,
+  customerJourneyController.getCustomerJourney
+);
 
 /**
  * @route   GET /api/customer-journey/:customerId/timeline
@@ -41,6 +49,7 @@ router.get("/:customerId", customerJourneyController.getCustomerJourney);
  */
 router.get(
   "/:customerId/timeline",
+  auth,
   customerJourneyController.getCustomerInteractionTimeline
 );
 
@@ -1,7 +1,7 @@
 // routes/lead.routes.js
 const express = require("express");
 const router = express.Router();
-const { auth, checkRole } = require("../middleware/auth");
+const { auth, authorize } = require("../middleware/auth");
 const leadController = require("../controllers/lead.controller");
 
 // Get all leads
@@ -22,7 +22,7 @@ router.put("/:id", auth, leadController.updateLead);
 router.delete(
   "/:id",
   auth,
-  checkRole(["admin", "sales_manager"]),
+  authorize("lead:manage"),
   leadController.deleteLead
 );
 
@@ -30,7 +30,7 @@ router.delete(
 router.post(
   "/:id/assign",
   auth,
-  checkRole(["admin", "sales_manager"]),
+  authorize("lead:manage"),
   leadController.assignLead
 );
 
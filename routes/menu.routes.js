@@ -2,18 +2,22 @@
 const express = require("express");
 const router = express.Router();
 const menuController = require("../controllers/menu.controller");
+const { auth } = require("../middleware/auth");
+
+// Ingredient extraction is for logged-in users only
+router.use(auth);
 
 /**
  * @route POST /api/menu/extract-ingredients
  * @desc Extract ingredients from multiple menu items
- * @access Public or Protected (depending on your requirements)
+ * @access Private
  */
 router.post("/extract-ingredients", menuController.extractMenuIngredients);
 
 /**
  * @route POST /api/menu/extract-ingredient
  * @desc Extract ingredients from a single menu item
- * @access Public or Protected (depending on your requirements)
+ * @access Private
  */
 router.post(
   "/extract-ingredient",
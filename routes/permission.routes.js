@@ -0,0 +1,40 @@
+// routes/permission.routes.js
+const express = require("express");
+const router = express.Router();
+const { auth, authorize } = require("../middleware/auth");
+const permissionController = require("../controllers/permission.controller");
+
+// @route   GET /api/permissions/me
+// @desc    Permissions of the logged-in user
+// @access  Private
+router.get("/me", auth, permissionController.getMyPermissions);
+
+// Everything else edits who may do what
+router.use(auth, authorize("user:permissions"));
+
+// @route   GET /api/permissions/catalogue
+// @desc    Permission catalogue and the template of every role
+// @access  Private (Admin)
+router.get("/catalogue", permissionController.getCatalogue);
+
+// @route   PUT /api/permissions/roles/:role
+// @desc    Replace the permissions of a role
+// @access  Private (Admin)
+router.put("/roles/:role", permissionController.updateRoleTemplate);
+
+// @route   DELETE /api/permissions/roles/:role
+// @desc    Reset a role to its built-in permissions
+// @access  Private (Admin)
+router.delete("/roles/:role", permissionController.resetRoleTemplate);
+
+// @route   GET /api/permissions/users/:id
+// @desc    Permission overrides and effective permissions of a user
+// @access  Private (Admin)
+router.get("/users/:id", permissionController.getUserPermissions);
+
+// @route   PUT /api/permissions/users/:id
+// @desc    Grant or revoke single permissions for a user
+// @access  Private (Admin)
+router.put("/users/:id", permissionController.updateUserPermissions);
+
+module.exports = router;
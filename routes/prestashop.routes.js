@@ -2,28 +2,40 @@
 const express = require("express");
 const router = express.Router();
 const prestashopController = require("../controllers/prestashop.controller");
-const { auth, checkRole, updateLastLogin } = require("../middleware/auth");
+const {
+  auth,
+  authorize,
+  publicRoute,
+  updateLastLogin,
+} = require("../middleware/auth");
+
+// Menu and product data mirror the public web shop
+const publicCatalogue = publicRoute("Public catalogue");
 
 /**
  * @route   GET /api/prestashop/menu
  * @desc    Get hierarchical menu tree
  * @access  Public
  */
-router.get("/menu", prestashopController.getMenuTree);
+router.get("/menu", publicCatalogue, prestashopController.getMenuTree);
 
 /**
  * @route   GET /api/prestashop/menu-items
  * @desc    Get flat list of all menu items
  * @access  Public
  */
-router.get("/menu-items", prestashopController.getMenuItems);
+router.get("/menu-items", publicCatalogue, prestashopController.getMenuItems);
 
 /**
  * @route   GET /api/prestashop/menu-items/:id
  * @desc    Get a single menu item by ID
  * @access  Public
  */
-router.get("/menu-items/:id", prestashopController.getMenuItemById);
+router.get(
+  "/menu-items/:id",
+  publicCatalogue,
+  prestashopController.getMenuItemById
+);
 
 /**
  * @route   GET /api/prestashop/menu-items/:parentId/children
@@ -32,6 +44,7 @@ router.get("/menu-items/:id", prestashopController.getMenuItemById);
  */
 router.get(
   "/menu-items/:parentId/children",
+  publicCatalogue,
   prestashopController.getMenuItemChildren
 );
 
@@ -42,7 +55,7 @@ router.get(
  */
 router.post(
   "/sync",
-  [auth, checkRole(["admin"]), updateLastLogin],
+  [auth, authorize("catalog:sync"), updateLastLogin],
   prestashopController.syncMenuData
 );
 
@@ -51,6 +64,10 @@ router.post(
  * @desc    Webhook endpoint for PrestaShop to trigger sync
  * @access  Public (with optional webhook validation)
  */
-router.post("/webhook", prestashopController.processWebhook);
+router.post(
+  "/webhook",
+  publicRoute("PrestaShop webhook"),
+  prestashopController.processWebhook
+);
 
 module.exports = router;
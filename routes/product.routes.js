@@ -2,28 +2,40 @@
 const express = require("express");
 const router = express.Router();
 const prestashopController = require("../controllers/prestashop.controller");
-const { auth, checkRole, updateLastLogin } = require("../middleware/auth");
+const {
+  auth,
+  authorize,
+  publicRoute,
+  updateLastLogin,
+} = require("../middleware/auth");
+
+// Menu and product data mirror the public web shop
+const publicCatalogue = publicRoute("Public catalogue");
 
 /**
  * @route   GET /api/prestashop/menu
  * @desc    Get hierarchical menu tree
  * @access  Public
  */
-router.get("/menu", prestashopController.getMenuTree);
+router.get("/menu", publicCatalogue, prestashopController.getMenuTree);
 
 /**
  * @route   GET /api/prestashop/menu-items
  * @desc    Get flat list of all menu items
  * @access  Public
  */
-router.get("/menu-items", prestashopController.getMenuItems);
+router.get("/menu-items", publicCatalogue, prestashopController.getMenuItems);
 
 /**
  * @route   GET /api/prestashop/menu-items/:id
  * @desc    Get a single menu item by ID
  * @access  Public
  */
-router.get("/menu-items/:id", prestashopController.getMenuItemById);
+router.get(
+  "/menu-items/:id",
+  publicCatalogue,
+  prestashopController.getMenuItemById
+);
 
 /**
  * @route   GET /api/prestashop/menu-items/:parentId/children
@@ -32,6 +44,7 @@ router.get("/menu-items/:id", prestashopController.getMenuItemById);
  */
 router.get(
   "/menu-items/:parentId/children",
+  publicCatalogue,
   prestashopController.getMenuItemChildren
 );
 
@@ -42,7 +55,7 @@ router.get(
  */
 router.post(
   "/sync/menu",
-  [auth, checkRole(["admin"]), updateLastLogin],
+  [auth, authorize("catalog:sync"), updateLastLogin],
   prestashopController.syncMenuData
 );
 
@@ -51,14 +64,18 @@ router.post(
  * @desc    Get products with pagination and filtering
  * @access  Public
  */
-router.get("/products", prestashopController.getProducts);
+router.get("/products", publicCatalogue, prestashopController.getProducts);
 
 /**
  * @route   GET /api/prestashop/products/:id
  * @desc    Get a single product by ID
  * @access  Public
  */
-router.get("/products/:id", prestashopController.getProductById);
+router.get(
+  "/products/:id",
+  publicCatalogue,
+  prestashopController.getProductById
+);
 
 /**
  * @route   GET /api/prestashop/products/category/:categoryId
@@ -67,6 +84,7 @@ router.get("/products/:id", prestashopController.getProductById);
  */
 router.get(
   "/products/category/:categoryId",
+  publicCatalogue,
   prestashopController.getProductsByCategory
 );
 
@@ -77,7 +95,7 @@ router.get(
  */
 router.post(
   "/sync/products",
-  [auth, checkRole(["admin"]), updateLastLogin],
+  [auth, authorize("catalog:sync"), updateLastLogin],
   prestashopController.syncProductData
 );
 
@@ -88,7 +106,7 @@ router.post(
  */
 router.post(
   "/sync/products/:id",
-  [auth, checkRole(["admin"]), updateLastLogin],
+  [auth, authorize("catalog:sync"), updateLastLogin],
   prestashopController.syncSingleProduct
 );
 
@@ -97,14 +115,18 @@ router.post(
  * @desc    Webhook endpoint for PrestaShop to trigger sync
  * @access  Public (with optional webhook validation)
  */
-router.post("/webhook", prestashopController.processWebhook);
+router.post(
+  "/webhook",
+  publicRoute("PrestaShop webhook"),
+  prestashopController.processWebhook
+);
 
 /**
  * @route   GET /api/prestashop/status
  * @desc    Get sync status for menus and products
  * @access  Public
  */
-router.get("/status", prestashopController.getSyncStatus);
+router.get("/status", publicCatalogue, prestashopController.getSyncStatus);
 
 /**
  * @route   GET /api/prestashop/test-api
@@ -113,7 +135,7 @@ router.get("/status", prestashopController.getSyncStatus);
  */
 router.get(
   "/test-api",
-  [auth, checkRole(["admin"]), updateLastLogin],
+  [auth, authorize("catalog:sync"), updateLastLogin],
   prestashopController.testApiConnection
 );
 
@@ -7,6 +7,10 @@ const {
   getProductPerformanceComparison,
   getItems,
 } = require("../controllers/productSalesAnalytics.controller");
+const { auth } = require("../middleware/auth");
+
+// Sales analytics are for logged-in users only
+router.use(auth);
 
 // Analytics dashboard endpoint
 router.get("/analytics", getProductSalesAnalytics);
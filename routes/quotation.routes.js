@@ -2,18 +2,43 @@
 const express = require("express");
 const router = express.Router();
 const quotationController = require("../controllers/quotation.controller");
-const { auth } = require("../middleware/auth");
+const auditController = require("../controllers/audit.controller");
+const { auth, authorize } = require("../middleware/auth");
 
 // Add these routes to your quotationRoutes.js file
 router.post(
   "/:docNum/generate-payment-link",
+  auth,
+  authorize("order:create"),
   quotationController.generatePaymentLinkForQuotation
 );
 router.get(
   "/:docNum/payment-status",
+  auth,
+  authorize("quotation:read"),
   quotationController.getUpdateOnPaymentLinkForQuotation
 );
 
+// @route   POST /api/quotations/:docNum/payment-links
+// @desc    Create payment links for a payment plan (deposit, balance, ...)
+// @access  Private
+router.post(
+  "/:docNum/payment-links",
+  auth,
+  authorize("order:create"),
+  quotationController.createQuotationPaymentLinks
+);
+
+// @route   GET /api/quotations/:docNum/payments
+// @desc    Payment plan, paid/outstanding balance and SAP reconciliation
+// @access  Private
+router.get(
+  "/:docNum/payments",
+  auth,
+  authorize("quotation:read"),
+  quotationController.getQuotationPayments
+);
+
 // Add these new routes to your existing quotationRoutes.js file
 // @route   GET /api/quotations/:docEntry/edit-data
 // @desc    Get quotation data for editing
@@ -45,12 +70,22 @@ router.get("/export", auth, quotationController.exportQuotations);
 // @route   POST /api/quotations/:docEntry/approve
 // @desc    Approve a quotation
 // @access  Private (Admin only)
-router.post("/:docEntry/approve", auth, quotationController.approveQuotation);
+router.post(
+  "/:docEntry/approve",
+  auth,
+  authorize("quotation:approve"),
+  quotationController.approveQuotation
+);
 
 // @route   POST /api/quotations/:docEntry/reject
 // @desc    Reject a quotation
 // @access  Private (Admin only)
-router.post("/:docEntry/reject", auth, quotationController.rejectQuotation);
+router.post(
+  "/:docEntry/reject",
+  auth,
+  authorize("quotation:approve"),
+  quotationController.rejectQuotation
+);
 
 // @route   PUT /api/quotations/bulk/status
 // @desc    Bulk update quotation status
@@ -75,6 +110,52 @@ router.get("/", auth, quotationController.getAllQuotations);
 // @desc    Get quotations for a specific customer
 // @access  Private
 
+// @route   GET /api/quotations/:docEntry/sap-status
+// @desc    Get the SAP B1 sync status of a quotation
+// @access  Private
+router.get(
+  "/:docEntry/sap-status",
+  auth,
+  quotationController.getSAPQuotationStatus
+);
+
+// @route   GET /api/quotations/:docEntry/revisions
+// @desc    List the revisions of a quotation
+// @access  Private
+router.get(
+  "/:docEntry/revisions",
+  auth,
+  quotationController.getQuotationRevisions
+);
+
+// @route   GET /api/quotations/:docEntry/revisions/diff?from=&to=
+// @desc    Compare two revisions of a quotation
+// @access  Private
+router.get(
+  "/:docEntry/revisions/diff",
+  auth,
+  quotationController.diffQuotationRevisions
+);
+
+// @route   GET /api/quotations/:docEntry/revisions/:revision
+// @desc    Get one revision of a quotation
+// @access  Private
+router.get(
+  "/:docEntry/revisions/:revision",
+  auth,
+  quotationController.getQuotationRevision
+);
+
+// @route   GET /api/quotations/:docEntry/audit
+// @desc    Audit trail of a quotation (who changed what)
+// @access  Private
+router.get(
+  "/:docEntry/audit",
+  auth,
+  authorize("quotation:read"),
+  auditController.getQuotationAudit
+);
+
 // @route   GET /api/quotations/:docEntry
 // @desc    Get a single quotation by DocEntry
 // @access  Private
@@ -93,7 +174,30 @@ router.post("/:docEntry/convert", auth, quotationController.convertToOrder);
 // @route   PATCH /api/quotations/:docEntry/cancel
 // @desc    Cancel/deactivate a quotation
 // @access  Private
-router.patch("/:docEntry/cancel", auth, quotationController.cancelQuotation);
+router.patch(
+  "/:docEntry/cancel",
+  auth,
+  authorize("quotation:update"),
+  quotationController.cancelQuotation
+);
+
+// @route   POST /api/quotations/:docEntry/reserve-stock
+// @desc    Soft-reserve the quotation's stock until it is converted or expires
+// @access  Private
+router.post(
+  "/:docEntry/reserve-stock",
+  auth,
+  quotationController.reserveQuotationStock
+);
+
+// @route   DELETE /api/quotations/:docEntry/reserve-stock
+// @desc    Release the quotation's soft stock reservation
+// @access  Private
+router.delete(
+  "/:docEntry/reserve-stock",
+  auth,
+  quotationController.releaseQuotationStock
+);
 
 // @route   POST /api/quotations/:docEntry/duplicate
 // @desc    Create a duplicate of an existing quotation
@@ -101,6 +205,7 @@ router.patch("/:docEntry/cancel", auth, quotationController.cancelQuotation);
 router.post(
   "/:docEntry/duplicate",
   auth,
+  authorize("quotation:create"),
   quotationController.duplicateQuotation
 );
 
@@ -108,6 +213,7 @@ router.post(
 router.post(
   "/:docEntry/send-email",
   auth,
+  authorize("quotation:update"),
   quotationController.sendQuotationByEmail
 );
 
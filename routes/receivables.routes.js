@@ -0,0 +1,107 @@
+// routes/receivables.routes.js
+const express = require("express");
+const router = express.Router();
+const { auth, authorize } = require("../middleware/auth");
+const receivablesController = require("../controllers/receivables.controller");
+
+// @route   GET /api/receivables/ageing?groupBy=customer|agent&agentId=&asOf=
+// @desc    AR ageing (current/1-30/31-60/61-90/90+) per customer or agent
+// @access  Private (agents see their own customers)
+router.get(
+  "/ageing",
+  auth,
+  authorize("receivables:read"),
+  receivablesController.getAgeingReport
+);
+
+// @route   GET /api/receivables/ageing/:cardCode
+// @desc    Ageing, open invoices and dunning state of one customer
+// @access  Private
+router.get(
+  "/ageing/:cardCode",
+  auth,
+  authorize("receivables:read"),
+  receivablesController.getCustomerAgeing
+);
+
+// @route   GET /api/receivables/dunning-steps
+// @desc    List the dunning sequence
+// @access  Private (Admin, Sales manager)
+router.get(
+  "/dunning-steps",
+  auth,
+  authorize("dunning:read"),
+  receivablesController.getDunningSteps
+);
+
+// @route   POST /api/receivables/dunning-steps
+// @desc    Create a dunning step
+// @access  Private (Admin)
+router.post(
+  "/dunning-steps",
+  auth,
+  authorize("dunning:manage"),
+  receivablesController.createDunningStep
+);
+
+// @route   PUT /api/receivables/dunning-steps/:id
+// @desc    Update a dunning step
+// @access  Private (Admin)
+router.put(
+  "/dunning-steps/:id",
+  auth,
+  authorize("dunning:manage"),
+  receivablesController.updateDunningStep
+);
+
+// @route   DELETE /api/receivables/dunning-steps/:id
+// @desc    Delete a dunning step
+// @access  Private (Admin)
+router.delete(
+  "/dunning-steps/:id",
+  auth,
+  authorize("dunning:manage"),
+  receivablesController.deleteDunningStep
+);
+
+// @route   POST /api/receivables/dunning/run?dryRun=true
+// @desc    Run the dunning sequence now
+// @access  Private (Admin)
+router.post(
+  "/dunning/run",
+  auth,
+  authorize("dunning:manage"),
+  receivablesController.runDunningNow
+);
+
+// @route   PUT /api/receivables/dunning/:cardCode/exempt
+// @desc    Exclude a customer from dunning, or include it again
+// @access  Private (Admin, Sales manager)
+router.put(
+  "/dunning/:cardCode/exempt",
+  auth,
+  authorize("dunning:exempt"),
+  receivablesController.setDunningExempt
+);
+
+// @route   GET /api/receivables/credit/:cardCode?orderTotal=
+// @desc    Credit limit, hold and exposure of a customer
+// @access  Private
+router.get(
+  "/credit/:cardCode",
+  auth,
+  authorize("receivables:read"),
+  receivablesController.getCustomerCredit
+);
+
+// @route   PUT /api/receivables/credit/:cardCode
+// @desc    Set the credit limit and/or credit hold of a customer
+// @access  Private (Admin, Sales manager)
+router.put(
+  "/credit/:cardCode",
+  auth,
+  authorize("customer:credit"),
+  receivablesController.updateCustomerCredit
+);
+
+module.exports = router;
@@ -0,0 +1,19 @@
+// routes/recycleBin.routes.js
+const express = require("express");
+const router = express.Router();
+const { auth, authorize } = require("../middleware/auth");
+const recycleBinController = require("../controllers/recycleBin.controller");
+
+router.use(auth, authorize("recycle_bin:manage"));
+
+// @route   GET /api/recycle-bin/:type (customers, leads, deals, tasks)
+// @desc    Deleted records awaiting purge
+// @access  Private (Admin)
+router.get("/:type", recycleBinController.listDeleted);
+
+// @route   POST /api/recycle-bin/:type/:id/restore
+// @desc    Restore a deleted record
+// @access  Private (Admin)
+router.post("/:type/:id/restore", recycleBinController.restore);
+
+module.exports = router;
@@ -2,7 +2,7 @@
 const express = require("express");
 const router = express.Router();
 const salesAgentJourneyController = require("../controllers/salesAgentJourney.controller");
-const { auth, checkRole } = require("../middleware/auth");
+const { auth, authorize } = require("../middleware/auth");
 
 // Protect all routes with authentication
 router.use(auth);
@@ -24,7 +24,7 @@ router.get(
  */
 router.get(
   "/:agentId/customers",
-  checkRole(["admin", "sales_manager", "sales_agent"]),
+  authorize("journey:read"),
   salesAgentJourneyController.getAgentCustomers
 );
 
@@ -35,7 +35,7 @@ router.get(
  */
 router.get(
   "/:agentId/calls",
-  checkRole(["admin", "sales_manager", "sales_agent"]),
+  authorize("journey:read"),
   salesAgentJourneyController.getAgentCalls
 );
 
@@ -46,7 +46,7 @@ router.get(
  */
 router.get(
   "/:agentId/sales-orders",
-  checkRole(["admin", "sales_manager", "sales_agent"]),
+  authorize("journey:read"),
   salesAgentJourneyController.getAgentSalesOrders
 );
 
@@ -57,7 +57,7 @@ router.get(
  */
 router.get(
   "/:agentId/productivity",
-  checkRole(["admin", "sales_manager", "sales_agent"]),
+  authorize("journey:read"),
   salesAgentJourneyController.getAgentProductivity
 );
 
@@ -68,7 +68,7 @@ router.get(
  */
 router.get(
   "/:agentId/performance",
-  checkRole(["admin", "sales_manager", "sales_agent"]),
+  authorize("journey:read"),
   salesAgentJourneyController.getAgentPerformance
 );
 
@@ -79,7 +79,7 @@ router.get(
  */
 router.get(
   "/:agentId/customer-journeys",
-  checkRole(["admin", "sales_manager", "sales_agent"]),
+  authorize("journey:read"),
   salesAgentJourneyController.getAgentCustomerJourneys
 );
 router.get(
@@ -91,7 +91,7 @@ router.get(
 // Add this route after the existing routes
 router.get(
   "/:agentId/attendance",
-  checkRole(["admin", "sales_manager", "sales_agent"]),
+  authorize("journey:read"),
   salesAgentJourneyController.getAgentAttendance
 );
 
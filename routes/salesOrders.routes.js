@@ -2,7 +2,8 @@
 const express = require("express");
 const router = express.Router();
 const orderController = require("../controllers/order.controller");
-const { auth } = require("../middleware/auth");
+const auditController = require("../controllers/audit.controller");
+const { auth, authorize } = require("../middleware/auth");
 
 const multer = require("multer");
 
@@ -28,14 +29,41 @@ const upload = multer({
 // sales order routes
 router.post(
   "/:docNum/generate-payment-link",
+  auth,
+  authorize("order:create"),
   orderController.generatePaymentLinkForOrder
 );
 router.get(
   "/:docNum/payment-status",
+  auth,
+  authorize("order:read"),
   orderController.getUpdateOnPaymentLinkForOrder
 );
+
+// @route   POST /api/sales-orders/:docNum/payment-links
+// @desc    Create payment links for a payment plan (deposit, balance, ...)
+// @access  Private
+router.post(
+  "/:docNum/payment-links",
+  auth,
+  authorize("order:create"),
+  orderController.createOrderPaymentLinks
+);
+
+// @route   GET /api/sales-orders/:docNum/payments
+// @desc    Payment plan, paid/outstanding balance and SAP reconciliation
+// @access  Private
+router.get(
+  "/:docNum/payments",
+  auth,
+  authorize("order:read"),
+  orderController.getOrderPayments
+);
+
 router.post(
   "/bulk-import",
+  auth,
+  authorize("order:import"),
   upload.single("file"),
   orderController.bulkImportSalesOrders
 );
@@ -48,7 +76,7 @@ router.post("/", auth, orderController.createOrder);
 // @desc    Get all orders with pagination and filtering
 // @access  Private
 //router.get("/cardCode/:cardCode",auth, orderController.getOrdersByCustomer);
-router.get("/", orderController.getAllOrders);
+router.get("/", auth, authorize("order:read"), orderController.getAllOrders);
 
 // @route   GET /api/orders
 // @desc    Get all orders with pagination and filtering
@@ -59,10 +87,45 @@ router.get("/", orderController.getAllOrders);
 // @access  Private
 // Specific route for getOrdersByCustomer
 router.get("/cardCode/:cardCode", auth, orderController.getOrdersByCustomer); // Matches /api/sales-orders/customer/C0003
+// @route   GET /api/sales-orders/:docEntry/audit
+// @desc    Audit trail of an order (who changed what)
+// @access  Private
+router.get(
+  "/:docEntry/audit",
+  auth,
+  authorize("order:read"),
+  auditController.getOrderAudit
+);
+
 // @route   POST /api/orders/:docEntry/push-to-sap
 // @desc    Push an order to SAP B1
 // @access  Private
-router.post("/:docEntry/push-to-sap", orderController.pushOrderToSAP);
+router.post(
+  "/:docEntry/push-to-sap",
+  auth,
+  authorize("order:push_sap"),
+  orderController.pushOrderToSAP
+);
+
+// @route   POST /api/sales-orders/:docEntry/credit-approve
+// @desc    Approve an order held for credit and push it to SAP
+// @access  Private (Admin or routed approver)
+router.post(
+  "/:docEntry/credit-approve",
+  auth,
+  authorize("order:approve_credit"),
+  orderController.approveOrderCredit
+);
+
+// @route   POST /api/sales-orders/:docEntry/credit-reject
+// @desc    Reject an order held for credit
+// @access  Private (Admin or routed approver)
+router.post(
+  "/:docEntry/credit-reject",
+  auth,
+  authorize("order:approve_credit"),
+  orderController.rejectOrderCredit
+);
 
 // @route   PATCH /api/orders/:docEntry/status
 // @desc    Update order status
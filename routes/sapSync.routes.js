@@ -0,0 +1,50 @@
+// routes/sapSync.routes.js
+const express = require("express");
+const router = express.Router();
+const { auth, authorize } = require("../middleware/auth");
+const sapSyncController = require("../controllers/sapSync.controller");
+
+// All SAP outbox routes are admin only
+router.use(auth, authorize("sap_sync:manage"));
+
+// @route   GET /api/sap-sync/jobs
+// @desc    List SAP sync jobs (filter by status, entityType, entityRef)
+// @access  Private (Admin)
+router.get("/jobs", sapSyncController.getJobs);
+
+// @route   GET /api/sap-sync/jobs/:id
+// @desc    Get a SAP sync job with its attempt history
+// @access  Private (Admin)
+router.get("/jobs/:id", sapSyncController.getJobById);
+
+// @route   POST /api/sap-sync/jobs/:id/retry
+// @desc    Retry a SAP sync job immediately
+// @access  Private (Admin)
+router.post("/jobs/:id/retry", sapSyncController.retryJob);
+
+// @route   POST /api/sap-sync/jobs/:id/abandon
+// @desc    Stop retrying a SAP sync job
+// @access  Private (Admin)
+router.post("/jobs/:id/abandon", sapSyncController.abandonJob);
+
+// @route   POST /api/sap-sync/pull
+// @desc    Pull invoices, credit notes and incoming payments from SAP now
+// @access  Private (Admin)
+router.post("/pull", sapSyncController.runPullSync);
+
+// @route   GET /api/sap-sync/pull/status
+// @desc    Get watermarks and last results of the SAP pull sync
+// @access  Private (Admin)
+router.get("/pull/status", sapSyncController.getPullSyncStatus);
+
+// @route   POST /api/sap-sync/items/pull
+// @desc    Pull items, prices, stock, special prices and customer price lists from SAP now
+// @access  Private (Admin)
+router.post("/items/pull", sapSyncController.runItemSync);
+
+// @route   GET /api/sap-sync/items/status
+// @desc    Get watermarks and last results of the SAP item sync
+// @access  Private (Admin)
+router.get("/items/status", sapSyncController.getItemSyncStatus);
+
+module.exports = router;
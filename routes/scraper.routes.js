@@ -1,8 +1,12 @@
 const express = require("express");
 const scraperController = require("../controllers/scraper.controller");
+const { auth } = require("../middleware/auth");
 
 const router = express.Router();
 
+// Scraper jobs are for logged-in users only
+router.use(auth);
+
 /**
  * @route   POST /api/scraper/jobs
  * @desc    Start a new scraping job
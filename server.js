@@ -36,14 +36,41 @@ const SalesManagerDashboardRoutes = require("./routes/salesManagerDashboardRoute
 const notificationRoutes = require("./routes/notification.routes");
 const CustomerProductSalesRoutes = require("./routes/CustomerProductSales.routes");
 const productSalesAnalyticsRoutes = require("./routes/productSalesAnalytics.routes");
+const sapSyncRoutes = require("./routes/sapSync.routes");
+const approvalRuleRoutes = require("./routes/approvalRule.routes");
+const adyenWebhookRoutes = require("./routes/adyenWebhook.routes");
+const receivablesRoutes = require("./routes/receivables.routes");
+const permissionRoutes = require("./routes/permission.routes");
+const adminRoutes = require("./routes/admin.routes");
+const auditRoutes = require("./routes/audit.routes");
+const recycleBinRoutes = require("./routes/recycleBin.routes");
+const { publicRoute } = require("./middleware/auth");
+const { requestContext } = require("./middleware/requestContext");
+const { assertRoutesGuarded } = require("./services/routeAudit");
 const config = require("./services/config");
 const desktimeJob = require("./jobs/desktimeJob");
+const sapSyncJob = require("./jobs/sapSyncJob");
+const sapPullSyncJob = require("./jobs/sapPullSyncJob");
+const sapItemSyncJob = require("./jobs/sapItemSyncJob");
+const stockReservationJob = require("./jobs/stockReservationJob");
+const quotationExpiryJob = require("./jobs/quotationExpiryJob");
+const dunningJob = require("./jobs/dunningJob");
+const softDeletePurgeJob = require("./jobs/softDeletePurgeJob");
+const duplicateDetectionJob = require("./jobs/duplicateDetectionJob");
+const phoneNormalizationJob = require("./jobs/phoneNormalizationJob");
 const { linkDocumentsToAgents } = require("./migrateAgentReferences");
 const { syncFromFeb21 } = require("./jobs/hubspotJob");
 const { fetchCallsFromMay2UntilToday } = require("./jobs/mayScript");
 // Initialize express app
 const app = express();
 
+// Behind a reverse proxy req.ip (login throttling, sessions) needs this,
+// e.g. TRUST_PROXY=1 for a single proxy hop
+if (process.env.TRUST_PROXY) {
+  const hops = Number(process.env.TRUST_PROXY);
+  app.set("trust proxy", Number.isNaN(hops) ? process.env.TRUST_PROXY : hops);
+}
+
 // Schedule jobs/
 //syncFromFeb21();
 async function someFunction() {
@@ -59,6 +86,7 @@ const MONGO_URI =
 const NODE_ENV = process.env.NODE_ENV || "development";
 
 // Middleware
+app.use(requestContext); // Request id and user for the audit trail
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 app.use(
@@ -141,9 +169,17 @@ app.use("/api/sales-manager-dashboard", SalesManagerDashboardRoutes); // Sales m
 app.use("/api/notifications", notificationRoutes);
 app.use("/api/customer-product-sales", CustomerProductSalesRoutes);
 app.use("/api/product-sales", productSalesAnalyticsRoutes);
+app.use("/api/sap-sync", sapSyncRoutes); // SAP outbox admin routes
+app.use("/api/approval-rules", approvalRuleRoutes); // Quotation approval rules
+app.use("/api/webhooks/adyen", adyenWebhookRoutes); // Adyen payment notifications
+app.use("/api/receivables", receivablesRoutes); // AR ageing and dunning
+app.use("/api/permissions", permissionRoutes); // Role templates and overrides
+app.use("/api/admin", adminRoutes); // Route audit
+app.use("/api/audit", auditRoutes); // Audit trail of record changes
+app.use("/api/recycle-bin", recycleBinRoutes); // Soft deleted records
 
 // Health check route
-app.get("/health", (req, res) => {
+app.get("/health", publicRoute("Health check"), (req, res) => {
   res.status(200).json({ status: "ok" });
 });
 
@@ -156,6 +192,9 @@ app.use((err, req, res, next) => {
   });
 });
 
+// Refuse to start while a route has neither auth nor publicRoute()
+assertRoutesGuarded(app);
+
 // Start server
 app.listen(PORT, () => console.log(`Server running on port ${PORT}`));
 
@@ -0,0 +1,257 @@
+// services/adyenWebhook.js
+// Adyen standard webhook: HMAC verification and payment state updates for
+// the sales orders ("SO-<DocNum>") and quotations ("QT-<DocNum>") that
+// payment links were created for. Links of a payment plan carry a sequence
+// number ("SO-<DocNum>-<n>") and update their own entry of the plan.
+const crypto = require("crypto");
+const AdyenNotification = require("../models/AdyenNotification");
+const SalesOrder = require("../models/SalesOrder");
+const Quotation = require("../models/Quotation");
+const sapSyncQueue = require("./sapSyncQueue");
+const NotificationService = require("../utils/notificationService");
+const { applyLinkEvent } = require("./paymentPlans");
+const { isCreditBlocked } = require("./customerCredit");
+
+const REFERENCE_PREFIXES = {
+  SO: { documentType: "SalesOrder", model: SalesOrder },
+  QT: { documentType: "Quotation", model: Quotation },
+};
+
+// payment_status written for each event; failed events of a successful
+// kind fall back to FAILED_STATUSES
+const EVENT_STATUSES = {
+  AUTHORISATION: "authorised",
+  CAPTURE: "captured",
+  CANCELLATION: "cancelled",
+  CANCEL_OR_REFUND: "cancelled",
+  REFUND: "refunded",
+  CHARGEBACK: "chargeback",
+  OFFER_CLOSED: "expired",
+};
+
+const FAILED_STATUSES = {
+  AUTHORISATION: "refused",
+  CAPTURE: "capture_failed",
+  REFUND: "refund_failed",
+};
+
+/**
+ * HMAC signature Adyen computes over the notification item.
+ * @param {Object} item - NotificationRequestItem
+ * @param {String} hexKey - HMAC key from the Adyen customer area
+ * @returns {String} Base64 signature
+ */
+function computeHmac(item, hexKey) {
+  const amount = item.amount || {};
+  const payload = [
+    item.pspReference,
+    item.originalReference,
+    item.merchantAccountCode,
+    item.merchantReference,
+    amount.value,
+    amount.currency,
+    item.eventCode,
+    item.success,
+  ]
+    .map((value) => (value === undefined || value === null ? "" : value))
+    .join(":");
+
+  return crypto
+    .createHmac("sha256", Buffer.from(hexKey, "hex"))
+    .update(payload, "utf8")
+    .digest("base64");
+}
+
+/**
+ * Whether a notification item carries a valid signature for ADYEN_HMAC_KEY.
+ */
+function isValidHmac(item) {
+  const hexKey = process.env.ADYEN_HMAC_KEY;
+  const signature = item.additionalData && item.additionalData.hmacSignature;
+  if (!hexKey || !signature) {
+    return false;
+  }
+
+  const expected = Buffer.from(computeHmac(item, hexKey));
+  const received = Buffer.from(signature);
+  return (
+    expected.length === received.length &&
+    crypto.timingSafeEqual(expected, received)
+  );
+}
+
+// Order or quotation the event belongs to, by reference then by link id
+async function findDocument(item) {
+  const match = /^(SO|QT)-(\d+)(?:-\d+)?$/.exec(item.merchantReference || "");
+  const paymentLinkId =
+    item.additionalData && item.additionalData.paymentLinkId;
+
+  if (match) {
+    const { documentType, model } = REFERENCE_PREFIXES[match[1]];
+    const document = await model.findOne({ DocNum: Number(match[2]) });
+    if (document) {
+      return { documentType, document };
+    }
+  }
+
+  if (paymentLinkId) {
+    for (const { documentType, model } of Object.values(REFERENCE_PREFIXES)) {
+      const document = await model.findOne({ Payment_id: paymentLinkId });
+      if (document) {
+        return { documentType, document };
+      }
+    }
+  }
+
+  return null;
+}
+
+const paymentStatusFor = (eventCode, success) =>
+  success ? EVENT_STATUSES[eventCode] : FAILED_STATUSES[eventCode];
+
+// Authorised payments queue the document for SAP; the outbox worker pushes
+// it, so the webhook answers Adyen without waiting on the Service Layer
+async function pushToSAP(documentType, document) {
+  if (document.SyncedWithSAP || document.SAPSyncDisabled) {
+    return { triggered: false };
+  }
+  // Orders held for credit wait for their approver
+  if (isCreditBlocked(document)) {
+    return { triggered: false };
+  }
+  // Quotations still need their discount/margin approval
+  if (documentType === "Quotation" && document.approvalStatus !== "approved") {
+    return { triggered: false };
+  }
+
+  await sapSyncQueue.enqueue(documentType, document, {
+    resync: documentType === "Quotation",
+  });
+  return { triggered: true };
+}
+
+/**
+ * Record one notification item and apply it to its document.
+ * Events already processed (Adyen retries) are ignored; an event that failed
+ * before is processed again, so a retry can recover from a transient error.
+ * @param {Object} item - NotificationRequestItem (signature already checked)
+ * @param {Object} options - { live }
+ * @returns {Promise<Object>} AdyenNotification (status "failed" when it
+ *   could not be applied) or { duplicate: true }
+ */
+async function processNotification(item, options = {}) {
+  const success = String(item.success) === "true";
+  const additionalData = item.additionalData || {};
+
+  let event;
+  try {
+    event = await AdyenNotification.create({
+      pspReference: item.pspReference,
+      originalReference: item.originalReference,
+      eventCode: item.eventCode,
+      success,
+      merchantAccountCode: item.merchantAccountCode,
+      merchantReference: item.merchantReference,
+      paymentLinkId: additionalData.paymentLinkId,
+      paymentMethod: item.paymentMethod,
+      reason: item.reason,
+      amount: item.amount,
+      eventDate: item.eventDate ? new Date(item.eventDate) : new Date(),
+      live: String(options.live) === "true",
+      // The HMAC signature is not kept
+      payload: {
+        ...item,
+        additionalData: { ...additionalData, hmacSignature: undefined },
+      },
+    });
+  } catch (error) {
+    if (error.code !== 11000) {
+      throw error;
+    }
+    // Claim a failed earlier delivery so only one retry reprocesses it
+    event = await AdyenNotification.findOneAndUpdate(
+      {
+        pspReference: item.pspReference,
+        eventCode: item.eventCode,
+        success,
+        status: "failed",
+      },
+      { $set: { status: "processed" }, $unset: { error: "" } },
+      { new: true }
+    );
+    if (!event) {
+      return { duplicate: true };
+    }
+  }
+
+  try {
+    const found = await findDocument(item);
+    if (!found) {
+      event.status = "unmatched";
+      await event.save();
+      return event;
+    }
+
+    const { documentType, document } = found;
+    event.documentType = documentType;
+    event.documentEntry = document.DocEntry;
+    event.DocNum = document.DocNum;
+    event.paymentStatus = paymentStatusFor(item.eventCode, success);
+
+    if (event.paymentStatus) {
+      // Plan links roll up into paid / partially_paid on the document
+      if (!applyLinkEvent(document, event)) {
+        document.payment_status = event.paymentStatus;
+      }
+      document.PaymentPspReference =
+        item.originalReference || item.pspReference;
+      document.PaymentStatusUpdatedAt = event.eventDate;
+      if (event.paymentStatus === "authorised") {
+        document.PaymentAuthorisedAt = event.eventDate;
+      }
+      await document.save();
+
+      // Orders converted from the quotation carry its plan (e.g. a deposit)
+      if (documentType === "Quotation" && document.ConvertedToOrderDocEntry) {
+        const order = await SalesOrder.findOne({
+          DocEntry: document.ConvertedToOrderDocEntry,
+        });
+        if (order && applyLinkEvent(order, event)) {
+          await order.save();
+        }
+      }
+
+      try {
+        await NotificationService.createPaymentNotification(
+          document,
+          documentType,
+          event
+        );
+      } catch (error) {
+        console.error("Error sending payment notification:", error);
+      }
+
+      if (event.paymentStatus === "authorised") {
+        event.sapSync = await pushToSAP(documentType, document);
+      }
+    }
+
+    await event.save();
+    return event;
+  } catch (error) {
+    console.error(
+      `Error processing Adyen ${item.eventCode} for ${item.merchantReference}:`,
+      error
+    );
+    event.status = "failed";
+    event.error = error.message;
+    await event.save();
+    return event;
+  }
+}
+
+module.exports = {
+  computeHmac,
+  isValidHmac,
+  processNotification,
+};
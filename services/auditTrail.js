@@ -0,0 +1,374 @@
+// services/auditTrail.js
+// Mongoose plugin recording every create, update and delete of a model in
+// AuditLogs: the changed fields (before/after) and the user, request id and
+// IP of the request that made the change. Covers document saves, the update
+// and delete queries, insertMany and bulkWrite.
+const mongoose = require("mongoose");
+const AuditLog = require("../models/AuditLog");
+const { getRequestContext } = require("../middleware/requestContext");
+
+// Bookkeeping, never reported as changes
+const IGNORED_FIELDS = ["_id", "__v", "createdAt", "updatedAt"];
+
+const UPDATE_QUERIES = [
+  "updateOne",
+  "updateMany",
+  "findOneAndUpdate",
+  "replaceOne",
+];
+const DELETE_QUERIES = ["deleteOne", "deleteMany", "findOneAndDelete"];
+
+// bulkWrite filters are looked up this many at a time
+const BULK_LOOKUP_CHUNK = 500;
+
+// State carried from a query's pre hook to its post hook
+const AUDIT_STATE = Symbol("auditState");
+
+// Comparable, storable form of a value: ids and dates become strings
+function normalize(value) {
+  if (value === undefined || value === null) {
+    return null;
+  }
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  if (value._bsontype) {
+    return value.toString();
+  }
+  if (Array.isArray(value)) {
+    return value.map(normalize);
+  }
+  if (typeof value === "object") {
+    const normalized = {};
+    for (const key of Object.keys(value)) {
+      normalized[key] = normalize(value[key]);
+    }
+    return normalized;
+  }
+  return value;
+}
+
+const isObject = (value) =>
+  value !== null && typeof value === "object" && !Array.isArray(value);
+
+// Changed leaf paths between two normalized values. Arrays of the same
+// length are compared item by item ("DocumentLines.2.Quantity").
+function diff(before, after, path, changes) {
+  if (isObject(before) && isObject(after)) {
+    const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+    for (const key of keys) {
+      diff(before[key], after[key], path ? `${path}.${key}` : key, changes);
+    }
+  } else if (
+    Array.isArray(before) &&
+    Array.isArray(after) &&
+    before.length === after.length
+  ) {
+    before.forEach((item, index) =>
+      diff(item, after[index], `${path}.${index}`, changes)
+    );
+  } else if (JSON.stringify(before) !== JSON.stringify(after)) {
+    changes.push({
+      path,
+      before: before === undefined ? null : before,
+      after: after === undefined ? null : after,
+    });
+  }
+  return changes;
+}
+
+/**
+ * Field-level changes between two versions of a record.
+ * @param {Object|null} before - Stored record before the change
+ * @param {Object|null} after - Stored record after the change
+ * @returns {Array<Object>} { path, before, after }
+ */
+function diffRecords(before, after) {
+  const strip = (record) => {
+    const normalized = normalize(record || {});
+    IGNORED_FIELDS.forEach((field) => delete normalized[field]);
+    return normalized;
+  };
+  return diff(strip(before), strip(after), "", []);
+}
+
+// Top-level fields an update touches, or null when it can rewrite the
+// whole record (replacement, aggregation pipeline)
+function updatedFields(update) {
+  if (!isObject(update)) {
+    return null;
+  }
+  const fields = new Set();
+  for (const [key, value] of Object.entries(update)) {
+    if (!key.startsWith("$")) {
+      fields.add(key.split(".")[0]);
+    } else if (isObject(value)) {
+      Object.keys(value).forEach((path) => fields.add(path.split(".")[0]));
+    }
+  }
+  return [...fields];
+}
+
+const selection = (fields) => (fields ? fields.join(" ") : "");
+
+// Audit entry with the details of the current request, if any
+function buildEntry(entity, entityId, action, changes) {
+  const context = getRequestContext();
+  const entry = { entity, entityId, action, changes, source: "system" };
+  if (context) {
+    Object.assign(entry, {
+      source: "api",
+      actor: context.user ? context.user._id : undefined,
+      requestId: context.requestId,
+      method: context.method,
+      path: context.path,
+      ip: context.ip,
+      userAgent: context.userAgent,
+    });
+  }
+  return entry;
+}
+
+// Audit entries for records before and after a write. Records missing
+// afterwards were deleted; records only present afterwards were created.
+function entriesFor(entity, beforeRecords, afterRecords) {
+  const afterById = new Map(
+    afterRecords.map((record) => [String(record._id), record])
+  );
+  const entries = [];
+
+  for (const before of beforeRecords) {
+    const id = String(before._id);
+    const after = afterById.get(id);
+    afterById.delete(id);
+    const changes = diffRecords(before, after || null);
+    if (!after) {
+      entries.push(buildEntry(entity, before._id, "delete", changes));
+    } else if (changes.length) {
+      entries.push(buildEntry(entity, before._id, "update", changes));
+    }
+  }
+  for (const after of afterById.values()) {
+    entries.push(
+      buildEntry(entity, after._id, "create", diffRecords(null, after))
+    );
+  }
+
+  return entries;
+}
+
+// A failed audit write is logged, never surfaced to the caller
+async function saveEntries(entries) {
+  if (!entries.length) {
+    return;
+  }
+  try {
+    await AuditLog.insertMany(entries, { ordered: false });
+  } catch (error) {
+    console.error("Audit log write failed:", error);
+  }
+}
+
+// The lookups below include soft deleted records (services/softDelete.js):
+// the filter of the audited query already says which records it reaches
+const findByIds = (model, ids, fields) =>
+  ids.length
+    ? model
+        .find({ _id: { $in: ids } })
+        .setOptions({ withDeleted: true })
+        .select(selection(fields))
+        .lean()
+    : [];
+
+// Records matched by a query, as its write will see them
+function findTargets(query, fields) {
+  let lookup = query.model
+    .find(query.getFilter())
+    .setOptions({ withDeleted: true })
+    .select(selection(fields))
+    .lean();
+  if (!["updateMany", "deleteMany"].includes(query.op)) {
+    const { sort } = query.getOptions();
+    if (sort) {
+      lookup = lookup.sort(sort);
+    }
+    lookup = lookup.limit(1);
+  }
+  return lookup;
+}
+
+async function auditedBulkWrite(model, entity, bulkWrite, ops, options) {
+  const filters = [];
+  let fields = [];
+  for (const op of ops) {
+    const [type, args] = Object.entries(op)[0];
+    if (type === "insertOne") {
+      continue;
+    }
+    filters.push(args.filter);
+    const touched =
+      type === "updateOne" || type === "updateMany"
+        ? updatedFields(args.update)
+        : null;
+    fields = fields && touched ? [...fields, ...touched] : null;
+  }
+  fields = fields && [...new Set(fields)];
+
+  const before = [];
+  for (let i = 0; i < filters.length; i += BULK_LOOKUP_CHUNK) {
+    before.push(
+      ...(await model
+        .find({ $or: filters.slice(i, i + BULK_LOOKUP_CHUNK) })
+        .setOptions({ withDeleted: true })
+        .select(selection(fields))
+        .lean())
+    );
+  }
+
+  const result = await bulkWrite.call(model, ops, options);
+
+  try {
+    const ids = [
+      ...before.map((record) => record._id),
+      ...Object.values(result.insertedIds || {}),
+      ...Object.values(result.upsertedIds || {}),
+    ];
+    const after = [];
+    for (let i = 0; i < ids.length; i += BULK_LOOKUP_CHUNK) {
+      after.push(
+        ...(await findByIds(model, ids.slice(i, i + BULK_LOOKUP_CHUNK), fields))
+      );
+    }
+    await saveEntries(entriesFor(entity, before, after));
+  } catch (error) {
+    console.error("Audit log write failed:", error);
+  }
+  return result;
+}
+
+/**
+ * Mongoose plugin; apply it last so the fields set by the model's own
+ * pre-save hooks are recorded too.
+ * @param {Object} schema - Mongoose schema
+ * @param {Object} options - { entity: name stored in AuditLog.entity }
+ */
+function auditTrailPlugin(schema, { entity }) {
+  schema.pre("save", async function () {
+    if (this.isNew) {
+      this.$locals.auditBefore = null;
+      return;
+    }
+    const fields = [
+      ...new Set(this.modifiedPaths().map((path) => path.split(".")[0])),
+    ];
+    if (!fields.length) {
+      return;
+    }
+    this.$locals.auditFields = fields;
+    this.$locals.auditBefore = await this.constructor
+      .findById(this._id)
+      .setOptions({ withDeleted: true })
+      .select(selection(fields))
+      .lean();
+  });
+
+  schema.post("save", async function () {
+    if (this.$locals.auditBefore === undefined) {
+      return;
+    }
+    const before = this.$locals.auditBefore;
+    const fields = this.$locals.auditFields;
+    delete this.$locals.auditBefore;
+    delete this.$locals.auditFields;
+
+    const record = this.toObject({ depopulate: true });
+    const after = fields
+      ? Object.fromEntries(fields.map((field) => [field, record[field]]))
+      : record;
+    const changes = diffRecords(before, after);
+    if (before && !changes.length) {
+      return;
+    }
+    await saveEntries([
+      buildEntry(entity, this._id, before ? "update" : "create", changes),
+    ]);
+  });
+
+  schema.pre(
+    UPDATE_QUERIES,
+    { document: false, query: true },
+    async function () {
+      const fields =
+        this.op === "replaceOne" ? null : updatedFields(this.getUpdate());
+      if (fields && !fields.length) {
+        return;
+      }
+      this[AUDIT_STATE] = { fields, before: await findTargets(this, fields) };
+    }
+  );
+
+  schema.post(
+    UPDATE_QUERIES,
+    { document: false, query: true },
+    async function () {
+      const state = this[AUDIT_STATE];
+      if (!state) {
+        return;
+      }
+      const ids = state.before.map((record) => record._id);
+      let after = await findByIds(this.model, ids, state.fields);
+      if (!ids.length && this.getOptions().upsert) {
+        after = await findTargets(this, state.fields);
+      }
+      await saveEntries(entriesFor(entity, state.before, after));
+    }
+  );
+
+  schema.pre(
+    DELETE_QUERIES,
+    { document: false, query: true },
+    async function () {
+      this[AUDIT_STATE] = { before: await findTargets(this, null) };
+    }
+  );
+
+  schema.post(
+    DELETE_QUERIES,
+    { document: false, query: true },
+    async function () {
+      const { before } = this[AUDIT_STATE];
+      const remaining = new Set(
+        (
+          await findByIds(
+            this.model,
+            before.map((record) => record._id),
+            ["_id"]
+          )
+        ).map((record) => String(record._id))
+      );
+      const deleted = before.filter(
+        (record) => !remaining.has(String(record._id))
+      );
+      await saveEntries(entriesFor(entity, deleted, []));
+    }
+  );
+
+  schema.post("insertMany", async function (docs) {
+    const records = docs.map((doc) =>
+      doc.toObject ? doc.toObject({ depopulate: true }) : doc
+    );
+    await saveEntries(entriesFor(entity, [], records));
+  });
+
+  // Wraps the bulkWrite of plugins applied earlier, if any
+  const baseBulkWrite = schema.statics.bulkWrite || mongoose.Model.bulkWrite;
+  schema.static("bulkWrite", function (ops, options) {
+    return auditedBulkWrite(this, entity, baseBulkWrite, ops, options);
+  });
+}
+
+module.exports = {
+  auditTrailPlugin,
+  diffRecords,
+  updatedFields,
+};
@@ -0,0 +1,213 @@
+// services/authSessions.js
+// Short-lived access tokens (JWT) and rotating refresh tokens kept in the
+// Sessions collection. Every refresh replaces the refresh token; presenting
+// a replaced one again revokes all sessions of the user.
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const Session = require("../models/Session");
+const User = require("../models/User");
+
+function resolveJwtSecret() {
+  if (process.env.JWT_SECRET) {
+    return process.env.JWT_SECRET;
+  }
+  if (process.env.NODE_ENV === "production") {
+    throw new Error("JWT_SECRET must be set in production");
+  }
+  // Tokens do not survive a restart, which is fine for development
+  console.warn("WARNING: JWT_SECRET is not set, using a random secret");
+  return crypto.randomBytes(32).toString("hex");
+}
+
+const JWT_SECRET = resolveJwtSecret();
+const ACCESS_TOKEN_EXPIRES_IN = process.env.JWT_EXPIRES_IN || "15m";
+const REFRESH_TOKEN_DAYS = parseInt(process.env.REFRESH_TOKEN_DAYS) || 30;
+
+// Replaced refresh tokens remembered per session for reuse detection
+const PREVIOUS_TOKENS_KEPT = 20;
+// Two tabs refreshing at once is not a replay
+const REUSE_GRACE_MS = 10 * 1000;
+
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+const newRefreshToken = () => crypto.randomBytes(48).toString("base64url");
+
+const refreshExpiry = () =>
+  new Date(Date.now() + REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000);
+
+const unauthorized = (message) => {
+  const error = new Error(message);
+  error.statusCode = 401;
+  return error;
+};
+
+const signAccessToken = (user, session) =>
+  jwt.sign(
+    { userId: user._id, role: user.role, sid: session._id },
+    JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_EXPIRES_IN }
+  );
+
+const verifyAccessToken = (token) => jwt.verify(token, JWT_SECRET);
+
+// Proof that the password was right, exchanged for a session once the
+// second factor is checked. It has no session id, so auth rejects it.
+const signTwoFactorChallenge = (user) =>
+  jwt.sign({ userId: user._id, purpose: "2fa" }, JWT_SECRET, {
+    expiresIn: "5m",
+  });
+
+function verifyTwoFactorChallenge(token) {
+  try {
+    const decoded = jwt.verify(token, JWT_SECRET);
+    if (decoded.purpose === "2fa") {
+      return decoded;
+    }
+  } catch (error) {
+    // Expired or tampered with
+  }
+  throw unauthorized("Invalid or expired two-factor challenge");
+}
+
+/**
+ * Open a session and issue its first token pair.
+ * @param {Object} user - Logged-in user
+ * @param {Object} client - { ip, userAgent }
+ * @returns {Promise<Object>} { accessToken, refreshToken, session }
+ */
+async function createSession(user, client = {}) {
+  const refreshToken = newRefreshToken();
+  const session = await Session.create({
+    user: user._id,
+    tokenHash: hashToken(refreshToken),
+    expiresAt: refreshExpiry(),
+    createdByIp: client.ip,
+    lastIp: client.ip,
+    userAgent: client.userAgent,
+  });
+
+  return {
+    accessToken: signAccessToken(user, session),
+    refreshToken,
+    session,
+  };
+}
+
+async function revokeSession(session, reason) {
+  if (!session.revokedAt) {
+    session.revokedAt = new Date();
+    session.revokedReason = reason;
+    await session.save();
+  }
+  return session;
+}
+
+/**
+ * Revoke every active session of a user.
+ * @param {Object} options - { exceptSessionId } keeps the caller's session
+ * @returns {Promise<Number>} Number of sessions revoked
+ */
+async function revokeAllSessions(userId, reason, options = {}) {
+  const filter = { user: userId, revokedAt: null };
+  if (options.exceptSessionId) {
+    filter._id = { $ne: options.exceptSessionId };
+  }
+  const result = await Session.updateMany(filter, {
+    revokedAt: new Date(),
+    revokedReason: reason,
+  });
+  return result.modifiedCount;
+}
+
+/**
+ * Exchange a refresh token for a new token pair.
+ * @throws {Error} statusCode 401 when the token is unknown, expired, revoked
+ *   or was already used
+ * @returns {Promise<Object>} { user, accessToken, refreshToken, session }
+ */
+async function rotateRefreshToken(refreshToken, client = {}) {
+  if (!refreshToken) {
+    throw unauthorized("Refresh token required");
+  }
+
+  const tokenHash = hashToken(refreshToken);
+  const session = await Session.findOne({ tokenHash });
+
+  if (!session) {
+    const replayed = await Session.findOne({ previousTokenHashes: tokenHash });
+    if (
+      replayed &&
+      Date.now() - replayed.lastUsedAt.getTime() > REUSE_GRACE_MS
+    ) {
+      await revokeAllSessions(replayed.user, "refresh_token_reuse");
+      console.warn(
+        `Refresh token reuse for user ${replayed.user}, all sessions revoked`
+      );
+    }
+    throw unauthorized("Invalid refresh token");
+  }
+
+  if (session.revokedAt || session.expiresAt < new Date()) {
+    throw unauthorized("Session expired or revoked");
+  }
+
+  const user = await User.findOne({ _id: session.user, deactivated: false });
+  if (!user) {
+    await revokeSession(session, "deactivated");
+    throw unauthorized("User not found or deactivated");
+  }
+
+  // Rotate only if the token is still current: of two concurrent refreshes
+  // one wins, the other gets a 401 instead of overwriting the winner's token
+  const nextToken = newRefreshToken();
+  const rotated = await Session.findOneAndUpdate(
+    { _id: session._id, tokenHash, revokedAt: null },
+    {
+      $set: {
+        tokenHash: hashToken(nextToken),
+        expiresAt: refreshExpiry(),
+        lastUsedAt: new Date(),
+        lastIp: client.ip,
+      },
+      $push: {
+        previousTokenHashes: {
+          $each: [tokenHash],
+          $slice: -PREVIOUS_TOKENS_KEPT,
+        },
+      },
+    },
+    { new: true }
+  );
+
+  if (!rotated) {
+    throw unauthorized("Invalid refresh token");
+  }
+
+  return {
+    user,
+    accessToken: signAccessToken(user, rotated),
+    refreshToken: nextToken,
+    session: rotated,
+  };
+}
+
+// Whether the session behind an access token is still open
+const isSessionActive = (sessionId) =>
+  Session.exists({
+    _id: sessionId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  });
+
+module.exports = {
+  ACCESS_TOKEN_EXPIRES_IN,
+  verifyAccessToken,
+  signTwoFactorChallenge,
+  verifyTwoFactorChallenge,
+  createSession,
+  rotateRefreshToken,
+  revokeSession,
+  revokeAllSessions,
+  isSessionActive,
+};
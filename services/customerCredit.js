@@ -0,0 +1,282 @@
+// services/customerCredit.js
+// Credit control on new orders: the customer's exposure (open invoices +
+// open orders) plus the new order is checked against its credit limit and
+// credit hold. Orders that fail the check are blocked or routed to the
+// agent's manager, depending on CREDIT_CHECK_MODE.
+const Customer = require("../models/Customer");
+const SalesOrder = require("../models/SalesOrder");
+const Invoice = require("../models/Invoice");
+const Task = require("../models/Task");
+const User = require("../models/User");
+const NotificationService = require("../utils/notificationService");
+const { computeAgeing } = require("./receivablesAgeing");
+const { documentPaymentTotal } = require("./paymentPlans");
+const { hasPermission } = require("./permissions");
+
+// "approval" (default): agents' orders wait for a manager; "block": orders
+// are refused; "off": no credit check
+const CREDIT_CHECK_MODE = process.env.CREDIT_CHECK_MODE || "approval";
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Still to be paid on an order; online payments already received count
+const orderOpenAmount = (order) =>
+  Math.max(0, documentPaymentTotal(order) - (order.AmountPaid || 0));
+
+/**
+ * Orders of the customer not invoiced, closed, cancelled or rejected yet.
+ * Orders pushed to SAP ("bost_Closed" locally) stay open until SAP invoices
+ * them; they are recognised by the invoice lines based on them.
+ */
+async function openOrdersTotal(cardCode, excludeDocEntry) {
+  const orders = await SalesOrder.find({
+    CardCode: cardCode,
+    DocumentStatus: { $ne: "bost_Close" },
+    Cancelled: { $ne: "tYES" },
+    "creditApproval.status": { $ne: "rejected" },
+    ...(excludeDocEntry ? { DocEntry: { $ne: excludeDocEntry } } : {}),
+  })
+    .select("DocEntry SAPDocEntry DocTotal DocTotalWithVAT AmountPaid")
+    .lean();
+
+  const sapEntries = orders.map((order) => order.SAPDocEntry).filter(Boolean);
+  const invoices = sapEntries.length
+    ? await Invoice.find({
+        Cancelled: { $ne: "tYES" },
+        DocumentLines: {
+          $elemMatch: { BaseType: 17, BaseEntry: { $in: sapEntries } },
+        },
+      })
+        .select("DocumentLines.BaseType DocumentLines.BaseEntry")
+        .lean()
+    : [];
+  const invoiced = new Set(
+    invoices.flatMap((invoice) =>
+      invoice.DocumentLines.filter((line) => line.BaseType === 17).map(
+        (line) => line.BaseEntry
+      )
+    )
+  );
+
+  return round(
+    orders
+      .filter(
+        (order) => !order.SAPDocEntry || !invoiced.has(order.SAPDocEntry)
+      )
+      .reduce((sum, order) => sum + orderOpenAmount(order), 0)
+  );
+}
+
+/**
+ * Credit position of a customer, optionally with a new order on top.
+ * @param {Object} customer - Customer document
+ * @param {Object} options - { orderTotal, excludeDocEntry }
+ * @returns {Promise<Object>} check
+ */
+async function checkCredit(customer, options = {}) {
+  const [ageing] = await computeAgeing({ cardCodes: [customer.CardCode] });
+  const openInvoices = ageing ? ageing.netBalance : 0;
+  const openOrders = await openOrdersTotal(
+    customer.CardCode,
+    options.excludeDocEntry
+  );
+  const exposure = round(openInvoices + openOrders);
+  const orderTotal = round(options.orderTotal || 0);
+  const projectedExposure = round(exposure + orderTotal);
+  const creditLimit =
+    typeof customer.creditLimit === "number" ? customer.creditLimit : null;
+
+  const reasons = [];
+  if (customer.creditHold) {
+    reasons.push(
+      `Customer is on credit hold${
+        customer.creditHoldReason ? ` (${customer.creditHoldReason})` : ""
+      }`
+    );
+  }
+  if (creditLimit !== null && projectedExposure > creditLimit) {
+    reasons.push(
+      `Exposure of €${projectedExposure.toFixed(
+        2
+      )} would exceed the credit limit of €${creditLimit.toFixed(2)}`
+    );
+  }
+
+  return {
+    creditLimit,
+    openInvoices,
+    openOrders,
+    exposure,
+    orderTotal,
+    projectedExposure,
+    available:
+      creditLimit !== null ? round(creditLimit - projectedExposure) : null,
+    creditHold: Boolean(customer.creditHold),
+    creditHoldReason: customer.creditHoldReason,
+    reasons,
+    withinLimit: reasons.length === 0,
+    checkedAt: new Date(),
+  };
+}
+
+/**
+ * Credit decision for a new order.
+ * - allow: within limit, checks disabled, or overridden by a manager/admin
+ * - approval: agent's order waits for a manager
+ * - block: refused (CREDIT_CHECK_MODE "block", or a credit approver who did
+ *   not confirm the override)
+ * @param {Object} order - Unsaved SalesOrder with its totals
+ * @param {Object} user - User creating the order
+ * @param {Object} options - { override }
+ * @returns {Promise<Object>} { action, check, message }
+ */
+async function evaluateOrderCredit(order, user, options = {}) {
+  if (CREDIT_CHECK_MODE === "off") {
+    return { action: "allow", check: null };
+  }
+
+  const customer = await Customer.findOne({ CardCode: order.CardCode }).select(
+    "CardCode CardName creditLimit creditHold creditHoldReason"
+  );
+  if (!customer) {
+    // Unknown customers fail later in SAP; nothing to check against
+    return { action: "allow", check: null };
+  }
+
+  const check = await checkCredit(customer, {
+    orderTotal: documentPaymentTotal(order),
+    excludeDocEntry: order.DocEntry,
+  });
+  if (check.withinLimit) {
+    return { action: "allow", check };
+  }
+
+  const message = check.reasons.join("; ");
+  if (CREDIT_CHECK_MODE === "block") {
+    return { action: "block", check, message };
+  }
+  if (await hasPermission(user, "order:approve_credit")) {
+    return options.override
+      ? { action: "allow", check, overridden: true }
+      : {
+          action: "block",
+          check,
+          message: `${message}. Set creditOverride to create the order anyway`,
+        };
+  }
+  return { action: "approval", check, message };
+}
+
+// The agent's manager, or an admin when the agent has none
+async function findCreditApprover(order) {
+  if (order.salesAgent) {
+    const agent = await User.findById(order.salesAgent).select("manager");
+    if (agent && agent.manager) {
+      return agent.manager;
+    }
+  }
+  const admin = await User.findOne({ role: "admin" }).select("_id");
+  return admin ? admin._id : null;
+}
+
+// Record the outcome of evaluateOrderCredit on the order (not saved)
+function recordCreditDecision(order, decision, user) {
+  if (!decision.check) {
+    return;
+  }
+
+  const { checkedAt, ...figures } = decision.check;
+  order.creditApproval = {
+    status:
+      decision.action === "approval"
+        ? "pending"
+        : decision.overridden
+        ? "approved"
+        : "not_required",
+    check: { ...figures, checkedAt },
+    requestedBy: user._id,
+    ...(decision.overridden
+      ? {
+          decidedBy: user._id,
+          decidedAt: new Date(),
+          comments: "Credit check overridden when creating the order",
+        }
+      : {}),
+  };
+}
+
+/**
+ * Open the credit approval task for a pending order and notify the
+ * approver. The order is updated in memory; the caller saves it.
+ * @returns {Promise<Object>} { task, approver }
+ */
+async function routeOrderCreditApproval(order, requestedBy) {
+  const approver = await findCreditApprover(order);
+  if (!approver) {
+    // Nobody to route to; stays pending for a manual decision
+    return {};
+  }
+
+  const check = order.creditApproval.check;
+  const task = await Task.create({
+    title: `Credit approval for Order #${order.DocNum}`,
+    description: `Order #${order.DocNum} for ${order.CardName} (${
+      order.CardCode
+    }) - Total: €${(check.orderTotal || 0).toFixed(2)} - ${(
+      check.reasons || []
+    ).join("; ")}`,
+    dueDate: new Date(new Date().setDate(new Date().getDate() + 1)), // Due tomorrow
+    priority: "high",
+    type: "approval",
+    status: "pending_approval",
+    assignedTo: approver,
+    createdBy: requestedBy._id,
+  });
+
+  order.creditApproval.task = task._id;
+  order.creditApproval.routedTo = approver;
+
+  try {
+    await NotificationService.createOrderCreditApprovalNotification(
+      order,
+      task,
+      approver,
+      requestedBy._id
+    );
+  } catch (error) {
+    console.error("Error sending credit approval notification:", error);
+  }
+
+  return { task, approver };
+}
+
+/**
+ * Whether a user may decide on a pending credit approval: the user the
+ * approval was routed to, or a credit approver who sees every record
+ * ("scope:all").
+ */
+async function canDecideCredit(order, user) {
+  const routedTo = order.creditApproval && order.creditApproval.routedTo;
+  if (routedTo && routedTo.toString() === user._id.toString()) {
+    return true;
+  }
+  return (
+    (await hasPermission(user, "order:approve_credit")) &&
+    (await hasPermission(user, "scope:all"))
+  );
+}
+
+// Orders waiting for (or refused) credit approval must not reach SAP
+const isCreditBlocked = (order) =>
+  Boolean(order.creditApproval) &&
+  ["pending", "rejected"].includes(order.creditApproval.status);
+
+module.exports = {
+  CREDIT_CHECK_MODE,
+  checkCredit,
+  evaluateOrderCredit,
+  recordCreditDecision,
+  routeOrderCreditApproval,
+  canDecideCredit,
+  isCreditBlocked,
+};
@@ -0,0 +1,526 @@
+// services/customerMerge.js
+// Merges a duplicate customer (secondary) into another (primary): every
+// document pointing at the secondary by CardCode or email is rewired to the
+// primary, blank primary fields are filled from the secondary, and the
+// secondary is retired to the recycle bin. Each changed document is kept in
+// a CustomerMerge record so the merge can be undone.
+//
+// Calls (CallData) are matched to customers by phone number when read; the
+// secondary's numbers are added to the primary's additionalPhoneNumbers and
+// the calls that follow them are listed on the merge record (undoing the
+// merge takes the numbers back). Quotation revisions are immutable snapshots
+// and keep the CardCode they were taken with. SAP special prices
+// (SpecialPrice) are SAP master data and left alone.
+const Customer = require("../models/Customer");
+const CustomerMerge = require("../models/CustomerMerge");
+const Invoice = require("../models/Invoice");
+const Payment = require("../models/payment");
+const CustomerProductSales = require("../models/CustomerProductSales");
+const CustomerLedger = require("../models/CustomerLedger");
+const SalesOrder = require("../models/SalesOrder");
+const Quotation = require("../models/Quotation");
+const CustomerTarget = require("../models/CustomerTarget");
+const Cart = require("../models/Cart");
+const Deal = require("../models/Deal");
+const CallData = require("../models/CallData");
+const { toE164List } = require("../utils/phoneNumber");
+const { callsWithNumbers } = require("./phoneLookup");
+const { serviceError } = require("../utils/serviceErrors");
+
+// Documents referencing a customer: the field holding the reference and
+// the customer field it holds. "stamp" models also record mergedFrom,
+// mergeDate and, for non-SAP secondaries, Historical.
+const REFERENCES = [
+  {
+    name: "Invoice",
+    model: Invoice,
+    field: "CardCode",
+    key: "CardCode",
+    stamp: true,
+  },
+  {
+    name: "Payment",
+    model: Payment,
+    field: "CardCode",
+    key: "CardCode",
+    stamp: true,
+  },
+  {
+    name: "CustomerProductSales",
+    model: CustomerProductSales,
+    field: "customerId",
+    key: "CardCode",
+    stamp: true,
+  },
+  {
+    name: "CustomerLedger",
+    model: CustomerLedger,
+    field: "customerId",
+    key: "CardCode",
+  },
+  {
+    name: "SalesOrder",
+    model: SalesOrder,
+    field: "CardCode",
+    key: "CardCode",
+  },
+  {
+    name: "Quotation",
+    model: Quotation,
+    field: "CardCode",
+    key: "CardCode",
+  },
+  {
+    name: "CustomerTarget",
+    model: CustomerTarget,
+    field: "cardCode",
+    key: "CardCode",
+  },
+  {
+    name: "Cart",
+    model: Cart,
+    field: "customerEmail",
+    key: "Email",
+  },
+  {
+    name: "Deal",
+    model: Deal,
+    field: "customerEmail",
+    key: "Email",
+  },
+];
+
+const STAMP_FIELDS = ["Historical", "mergedFrom", "mergeDate"];
+
+// Primary fields filled from the secondary when blank
+const FILL_FIELDS = [
+  "firstName",
+  "lastName",
+  "phoneNumber",
+  "hubspotId",
+  "prestashopAcc",
+  "assignedTo",
+  "contactOwnerName",
+  "notes",
+  "company",
+  "companyId",
+  "FederalTaxID",
+  "address",
+];
+
+// SAP CardCodes ("C00123"); anything else is a historical/non-SAP code
+const SAP_CARD_CODE = /^[A-Za-z]\d+$/;
+
+const WRITE_CHUNK = 500;
+
+// An address holding only the default country counts as blank
+const isBlank = (value, field) =>
+  field === "address"
+    ? !(value && (value.street || value.zipCode || value.city))
+    : value === undefined || value === null || value === "";
+
+const sameValue = (a, b) =>
+  JSON.stringify(a === undefined ? null : a) ===
+  JSON.stringify(b === undefined ? null : b);
+
+const unique = (values) => [...new Set(values.filter(Boolean))];
+
+const snapshot = (customer) => ({
+  _id: customer._id,
+  CardCode: customer.CardCode,
+  CardName: customer.CardName,
+  Email: customer.Email,
+});
+
+// Reference value of a customer for one REFERENCES entry, or null when the
+// two customers share it (nothing to rewire)
+function referenceValues(reference, primary, secondary) {
+  const from = secondary[reference.key];
+  const to = primary[reference.key];
+  if (!from || !to) {
+    return null;
+  }
+  if (reference.key === "Email" && from.toLowerCase() === to.toLowerCase()) {
+    return null;
+  }
+  return from === to ? null : { from, to };
+}
+
+// Primary fields the merge changes: [{ field, before, after }]
+function primaryChanges(primary, secondary) {
+  const changes = [];
+  for (const field of FILL_FIELDS) {
+    if (isBlank(primary[field], field) && !isBlank(secondary[field], field)) {
+      changes.push({ field, before: primary[field], after: secondary[field] });
+    }
+  }
+
+  const emails = unique([
+    ...(primary.additionalEmails || []),
+    secondary.Email,
+    ...(secondary.additionalEmails || []),
+  ]).filter(
+    (email) => email.toLowerCase() !== (primary.Email || "").toLowerCase()
+  );
+  if (!sameValue(emails, primary.additionalEmails || [])) {
+    changes.push({
+      field: "additionalEmails",
+      before: primary.additionalEmails,
+      after: emails,
+    });
+  }
+
+  const filledPhone = changes.some((change) => change.field === "phoneNumber");
+  const phones = unique([
+    ...(primary.additionalPhoneNumbers || []),
+    filledPhone ? null : secondary.phoneNumber,
+    ...(secondary.additionalPhoneNumbers || []),
+  ]).filter((phone) => phone !== primary.phoneNumber);
+  if (!sameValue(phones, primary.additionalPhoneNumbers || [])) {
+    changes.push({
+      field: "additionalPhoneNumbers",
+      before: primary.additionalPhoneNumbers,
+      after: phones,
+    });
+  }
+
+  if (secondary.status === "active" && primary.status !== "active") {
+    changes.push({ field: "status", before: primary.status, after: "active" });
+  }
+
+  return changes;
+}
+
+const phoneNumbersOf = (customer) =>
+  toE164List([
+    customer.phoneNumber,
+    ...(customer.additionalPhoneNumbers || []),
+  ]);
+
+// Numbers of the secondary the primary doesn't have yet: their calls move
+// to the primary with them
+function movedPhoneNumbers(primary, secondary) {
+  const primaryNumbers = phoneNumbersOf(primary);
+  return phoneNumbersOf(secondary).filter(
+    (number) => !primaryNumbers.includes(number)
+  );
+}
+
+async function loadPair(primaryId, secondaryId) {
+  if (String(primaryId) === String(secondaryId)) {
+    throw serviceError(400, "A customer cannot be merged into itself");
+  }
+  const [primary, secondary] = await Promise.all([
+    Customer.findById(primaryId).lean(),
+    Customer.findById(secondaryId).lean(),
+  ]);
+  if (!primary || !secondary) {
+    throw serviceError(404, "Customer not found");
+  }
+  if (primary.mergedInto || secondary.mergedInto) {
+    throw serviceError(409, "Customer was already merged into another");
+  }
+  return { primary, secondary };
+}
+
+/**
+ * Dry run: what merging secondary into primary would change.
+ * @returns {Promise<Object>} { primary, secondary, primaryChanges,
+ *   references: [{ model, field, from, to, count }],
+ *   calls: { phoneNumbers, count } }
+ */
+async function previewMerge(primaryId, secondaryId) {
+  const { primary, secondary } = await loadPair(primaryId, secondaryId);
+
+  const references = [];
+  for (const reference of REFERENCES) {
+    const values = referenceValues(reference, primary, secondary);
+    if (values) {
+      references.push({
+        model: reference.name,
+        field: reference.field,
+        ...values,
+        count: await reference.model
+          .countDocuments({ [reference.field]: values.from })
+          .setOptions({ withDeleted: true }),
+      });
+    }
+  }
+
+  const phoneNumbers = movedPhoneNumbers(primary, secondary);
+
+  return {
+    primary: snapshot(primary),
+    secondary: snapshot(secondary),
+    primaryChanges: primaryChanges(primary, secondary),
+    references,
+    calls: {
+      phoneNumbers,
+      count: phoneNumbers.length
+        ? await CallData.countDocuments(callsWithNumbers(phoneNumbers))
+        : 0,
+    },
+  };
+}
+
+// List on the merge the calls that follow the secondary's numbers to the
+// primary. Nothing is written to the calls themselves.
+async function recordCalls(merge, phoneNumbers) {
+  if (!phoneNumbers.length) {
+    return 0;
+  }
+  const calls = await CallData.find(callsWithNumbers(phoneNumbers))
+    .select("_id")
+    .lean();
+
+  for (let i = 0; i < calls.length; i += WRITE_CHUNK) {
+    await CustomerMerge.updateOne(
+      { _id: merge._id },
+      {
+        $push: {
+          documents: {
+            $each: calls.slice(i, i + WRITE_CHUNK).map((call) => ({
+              model: "CallData",
+              documentId: call._id,
+              before: null,
+            })),
+          },
+        },
+      }
+    );
+  }
+
+  return calls.length;
+}
+
+// Point the secondary's documents of one collection at the primary,
+// recording their previous values on the merge
+async function rewire(merge, reference, values, secondary, mergeDate) {
+  const { model, field, name } = reference;
+  const stampFields = reference.stamp ? STAMP_FIELDS : [];
+  const documents = await model
+    .find({ [field]: values.from })
+    .setOptions({ withDeleted: true })
+    .select([field, ...stampFields].join(" "))
+    .lean();
+
+  const update = { [field]: values.to };
+  if (reference.stamp) {
+    update.mergedFrom = secondary.CardCode;
+    update.mergeDate = mergeDate;
+    if (!SAP_CARD_CODE.test(secondary.CardCode || "")) {
+      update.Historical = true;
+    }
+  }
+
+  for (let i = 0; i < documents.length; i += WRITE_CHUNK) {
+    const chunk = documents.slice(i, i + WRITE_CHUNK);
+    // Recorded first: an interrupted merge can still be undone
+    await CustomerMerge.updateOne(
+      { _id: merge._id },
+      {
+        $push: {
+          documents: {
+            $each: chunk.map((document) => ({
+              model: name,
+              documentId: document._id,
+              before: Object.fromEntries(
+                [field, ...stampFields].map((key) => [
+                  key,
+                  document[key] === undefined ? null : document[key],
+                ])
+              ),
+            })),
+          },
+        },
+      }
+    );
+    await model.bulkWrite(
+      chunk.map((document) => ({
+        updateOne: {
+          filter: { _id: document._id, [field]: values.from },
+          update: { $set: update },
+        },
+      }))
+    );
+  }
+
+  return documents.length;
+}
+
+/**
+ * Merge secondary into primary.
+ * @param {Object} options - { mergedBy: user id, reason }
+ * @returns {Promise<Object>} The CustomerMerge record
+ */
+async function mergeCustomers(primaryId, secondaryId, options = {}) {
+  const { primary, secondary } = await loadPair(primaryId, secondaryId);
+  const changes = primaryChanges(primary, secondary);
+  const mergeDate = new Date();
+
+  const merge = await CustomerMerge.create({
+    primary: snapshot(primary),
+    secondary: snapshot(secondary),
+    reason: options.reason,
+    primaryChanges: changes,
+    secondaryBefore: {
+      status: secondary.status,
+      mergedInto: null,
+      deletedAt: null,
+      deletedBy: null,
+    },
+    mergedBy: options.mergedBy,
+  });
+
+  try {
+    const counts = {};
+    for (const reference of REFERENCES) {
+      const values = referenceValues(reference, primary, secondary);
+      if (values) {
+        counts[reference.name] = await rewire(
+          merge,
+          reference,
+          values,
+          secondary,
+          mergeDate
+        );
+      }
+    }
+
+    counts.CallData = await recordCalls(
+      merge,
+      movedPhoneNumbers(primary, secondary)
+    );
+
+    if (changes.length) {
+      await Customer.updateOne(
+        { _id: primary._id },
+        {
+          $set: Object.fromEntries(
+            changes.map((change) => [change.field, change.after])
+          ),
+        }
+      );
+    }
+    await Customer.updateOne(
+      { _id: secondary._id },
+      {
+        $set: {
+          status: "inactive",
+          mergedInto: primary._id,
+          deletedAt: mergeDate,
+          deletedBy: options.mergedBy,
+        },
+      }
+    );
+
+    await CustomerMerge.updateOne(
+      { _id: merge._id },
+      { status: "merged", counts }
+    );
+  } catch (error) {
+    await CustomerMerge.updateOne(
+      { _id: merge._id },
+      { status: "failed", error: error.message }
+    );
+    throw error;
+  }
+
+  return CustomerMerge.findById(merge._id).select("-documents");
+}
+
+// $set/$unset update restoring recorded values (null = field was absent)
+function restoreUpdate(values) {
+  const update = {};
+  for (const [key, value] of Object.entries(values)) {
+    const operator = value === null || value === undefined ? "$unset" : "$set";
+    update[operator] = update[operator] || {};
+    update[operator][key] = operator === "$unset" ? "" : value;
+  }
+  return update;
+}
+
+/**
+ * Undo a merge: rewired documents point at the secondary again, the
+ * primary's filled fields are cleared and the secondary is restored.
+ * Documents and fields changed since the merge are left alone.
+ * @returns {Promise<Object>} The updated CustomerMerge record
+ */
+async function undoMerge(mergeId, undoneBy) {
+  const merge = await CustomerMerge.findById(mergeId);
+  if (!merge) {
+    throw serviceError(404, "Merge not found");
+  }
+  if (!["merged", "failed"].includes(merge.status)) {
+    throw serviceError(409, `Merge is ${merge.status}, it cannot be undone`);
+  }
+
+  const secondary = await Customer.findById(merge.secondary._id)
+    .setOptions({ withDeleted: true })
+    .lean();
+  if (!secondary) {
+    throw serviceError(
+      409,
+      "The merged customer was purged from the recycle bin"
+    );
+  }
+
+  const skipped = {};
+  for (const reference of REFERENCES) {
+    const documents = merge.documents.filter(
+      (document) => document.model === reference.name
+    );
+    const to = merge.primary[reference.key];
+    let reverted = 0;
+    for (let i = 0; i < documents.length; i += WRITE_CHUNK) {
+      const result = await reference.model.bulkWrite(
+        documents.slice(i, i + WRITE_CHUNK).map((document) => ({
+          updateOne: {
+            filter: { _id: document.documentId, [reference.field]: to },
+            update: restoreUpdate(document.before),
+          },
+        }))
+      );
+      reverted += result.matchedCount;
+    }
+    if (reverted < documents.length) {
+      skipped[reference.name] = documents.length - reverted;
+    }
+  }
+
+  // Only the fields still holding the merged value
+  const primary = await Customer.findById(merge.primary._id).lean();
+  if (primary) {
+    const revert = {};
+    for (const change of merge.primaryChanges) {
+      if (sameValue(primary[change.field], change.after)) {
+        revert[change.field] = change.before;
+      } else {
+        skipped[`Customer.${change.field}`] = 1;
+      }
+    }
+    if (Object.keys(revert).length) {
+      await Customer.updateOne({ _id: primary._id }, restoreUpdate(revert));
+    }
+  }
+
+  await Customer.updateOne(
+    { _id: secondary._id },
+    restoreUpdate(merge.secondaryBefore || {})
+  ).setOptions({ withDeleted: true });
+
+  merge.status = "undone";
+  merge.undoneBy = undoneBy;
+  merge.undoneAt = new Date();
+  merge.undoSkipped = skipped;
+  await merge.save();
+
+  return CustomerMerge.findById(merge._id).select("-documents");
+}
+
+module.exports = {
+  REFERENCES,
+  previewMerge,
+  mergeCustomers,
+  undoMerge,
+};
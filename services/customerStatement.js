@@ -0,0 +1,182 @@
+// services/customerStatement.js
+// Statement of account built from the customer ledger (CustomerLedger, kept
+// in sync by sapPullSync): opening balance, transactions of the period and
+// closing balance, as JSON or PDF, optionally emailed to the customer.
+const CustomerLedger = require("../models/CustomerLedger");
+const pdfGenerator = require("../utils/pdfGenerator");
+const emailService = require("../utils/emailService");
+const { customerForTemplate } = require("./quotationEmail");
+
+const DEFAULT_PERIOD_DAYS = 90;
+
+const round2 = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+const startOfDay = (date) => {
+  const day = new Date(date);
+  day.setHours(0, 0, 0, 0);
+  return day;
+};
+
+const endOfDay = (date) => {
+  const day = new Date(date);
+  day.setHours(23, 59, 59, 999);
+  return day;
+};
+
+const invalidPeriod = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+/**
+ * Statement period from the ?from=&to= query; defaults to the last 90 days.
+ * @returns {Object} { from, to }
+ */
+function resolvePeriod({ from, to } = {}) {
+  const end = to ? new Date(to) : new Date();
+  if (isNaN(end.getTime())) {
+    throw invalidPeriod("Invalid 'to' date");
+  }
+
+  let start;
+  if (from) {
+    start = new Date(from);
+    if (isNaN(start.getTime())) {
+      throw invalidPeriod("Invalid 'from' date");
+    }
+  } else {
+    start = new Date(end);
+    start.setDate(start.getDate() - DEFAULT_PERIOD_DAYS);
+  }
+
+  if (start > end) {
+    throw invalidPeriod("'from' must be before 'to'");
+  }
+
+  return { from: startOfDay(start), to: endOfDay(end) };
+}
+
+/**
+ * Build a customer's statement of account for a period.
+ * @param {String} cardCode - Customer CardCode (CustomerLedger.customerId)
+ * @param {Object} period - { from, to } as received in the query
+ * @returns {Promise<Object>} Statement
+ */
+async function buildStatement(cardCode, period = {}) {
+  const { from, to } = resolvePeriod(period);
+
+  // Running balances are cumulative, so the last entry before the period
+  // carries the opening balance
+  const [previous, entries] = await Promise.all([
+    CustomerLedger.findOne({ customerId: cardCode, date: { $lt: from } })
+      .sort({ date: -1, createdAt: -1 })
+      .lean(),
+    CustomerLedger.find({
+      customerId: cardCode,
+      date: { $gte: from, $lte: to },
+    })
+      .sort({ date: 1, createdAt: 1 })
+      .lean(),
+  ]);
+
+  const openingBalance = round2(previous ? previous.runningBalance : 0);
+
+  const transactions = entries.map((entry) => ({
+    date: entry.date,
+    transactionNumber: entry.transactionNumber,
+    transactionType: entry.transactionType,
+    description: entry.description || "",
+    debitAmount: round2(entry.debitAmount),
+    creditAmount: round2(entry.creditAmount),
+    runningBalance: round2(entry.runningBalance),
+    isBalanceForward: entry.isBalanceForward,
+  }));
+
+  const totalDebit = round2(
+    transactions.reduce((sum, entry) => sum + entry.debitAmount, 0)
+  );
+  const totalCredit = round2(
+    transactions.reduce((sum, entry) => sum + entry.creditAmount, 0)
+  );
+  const closingBalance = transactions.length
+    ? transactions[transactions.length - 1].runningBalance
+    : openingBalance;
+
+  return {
+    cardCode,
+    from,
+    to,
+    generatedAt: new Date(),
+    openingBalance,
+    transactions,
+    totalDebit,
+    totalCredit,
+    closingBalance,
+  };
+}
+
+// Attachment name of a statement PDF
+const statementPdfFilename = (statement) =>
+  `Releve_HFS_${statement.cardCode}_${statement.to
+    .toISOString()
+    .slice(0, 10)}.pdf`;
+
+/**
+ * Render a statement as PDF.
+ * @returns {Promise<Buffer>} PDF buffer
+ */
+async function generateStatementPDF(statement, customer) {
+  return pdfGenerator.generateStatementPDF(statement, {
+    ...customerForTemplate(customer),
+    CardCode: customer.CardCode,
+  });
+}
+
+/**
+ * Email a statement to the customer with the PDF attached.
+ * @param {Object} statement - Statement from buildStatement
+ * @param {Object} customer - Customer document
+ * @param {Object} options - { to, cc, subject, message }
+ * @returns {Promise<Object>} { messageId, to }
+ */
+async function sendStatementEmail(statement, customer, options = {}) {
+  const to = options.to || customer.Email;
+  if (!to) {
+    const error = new Error("Customer has no email address");
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const pdfBuffer = await generateStatementPDF(statement, customer);
+
+  const emailText =
+    options.message ||
+    `Cher client,\n\nVeuillez trouver ci-joint votre relevé de compte au ${statement.to.toLocaleDateString(
+      "fr-FR"
+    )}.\n\nCordialement,\nL'équipe Halal Food Service`;
+
+  const info = await emailService.sendEmail({
+    to,
+    cc: options.cc || "",
+    subject: options.subject || `Relevé de compte HFS - ${customer.CardName}`,
+    text: emailText,
+    html: emailText.replace(/\n/g, "<br>"),
+    attachments: [
+      {
+        filename: statementPdfFilename(statement),
+        content: pdfBuffer,
+        contentType: "application/pdf",
+      },
+    ],
+  });
+
+  return { messageId: info.messageId, to };
+}
+
+module.exports = {
+  buildStatement,
+  generateStatementPDF,
+  sendStatementEmail,
+  statementPdfFilename,
+};
@@ -0,0 +1,340 @@
+// services/dunning.js
+// Dunning sequence driven by the receivables ageing: customers escalate
+// through the DunningSteps as their oldest overdue invoice ages (reminder
+// email, task for the agent, credit hold) and drop back once paid.
+const DunningStep = require("../models/DunningStep");
+const Customer = require("../models/Customer");
+const Task = require("../models/Task");
+const emailService = require("../utils/emailService");
+const NotificationService = require("../utils/notificationService");
+const { computeAgeing } = require("./receivablesAgeing");
+
+// Sequence used until an admin stores steps of their own
+const DEFAULT_STEPS = [
+  {
+    level: 1,
+    name: "Payment reminder",
+    minDaysOverdue: parseInt(process.env.DUNNING_LEVEL1_DAYS, 10) || 7,
+    sendEmail: true,
+    createTask: false,
+    creditHold: false,
+    taskPriority: "medium",
+  },
+  {
+    level: 2,
+    name: "Second reminder and agent follow-up",
+    minDaysOverdue: parseInt(process.env.DUNNING_LEVEL2_DAYS, 10) || 30,
+    sendEmail: true,
+    createTask: true,
+    creditHold: false,
+    taskPriority: "high",
+  },
+  {
+    level: 3,
+    name: "Final notice and credit hold",
+    minDaysOverdue: parseInt(process.env.DUNNING_LEVEL3_DAYS, 10) || 60,
+    sendEmail: true,
+    createTask: true,
+    creditHold: true,
+    taskPriority: "high",
+  },
+];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const formatDate = (date) => new Date(date).toLocaleDateString("fr-FR");
+const formatAmount = (value) => `${(value || 0).toFixed(2)} €`;
+
+async function getActiveSteps() {
+  const stored = await DunningStep.countDocuments();
+  const steps = stored
+    ? await DunningStep.find({ active: true }).lean()
+    : DEFAULT_STEPS;
+  return [...steps].sort((a, b) => a.level - b.level);
+}
+
+// Highest step the customer's oldest overdue invoice qualifies for
+const stepFor = (steps, daysOverdue) =>
+  daysOverdue > 0
+    ? steps.filter((step) => daysOverdue >= step.minDaysOverdue).pop() || null
+    : null;
+
+// Step after the customer's current level: escalation goes one step a run,
+// so a long overdue customer gets every reminder before the final notice
+const nextStepAfter = (steps, level) =>
+  steps.find((step) => step.level > level) || null;
+
+const overdueInvoices = (row) =>
+  (row.invoices || []).filter(
+    (invoice) => invoice.daysOverdue > 0 && !invoice.blockDunning
+  );
+
+async function sendDunningEmail(customer, step, row) {
+  const invoices = overdueInvoices(row);
+  const intro =
+    step.emailMessage ||
+    (step.level === 1
+      ? "Sauf erreur de notre part, les factures suivantes restent impayées à ce jour :"
+      : "Malgré nos précédentes relances, les factures suivantes restent impayées à ce jour :");
+  const closing = step.creditHold
+    ? "Sans règlement de votre part, nous ne serons pas en mesure d'honorer de nouvelles commandes."
+    : "Si votre règlement a été effectué entre-temps, merci de ne pas tenir compte de ce message.";
+
+  const lines = invoices.map(
+    (invoice) =>
+      `Facture ${invoice.DocNum} du ${formatDate(
+        invoice.DocDate
+      )} - échéance ${formatDate(invoice.DocDueDate)} - reste dû ${formatAmount(
+        invoice.openAmount
+      )}`
+  );
+  const text = `Cher client,\n\n${intro}\n\n${lines.join(
+    "\n"
+  )}\n\nTotal échu : ${formatAmount(
+    row.overdue
+  )}\n\n${closing}\n\nCordialement,\nL'équipe Halal Food Service`;
+
+  await emailService.sendEmail({
+    to: customer.Email,
+    subject:
+      step.emailSubject ||
+      `Relance n°${step.level} - factures échues - ${customer.CardName}`,
+    text,
+    html: text.replace(/\n/g, "<br>"),
+  });
+}
+
+async function createDunningTask(customer, step, row) {
+  const task = await Task.create({
+    title: `Dunning level ${step.level}: ${customer.CardName}`,
+    description: `${customer.CardName} (${customer.CardCode}) has ${formatAmount(
+      row.overdue
+    )} overdue, oldest invoice ${row.oldestDaysOverdue} days past due. ${
+      step.name
+    }.`,
+    dueDate: new Date(Date.now() + 2 * DAY_MS),
+    priority: step.taskPriority || "high",
+    type: "call",
+    status: "pending",
+    assignedTo: customer.assignedTo,
+    createdBy: customer.assignedTo,
+  });
+
+  try {
+    await NotificationService.createTaskAssignedNotification(task, null);
+  } catch (error) {
+    console.error("Error sending dunning task notification:", error);
+  }
+
+  return task;
+}
+
+/**
+ * Take the actions of a step for a customer and record them.
+ * Failures are recorded on the history entry; the level still advances so
+ * the step is not repeated every run.
+ */
+async function applyStep(customer, step, row, now) {
+  const entry = {
+    level: step.level,
+    stepName: step.name,
+    daysOverdue: row.oldestDaysOverdue,
+    amountOverdue: row.overdue,
+    at: now,
+  };
+  const errors = [];
+  const set = {
+    "dunning.level": step.level,
+    "dunning.daysOverdue": row.oldestDaysOverdue,
+    "dunning.amountOverdue": row.overdue,
+    "dunning.lastRunAt": now,
+  };
+
+  if (step.sendEmail) {
+    if (customer.Email) {
+      try {
+        await sendDunningEmail(customer, step, row);
+        entry.emailSentTo = customer.Email;
+      } catch (error) {
+        errors.push(`email: ${error.message}`);
+      }
+    } else {
+      errors.push("email: customer has no email address");
+    }
+  }
+
+  if (step.createTask) {
+    if (customer.assignedTo) {
+      try {
+        entry.task = (await createDunningTask(customer, step, row))._id;
+      } catch (error) {
+        errors.push(`task: ${error.message}`);
+      }
+    } else {
+      errors.push("task: customer has no sales agent");
+    }
+  }
+
+  if (step.creditHold && !customer.creditHold) {
+    entry.creditHold = true;
+    Object.assign(set, {
+      creditHold: true,
+      creditHoldReason: `Dunning level ${step.level}: ${row.oldestDaysOverdue} days overdue`,
+      creditHoldSince: now,
+      creditHoldSource: "dunning",
+    });
+  }
+
+  if (errors.length) {
+    entry.error = errors.join("; ");
+  }
+
+  await Customer.updateOne(
+    { _id: customer._id },
+    { $set: set, $push: { "dunning.history": entry } }
+  );
+  return entry;
+}
+
+/**
+ * Move every customer towards the dunning step matching its oldest overdue
+ * invoice, one step per run. Customers only get the actions of a step when
+ * they reach it; paid customers go back to level 0 and lose holds placed by
+ * dunning.
+ * @param {Object} options - { asOf, dryRun }
+ * @returns {Promise<Object>} { escalated, lowered, reset, exempt, unchanged,
+ *   actions }
+ */
+async function runDunning(options = {}) {
+  const now = options.asOf ? new Date(options.asOf) : new Date();
+  const stats = {
+    escalated: 0,
+    lowered: 0,
+    reset: 0,
+    exempt: 0,
+    unchanged: 0,
+    actions: [],
+  };
+
+  const steps = await getActiveSteps();
+  if (!steps.length) {
+    return stats;
+  }
+
+  const rows = await computeAgeing({ asOf: now, includeInvoices: true });
+  const rowsByCardCode = new Map(rows.map((row) => [row.CardCode, row]));
+  const overdueCodes = rows
+    .filter((row) => row.oldestDaysOverdue > 0)
+    .map((row) => row.CardCode);
+
+  const customers = await Customer.find({
+    $or: [
+      { CardCode: { $in: overdueCodes } },
+      { "dunning.level": { $gt: 0 } },
+    ],
+  }).select(
+    "CardCode CardName Email assignedTo dunning.level dunning.exempt creditHold creditHoldSource"
+  );
+
+  for (const customer of customers) {
+    const row = rowsByCardCode.get(customer.CardCode) || {
+      oldestDaysOverdue: 0,
+      overdue: 0,
+      invoices: [],
+    };
+    const currentLevel = (customer.dunning && customer.dunning.level) || 0;
+    const step = stepFor(steps, row.oldestDaysOverdue);
+    const targetLevel = step ? step.level : 0;
+
+    if (customer.dunning && customer.dunning.exempt) {
+      stats.exempt += 1;
+      continue;
+    }
+
+    try {
+      if (targetLevel > currentLevel) {
+        const nextStep = nextStepAfter(steps, currentLevel);
+        stats.escalated += 1;
+        stats.actions.push({
+          CardCode: customer.CardCode,
+          fromLevel: currentLevel,
+          toLevel: nextStep.level,
+          daysOverdue: row.oldestDaysOverdue,
+          amountOverdue: row.overdue,
+          sendEmail: nextStep.sendEmail,
+          createTask: nextStep.createTask,
+          creditHold: nextStep.creditHold,
+        });
+        if (!options.dryRun) {
+          await applyStep(customer, nextStep, row, now);
+        }
+        continue;
+      }
+
+      if (targetLevel === currentLevel) {
+        stats.unchanged += 1;
+        if (!options.dryRun && currentLevel > 0) {
+          await Customer.updateOne(
+            { _id: customer._id },
+            {
+              $set: {
+                "dunning.daysOverdue": row.oldestDaysOverdue,
+                "dunning.amountOverdue": row.overdue,
+                "dunning.lastRunAt": now,
+              },
+            }
+          );
+        }
+        continue;
+      }
+
+      // Paid down: drop to the matching level, lifting dunning holds no
+      // longer called for
+      stats[targetLevel === 0 ? "reset" : "lowered"] += 1;
+      const liftHold =
+        customer.creditHold &&
+        customer.creditHoldSource === "dunning" &&
+        !steps.some((s) => s.level <= targetLevel && s.creditHold);
+      stats.actions.push({
+        CardCode: customer.CardCode,
+        fromLevel: currentLevel,
+        toLevel: targetLevel,
+        daysOverdue: row.oldestDaysOverdue,
+        amountOverdue: row.overdue,
+        liftCreditHold: liftHold,
+      });
+      if (!options.dryRun) {
+        const update = {
+          $set: {
+            "dunning.level": targetLevel,
+            "dunning.daysOverdue": row.oldestDaysOverdue,
+            "dunning.amountOverdue": row.overdue,
+            "dunning.lastRunAt": now,
+          },
+        };
+        if (liftHold) {
+          update.$set.creditHold = false;
+          update.$unset = {
+            creditHoldReason: "",
+            creditHoldSince: "",
+            creditHoldSource: "",
+          };
+        }
+        await Customer.updateOne({ _id: customer._id }, update);
+      }
+    } catch (error) {
+      console.error(
+        `Error running dunning for customer ${customer.CardCode}:`,
+        error.message
+      );
+    }
+  }
+
+  return stats;
+}
+
+module.exports = {
+  DEFAULT_STEPS,
+  getActiveSteps,
+  runDunning,
+};
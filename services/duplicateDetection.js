@@ -0,0 +1,530 @@
+// services/duplicateDetection.js
+// Duplicate customer detection. Customers are compared on their normalized
+// name, emails, phone numbers, address and SIRET/SIREN; pairs scoring
+// DUPLICATE_SCORE_THRESHOLD or more go to the CustomerDuplicates review
+// queue, where a reviewer accepts (and optionally merges) or dismisses them.
+// Run nightly by jobs/duplicateDetectionJob.js and when a customer is created.
+const Customer = require("../models/Customer");
+const CustomerDuplicate = require("../models/CustomerDuplicate");
+const customerMerge = require("./customerMerge");
+const { toE164List } = require("../utils/phoneNumber");
+const { serviceError } = require("../utils/serviceErrors");
+const { parsePagination, paginationInfo } = require("../utils/pagination");
+
+const SCORE_THRESHOLD =
+  parseFloat(process.env.DUPLICATE_SCORE_THRESHOLD) || 0.6;
+
+// Weight of each matching rule; a pair's score is their sum, capped at 1.
+// No rule but the identifier is enough on its own.
+const WEIGHTS = {
+  identifier: 0.6,
+  email: 0.5,
+  name: 0.4,
+  phone: 0.35,
+  address: 0.25,
+};
+
+// Minimum similarity (0 to 1) for names and streets to match
+const NAME_SIMILARITY = 0.85;
+const STREET_SIMILARITY = 0.8;
+
+// Customers are only compared when they share a key (email, phone, name
+// word...). Keys shared by more customers than this, like common words or a
+// switchboard number, are too generic to compare on.
+const MAX_BLOCK_SIZE = 50;
+
+// Candidates looked up per rule when checking a single customer
+const CANDIDATE_LIMIT = 50;
+
+const WRITE_CHUNK = 500;
+
+const CUSTOMER_FIELDS =
+  "CardCode CardName company Email additionalEmails phoneNumber " +
+  "additionalPhoneNumbers address FederalTaxID";
+const SUMMARY_FIELDS = "CardCode CardName Email phoneNumber address assignedTo";
+
+// Legal forms and filler words left out of names
+const NAME_STOPWORDS = new Set([
+  "sarl",
+  "sas",
+  "sasu",
+  "eurl",
+  "sa",
+  "sci",
+  "snc",
+  "ets",
+  "etablissements",
+  "ste",
+  "societe",
+  "et",
+  "de",
+  "du",
+  "des",
+  "la",
+  "le",
+  "les",
+  "l",
+  "d",
+  "chez",
+]);
+
+const STREET_ABBREVIATIONS = {
+  avenue: "av",
+  boulevard: "bd",
+  chemin: "ch",
+  impasse: "imp",
+  place: "pl",
+  route: "rte",
+  saint: "st",
+  sainte: "ste",
+};
+
+const round = (value) => Math.round(value * 100) / 100;
+const unique = (values) => [...new Set(values.filter(Boolean))];
+
+const words = (value) =>
+  String(value || "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean);
+
+// Sorted distinct words without legal forms: "SARL Dupont & Fils" and
+// "Fils Dupont" both become "dupont fils"
+function normalizeName(value) {
+  const tokens = words(value).filter((word) => !NAME_STOPWORDS.has(word));
+  return unique(tokens).sort().join(" ");
+}
+
+function normalizeEmail(value) {
+  const email = String(value || "")
+    .trim()
+    .toLowerCase();
+  return email.includes("@") ? email : "";
+}
+
+// SIREN for a SIRET, SIREN or French VAT number, else the compacted value
+function normalizeIdentifier(value) {
+  const compact = String(value || "")
+    .toUpperCase()
+    .replace(/[^A-Z0-9]/g, "");
+  if (/^\d{14}$/.test(compact)) {
+    return compact.slice(0, 9);
+  }
+  const vat = compact.match(/^FR[0-9A-Z]{2}(\d{9})$/);
+  if (vat) {
+    return vat[1];
+  }
+  return compact.length >= 6 ? compact : "";
+}
+
+function normalizeStreet(value) {
+  return words(value)
+    .map((word) => STREET_ABBREVIATIONS[word] || word)
+    .join(" ");
+}
+
+// Comparable form of a customer
+function profile(customer) {
+  const address = customer.address || {};
+  return {
+    _id: customer._id,
+    names: unique([customer.CardName, customer.company].map(normalizeName)),
+    emails: unique(
+      [customer.Email, ...(customer.additionalEmails || [])].map(
+        normalizeEmail
+      )
+    ),
+    phones: toE164List([
+      customer.phoneNumber,
+      ...(customer.additionalPhoneNumbers || []),
+    ]),
+    identifier: normalizeIdentifier(customer.FederalTaxID),
+    zipCode: String(address.zipCode || "").replace(/\s/g, ""),
+    street: normalizeStreet(address.street),
+  };
+}
+
+// Sørensen-Dice coefficient of the character bigrams of two strings
+function similarity(a, b) {
+  if (!a || !b) {
+    return 0;
+  }
+  if (a === b) {
+    return 1;
+  }
+  const bigrams = (value) => {
+    const counts = new Map();
+    for (let i = 0; i < value.length - 1; i++) {
+      const bigram = value.slice(i, i + 2);
+      counts.set(bigram, (counts.get(bigram) || 0) + 1);
+    }
+    return counts;
+  };
+  const second = bigrams(b);
+  let shared = 0;
+  for (const [bigram, count] of bigrams(a)) {
+    shared += Math.min(count, second.get(bigram) || 0);
+  }
+  const total = a.length + b.length - 2;
+  return total > 0 ? (2 * shared) / total : 0;
+}
+
+/**
+ * How likely two customer profiles are the same customer.
+ * @returns {Object} { score, reasons: [{ rule, value, weight }] }
+ */
+function scorePair(a, b) {
+  const reasons = [];
+  const add = (rule, value, weight) =>
+    reasons.push({ rule, value, weight: round(weight) });
+
+  if (a.identifier && a.identifier === b.identifier) {
+    add("identifier", a.identifier, WEIGHTS.identifier);
+  }
+  const email = a.emails.find((value) => b.emails.includes(value));
+  if (email) {
+    add("email", email, WEIGHTS.email);
+  }
+  const phone = a.phones.find((value) => b.phones.includes(value));
+  if (phone) {
+    add("phone", phone, WEIGHTS.phone);
+  }
+
+  let name = { similarity: 0 };
+  for (const first of a.names) {
+    for (const second of b.names) {
+      const value = similarity(first, second);
+      if (value > name.similarity) {
+        name = { similarity: value, value: second };
+      }
+    }
+  }
+  if (name.similarity >= NAME_SIMILARITY) {
+    add("name", name.value, WEIGHTS.name * name.similarity);
+  }
+
+  if (
+    a.zipCode &&
+    a.zipCode === b.zipCode &&
+    similarity(a.street, b.street) >= STREET_SIMILARITY
+  ) {
+    add("address", `${b.street} ${b.zipCode}`, WEIGHTS.address);
+  }
+
+  const total = reasons.reduce((sum, reason) => sum + reason.weight, 0);
+  return { score: round(Math.min(total, 1)), reasons };
+}
+
+// Keys a profile is compared on: two customers sharing none are never
+// scored
+function blockingKeys(customer) {
+  const keys = [
+    ...customer.emails.map((email) => `email:${email}`),
+    ...customer.phones.map((phone) => `phone:${phone}`),
+    ...unique(customer.names.join(" ").split(" "))
+      .filter((word) => word.length >= 3)
+      .map((word) => `name:${word}`),
+  ];
+  if (customer.identifier) {
+    keys.push(`identifier:${customer.identifier}`);
+  }
+  if (customer.zipCode && customer.street) {
+    // Longest word of the street, usually its name rather than "rue"
+    const word = customer.street
+      .split(" ")
+      .reduce((longest, value) =>
+        value.length > longest.length ? value : longest
+      );
+    keys.push(`address:${customer.zipCode}:${word}`);
+  }
+  return keys;
+}
+
+// Pair document with the lower id first, as stored in CustomerDuplicates
+function pairFor(firstId, secondId, result) {
+  const [customerA, customerB] =
+    String(firstId) < String(secondId)
+      ? [firstId, secondId]
+      : [secondId, firstId];
+  return { customerA, customerB, ...result };
+}
+
+// Upsert detected pairs; decided pairs keep their status
+async function savePairs(pairs, detectedAt) {
+  let created = 0;
+  for (let i = 0; i < pairs.length; i += WRITE_CHUNK) {
+    const result = await CustomerDuplicate.bulkWrite(
+      pairs.slice(i, i + WRITE_CHUNK).map((pair) => ({
+        updateOne: {
+          filter: { customerA: pair.customerA, customerB: pair.customerB },
+          update: {
+            $set: {
+              score: pair.score,
+              reasons: pair.reasons,
+              lastDetectedAt: detectedAt,
+            },
+            $setOnInsert: { status: "open" },
+          },
+          upsert: true,
+        },
+      })),
+      { ordered: false }
+    );
+    created += result.upsertedCount;
+  }
+  return created;
+}
+
+/**
+ * Compare every customer and refresh the review queue. Open pairs that no
+ * longer match (edited, merged or deleted customers) are dropped.
+ * @returns {Promise<Object>} { customers, pairs, created, dropped }
+ */
+async function scanDuplicates() {
+  const startedAt = new Date();
+  const profiles = [];
+  const blocks = new Map();
+
+  const cursor = Customer.find().select(CUSTOMER_FIELDS).lean().cursor();
+  for await (const customer of cursor) {
+    const index = profiles.push(profile(customer)) - 1;
+    for (const key of blockingKeys(profiles[index])) {
+      const block = blocks.get(key) || [];
+      // Past MAX_BLOCK_SIZE the block is skipped, no need to keep growing it
+      if (block.length <= MAX_BLOCK_SIZE) {
+        block.push(index);
+      }
+      blocks.set(key, block);
+    }
+  }
+
+  const compared = new Set();
+  const pairs = [];
+  for (const block of blocks.values()) {
+    if (block.length < 2 || block.length > MAX_BLOCK_SIZE) {
+      continue;
+    }
+    for (let i = 0; i < block.length; i++) {
+      for (let j = i + 1; j < block.length; j++) {
+        const key = block[i] * profiles.length + block[j];
+        if (compared.has(key)) {
+          continue;
+        }
+        compared.add(key);
+        const [a, b] = [profiles[block[i]], profiles[block[j]]];
+        const result = scorePair(a, b);
+        if (result.score >= SCORE_THRESHOLD) {
+          pairs.push(pairFor(a._id, b._id, result));
+        }
+      }
+    }
+  }
+
+  const created = await savePairs(pairs, startedAt);
+  const dropped = await CustomerDuplicate.deleteMany({
+    status: "open",
+    lastDetectedAt: { $lt: startedAt },
+  });
+
+  return {
+    customers: profiles.length,
+    pairs: pairs.length,
+    created,
+    dropped: dropped.deletedCount,
+  };
+}
+
+// The identifier with any separators in between, so a SIREN also finds
+// the SIRET and VAT numbers containing it
+const identifierPattern = (identifier) =>
+  new RegExp(identifier.split("").join("[^0-9A-Z]*"), "i");
+
+// Stored emails are not lowercased
+const emailPattern = (email) =>
+  new RegExp(
+    `^\\s*${email.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")}\\s*$`,
+    "i"
+  );
+
+/**
+ * Likely duplicates of one customer, saved or not (e.g. a creation form).
+ * @param {Object} customer - Customer fields; _id is left out of the matches
+ * @returns {Promise<Array>} [{ customer, score, reasons }], best first
+ */
+async function findDuplicatesOf(customer, { limit = 10 } = {}) {
+  const target = profile(customer);
+  const conditions = [];
+
+  if (target.emails.length) {
+    const patterns = target.emails.map(emailPattern);
+    conditions.push(
+      { Email: { $in: patterns } },
+      { additionalEmails: { $in: patterns } }
+    );
+  }
+  if (target.phones.length) {
+    conditions.push({ phonesE164: { $in: target.phones } });
+  }
+  if (target.identifier) {
+    conditions.push({
+      FederalTaxID: identifierPattern(target.identifier),
+    });
+  }
+  if (target.zipCode && target.street) {
+    conditions.push({ "address.zipCode": target.zipCode });
+  }
+
+  const lookups = [];
+  if (conditions.length) {
+    lookups.push(
+      Customer.find({ $or: conditions })
+        .select(CUSTOMER_FIELDS)
+        .limit(CANDIDATE_LIMIT * 4)
+        .lean()
+    );
+  }
+  if (target.names.length) {
+    lookups.push(
+      Customer.find(
+        { $text: { $search: target.names.join(" ") } },
+        { score: { $meta: "textScore" } }
+      )
+        .select(CUSTOMER_FIELDS)
+        .sort({ score: { $meta: "textScore" } })
+        .limit(CANDIDATE_LIMIT)
+        .lean()
+    );
+  }
+
+  const candidates = new Map();
+  for (const found of await Promise.all(lookups)) {
+    for (const candidate of found) {
+      if (String(candidate._id) !== String(customer._id)) {
+        candidates.set(String(candidate._id), candidate);
+      }
+    }
+  }
+
+  return [...candidates.values()]
+    .map((candidate) => ({
+      customer: {
+        _id: candidate._id,
+        CardCode: candidate.CardCode,
+        CardName: candidate.CardName,
+        Email: candidate.Email,
+        phoneNumber: candidate.phoneNumber,
+      },
+      ...scorePair(target, profile(candidate)),
+    }))
+    .filter((match) => match.score >= SCORE_THRESHOLD)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+}
+
+/**
+ * Put the duplicates found for a customer in the review queue.
+ * @param {Array} matches - Result of findDuplicatesOf
+ * @returns {Promise<Number>} New pairs
+ */
+function recordDuplicates(customerId, matches) {
+  return savePairs(
+    matches.map(({ customer, score, reasons }) =>
+      pairFor(customerId, customer._id, { score, reasons })
+    ),
+    new Date()
+  );
+}
+
+/**
+ * Review queue, highest score first. Pairs whose customers were deleted
+ * or merged since the last scan are left out of the page.
+ * @returns {Promise<Object>} { data, pagination }
+ */
+async function listDuplicates({
+  status = "open",
+  customerId,
+  minScore,
+  page,
+  limit,
+}) {
+  const pagination = parsePagination({ page, limit });
+  const query = { status };
+  if (customerId) {
+    query.$or = [{ customerA: customerId }, { customerB: customerId }];
+  }
+  if (minScore) {
+    query.score = { $gte: parseFloat(minScore) };
+  }
+
+  const [pairs, total] = await Promise.all([
+    CustomerDuplicate.find(query)
+      .sort({ score: -1, _id: 1 })
+      .skip(pagination.skip)
+      .limit(pagination.limit)
+      .populate("customerA customerB", SUMMARY_FIELDS)
+      .populate("decidedBy", "firstName lastName email")
+      .lean(),
+    CustomerDuplicate.countDocuments(query),
+  ]);
+
+  return {
+    data: pairs.filter((pair) => pair.customerA && pair.customerB),
+    pagination: paginationInfo(pagination, total),
+  };
+}
+
+/**
+ * Accept or dismiss an open pair. Accepting with a primaryId also merges
+ * the other customer into it (services/customerMerge.js).
+ * @param {String} decision - "accepted" or "dismissed"
+ * @param {Object} options - { decidedBy, note, primaryId }
+ * @returns {Promise<Object>} The updated pair
+ * @throws {Error} statusCode 404 unknown pair, 409 already decided,
+ *   400 primaryId not in the pair
+ */
+async function decideDuplicate(id, decision, options = {}) {
+  const pair = await CustomerDuplicate.findById(id);
+  if (!pair) {
+    throw serviceError(404, "Duplicate pair not found");
+  }
+  if (pair.status !== "open") {
+    throw serviceError(409, `This pair was already ${pair.status}`);
+  }
+
+  if (decision === "accepted" && options.primaryId) {
+    const ids = [String(pair.customerA), String(pair.customerB)];
+    if (!ids.includes(String(options.primaryId))) {
+      throw serviceError(400, "primaryId must be one of the pair");
+    }
+    const secondaryId = ids.find(
+      (value) => value !== String(options.primaryId)
+    );
+    const merge = await customerMerge.mergeCustomers(
+      options.primaryId,
+      secondaryId,
+      { mergedBy: options.decidedBy, reason: "Duplicate review" }
+    );
+    pair.merge = merge._id;
+  }
+
+  pair.status = decision;
+  pair.decidedBy = options.decidedBy;
+  pair.decidedAt = new Date();
+  pair.decisionNote = options.note;
+  await pair.save();
+  return pair;
+}
+
+module.exports = {
+  SCORE_THRESHOLD,
+  normalizeName,
+  normalizeIdentifier,
+  scorePair,
+  scanDuplicates,
+  findDuplicatesOf,
+  recordDuplicates,
+  listDuplicates,
+  decideDuplicate,
+};
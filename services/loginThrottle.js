@@ -0,0 +1,101 @@
+// services/loginThrottle.js
+// Locks an account, or a client IP, for a while after too many failed logins
+// within a window. Password reset requests are limited the same way.
+const LoginAttempt = require("../models/LoginAttempt");
+
+const WINDOW_MS =
+  (parseInt(process.env.LOGIN_FAILURE_WINDOW_MINUTES) || 15) * 60 * 1000;
+const LOCKOUT_MS =
+  (parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 15) * 60 * 1000;
+const MAX_FAILURES = {
+  account: parseInt(process.env.LOGIN_MAX_FAILURES_PER_ACCOUNT) || 5,
+  ip: parseInt(process.env.LOGIN_MAX_FAILURES_PER_IP) || 20,
+  "reset-account": parseInt(process.env.PASSWORD_RESET_MAX_PER_ACCOUNT) || 3,
+  "reset-ip": parseInt(process.env.PASSWORD_RESET_MAX_PER_IP) || 10,
+};
+
+const throttleKeys = (prefix, email, ip) =>
+  [
+    email && `${prefix}account:${String(email).trim().toLowerCase()}`,
+    ip && `${prefix}ip:${ip}`,
+  ].filter(Boolean);
+
+// Throttle keys of a login attempt, or of a password reset request
+const loginKeys = (email, ip) => throttleKeys("", email, ip);
+const passwordResetKeys = (email, ip) => throttleKeys("reset-", email, ip);
+
+/**
+ * When the attempt is locked out, the date the lock ends.
+ * @returns {Promise<Date|null>}
+ */
+async function lockedUntil(keys) {
+  const locked = await LoginAttempt.find({
+    key: { $in: keys },
+    lockedUntil: { $gt: new Date() },
+  })
+    .select("lockedUntil")
+    .lean();
+
+  if (!locked.length) {
+    return null;
+  }
+  return new Date(
+    Math.max(...locked.map((attempt) => attempt.lockedUntil.getTime()))
+  );
+}
+
+// Count a failed login against every key, locking the ones over their limit.
+// Counted with atomic updates so concurrent failures are all counted.
+async function recordFailure(keys) {
+  const now = new Date();
+  const expiresAt = new Date(now.getTime() + WINDOW_MS + LOCKOUT_MS);
+
+  for (const key of keys) {
+    // Window over: start a new one
+    await LoginAttempt.updateOne(
+      { key, windowStart: { $lt: new Date(now.getTime() - WINDOW_MS) } },
+      {
+        $set: { failures: 0, windowStart: now },
+        $unset: { lockedUntil: "" },
+      }
+    );
+
+    const increment = () =>
+      LoginAttempt.findOneAndUpdate(
+        { key },
+        {
+          $inc: { failures: 1 },
+          $set: { expiresAt },
+          $setOnInsert: { windowStart: now },
+        },
+        { upsert: true, new: true }
+      );
+    let attempt;
+    try {
+      attempt = await increment();
+    } catch (error) {
+      // Concurrent first failures both tried to insert the key
+      if (error.code !== 11000) throw error;
+      attempt = await increment();
+    }
+
+    if (attempt.failures >= MAX_FAILURES[key.slice(0, key.indexOf(":"))]) {
+      await LoginAttempt.updateOne(
+        { _id: attempt._id },
+        { $set: { lockedUntil: new Date(now.getTime() + LOCKOUT_MS) } }
+      );
+    }
+  }
+}
+
+// A successful login clears the account's failures (not the IP's)
+const clearFailures = (email) =>
+  LoginAttempt.deleteOne({ key: loginKeys(email)[0] });
+
+module.exports = {
+  loginKeys,
+  passwordResetKeys,
+  lockedUntil,
+  recordFailure,
+  clearFailures,
+};
@@ -0,0 +1,147 @@
+// services/passwordReset.js
+// Self-service password reset: a single-use token emailed to the user,
+// valid for PASSWORD_RESET_TOKEN_MINUTES. Requests and resets are recorded
+// in the user's securityEvents.
+const crypto = require("crypto");
+const bcrypt = require("bcryptjs");
+const User = require("../models/User");
+const emailService = require("../utils/emailService");
+const authSessions = require("./authSessions");
+const loginThrottle = require("./loginThrottle");
+
+const TOKEN_MINUTES = parseInt(process.env.PASSWORD_RESET_TOKEN_MINUTES) || 60;
+const RESET_URL =
+  process.env.PASSWORD_RESET_URL ||
+  `${process.env.FRONTEND_URL || "http://localhost:3000"}/reset-password`;
+const MIN_PASSWORD_LENGTH = 8;
+
+// Security events kept per user
+const EVENTS_KEPT = 50;
+
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+const badRequest = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+// Append to the user's security history
+const recordSecurityEvent = (userId, event, client = {}, by) =>
+  User.updateOne(
+    { _id: userId },
+    {
+      $push: {
+        securityEvents: {
+          $each: [
+            {
+              event,
+              at: new Date(),
+              ip: client.ip,
+              userAgent: client.userAgent,
+              by,
+            },
+          ],
+          $slice: -EVENTS_KEPT,
+        },
+      },
+    }
+  );
+
+async function sendResetEmail(user, token) {
+  const link = `${RESET_URL}?token=${encodeURIComponent(token)}`;
+  await emailService.sendEmail({
+    to: user.email,
+    subject: "Réinitialisation de votre mot de passe",
+    text:
+      `Bonjour ${user.firstName},\n\n` +
+      "Une réinitialisation du mot de passe de votre compte a été demandée. " +
+      `Ouvrez ce lien dans les ${TOKEN_MINUTES} minutes pour choisir un ` +
+      `nouveau mot de passe :\n\n${link}\n\n` +
+      "Si vous n'êtes pas à l'origine de cette demande, ignorez ce message ; " +
+      "votre mot de passe reste inchangé.\n\n" +
+      "L'équipe Halal Food Service",
+  });
+}
+
+/**
+ * Email a reset link when the address belongs to an active user. Callers
+ * answer the same way either way so accounts cannot be discovered.
+ * @param {String} email - Address typed by the user
+ * @param {Object} client - { ip, userAgent }
+ */
+async function requestReset(email, client = {}) {
+  const user = await User.findOne({
+    email: String(email).trim().toLowerCase(),
+    deactivated: false,
+  });
+  if (!user) {
+    return;
+  }
+
+  // A new request replaces any earlier token
+  const token = crypto.randomBytes(32).toString("hex");
+  await User.updateOne(
+    { _id: user._id },
+    {
+      passwordReset: {
+        tokenHash: hashToken(token),
+        expiresAt: new Date(Date.now() + TOKEN_MINUTES * 60 * 1000),
+        requestedAt: new Date(),
+      },
+    }
+  );
+  await recordSecurityEvent(user._id, "password_reset_requested", client);
+
+  try {
+    await sendResetEmail(user, token);
+  } catch (error) {
+    console.error(`Password reset email to ${user.email} failed:`, error);
+  }
+}
+
+/**
+ * Set a new password with a reset token. The token is used up, every
+ * session is revoked and the login lockout of the account is lifted.
+ * @throws {Error} statusCode 400 for an invalid/expired token or a weak
+ *   password
+ */
+async function resetPassword(token, newPassword, client = {}) {
+  if (!newPassword || String(newPassword).length < MIN_PASSWORD_LENGTH) {
+    throw badRequest(
+      `Password must be at least ${MIN_PASSWORD_LENGTH} characters`
+    );
+  }
+
+  const user = await User.findOne({
+    "passwordReset.tokenHash": hashToken(String(token || "")),
+    "passwordReset.expiresAt": { $gt: new Date() },
+    deactivated: false,
+  });
+  if (!user) {
+    throw badRequest("Invalid or expired reset link");
+  }
+
+  const salt = await bcrypt.genSalt(10);
+  const password = await bcrypt.hash(newPassword, salt);
+
+  // Only the request that still finds the token wins
+  const updated = await User.updateOne(
+    { _id: user._id, "passwordReset.tokenHash": hashToken(token) },
+    { $set: { password }, $unset: { passwordReset: "" } }
+  );
+  if (!updated.modifiedCount) {
+    throw badRequest("Invalid or expired reset link");
+  }
+
+  await recordSecurityEvent(user._id, "password_reset", client);
+  await authSessions.revokeAllSessions(user._id, "password_reset");
+  await loginThrottle.clearFailures(user.email);
+}
+
+module.exports = {
+  recordSecurityEvent,
+  requestReset,
+  resetPassword,
+};
@@ -0,0 +1,595 @@
+// services/paymentPlans.js
+// Payment plans for sales orders and quotations: several Adyen payment links
+// per document (deposit, balance, instalments), the paid/outstanding balance
+// and the reconciliation of paid links against SAP incoming payments.
+const axios = require("axios");
+const Invoice = require("../models/Invoice");
+const Payment = require("../models/payment");
+const emailService = require("../utils/emailService");
+const { calculatePaymentTotal } = require("./sapPullSync");
+
+const REFERENCE_PREFIXES = { SalesOrder: "SO", Quotation: "QT" };
+
+const DOCUMENT_LABELS = { SalesOrder: "Sales Order", Quotation: "Quotation" };
+
+// Link statuses that count as money received
+const PAID_STATUSES = ["authorised", "captured"];
+
+// Adyen rejects payment links valid for longer than 70 days
+const MAX_LINK_DAYS = 70;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const sum = (values) =>
+  round(values.reduce((total, value) => total + value, 0));
+
+// Amount a document is paid against (VAT included)
+const documentPaymentTotal = (document) =>
+  round(document.DocTotalWithVAT || document.DocTotal || 0);
+
+const badRequest = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+/**
+ * Recompute AmountPaid / AmountOutstanding from the payment links.
+ * The document is updated in memory; the caller saves it.
+ * @returns {Object} { total, paid, outstanding }
+ */
+function refreshBalance(document) {
+  const total = documentPaymentTotal(document);
+  const paid = sum(
+    (document.paymentLinks || [])
+      .filter((link) => PAID_STATUSES.includes(link.status))
+      .map((link) => link.amount)
+  );
+
+  document.AmountPaid = paid;
+  document.AmountOutstanding = round(Math.max(0, total - paid));
+
+  return { total, paid, outstanding: document.AmountOutstanding };
+}
+
+// Document level payment_status once a plan exists
+function overallStatus(document, fallback) {
+  if (document.AmountPaid > 0 && document.AmountOutstanding <= 0) {
+    return "paid";
+  }
+  if (document.AmountPaid > 0) {
+    return "partially_paid";
+  }
+  return fallback;
+}
+
+// Same Klarna B2B merchant data as the single payment links
+const merchantData = (cardCode) =>
+  Buffer.from(
+    '{"payment_history_simple":' +
+      JSON.stringify([{ unique_account_identifier: cardCode }]) +
+      "}"
+  ).toString("base64");
+
+// Link expiry: end of the due date, capped at Adyen's maximum
+function linkExpiry(dueDate) {
+  if (!dueDate) {
+    return undefined;
+  }
+  const end = new Date(dueDate);
+  end.setHours(23, 59, 59, 0);
+  const latest = new Date(Date.now() + MAX_LINK_DAYS * DAY_MS);
+  return end > latest ? latest : end;
+}
+
+async function createAdyenLink(documentType, document, installment, options) {
+  const value = Math.round(installment.amount * 100);
+  const description = `${installment.label} - ${
+    DOCUMENT_LABELS[documentType]
+  } #${document.DocNum}`;
+
+  const response = await axios.post(
+    `${process.env.ADYEN_API_BASE_URL}/paymentLinks`,
+    {
+      reference: installment.reference,
+      amount: { value, currency: installment.currency },
+      description,
+      countryCode: "FR",
+      merchantAccount: process.env.ADYEN_MERCHANT_ACCOUNT,
+      shopperReference: document.CardCode,
+      shopperEmail: options.email,
+      additionalData: {
+        "openinvoicedata.merchantData": merchantData(document.CardCode),
+      },
+      allowedPaymentMethods: ["klarna_b2b"],
+      company: { name: document.CardName },
+      expiresAt: installment.expiresAt
+        ? installment.expiresAt.toISOString()
+        : undefined,
+      // Partial amounts are sent as one line so they add up for Klarna
+      lineItems: [
+        {
+          id: installment.reference,
+          quantity: 1,
+          amountIncludingTax: value,
+          description,
+        },
+      ],
+    },
+    {
+      headers: {
+        "X-API-KEY": process.env.ADYEN_API_KEY,
+        "Content-Type": "application/json",
+      },
+    }
+  );
+
+  return response.data;
+}
+
+/**
+ * Turn requested instalments into amounts. Each instalment gives an amount,
+ * a percent of the document total, or neither (the rest of the balance).
+ */
+function resolveInstallments(document, installments) {
+  const total = documentPaymentTotal(document);
+  // Open links are already asked for and cannot be requested twice
+  const requested = sum(
+    (document.paymentLinks || [])
+      .filter((link) => [...PAID_STATUSES, "active"].includes(link.status))
+      .map((link) => link.amount)
+  );
+  let available = round(total - requested);
+
+  return installments.map((installment, index) => {
+    let amount;
+    if (installment.amount !== undefined) {
+      amount = round(Number(installment.amount));
+    } else if (installment.percent !== undefined) {
+      amount = round((total * Number(installment.percent)) / 100);
+    } else {
+      amount = available;
+    }
+
+    if (!(amount > 0)) {
+      throw badRequest(`Instalment ${index + 1} has no amount left to request`);
+    }
+    if (amount > available + 0.01) {
+      throw badRequest(
+        `Instalment ${index + 1} (${amount}) exceeds the amount still to request (${available})`
+      );
+    }
+    available = round(available - amount);
+
+    const dueDate = installment.dueDate ? new Date(installment.dueDate) : null;
+    if (dueDate && Number.isNaN(dueDate.getTime())) {
+      throw badRequest(`Instalment ${index + 1} has an invalid due date`);
+    }
+
+    return {
+      label: installment.label || (index === 0 ? "deposit" : "balance"),
+      amount,
+      dueDate: dueDate || undefined,
+    };
+  });
+}
+
+const formatAmount = (amount, currency) =>
+  new Intl.NumberFormat("fr-FR", { style: "currency", currency }).format(
+    amount
+  );
+
+async function emailPaymentLinks(documentType, document, links, email) {
+  const title =
+    documentType === "Quotation"
+      ? `le Devis n°${document.DocNum}`
+      : `la Commande n°${document.DocNum}`;
+
+  const rows = links
+    .map(
+      (link) => `
+      <tr>
+        <td style="border: 1px solid #ddd; padding: 8px;">${link.label}</td>
+        <td style="border: 1px solid #ddd; padding: 8px;">${formatAmount(
+          link.amount,
+          link.currency
+        )}</td>
+        <td style="border: 1px solid #ddd; padding: 8px;">${
+          link.dueDate ? link.dueDate.toLocaleDateString("fr-FR") : "-"
+        }</td>
+        <td style="border: 1px solid #ddd; padding: 8px;"><a href="${
+          link.url
+        }">Payer</a></td>
+      </tr>`
+    )
+    .join("");
+
+  const html = `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+      <h2 style="color: #333;">Échéancier de paiement pour ${title}</h2>
+      <p>Chère ${document.CardName},</p>
+      <p>Veuillez trouver ci-dessous les liens de paiement de votre échéancier :</p>
+      <table style="width: 100%; border-collapse: collapse; margin: 20px 0;">
+        <thead>
+          <tr style="background-color: #f8f9fa;">
+            <th style="border: 1px solid #ddd; padding: 12px; text-align: left;">Échéance</th>
+            <th style="border: 1px solid #ddd; padding: 12px; text-align: left;">Montant</th>
+            <th style="border: 1px solid #ddd; padding: 12px; text-align: left;">Date limite</th>
+            <th style="border: 1px solid #ddd; padding: 12px; text-align: left;">Lien</th>
+          </tr>
+        </thead>
+        <tbody>${rows}</tbody>
+      </table>
+      <p>Cordialement,<br>L'équipe Halal Food Service</p>
+    </div>`;
+
+  return emailService.sendEmail({
+    to: email,
+    subject: `Payment Links for ${DOCUMENT_LABELS[documentType]} #${document.DocNum}`,
+    text: links
+      .map(
+        (link) => `${link.label}: ${link.amount} ${link.currency} - ${link.url}`
+      )
+      .join("\n"),
+    html,
+  });
+}
+
+/**
+ * Create one Adyen payment link per instalment and email them together.
+ * When Adyen fails on an instalment, the links created before it are still
+ * emailed and returned along with the error.
+ * @param {String} documentType - "SalesOrder" or "Quotation"
+ * @param {Object} document - Order or quotation document
+ * @param {Array} installments - [{ label, amount | percent, dueDate }]
+ * @param {Object} options - { email, createdBy }
+ * @returns {Promise<Object>} { links, balance, error }
+ */
+async function createPaymentLinks(
+  documentType,
+  document,
+  installments,
+  options
+) {
+  if (!options.email) {
+    throw badRequest("Recipient email address is required");
+  }
+  if (!Array.isArray(installments) || !installments.length) {
+    throw badRequest("At least one instalment is required");
+  }
+
+  const currency = document.DocCurrency || "EUR";
+  const resolved = resolveInstallments(document, installments);
+  // New links are unpaid, so the balance doesn't change as they are added
+  const balance = refreshBalance(document);
+  const created = [];
+  let failure;
+
+  for (const installment of resolved) {
+    const entry = {
+      ...installment,
+      reference: `${REFERENCE_PREFIXES[documentType]}-${document.DocNum}-${
+        document.paymentLinks.length + 1
+      }`,
+      currency,
+      expiresAt: linkExpiry(installment.dueDate),
+    };
+
+    let link;
+    try {
+      link = await createAdyenLink(documentType, document, entry, options);
+    } catch (error) {
+      failure = error;
+      break;
+    }
+
+    // Saved link by link: a failure on a later instalment must not lose the
+    // links already live at Adyen
+    document.paymentLinks.push({
+      ...entry,
+      linkId: link.id,
+      url: link.url,
+      expiresAt: link.expiresAt ? new Date(link.expiresAt) : entry.expiresAt,
+      status: "active",
+      email: options.email,
+      createdBy: options.createdBy,
+    });
+    document.Link_sent = true;
+    await document.save();
+    created.push(document.paymentLinks[document.paymentLinks.length - 1]);
+  }
+
+  if (!created.length) {
+    throw failure;
+  }
+
+  await emailPaymentLinks(documentType, document, created, options.email);
+
+  if (failure) {
+    console.error(
+      `Payment link ${created.length + 1} of ${resolved.length} failed:`,
+      failure.message
+    );
+  }
+
+  return {
+    links: created,
+    balance,
+    error: failure ? failure.message : undefined,
+  };
+}
+
+/**
+ * Record a single full-amount link created by the older generate-payment-link
+ * endpoints, so it shows in the plan and the webhook can match it.
+ * The document is updated in memory; the caller saves it.
+ */
+function recordSingleLink(document, link, options = {}) {
+  document.paymentLinks.push({
+    linkId: link.id,
+    reference: link.reference,
+    url: link.url,
+    label: "full",
+    amount: round(link.amount.value / 100),
+    currency: link.amount.currency,
+    expiresAt: link.expiresAt ? new Date(link.expiresAt) : undefined,
+    status: "active",
+    email: options.email,
+    createdBy: options.createdBy,
+  });
+  refreshBalance(document);
+}
+
+// Webhook payment statuses a plan link takes over
+const LINK_EVENT_STATUSES = [
+  "authorised",
+  "captured",
+  "refused",
+  "expired",
+  "cancelled",
+  "refunded",
+  "chargeback",
+];
+
+// Adyen payment link statuses mapped to plan statuses
+const LINK_STATUSES = {
+  active: "active",
+  paymentPending: "active",
+  completed: "authorised",
+  paid: "authorised",
+  expired: "expired",
+};
+
+/**
+ * Poll Adyen for every open link of a document and update the balance.
+ * @returns {Promise<Object>} balance
+ */
+async function refreshLinkStatuses(document) {
+  for (const link of document.paymentLinks || []) {
+    if (!link.linkId || link.status !== "active") {
+      continue;
+    }
+    const response = await axios.get(
+      `${process.env.ADYEN_API_BASE_URL}/paymentLinks/${link.linkId}`,
+      {
+        headers: {
+          "X-API-KEY": process.env.ADYEN_API_KEY,
+          "Content-Type": "application/json",
+        },
+      }
+    );
+    const status = LINK_STATUSES[response.data.status];
+    if (status && status !== link.status) {
+      link.status = status;
+      if (PAID_STATUSES.includes(status)) {
+        link.paidAt = new Date();
+      }
+    }
+  }
+
+  const balance = refreshBalance(document);
+  if (document.paymentLinks.length) {
+    document.payment_status = overallStatus(document, document.payment_status);
+  }
+  return balance;
+}
+
+/**
+ * Apply an Adyen webhook event to the matching link of the plan.
+ * The document is updated in memory; the caller saves it.
+ * @returns {Boolean} Whether a link of the plan matched
+ */
+function applyLinkEvent(document, event) {
+  const link = (document.paymentLinks || []).find(
+    (entry) =>
+      (event.paymentLinkId && entry.linkId === event.paymentLinkId) ||
+      entry.reference === event.merchantReference
+  );
+  if (!link) {
+    return false;
+  }
+
+  // Failures such as "capture_failed" leave the link status as it was
+  if (LINK_EVENT_STATUSES.includes(event.paymentStatus)) {
+    link.status = event.paymentStatus;
+  }
+  if (event.paymentStatus === "authorised") {
+    link.paidAt = event.eventDate;
+    link.pspReference = event.pspReference;
+  }
+
+  refreshBalance(document);
+  document.payment_status = overallStatus(document, event.paymentStatus);
+  return true;
+}
+
+// SAP payment fields a bank or PSP reference can end up in
+const REFERENCE_FIELDS = [
+  "TransferReference",
+  "CounterReference",
+  "Reference1",
+  "Reference2",
+  "Remarks",
+  "JournalRemarks",
+];
+
+const mentions = (payment, reference) =>
+  Boolean(reference) &&
+  REFERENCE_FIELDS.some(
+    (field) => payment[field] && String(payment[field]).includes(reference)
+  );
+
+/**
+ * Compare the paid links of a document with the incoming payments imported
+ * from SAP. Links are matched on their PSP/merchant reference first, then on
+ * amount for payments of the customer made after the link was created.
+ * @returns {Promise<Object>} { balance, links, invoices, unmatchedPayments, summary }
+ */
+async function reconcilePayments(documentType, document) {
+  const links = document.paymentLinks || [];
+
+  // Invoices SAP created from the order, linked through their lines
+  const invoices =
+    documentType === "SalesOrder" && document.SAPDocEntry
+      ? await Invoice.find({
+          DocumentLines: {
+            $elemMatch: { BaseType: 17, BaseEntry: document.SAPDocEntry },
+          },
+        }).select("DocEntry DocNum DocDate DocTotal PaidToDate")
+      : [];
+  const invoiceEntries = invoices.map((invoice) => invoice.DocEntry);
+
+  const since = links.length
+    ? new Date(Math.min(...links.map((link) => link.createdAt)) - DAY_MS)
+    : null;
+
+  const orFilters = [];
+  if (invoiceEntries.length) {
+    orFilters.push({ "PaymentInvoices.DocEntry": { $in: invoiceEntries } });
+  }
+  if (since) {
+    orFilters.push({ DocDate: { $gte: since } });
+  }
+  const payments = orFilters.length
+    ? await Payment.find({
+        CardCode: document.CardCode,
+        Cancelled: { $ne: "tYES" },
+        $or: orFilters,
+      })
+        .select(
+          `DocEntry DocNum DocDate CashSum TransferSum PaymentChecks PaymentCreditCards PaymentInvoices ${REFERENCE_FIELDS.join(
+            " "
+          )}`
+        )
+        .sort({ DocDate: 1 })
+        .lean()
+    : [];
+
+  const summarize = (payment) => ({
+    DocEntry: payment.DocEntry,
+    DocNum: payment.DocNum,
+    DocDate: payment.DocDate,
+    amount: round(calculatePaymentTotal(payment)),
+    appliedToOrder: sum(
+      (payment.PaymentInvoices || [])
+        .filter((line) => invoiceEntries.includes(line.DocEntry))
+        .map((line) => line.SumApplied || 0)
+    ),
+  });
+
+  const used = new Set();
+  const matchLink = (link) => {
+    let payment = payments.find(
+      (candidate) =>
+        !used.has(candidate.DocEntry) &&
+        (mentions(candidate, link.pspReference) ||
+          mentions(candidate, link.reference))
+    );
+    let matchedBy = payment ? "reference" : null;
+
+    if (!payment) {
+      payment = payments.find(
+        (candidate) =>
+          !used.has(candidate.DocEntry) &&
+          candidate.DocDate >= new Date(link.createdAt - DAY_MS) &&
+          Math.abs(calculatePaymentTotal(candidate) - link.amount) < 0.01
+      );
+      matchedBy = payment ? "amount" : null;
+    }
+
+    if (payment) {
+      used.add(payment.DocEntry);
+    }
+    return { payment, matchedBy };
+  };
+
+  const linkResults = links.map((link) => {
+    const paid = PAID_STATUSES.includes(link.status);
+    const { payment, matchedBy } = paid
+      ? matchLink(link)
+      : { payment: null, matchedBy: null };
+    return {
+      reference: link.reference,
+      label: link.label,
+      amount: link.amount,
+      currency: link.currency,
+      dueDate: link.dueDate,
+      status: link.status,
+      paidAt: link.paidAt,
+      pspReference: link.pspReference,
+      sapPayment: payment ? summarize(payment) : null,
+      matchedBy,
+      reconciled: paid ? Boolean(payment) : null,
+    };
+  });
+
+  // Payments applied to the order's invoices that no link accounts for
+  const unmatchedPayments = payments
+    .filter(
+      (payment) =>
+        !used.has(payment.DocEntry) &&
+        (payment.PaymentInvoices || []).some((line) =>
+          invoiceEntries.includes(line.DocEntry)
+        )
+    )
+    .map(summarize);
+
+  const paidOnline = sum(
+    linkResults
+      .filter((link) => PAID_STATUSES.includes(link.status))
+      .map((link) => link.amount)
+  );
+  const recordedInSAP = sum([
+    ...linkResults
+      .filter((link) => link.sapPayment)
+      .map((link) => link.sapPayment.amount),
+    ...unmatchedPayments.map((payment) => payment.appliedToOrder),
+  ]);
+
+  return {
+    balance: refreshBalance(document),
+    links: linkResults,
+    invoices,
+    unmatchedPayments,
+    summary: {
+      paidOnline,
+      recordedInSAP,
+      paidLinksMissingInSAP: linkResults.filter(
+        (link) => link.reconciled === false
+      ).length,
+      difference: round(paidOnline - recordedInSAP),
+    },
+  };
+}
+
+module.exports = {
+  createPaymentLinks,
+  recordSingleLink,
+  refreshLinkStatuses,
+  applyLinkEvent,
+  refreshBalance,
+  reconcilePayments,
+  documentPaymentTotal,
+};
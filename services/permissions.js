@@ -0,0 +1,162 @@
+// services/permissions.js
+// Effective permissions of a user (role template + per-user overrides) and
+// the data scope derived from them: own records, the records of the agents
+// one manages ("scope:team") or everything ("scope:all").
+const mongoose = require("mongoose");
+const RoleTemplate = require("../models/RoleTemplate");
+const User = require("../models/User");
+const { PERMISSIONS, ROLE_TEMPLATES } = require("../config/permissions");
+
+// Stored templates are re-read at most this often
+const TEMPLATE_CACHE_MS = 60 * 1000;
+
+let templateCache = null;
+let templateCacheAt = 0;
+
+async function getRoleTemplates() {
+  if (templateCache && Date.now() - templateCacheAt < TEMPLATE_CACHE_MS) {
+    return templateCache;
+  }
+
+  const stored = await RoleTemplate.find().lean();
+  templateCache = {
+    ...ROLE_TEMPLATES,
+    ...Object.fromEntries(
+      stored.map((template) => [template.role, template.permissions])
+    ),
+  };
+  templateCacheAt = Date.now();
+  return templateCache;
+}
+
+// Drop the cache after a template was edited
+const clearTemplateCache = () => {
+  templateCache = null;
+};
+
+// Whether a granted entry ("*", "quotation:*", "quotation:approve") covers
+// a permission
+const covers = (granted, permission) =>
+  granted === "*" ||
+  granted === permission ||
+  (granted.endsWith(":*") &&
+    permission.startsWith(granted.slice(0, granted.length - 1)));
+
+const unknownPermissions = (permissions) =>
+  permissions.filter(
+    (permission) =>
+      permission !== "*" &&
+      !PERMISSIONS[permission] &&
+      !(
+        permission.endsWith(":*") &&
+        Object.keys(PERMISSIONS).some((known) =>
+          covers(permission, known)
+        )
+      )
+  );
+
+/**
+ * Effective permissions of a user, cached on the user object for the
+ * request.
+ * @returns {Promise<Object>} { granted: [String], revoked: [String] }
+ */
+async function resolvePermissions(user) {
+  if (user._resolvedPermissions) {
+    return user._resolvedPermissions;
+  }
+
+  const templates = await getRoleTemplates();
+  const overrides = user.permissionOverrides || {};
+  const resolved = {
+    granted: [...(templates[user.role] || []), ...(overrides.granted || [])],
+    revoked: overrides.revoked || [],
+  };
+  user._resolvedPermissions = resolved;
+  return resolved;
+}
+
+// Revocations win over grants
+async function hasPermission(user, permission) {
+  if (!user) {
+    return false;
+  }
+  const { granted, revoked } = await resolvePermissions(user);
+  return (
+    granted.some((entry) => covers(entry, permission)) &&
+    !revoked.some((entry) => covers(entry, permission))
+  );
+}
+
+// Every catalogue permission the user holds
+async function listPermissions(user) {
+  const held = [];
+  for (const permission of Object.keys(PERMISSIONS)) {
+    if (await hasPermission(user, permission)) {
+      held.push(permission);
+    }
+  }
+  return held;
+}
+
+/**
+ * Users whose records the user may see: null for everyone ("scope:all"),
+ * otherwise the user and, with "scope:team", the agents they manage.
+ * @returns {Promise<Array<String>|null>}
+ */
+async function teamMemberIds(user) {
+  if (await hasPermission(user, "scope:all")) {
+    return null;
+  }
+  if (await hasPermission(user, "scope:team")) {
+    const agents = await User.find({ manager: user._id }).distinct("_id");
+    return [user._id, ...agents].map(String);
+  }
+  return [user._id.toString()];
+}
+
+/**
+ * Query filter restricting records to the user's scope.
+ * @param {Object} user - Authenticated user
+ * @param {String} field - Owner field (salesAgent, assignedTo, ...)
+ * @returns {Promise<Object>} {} or { [field]: { $in: [...] } }
+ */
+async function scopeFilter(user, field) {
+  const ids = await teamMemberIds(user);
+  if (!ids) {
+    return {};
+  }
+  return {
+    [field]: { $in: ids.map((id) => new mongoose.Types.ObjectId(id)) },
+  };
+}
+
+/**
+ * Whether a record owned by ownerId is in the user's scope. Records without
+ * an owner are visible to managers ("scope:team") and, with allowUnowned,
+ * to everyone.
+ */
+async function canAccessOwner(user, ownerId, options = {}) {
+  const ids = await teamMemberIds(user);
+  if (!ids) {
+    return true;
+  }
+  if (!ownerId) {
+    return (
+      Boolean(options.allowUnowned) || (await hasPermission(user, "scope:team"))
+    );
+  }
+  const owner = ownerId._id || ownerId;
+  return ids.includes(owner.toString());
+}
+
+module.exports = {
+  getRoleTemplates,
+  clearTemplateCache,
+  unknownPermissions,
+  resolvePermissions,
+  hasPermission,
+  listPermissions,
+  teamMemberIds,
+  scopeFilter,
+  canAccessOwner,
+};
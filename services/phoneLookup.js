@@ -0,0 +1,51 @@
+// services/phoneLookup.js
+// Customers, leads and calls by phone number, through the indexed E.164
+// fields kept by services/phoneNormalization.js
+const Customer = require("../models/Customer");
+const Lead = require("../models/Lead");
+const { toE164List } = require("../utils/phoneNumber");
+
+const CUSTOMER_FIELDS = "CardCode CardName Email phoneNumber assignedTo";
+const LEAD_FIELDS = "fullName email company phoneNumber status assignedTo";
+
+/**
+ * CallData filter for the calls from or to any of the numbers.
+ * @param {Array<String>} numbers - Phone numbers in any format
+ * @returns {Object} Mongo filter; matches nothing without a valid number
+ */
+function callsWithNumbers(numbers) {
+  const e164 = toE164List(numbers);
+  return {
+    $or: [{ fromE164: { $in: e164 } }, { toE164: { $in: e164 } }],
+  };
+}
+
+/**
+ * Customers and leads having any of the numbers.
+ * @param {Array<String>} numbers - Phone numbers in any format
+ * @returns {Promise<Object>} { numbers (E.164), customers, leads }
+ */
+async function findContactsByPhone(numbers) {
+  const e164 = toE164List(numbers);
+  if (!e164.length) {
+    return { numbers: e164, customers: [], leads: [] };
+  }
+
+  const [customers, leads] = await Promise.all([
+    Customer.find({ phonesE164: { $in: e164 } })
+      .select(CUSTOMER_FIELDS)
+      .populate("assignedTo", "firstName lastName email")
+      .lean(),
+    Lead.find({ phoneE164: { $in: e164 } })
+      .select(LEAD_FIELDS)
+      .populate("assignedTo", "firstName lastName email")
+      .lean(),
+  ]);
+
+  return { numbers: e164, customers, leads };
+}
+
+module.exports = {
+  callsWithNumbers,
+  findContactsByPhone,
+};
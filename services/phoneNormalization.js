@@ -0,0 +1,194 @@
+// services/phoneNormalization.js
+// Mongoose plugin keeping indexed E.164 copies (utils/phoneNumber.js) of a
+// model's phone fields, so a number can be looked up whatever format it was
+// entered in. The raw fields are never changed. Covers document saves,
+// insertMany, the update queries and bulkWrite; updates only touching other
+// fields are left alone.
+const mongoose = require("mongoose");
+const { toE164List } = require("../utils/phoneNumber");
+const { updatedFields } = require("./auditTrail");
+
+const UPDATE_QUERIES = [
+  "updateOne",
+  "updateMany",
+  "findOneAndUpdate",
+  "replaceOne",
+];
+
+const REFRESH_CHUNK = 500;
+
+// Records to refresh, carried from a query's pre hook to its post hook
+const PHONE_STATE = Symbol("phoneState");
+
+/**
+ * Mongoose plugin; apply it before auditTrailPlugin. Adds an indexed field
+ * per target: every number of its sources when one of them is an array,
+ * else the number of its single source.
+ * @param {Object} schema - Mongoose schema
+ * @param {Object} options - { fields: { target: [source paths] } }, e.g.
+ *   { phonesE164: ["phoneNumber", "additionalPhoneNumbers"] }
+ */
+function phoneNormalizationPlugin(schema, { fields }) {
+  const targets = Object.keys(fields);
+  const sources = [...new Set(Object.values(fields).flat())];
+  const isList = (target) =>
+    fields[target].some((source) => schema.path(source).instance === "Array");
+
+  for (const target of targets) {
+    schema.add({
+      [target]: isList(target)
+        ? { type: [String], index: true }
+        : { type: String, default: null, index: true },
+    });
+  }
+
+  const normalize = (record) => {
+    const values = {};
+    for (const target of targets) {
+      const numbers = toE164List(
+        fields[target].flatMap((source) =>
+          [].concat(record[source] === undefined ? [] : record[source])
+        )
+      );
+      values[target] = isList(target) ? numbers : numbers[0] || null;
+    }
+    return values;
+  };
+
+  const touchesSources = (update) => {
+    const touched = updatedFields(update);
+    return !touched || touched.some((field) => sources.includes(field));
+  };
+
+  // Recompute the targets of the matching records from what is stored
+  async function refreshPhoneNumbers(filter = {}) {
+    const cursor = this.find(filter)
+      .setOptions({ withDeleted: true })
+      .select([...sources, ...targets].join(" "))
+      .lean()
+      .cursor();
+    let ops = [];
+    let updated = 0;
+    const flush = async () => {
+      if (ops.length) {
+        // Straight to the driver: no hooks, timestamps or audit entries for
+        // a derived field
+        const result = await this.collection.bulkWrite(ops, {
+          ordered: false,
+        });
+        updated += result.modifiedCount;
+        ops = [];
+      }
+    };
+
+    for await (const record of cursor) {
+      const values = normalize(record);
+      // Missing targets are written even without a number (as null), so the
+      // record no longer matches a backfill for missing fields
+      const changed = targets.some(
+        (target) =>
+          record[target] === undefined ||
+          JSON.stringify(values[target]) !== JSON.stringify(record[target])
+      );
+      if (changed) {
+        ops.push({
+          updateOne: { filter: { _id: record._id }, update: { $set: values } },
+        });
+      }
+      if (ops.length >= REFRESH_CHUNK) {
+        await flush();
+      }
+    }
+    await flush();
+    return updated;
+  }
+
+  const refreshIds = (model, ids) =>
+    ids.length
+      ? refreshPhoneNumbers.call(model, { _id: { $in: ids } })
+      : Promise.resolve(0);
+
+  // Runs before save and for each document of insertMany
+  schema.pre("validate", function () {
+    if (this.isNew || sources.some((source) => this.isModified(source))) {
+      Object.assign(this, normalize(this.toObject({ depopulate: true })));
+    }
+  });
+
+  schema.pre(
+    UPDATE_QUERIES,
+    { document: false, query: true },
+    async function () {
+      if (this.op !== "replaceOne" && !touchesSources(this.getUpdate())) {
+        return;
+      }
+      let lookup = this.model
+        .find(this.getFilter())
+        .setOptions({ withDeleted: true })
+        .select("_id")
+        .lean();
+      if (this.op !== "updateMany") {
+        lookup = lookup.limit(1);
+      }
+      this[PHONE_STATE] = { ids: (await lookup).map((record) => record._id) };
+    }
+  );
+
+  schema.post(
+    UPDATE_QUERIES,
+    { document: false, query: true },
+    async function () {
+      const state = this[PHONE_STATE];
+      if (!state) {
+        return;
+      }
+      if (!state.ids.length && this.getOptions().upsert) {
+        await refreshPhoneNumbers.call(this.model, this.getFilter());
+        return;
+      }
+      await refreshIds(this.model, state.ids);
+    }
+  );
+
+  // Wraps the bulkWrite of plugins applied earlier, if any
+  const baseBulkWrite = schema.statics.bulkWrite || mongoose.Model.bulkWrite;
+  schema.static("bulkWrite", async function (ops, options) {
+    const filters = [];
+    for (const op of ops) {
+      const [type, args] = Object.entries(op)[0];
+      if (type === "insertOne") {
+        Object.assign(args.document, normalize(args.document));
+      } else if (
+        type === "replaceOne" ||
+        ((type === "updateOne" || type === "updateMany") &&
+          touchesSources(args.update))
+      ) {
+        filters.push(args.filter);
+      }
+    }
+
+    const ids = [];
+    for (let i = 0; i < filters.length; i += REFRESH_CHUNK) {
+      const records = await this.find({
+        $or: filters.slice(i, i + REFRESH_CHUNK),
+      })
+        .setOptions({ withDeleted: true })
+        .select("_id")
+        .lean();
+      ids.push(...records.map((record) => record._id));
+    }
+
+    const result = await baseBulkWrite.call(this, ops, options);
+    await refreshIds(this, [
+      ...ids,
+      ...Object.values(result.upsertedIds || {}),
+    ]);
+    return result;
+  });
+
+  schema.static("refreshPhoneNumbers", refreshPhoneNumbers);
+}
+
+module.exports = {
+  phoneNormalizationPlugin,
+};
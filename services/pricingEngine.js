@@ -0,0 +1,290 @@
+// services/pricingEngine.js
+// Customer price resolution, following the SAP B1 order of precedence:
+//   1. special price for the customer (with its periods and volume breaks)
+//   2. period and volume discounts of the customer's price list ("*<n>")
+//   3. price list price less the customer's discount
+// Manual line prices are compared with the resolved price and the item cost.
+const Item = require("../models/item");
+const Customer = require("../models/Customer");
+const SpecialPrice = require("../models/SpecialPrice");
+
+// Price list used when neither the document nor the customer has one
+// ("Prix Livraison")
+const DEFAULT_PRICE_LIST = parseInt(process.env.DEFAULT_PRICE_LIST, 10) || 2;
+
+// Lowest acceptable gross margin on a line, in percent of the line price
+const MARGIN_FLOOR_PERCENT =
+  process.env.PRICING_MARGIN_FLOOR_PERCENT !== undefined
+    ? parseFloat(process.env.PRICING_MARGIN_FLOOR_PERCENT)
+    : 10;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const applyDiscount = (price, discount) =>
+  round(price * (1 - (discount || 0) / 100));
+
+const isValidOn = (specialPrice, date) =>
+  specialPrice.Valid !== "tNO" &&
+  (!specialPrice.ValidFrom || specialPrice.ValidFrom <= date) &&
+  (!specialPrice.ValidTo || specialPrice.ValidTo >= date);
+
+// Unit cost used for the margin check
+const getItemCost = (item) =>
+  item.AvgStdPrice || item.MovingAveragePrice || 0;
+
+/**
+ * Price of one special price entry for a quantity and date.
+ * Periods override the base special price; inside a period the highest
+ * volume break not above the quantity wins.
+ * @returns {Object} { price, discountPercent, currency, source, validFrom, validTo }
+ */
+function priceFromSpecialPrice(specialPrice, listPrice, quantity, date) {
+  const period = (specialPrice.SpecialPriceDataAreas || []).find(
+    (area) =>
+      (!area.DateFrom || area.DateFrom <= date) &&
+      (!area.Dateto || area.Dateto >= date)
+  );
+
+  if (period) {
+    const volumeBreak = (period.SpecialPriceQuantityAreas || [])
+      .filter((area) => area.Quantity <= quantity)
+      .sort((a, b) => b.Quantity - a.Quantity)[0];
+
+    const source = volumeBreak ? "volume_discount" : "period_discount";
+    const tier = volumeBreak || period;
+    const price =
+      typeof tier.SpecialPrice === "number"
+        ? tier.SpecialPrice
+        : applyDiscount(listPrice, tier.Discount);
+
+    return {
+      price: round(price),
+      discountPercent: tier.Discount || 0,
+      currency: tier.PriceCurrency || specialPrice.Currency,
+      source,
+      validFrom: period.DateFrom,
+      validTo: period.Dateto,
+    };
+  }
+
+  return {
+    price: round(
+      typeof specialPrice.Price === "number" && specialPrice.Price > 0
+        ? specialPrice.Price
+        : applyDiscount(listPrice, specialPrice.DiscountPercent)
+    ),
+    discountPercent: specialPrice.DiscountPercent || 0,
+    currency: specialPrice.Currency,
+    source: "special_price",
+    validFrom: specialPrice.ValidFrom,
+    validTo: specialPrice.ValidTo,
+  };
+}
+
+// Load everything needed to price a set of items for one customer
+async function loadPricingContext(cardCode, itemCodes, priceList) {
+  const customer = cardCode
+    ? await Customer.findOne({ CardCode: cardCode }).select(
+        "CardCode PriceListNum DiscountPercent"
+      )
+    : null;
+
+  const resolvedPriceList =
+    parseInt(priceList, 10) ||
+    (customer && customer.PriceListNum) ||
+    DEFAULT_PRICE_LIST;
+
+  const cardCodes = [`*${resolvedPriceList}`];
+  if (cardCode) {
+    cardCodes.push(cardCode);
+  }
+
+  const [items, specialPrices] = await Promise.all([
+    Item.find({ ItemCode: { $in: itemCodes } }).select(
+      "ItemCode ItemName ItemPrices AvgStdPrice MovingAveragePrice"
+    ),
+    SpecialPrice.find({
+      CardCode: { $in: cardCodes },
+      ItemCode: { $in: itemCodes },
+    }),
+  ]);
+
+  return {
+    customer,
+    priceList: resolvedPriceList,
+    items: new Map(items.map((item) => [item.ItemCode, item])),
+    specialPrices: new Map(
+      specialPrices.map((sp) => [`${sp.CardCode}|${sp.ItemCode}`, sp])
+    ),
+  };
+}
+
+function resolveFromContext(context, cardCode, itemCode, quantity, date) {
+  const item = context.items.get(itemCode);
+  if (!item) {
+    return null;
+  }
+
+  const listEntry = (item.ItemPrices || []).find(
+    (price) => price.PriceList === context.priceList
+  );
+  const listPrice = listEntry ? listEntry.Price || 0 : 0;
+
+  const base = {
+    ItemCode: itemCode,
+    ItemName: item.ItemName,
+    CardCode: cardCode || null,
+    quantity,
+    priceList: context.priceList,
+    listPrice,
+    currency: listEntry ? listEntry.Currency : undefined,
+    cost: getItemCost(item),
+  };
+
+  const candidates = [
+    cardCode && context.specialPrices.get(`${cardCode}|${itemCode}`),
+    context.specialPrices.get(`*${context.priceList}|${itemCode}`),
+  ];
+  const specialPrice = candidates.find((sp) => sp && isValidOn(sp, date));
+
+  if (specialPrice) {
+    const special = priceFromSpecialPrice(
+      specialPrice,
+      listPrice,
+      quantity,
+      date
+    );
+    // "*<n>" entries are list-wide discounts rather than customer prices
+    if (
+      specialPrice.CardCode !== cardCode &&
+      special.source === "special_price"
+    ) {
+      special.source = "period_discount";
+    }
+    return {
+      ...base,
+      ...special,
+      currency: special.currency || base.currency,
+    };
+  }
+
+  const customerDiscount =
+    (context.customer && context.customer.DiscountPercent) || 0;
+
+  return {
+    ...base,
+    price: applyDiscount(listPrice, customerDiscount),
+    discountPercent: customerDiscount,
+    source: customerDiscount ? "customer_discount" : "price_list",
+  };
+}
+
+/**
+ * Resolve the price of one item for a customer.
+ * @param {Object} params - { cardCode, itemCode, quantity, priceList, date }
+ * @returns {Promise<Object|null>} Resolved price or null if the item is unknown
+ */
+async function resolvePrice({
+  cardCode,
+  itemCode,
+  quantity = 1,
+  priceList,
+  date,
+}) {
+  const context = await loadPricingContext(cardCode, [itemCode], priceList);
+  return resolveFromContext(
+    context,
+    cardCode,
+    itemCode,
+    Number(quantity) || 1,
+    date ? new Date(date) : new Date()
+  );
+}
+
+/**
+ * Price every line of a quotation or order for a customer.
+ * Lines without a price get the resolved price; lines with a different price
+ * are flagged as overrides, and any line under the margin floor is flagged.
+ * The lines are updated in place.
+ * @param {String} cardCode - Customer code
+ * @param {Array} lines - DocumentLines (ItemCode, Quantity, Price)
+ * @param {Object} options - { priceList, date }
+ * @returns {Promise<Object>} { priceList, lines, overrides, belowMarginFloor }
+ */
+async function applyPricing(cardCode, lines, options = {}) {
+  const date = options.date ? new Date(options.date) : new Date();
+  const context = await loadPricingContext(
+    cardCode,
+    [...new Set(lines.map((line) => line.ItemCode))],
+    options.priceList
+  );
+
+  const report = lines.map((line, index) => {
+    const quantity = Number(line.Quantity) || 1;
+    const resolved = resolveFromContext(
+      context,
+      cardCode,
+      line.ItemCode,
+      quantity,
+      date
+    );
+    if (!resolved) {
+      return { LineNum: index, ItemCode: line.ItemCode, resolved: false };
+    }
+
+    const hasManualPrice =
+      line.Price !== undefined && line.Price !== null && line.Price !== "";
+    if (!hasManualPrice) {
+      line.Price = resolved.price;
+    }
+
+    const price = Number(line.Price) || 0;
+    const override = hasManualPrice && round(price) !== resolved.price;
+    const marginPercent =
+      price > 0 && resolved.cost > 0
+        ? round(((price - resolved.cost) / price) * 100)
+        : null;
+    const belowMarginFloor =
+      resolved.cost > 0 &&
+      (price <= 0 || marginPercent < MARGIN_FLOOR_PERCENT);
+
+    line.ResolvedPrice = resolved.price;
+    line.PriceSource = resolved.source;
+    line.PriceOverride = override;
+    line.MarginPercent = marginPercent === null ? undefined : marginPercent;
+    line.BelowMarginFloor = belowMarginFloor;
+
+    return {
+      LineNum: index,
+      ItemCode: line.ItemCode,
+      resolved: true,
+      price,
+      resolvedPrice: resolved.price,
+      listPrice: resolved.listPrice,
+      source: resolved.source,
+      override,
+      overrideDiscountPercent:
+        override && resolved.price > 0
+          ? round(((resolved.price - price) / resolved.price) * 100)
+          : 0,
+      marginPercent,
+      belowMarginFloor,
+    };
+  });
+
+  return {
+    priceList: context.priceList,
+    marginFloorPercent: MARGIN_FLOOR_PERCENT,
+    lines: report,
+    overrides: report.filter((line) => line.override),
+    belowMarginFloor: report.filter((line) => line.belowMarginFloor),
+  };
+}
+
+module.exports = {
+  resolvePrice,
+  applyPricing,
+  getItemCost,
+  DEFAULT_PRICE_LIST,
+  MARGIN_FLOOR_PERCENT,
+};
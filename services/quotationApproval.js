@@ -0,0 +1,268 @@
+// services/quotationApproval.js
+// Rule based approval routing for quotations. Quotations that trip an active
+// ApprovalRule get an approval task for the agent's manager (or an admin);
+// the rest are approved automatically.
+const ApprovalRule = require("../models/ApprovalRule");
+const Item = require("../models/item");
+const Task = require("../models/Task");
+const User = require("../models/User");
+const NotificationService = require("../utils/notificationService");
+const { getItemCost } = require("./pricingEngine");
+const { hasPermission } = require("./permissions");
+
+// Rules used until an admin stores rules of their own
+const DEFAULT_RULES = [
+  {
+    name: "Line discount above threshold",
+    metric: "line_discount_percent",
+    operator: "gt",
+    threshold:
+      parseFloat(process.env.QUOTATION_MAX_AUTO_DISCOUNT_PERCENT) || 10,
+    approverRole: "manager",
+  },
+  {
+    name: "Total margin below threshold",
+    metric: "total_margin_percent",
+    operator: "lt",
+    threshold: parseFloat(process.env.QUOTATION_MIN_AUTO_MARGIN_PERCENT) || 15,
+    approverRole: "manager",
+  },
+  {
+    name: "Line below margin floor",
+    metric: "below_margin_floor",
+    operator: "gt",
+    threshold: 0,
+    approverRole: "admin",
+  },
+];
+
+const OPERATORS = {
+  gt: (actual, threshold) => actual > threshold,
+  gte: (actual, threshold) => actual >= threshold,
+  lt: (actual, threshold) => actual < threshold,
+  lte: (actual, threshold) => actual <= threshold,
+};
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Discount of a line against its resolved price, or its own DiscountPercent
+function lineDiscountPercent(line) {
+  const fromResolved =
+    line.ResolvedPrice > 0
+      ? ((line.ResolvedPrice - (line.Price || 0)) / line.ResolvedPrice) * 100
+      : 0;
+  return Math.max(fromResolved, line.DiscountPercent || 0, 0);
+}
+
+/**
+ * Discount and margin figures the rules are evaluated against.
+ * @param {Object} quotation - Quotation document
+ * @returns {Promise<Object>} metrics
+ */
+async function computeMetrics(quotation) {
+  const lines = quotation.DocumentLines || [];
+  const items = await Item.find({
+    ItemCode: { $in: lines.map((line) => line.ItemCode) },
+  }).select("ItemCode AvgStdPrice MovingAveragePrice");
+  const costByItem = new Map(
+    items.map((item) => [item.ItemCode, getItemCost(item)])
+  );
+
+  let revenue = 0;
+  let cost = 0;
+  let maxLineDiscountPercent = 0;
+  for (const line of lines) {
+    const quantity = line.Quantity || 0;
+    revenue += quantity * (line.Price || 0);
+    cost += quantity * (costByItem.get(line.ItemCode) || 0);
+    maxLineDiscountPercent = Math.max(
+      maxLineDiscountPercent,
+      lineDiscountPercent(line)
+    );
+  }
+
+  return {
+    maxLineDiscountPercent: round(maxLineDiscountPercent),
+    // Without any known cost the margin cannot be judged
+    totalMarginPercent:
+      revenue > 0 && cost > 0
+        ? round(((revenue - cost) / revenue) * 100)
+        : null,
+    docTotal: round(quotation.DocTotal || revenue),
+    belowMarginFloor: lines.some((line) => line.BelowMarginFloor),
+  };
+}
+
+const metricValue = (metrics, metric) => {
+  switch (metric) {
+    case "line_discount_percent":
+      return metrics.maxLineDiscountPercent;
+    case "total_margin_percent":
+      return metrics.totalMarginPercent;
+    case "doc_total":
+      return metrics.docTotal;
+    case "below_margin_floor":
+      return metrics.belowMarginFloor ? 1 : 0;
+    default:
+      return null;
+  }
+};
+
+async function getActiveRules() {
+  const stored = await ApprovalRule.countDocuments();
+  if (!stored) {
+    return DEFAULT_RULES;
+  }
+  return ApprovalRule.find({ active: true }).lean();
+}
+
+/**
+ * Evaluate the approval rules against a quotation.
+ * @param {Object} quotation - Quotation document
+ * @returns {Promise<Object>} { requiresApproval, metrics, firedRules }
+ */
+async function evaluateQuotation(quotation) {
+  const [metrics, rules] = await Promise.all([
+    computeMetrics(quotation),
+    getActiveRules(),
+  ]);
+
+  const firedRules = rules
+    .map((rule) => ({ rule, actual: metricValue(metrics, rule.metric) }))
+    .filter(
+      ({ rule, actual }) =>
+        actual !== null &&
+        OPERATORS[rule.operator] &&
+        OPERATORS[rule.operator](actual, rule.threshold)
+    )
+    .map(({ rule, actual }) => ({
+      rule: rule._id,
+      name: rule.name,
+      metric: rule.metric,
+      operator: rule.operator,
+      threshold: rule.threshold,
+      actual,
+      approverRole: rule.approverRole,
+    }));
+
+  return { requiresApproval: firedRules.length > 0, metrics, firedRules };
+}
+
+// Admin rules win over manager rules; agents without a manager go to an admin
+async function findApprover(quotation, firedRules) {
+  const needsAdmin = firedRules.some((rule) => rule.approverRole === "admin");
+
+  if (!needsAdmin && quotation.salesAgent) {
+    const agent = await User.findById(quotation.salesAgent).select(
+      "manager role"
+    );
+    if (agent && agent.manager) {
+      return agent.manager;
+    }
+  }
+
+  const admin = await User.findOne({ role: "admin" }).select("_id");
+  return admin ? admin._id : null;
+}
+
+/**
+ * Run the approval rules on a quotation. Either approves it automatically or
+ * opens an approval task for the right approver and notifies them.
+ * The quotation is updated in memory; the caller saves it.
+ * @param {Object} quotation - Quotation document
+ * @param {Object} requestedBy - User creating/updating the quotation
+ * @returns {Promise<Object>} { autoApproved, evaluation, task, approver }
+ */
+async function routeQuotationApproval(quotation, requestedBy) {
+  const evaluation = await evaluateQuotation(quotation);
+
+  quotation.approvalRouting = {
+    evaluatedAt: new Date(),
+    autoApproved: !evaluation.requiresApproval,
+    metrics: evaluation.metrics,
+    firedRules: evaluation.firedRules,
+    routedTo: undefined,
+  };
+
+  if (!evaluation.requiresApproval) {
+    quotation.approvalStatus = "approved";
+    quotation.approvedBy = undefined;
+    quotation.approvedDate = new Date();
+    quotation.approvalComments =
+      "Approved automatically: within discount and margin thresholds";
+    quotation.approvalTask = undefined;
+    return { autoApproved: true, evaluation };
+  }
+
+  quotation.approvalStatus = "pending";
+
+  const approver = await findApprover(quotation, evaluation.firedRules);
+  if (!approver) {
+    // Nobody to route to; stays pending for a manual decision
+    return { autoApproved: false, evaluation };
+  }
+
+  const reasons = evaluation.firedRules
+    .map((rule) => `${rule.name} (${rule.actual})`)
+    .join(", ");
+
+  const task = new Task({
+    title: `Approve Quotation #${quotation.DocNum}`,
+    description: `Review and approve quotation #${quotation.DocNum} for ${
+      quotation.CardName
+    } (${quotation.CardCode}) - Total: €${(quotation.DocTotal || 0).toFixed(
+      2
+    )} - ${reasons}`,
+    dueDate: new Date(new Date().setDate(new Date().getDate() + 1)), // Due tomorrow
+    priority: evaluation.firedRules.some(
+      (rule) => rule.approverRole === "admin"
+    )
+      ? "high"
+      : "medium",
+    type: "approval",
+    status: "pending_approval",
+    assignedTo: approver,
+    createdBy: requestedBy._id,
+    relatedQuotation: quotation.DocEntry,
+  });
+  await task.save();
+
+  quotation.approvalTask = task._id;
+  quotation.approvalRouting.routedTo = approver;
+
+  try {
+    await NotificationService.createQuotationApprovalNotification(
+      quotation,
+      task,
+      approver,
+      requestedBy._id
+    );
+  } catch (error) {
+    console.error("Error sending quotation approval notification:", error);
+  }
+
+  return { autoApproved: false, evaluation, task, approver };
+}
+
+/**
+ * Whether a user may approve or reject a quotation: the user the approval
+ * was routed to, or an approver who sees every record ("scope:all").
+ */
+async function canDecide(quotation, user) {
+  const routedTo =
+    quotation.approvalRouting && quotation.approvalRouting.routedTo;
+  if (routedTo && routedTo.toString() === user._id.toString()) {
+    return true;
+  }
+  return (
+    (await hasPermission(user, "quotation:approve")) &&
+    (await hasPermission(user, "scope:all"))
+  );
+}
+
+module.exports = {
+  evaluateQuotation,
+  routeQuotationApproval,
+  canDecide,
+  DEFAULT_RULES,
+};
@@ -0,0 +1,105 @@
+// services/quotationEmail.js
+// Quotation PDF + email pipeline shared by the "send by email" endpoint and
+// the expiry reminders.
+const Customer = require("../models/Customer");
+const pdfGenerator = require("../utils/pdfGenerator");
+const emailService = require("../utils/emailService");
+
+// Attachment name of a quotation PDF, carrying the revision it was made from
+const quotationPdfFilename = (quotation) =>
+  quotation.CurrentRevision
+    ? `Devis_HFS_${quotation.DocNum}_R${quotation.CurrentRevision}.pdf`
+    : `Devis_HFS_${quotation.DocNum}.pdf`;
+
+// Customer fields used by the PDF template, flattened to avoid nested
+// property access issues
+const customerForTemplate = (customer) => ({
+  CardName: customer.CardName || "Customer",
+  street: customer.address?.street || customer.Address || "",
+  city: customer.address?.city || customer.City || "",
+  zipCode: customer.address?.zipCode || customer.ZipCode || "",
+  Country: customer.Country || "",
+  Phone: customer.Phone || customer.Telephone || "",
+});
+
+const revisionLabel = (quotation) =>
+  quotation.CurrentRevision ? ` (révision ${quotation.CurrentRevision})` : "";
+
+/**
+ * Generate the quotation PDF, email it and record the email on the quotation.
+ * @param {Object} quotation - Quotation document (salesAgent populated for the
+ *   PDF)
+ * @param {Object} options - { to, cc, subject, message, sentBy, reminder,
+ *   customer }
+ * @returns {Promise<Object>} { messageId, revision }
+ */
+async function sendQuotationEmail(quotation, options) {
+  const customer =
+    options.customer ||
+    (await Customer.findOne({ CardCode: quotation.CardCode }));
+  if (!customer) {
+    const error = new Error(
+      `Customer with CardCode ${quotation.CardCode} not found`
+    );
+    error.statusCode = 404;
+    throw error;
+  }
+
+  let pdfBuffer;
+  try {
+    pdfBuffer = await pdfGenerator.generateQuotationPDF(
+      quotation,
+      customerForTemplate(customer)
+    );
+    console.log(`PDF generated successfully: ${pdfBuffer.length} bytes`);
+  } catch (pdfError) {
+    console.error("Error generating PDF:", pdfError);
+    throw new Error(`Error generating PDF: ${pdfError.message}`);
+  }
+
+  const emailText =
+    options.message ||
+    `Cher client,\n\nVeuillez trouver ci-joint votre devis #${
+      quotation.DocNum
+    }${revisionLabel(
+      quotation
+    )}.\n\nCordialement,\nL'équipe Halal Food Service`;
+
+  const info = await emailService.sendEmail({
+    to: options.to,
+    cc: options.cc || "",
+    subject:
+      options.subject ||
+      `Devis HFS #${quotation.DocNum}${revisionLabel(quotation)}`,
+    text: emailText,
+    html: emailText.replace(/\n/g, "<br>"),
+    attachments: [
+      {
+        filename: quotationPdfFilename(quotation),
+        content: pdfBuffer,
+        contentType: "application/pdf",
+        encoding: "binary",
+      },
+    ],
+  });
+
+  // Record email sent
+  quotation.emailSentTo = quotation.emailSentTo || [];
+  quotation.emailSentTo.push({
+    email: options.to,
+    sentBy: options.sentBy,
+    sentDate: new Date(),
+    messageId: info.messageId,
+    revision: quotation.CurrentRevision,
+    reminder: Boolean(options.reminder),
+  });
+  await quotation.save();
+
+  return { messageId: info.messageId, revision: quotation.CurrentRevision };
+}
+
+module.exports = {
+  sendQuotationEmail,
+  quotationPdfFilename,
+  customerForTemplate,
+};
@@ -0,0 +1,192 @@
+// services/quotationExpiry.js
+// Acts on the quotation validity date (DocDueDate): opens a follow-up task
+// for the owning agent and reminds the customer shortly before expiry, and
+// marks quotations expired once the date has passed.
+const Quotation = require("../models/Quotation");
+const Customer = require("../models/Customer");
+const Task = require("../models/Task");
+const { sendQuotationEmail } = require("./quotationEmail");
+const { releaseReservations } = require("./stockAvailability");
+
+// Days before expiry at which the follow-up task and reminder are created
+const REMINDER_DAYS =
+  parseInt(process.env.QUOTATION_EXPIRY_REMINDER_DAYS, 10) || 3;
+
+// Validity of quotations created without a DocDueDate
+const VALIDITY_DAYS = parseInt(process.env.QUOTATION_VALIDITY_DAYS, 10) || 30;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const defaultValidUntil = (from = new Date()) =>
+  new Date(from.getTime() + VALIDITY_DAYS * DAY_MS);
+
+// Active quotations that were neither converted nor expired yet
+const openQuotationFilter = () => ({
+  IsActive: true,
+  ConvertedToOrderDocEntry: { $exists: false },
+  ExpiredAt: { $exists: false },
+  DocDueDate: { $exists: true, $ne: null },
+});
+
+const formatDate = (date) => new Date(date).toLocaleDateString("fr-FR");
+
+/**
+ * Mark quotations whose validity date has passed as expired and release
+ * their stock reservations.
+ * @returns {Promise<Object>} { expired }
+ */
+async function markExpiredQuotations(now = new Date()) {
+  const quotations = await Quotation.find({
+    ...openQuotationFilter(),
+    DocDueDate: { $lt: now },
+  }).select("DocEntry StockReservedUntil");
+
+  for (const quotation of quotations) {
+    await Quotation.updateOne(
+      { _id: quotation._id },
+      { $set: { ExpiredAt: now }, $unset: { StockReservedUntil: "" } }
+    );
+    if (quotation.StockReservedUntil) {
+      await releaseReservations("Quotation", quotation.DocEntry);
+    }
+  }
+
+  return { expired: quotations.length };
+}
+
+// Quotations expiring within REMINDER_DAYS
+const expiringSoonFilter = (now) => ({
+  ...openQuotationFilter(),
+  DocDueDate: {
+    $gte: now,
+    $lte: new Date(now.getTime() + REMINDER_DAYS * DAY_MS),
+  },
+});
+
+/**
+ * Create one follow-up task per expiring quotation for its sales agent.
+ * @returns {Promise<Object>} { created }
+ */
+async function createFollowUpTasks(now = new Date()) {
+  const quotations = await Quotation.find({
+    ...expiringSoonFilter(now),
+    ExpiryFollowUpTask: { $exists: false },
+    salesAgent: { $exists: true, $ne: null },
+  });
+
+  let created = 0;
+  for (const quotation of quotations) {
+    try {
+      const task = await Task.create({
+        title: `Follow up Quotation #${quotation.DocNum}`,
+        description: `Quotation #${quotation.DocNum} for ${
+          quotation.CardName
+        } (${quotation.CardCode}) expires on ${formatDate(
+          quotation.DocDueDate
+        )} - Total: €${(quotation.DocTotal || 0).toFixed(2)}`,
+        dueDate: quotation.DocDueDate,
+        priority: "high",
+        type: "follow-up",
+        status: "pending",
+        assignedTo: quotation.salesAgent,
+        createdBy: quotation.salesAgent,
+        relatedQuotation: quotation.DocEntry,
+      });
+      await Quotation.updateOne(
+        { _id: quotation._id },
+        { $set: { ExpiryFollowUpTask: task._id } }
+      );
+      created += 1;
+    } catch (error) {
+      console.error(
+        `Error creating follow-up task for quotation ${quotation.DocEntry}:`,
+        error.message
+      );
+    }
+  }
+
+  return { created };
+}
+
+/**
+ * Email the customer a reminder with the quotation PDF, unless they opted out
+ * or have no email address. Only approved quotations the customer was already
+ * sent are reminded.
+ * @returns {Promise<Object>} { sent, optedOut, noEmail, failed }
+ */
+async function sendExpiryReminders(now = new Date()) {
+  const quotations = await Quotation.find({
+    ...expiringSoonFilter(now),
+    approvalStatus: "approved",
+    "emailSentTo.0": { $exists: true },
+    ExpiryReminderSentAt: { $exists: false },
+  }).populate("salesAgent", "firstName lastName email");
+
+  const stats = { sent: 0, optedOut: 0, noEmail: 0, failed: 0 };
+
+  for (const quotation of quotations) {
+    const customer = await Customer.findOne({ CardCode: quotation.CardCode });
+
+    if (customer && customer.quotationRemindersOptOut) {
+      stats.optedOut += 1;
+      continue;
+    }
+    if (!customer || !customer.Email) {
+      stats.noEmail += 1;
+      continue;
+    }
+
+    try {
+      const agent = quotation.salesAgent;
+      // Saved together with the email record once the email went out
+      quotation.ExpiryReminderSentAt = new Date();
+      await sendQuotationEmail(quotation, {
+        to: customer.Email,
+        customer,
+        sentBy: agent ? agent._id : undefined,
+        reminder: true,
+        subject: `Rappel : votre devis HFS #${
+          quotation.DocNum
+        } expire le ${formatDate(quotation.DocDueDate)}`,
+        message: `Cher client,\n\nNous vous rappelons que votre devis #${
+          quotation.DocNum
+        } est valable jusqu'au ${formatDate(
+          quotation.DocDueDate
+        )}. Vous le trouverez ci-joint.\n\nN'hésitez pas à nous contacter pour le confirmer.\n\nCordialement,\n${
+          agent ? `${agent.firstName} ${agent.lastName}\n` : ""
+        }L'équipe Halal Food Service`,
+      });
+      stats.sent += 1;
+    } catch (error) {
+      stats.failed += 1;
+      console.error(
+        `Error sending expiry reminder for quotation ${quotation.DocEntry}:`,
+        error.message
+      );
+    }
+  }
+
+  return stats;
+}
+
+/**
+ * Run all expiry steps.
+ * @returns {Promise<Object>} Stats per step
+ */
+async function runQuotationExpiry() {
+  const now = new Date();
+  return {
+    expired: await markExpiredQuotations(now),
+    followUpTasks: await createFollowUpTasks(now),
+    reminders: await sendExpiryReminders(now),
+  };
+}
+
+module.exports = {
+  runQuotationExpiry,
+  markExpiredQuotations,
+  createFollowUpTasks,
+  sendExpiryReminders,
+  defaultValidUntil,
+  REMINDER_DAYS,
+};
@@ -0,0 +1,190 @@
+// services/quotationRevisions.js
+// Immutable revision history of quotations and diffs between revisions.
+const Quotation = require("../models/Quotation");
+const QuotationRevision = require("../models/QuotationRevision");
+
+const HEADER_FIELDS = [
+  "CardCode",
+  "CardName",
+  "DocDate",
+  "DocDueDate",
+  "PriceList",
+  "DocCurrency",
+  "DiscountPercent",
+  "Comments",
+  "DocTotal",
+  "VatSum",
+  "DocTotalWithVAT",
+];
+
+const LINE_FIELDS = [
+  "ItemCode",
+  "ItemDescription",
+  "Quantity",
+  "Price",
+  "ResolvedPrice",
+  "DiscountPercent",
+  "PriceAfterVAT",
+  "LineTotal",
+  "LineTotalWithVAT",
+  "VatGroup",
+  "WarehouseCode",
+];
+
+const pick = (source, fields) =>
+  Object.fromEntries(fields.map((field) => [field, source[field]]));
+
+// Plain snapshot of the tracked quotation fields
+function snapshot(quotation) {
+  return {
+    ...pick(quotation, HEADER_FIELDS),
+    approvalStatus: quotation.approvalStatus,
+    DocumentLines: (quotation.DocumentLines || []).map((line, index) => ({
+      LineNum: line.LineNum !== undefined ? line.LineNum : index,
+      ...pick(line, LINE_FIELDS),
+    })),
+  };
+}
+
+const normalize = (value) => {
+  if (value instanceof Date) {
+    return value.getTime();
+  }
+  if (value === null || value === "") {
+    return undefined;
+  }
+  return value;
+};
+
+const sameValue = (a, b) => normalize(a) === normalize(b);
+
+const fieldChanges = (from, to, fields) =>
+  fields
+    .filter((field) => !sameValue(from[field], to[field]))
+    .map((field) => ({ field, from: from[field], to: to[field] }));
+
+// Lines are matched on item code and occurrence, so reordering lines or
+// inserting a line does not show every following line as changed
+function keyLines(lines) {
+  const seen = {};
+  return new Map(
+    (lines || []).map((line) => {
+      seen[line.ItemCode] = (seen[line.ItemCode] || 0) + 1;
+      return [`${line.ItemCode}#${seen[line.ItemCode]}`, line];
+    })
+  );
+}
+
+/**
+ * Differences between two snapshots (or revisions).
+ * @returns {Object} { header, lines: { added, removed, changed }, hasChanges }
+ */
+function diffSnapshots(from, to) {
+  const header = fieldChanges(from, to, HEADER_FIELDS);
+
+  const fromLines = keyLines(from.DocumentLines);
+  const toLines = keyLines(to.DocumentLines);
+
+  const added = [...toLines.keys()]
+    .filter((key) => !fromLines.has(key))
+    .map((key) => toLines.get(key));
+  const removed = [...fromLines.keys()]
+    .filter((key) => !toLines.has(key))
+    .map((key) => fromLines.get(key));
+  const changed = [...toLines.keys()]
+    .filter((key) => fromLines.has(key))
+    .map((key) => ({
+      ItemCode: toLines.get(key).ItemCode,
+      changes: fieldChanges(fromLines.get(key), toLines.get(key), LINE_FIELDS),
+    }))
+    .filter((line) => line.changes.length > 0);
+
+  return {
+    header,
+    lines: { added, removed, changed },
+    hasChanges:
+      header.length > 0 || added.length + removed.length + changed.length > 0,
+  };
+}
+
+// Top level fields touched by a diff, for the revision list
+const changedFieldNames = (diff) => {
+  const fields = diff.header.map((change) => change.field);
+  const { added, removed, changed } = diff.lines;
+  if (added.length || removed.length || changed.length) {
+    fields.push("DocumentLines");
+  }
+  return fields;
+};
+
+/**
+ * Store the quotation's current state as its next revision.
+ * @param {Object} quotation - Saved quotation document
+ * @param {Object} options - { changedBy, changeType, changedFields }
+ * @returns {Promise<Object|null>} The revision, or null for a baseline
+ *   another request already stored
+ */
+async function recordRevision(quotation, options = {}) {
+  // Allocated atomically so concurrent edits get distinct numbers; only
+  // one baseline is stored however many edits race for it
+  const allocated = await Quotation.findOneAndUpdate(
+    options.changeType === "baseline"
+      ? { _id: quotation._id, CurrentRevision: { $in: [0, null] } }
+      : { _id: quotation._id },
+    { $inc: { CurrentRevision: 1 } },
+    { new: true, projection: { CurrentRevision: 1 } }
+  ).lean();
+  if (!allocated) {
+    return null;
+  }
+  const revisionNumber = allocated.CurrentRevision;
+
+  let revision;
+  try {
+    revision = await QuotationRevision.create({
+      quotation: quotation._id,
+      DocEntry: quotation.DocEntry,
+      revision: revisionNumber,
+      changeType: options.changeType || "updated",
+      changedBy: options.changedBy,
+      changedFields: options.changedFields || [],
+      ...snapshot(quotation),
+    });
+  } catch (error) {
+    // Give the number back unless a later edit took the next one already
+    await Quotation.updateOne(
+      { _id: quotation._id, CurrentRevision: revisionNumber },
+      { $inc: { CurrentRevision: -1 } }
+    );
+    throw error;
+  }
+  // Already stored; a later save of the document must not write it back
+  quotation.CurrentRevision = revisionNumber;
+  if (quotation.unmarkModified) {
+    quotation.unmarkModified("CurrentRevision");
+  }
+
+  return revision;
+}
+
+/**
+ * Quotations created before revision tracking get their untouched state
+ * stored as a baseline before the first edit.
+ */
+async function ensureBaseline(quotation) {
+  if (quotation.CurrentRevision) {
+    return null;
+  }
+  return recordRevision(quotation, {
+    changeType: "baseline",
+    changedBy: quotation.salesAgent,
+  });
+}
+
+module.exports = {
+  snapshot,
+  diffSnapshots,
+  changedFieldNames,
+  recordRevision,
+  ensureBaseline,
+};
@@ -0,0 +1,266 @@
+// services/receivablesAgeing.js
+// Accounts-receivable ageing computed from the invoices and incoming
+// payments synced from SAP: what each customer still owes per invoice,
+// bucketed by days past due (current / 1-30 / 31-60 / 61-90 / 90+).
+const Invoice = require("../models/Invoice");
+const CreditNote = require("../models/CreditNote");
+const Payment = require("../models/payment");
+const Customer = require("../models/Customer");
+const User = require("../models/User");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Buckets by days past due, upper bound included
+const BUCKETS = [
+  { key: "current", label: "Current", maxDays: 0 },
+  { key: "days1to30", label: "1-30", maxDays: 30 },
+  { key: "days31to60", label: "31-60", maxDays: 60 },
+  { key: "days61to90", label: "61-90", maxDays: 90 },
+  { key: "days90Plus", label: "90+", maxDays: Infinity },
+];
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const emptyBuckets = () =>
+  Object.fromEntries(BUCKETS.map((bucket) => [bucket.key, 0]));
+
+const bucketFor = (daysOverdue) =>
+  BUCKETS.find((bucket) => daysOverdue <= bucket.maxDays).key;
+
+// Invoices and credit notes that may still be open
+const openDocumentFilter = (cardCodes, asOf) => {
+  const filter = {
+    Cancelled: { $ne: "tYES" },
+    DocumentStatus: { $ne: "bost_Close" },
+    DocDate: { $lte: asOf },
+  };
+  if (cardCodes) {
+    filter.CardCode = { $in: cardCodes };
+  }
+  return filter;
+};
+
+// Amount applied to each invoice by the incoming payments recorded in SAP
+async function appliedPayments(invoiceEntries) {
+  const applied = new Map();
+  if (!invoiceEntries.length) {
+    return applied;
+  }
+
+  const entries = new Set(invoiceEntries);
+  const payments = await Payment.find({
+    Cancelled: { $ne: "tYES" },
+    "PaymentInvoices.DocEntry": { $in: invoiceEntries },
+  })
+    .select("PaymentInvoices")
+    .lean();
+
+  for (const payment of payments) {
+    for (const line of payment.PaymentInvoices || []) {
+      // Lines of other document types (credit notes, journal entries) share
+      // the DocEntry numbering
+      if (line.InvoiceType && line.InvoiceType !== "it_Invoice") continue;
+      if (!entries.has(line.DocEntry)) continue;
+      applied.set(
+        line.DocEntry,
+        (applied.get(line.DocEntry) || 0) + (line.SumApplied || 0)
+      );
+    }
+  }
+
+  return applied;
+}
+
+/**
+ * Ageing per customer.
+ * @param {Object} options - { cardCodes (all customers when omitted), asOf,
+ *   includeInvoices }
+ * @returns {Promise<Array>} One row per customer with an open balance,
+ *   largest balance first
+ */
+async function computeAgeing(options = {}) {
+  const asOf = options.asOf ? new Date(options.asOf) : new Date();
+  const filter = openDocumentFilter(options.cardCodes, asOf);
+
+  const [invoices, creditNotes] = await Promise.all([
+    Invoice.find(filter)
+      .select(
+        "DocEntry DocNum DocDate DocDueDate CardCode CardName DocTotal PaidToDate BlockDunning"
+      )
+      .lean(),
+    CreditNote.find(filter)
+      .select("CardCode CardName DocTotal PaidToDate")
+      .lean(),
+  ]);
+
+  const applied = await appliedPayments(
+    invoices.map((invoice) => invoice.DocEntry)
+  );
+
+  const customers = new Map();
+  const rowFor = (doc) => {
+    if (!customers.has(doc.CardCode)) {
+      customers.set(doc.CardCode, {
+        CardCode: doc.CardCode,
+        CardName: doc.CardName,
+        buckets: emptyBuckets(),
+        totalOutstanding: 0,
+        overdue: 0,
+        unappliedCredits: 0,
+        netBalance: 0,
+        oldestDaysOverdue: 0,
+        invoices: [],
+      });
+    }
+    return customers.get(doc.CardCode);
+  };
+
+  for (const invoice of invoices) {
+    // SAP's PaidToDate also covers credit notes and reconciliations that
+    // are not incoming payments
+    const paid = Math.max(
+      applied.get(invoice.DocEntry) || 0,
+      invoice.PaidToDate || 0
+    );
+    const openAmount = round((invoice.DocTotal || 0) - paid);
+    if (openAmount <= 0.01) continue;
+
+    const dueDate = invoice.DocDueDate || invoice.DocDate;
+    const daysOverdue = Math.max(
+      0,
+      Math.floor((asOf - new Date(dueDate)) / DAY_MS)
+    );
+    const bucket = bucketFor(daysOverdue);
+
+    const row = rowFor(invoice);
+    row.buckets[bucket] += openAmount;
+    row.totalOutstanding += openAmount;
+    if (daysOverdue > 0) {
+      row.overdue += openAmount;
+      // Invoices blocked for dunning in SAP do not escalate
+      if (invoice.BlockDunning !== "tYES") {
+        row.oldestDaysOverdue = Math.max(row.oldestDaysOverdue, daysOverdue);
+      }
+    }
+    row.invoices.push({
+      DocEntry: invoice.DocEntry,
+      DocNum: invoice.DocNum,
+      DocDate: invoice.DocDate,
+      DocDueDate: dueDate,
+      DocTotal: invoice.DocTotal,
+      paid: round(paid),
+      openAmount,
+      daysOverdue,
+      bucket,
+      blockDunning: invoice.BlockDunning === "tYES",
+    });
+  }
+
+  for (const creditNote of creditNotes) {
+    const openCredit = round(
+      (creditNote.DocTotal || 0) - (creditNote.PaidToDate || 0)
+    );
+    if (openCredit <= 0.01) continue;
+    rowFor(creditNote).unappliedCredits += openCredit;
+  }
+
+  return [...customers.values()]
+    .map((row) => {
+      for (const key of Object.keys(row.buckets)) {
+        row.buckets[key] = round(row.buckets[key]);
+      }
+      row.totalOutstanding = round(row.totalOutstanding);
+      row.overdue = round(row.overdue);
+      row.unappliedCredits = round(row.unappliedCredits);
+      row.netBalance = round(row.totalOutstanding - row.unappliedCredits);
+      row.invoices.sort((a, b) => b.daysOverdue - a.daysOverdue);
+      if (!options.includeInvoices) {
+        delete row.invoices;
+      }
+      return row;
+    })
+    .sort((a, b) => b.totalOutstanding - a.totalOutstanding);
+}
+
+// Bucket totals over a set of customer rows
+function summarize(rows) {
+  const totals = {
+    buckets: emptyBuckets(),
+    totalOutstanding: 0,
+    overdue: 0,
+    unappliedCredits: 0,
+    netBalance: 0,
+    customers: rows.length,
+  };
+
+  for (const row of rows) {
+    for (const key of Object.keys(totals.buckets)) {
+      totals.buckets[key] += row.buckets[key];
+    }
+    totals.totalOutstanding += row.totalOutstanding;
+    totals.overdue += row.overdue;
+    totals.unappliedCredits += row.unappliedCredits;
+    totals.netBalance += row.netBalance;
+  }
+
+  for (const key of Object.keys(totals.buckets)) {
+    totals.buckets[key] = round(totals.buckets[key]);
+  }
+  totals.totalOutstanding = round(totals.totalOutstanding);
+  totals.overdue = round(totals.overdue);
+  totals.unappliedCredits = round(totals.unappliedCredits);
+  totals.netBalance = round(totals.netBalance);
+  return totals;
+}
+
+/**
+ * Group customer rows by the sales agent the customer is assigned to.
+ * @param {Array} rows - Rows from computeAgeing
+ * @returns {Promise<Array>} [{ agent, totals, customers }]
+ */
+async function groupByAgent(rows) {
+  const customers = await Customer.find({
+    CardCode: { $in: rows.map((row) => row.CardCode) },
+  })
+    .select("CardCode assignedTo")
+    .lean();
+  const agentByCardCode = new Map(
+    customers.map((customer) => [
+      customer.CardCode,
+      customer.assignedTo ? customer.assignedTo.toString() : null,
+    ])
+  );
+
+  const groups = new Map();
+  for (const row of rows) {
+    const agentId = agentByCardCode.get(row.CardCode) || null;
+    if (!groups.has(agentId)) {
+      groups.set(agentId, []);
+    }
+    groups.get(agentId).push(row);
+  }
+
+  const agents = await User.find({
+    _id: { $in: [...groups.keys()].filter(Boolean) },
+  })
+    .select("firstName lastName email")
+    .lean();
+  const agentsById = new Map(
+    agents.map((agent) => [agent._id.toString(), agent])
+  );
+
+  return [...groups.entries()]
+    .map(([agentId, agentRows]) => ({
+      agent: agentId ? agentsById.get(agentId) || { _id: agentId } : null,
+      totals: summarize(agentRows),
+      customers: agentRows,
+    }))
+    .sort((a, b) => b.totals.totalOutstanding - a.totals.totalOutstanding);
+}
+
+module.exports = {
+  BUCKETS,
+  computeAgeing,
+  summarize,
+  groupByAgent,
+};
@@ -0,0 +1,131 @@
+// services/recycleBin.js
+// Soft deleted customers, leads, deals and tasks (services/softDelete.js):
+// listing, restoring and purging them once the retention period is over.
+const Customer = require("../models/Customer");
+const Lead = require("../models/Lead");
+const Deal = require("../models/Deal");
+const Task = require("../models/Task");
+const { serviceError } = require("../utils/serviceErrors");
+const { parsePagination, paginationInfo } = require("../utils/pagination");
+
+// Days a deleted record can be restored before it is purged
+const RETENTION_DAYS = parseInt(process.env.SOFT_DELETE_RETENTION_DAYS) || 30;
+
+// Fields shown in the recycle bin, per record type
+const BINS = {
+  customers: {
+    model: Customer,
+    fields: "CardCode CardName Email phoneNumber assignedTo",
+  },
+  leads: { model: Lead, fields: "fullName email company assignedTo tasks" },
+  deals: { model: Deal, fields: "recordId dealName dealStage amount" },
+  tasks: { model: Task, fields: "title status dueDate leadId assignedTo" },
+};
+
+const TYPES = Object.keys(BINS);
+
+const notFound = (message) => serviceError(404, message);
+
+function binFor(type) {
+  if (!BINS[type]) {
+    throw notFound(`Unknown recycle bin "${type}", use ${TYPES.join(", ")}`);
+  }
+  return BINS[type];
+}
+
+/**
+ * Deleted records of one type, most recently deleted first.
+ * @returns {Promise<Object>} { data, pagination }
+ */
+async function listDeleted(type, { page, limit }) {
+  const { model, fields } = binFor(type);
+  const pagination = parsePagination({ page, limit });
+  const query = { deletedAt: { $ne: null } };
+
+  const [records, total] = await Promise.all([
+    model
+      .find(query)
+      .select(`${fields} deletedAt deletedBy`)
+      .sort({ deletedAt: -1 })
+      .skip(pagination.skip)
+      .limit(pagination.limit)
+      .populate("deletedBy", "firstName lastName email")
+      .lean(),
+    model.countDocuments(query),
+  ]);
+
+  return {
+    data: records.map((record) => ({
+      ...record,
+      purgeAt: new Date(
+        record.deletedAt.getTime() + RETENTION_DAYS * 24 * 60 * 60 * 1000
+      ),
+    })),
+    pagination: paginationInfo(pagination, total),
+  };
+}
+
+/**
+ * Restore a deleted record. A lead comes back with the tasks deleted with
+ * it; a task is linked to its lead again.
+ * @returns {Promise<Object>} The restored record
+ * @throws {Error} statusCode 404 when no deleted record has this id
+ */
+async function restore(type, id) {
+  const { model } = binFor(type);
+  const record = await model
+    .findOne({ _id: id, deletedAt: { $ne: null } })
+    .lean();
+  if (!record) {
+    throw notFound("Deleted record not found");
+  }
+  if (type === "customers" && record.mergedInto) {
+    throw serviceError(
+      409,
+      "This customer was merged into another, undo the merge instead"
+    );
+  }
+
+  await model.restoreMany({ _id: record._id });
+
+  if (type === "leads" && record.tasks && record.tasks.length) {
+    await Task.restoreMany({
+      _id: { $in: record.tasks },
+      deletedAt: record.deletedAt,
+    });
+  }
+  if (type === "tasks" && record.leadId) {
+    await Lead.updateOne(
+      { _id: record.leadId },
+      { $addToSet: { tasks: record._id } }
+    );
+  }
+
+  return model.findById(record._id);
+}
+
+/**
+ * Permanently delete the records deleted more than retentionDays ago.
+ * @returns {Promise<Object>} Purged count per type
+ */
+async function purgeExpired(retentionDays = RETENTION_DAYS) {
+  const cutoff = new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000);
+  const purged = {};
+
+  for (const type of TYPES) {
+    const result = await BINS[type].model.deleteMany({
+      deletedAt: { $ne: null, $lte: cutoff },
+    });
+    purged[type] = result.deletedCount;
+  }
+
+  return purged;
+}
+
+module.exports = {
+  RETENTION_DAYS,
+  TYPES,
+  listDeleted,
+  restore,
+  purgeExpired,
+};
@@ -0,0 +1,121 @@
+// services/routeAudit.js
+// Lists every route of the Express app with its guard (auth, permissions,
+// roles, or an explicit publicRoute marker) and refuses to start the server
+// when a route has none.
+const { canManageUser, canManageCustomer } = require("../middleware/auth");
+
+// Mount path of a router layer, recovered from the regexp Express 4 builds
+// for app.use("/api/...", router)
+function mountPath(layer) {
+  if (layer.regexp.fast_slash) {
+    return "";
+  }
+  return layer.regexp.source
+    .replace(/^\^/, "")
+    .replace(/\\\/\?\(\?=\\\/\|\$\)$/, "")
+    .replace(/\\\//g, "/");
+}
+
+// Guard information carried by one middleware
+function describe(handle, guard) {
+  if (handle.authenticates) {
+    guard.authenticated = true;
+  }
+  if (handle === canManageUser) {
+    guard.checks.push("canManageUser");
+  }
+  if (handle === canManageCustomer) {
+    guard.checks.push("canManageCustomer");
+  }
+  if (handle.permissions) {
+    guard.permissions.push(...handle.permissions);
+  }
+  if (handle.roles) {
+    guard.roles.push(...handle.roles);
+  }
+  if (handle.publicReason) {
+    guard.publicReason = handle.publicReason;
+  }
+}
+
+const emptyGuard = () => ({
+  authenticated: false,
+  permissions: [],
+  roles: [],
+  checks: [],
+  publicReason: null,
+});
+
+const copyGuard = (guard) => ({
+  ...guard,
+  permissions: [...guard.permissions],
+  roles: [...guard.roles],
+  checks: [...guard.checks],
+});
+
+function collect(stack, prefix, inherited, routes) {
+  // router.use(auth, ...) guards every route declared after it
+  let guard = copyGuard(inherited);
+
+  for (const layer of stack) {
+    if (layer.route) {
+      const routeGuard = copyGuard(guard);
+      layer.route.stack.forEach((routeLayer) =>
+        describe(routeLayer.handle, routeGuard)
+      );
+      for (const method of Object.keys(layer.route.methods)) {
+        routes.push({
+          method: method.toUpperCase(),
+          path: `${prefix}${layer.route.path}`,
+          ...routeGuard,
+        });
+      }
+    } else if (layer.name === "router") {
+      collect(
+        layer.handle.stack,
+        `${prefix}${mountPath(layer)}`,
+        guard,
+        routes
+      );
+    } else {
+      describe(layer.handle, guard);
+    }
+  }
+}
+
+/**
+ * Every route of the app with its guard.
+ * @param {Object} app - Express application
+ * @returns {Array<Object>} { method, path, authenticated, permissions,
+ *   roles, checks, publicReason, guarded }
+ */
+function listRoutes(app) {
+  const routes = [];
+  collect(app._router ? app._router.stack : [], "", emptyGuard(), routes);
+  return routes.map((route) => ({
+    ...route,
+    guarded: route.authenticated || Boolean(route.publicReason),
+  }));
+}
+
+/**
+ * Throws when a route neither authenticates nor is marked public.
+ * @param {Object} app - Express application
+ */
+function assertRoutesGuarded(app) {
+  const unguarded = listRoutes(app).filter((route) => !route.guarded);
+  if (unguarded.length) {
+    const error = new Error(
+      `Routes without auth or publicRoute(): ${unguarded
+        .map((route) => `${route.method} ${route.path}`)
+        .join(", ")}`
+    );
+    error.routes = unguarded;
+    throw error;
+  }
+}
+
+module.exports = {
+  listRoutes,
+  assertRoutesGuarded,
+};
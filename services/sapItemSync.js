@@ -0,0 +1,344 @@
+// services/sapItemSync.js
+// Item master and stock sync from the SAP B1 Service Layer.
+// Master data and prices are pulled incrementally on UpdateDate. Stock
+// movements do not touch an item's UpdateDate, so warehouse quantities are
+// re-read for every inventory item on each run. Special prices and the
+// customers' price lists feed services/pricingEngine.js.
+const Item = require("../models/item");
+const Customer = require("../models/Customer");
+const SpecialPrice = require("../models/SpecialPrice");
+const SyncState = require("../models/SyncState");
+const sapClient = require("../utils/sapB1Client");
+const { getWatermark, nextWatermark, runStep } = require("./sapPullSync");
+
+const PAGE_SIZE = 100;
+
+// Comma separated price list numbers to keep (all price lists when unset)
+const PRICE_LISTS = (process.env.SAP_ITEM_PRICE_LISTS || "")
+  .split(",")
+  .map((value) => parseInt(value, 10))
+  .filter((value) => !Number.isNaN(value));
+
+const SYNC_KEYS = {
+  items: "sap-pull:items",
+  stock: "sap-pull:item-stock",
+  specialPrices: "sap-pull:special-prices",
+  customerPricing: "sap-pull:customer-pricing",
+};
+
+const STOCK_FIELDS = [
+  "ItemCode",
+  "QuantityOnStock",
+  "QuantityOrderedFromVendors",
+  "QuantityOrderedByCustomers",
+  "ItemWarehouseInfoCollection",
+];
+
+const toODataDate = (date) => date.toISOString().split("T")[0];
+
+const stripODataMetadata = (row) =>
+  Object.fromEntries(
+    Object.entries(row).filter(([field]) => !field.includes("."))
+  );
+
+const mapPrices = (prices = []) =>
+  prices
+    .filter(
+      (price) => !PRICE_LISTS.length || PRICE_LISTS.includes(price.PriceList)
+    )
+    .map((price) => ({
+      PriceList: price.PriceList,
+      Price: price.Price || 0,
+      Currency: price.Currency || undefined,
+      AdditionalPrice1: price.AdditionalPrice1 || 0,
+      AdditionalCurrency1: price.AdditionalCurrency1 || undefined,
+      AdditionalPrice2: price.AdditionalPrice2 || 0,
+      AdditionalCurrency2: price.AdditionalCurrency2 || undefined,
+      BasePriceList: price.BasePriceList,
+      Factor: price.Factor,
+      UoMPrices: price.UoMPrices || [],
+    }));
+
+const mapWarehouses = (warehouses = []) =>
+  warehouses.map((wh) => ({
+    WarehouseCode: wh.WarehouseCode,
+    InStock: wh.InStock || 0,
+    Committed: wh.Committed || 0,
+    Ordered: wh.Ordered || 0,
+    MinimalStock: wh.MinimalStock || 0,
+    MaximalStock: wh.MaximalStock || 0,
+    MinimalOrder: wh.MinimalOrder || 0,
+    StandardAveragePrice: wh.StandardAveragePrice || 0,
+    Locked: wh.Locked || "tNO",
+    DefaultBin: wh.DefaultBin || undefined,
+    DefaultBinEnforced: wh.DefaultBinEnforced || "tNO",
+  }));
+
+// Apply SAP stock figures and refresh the low stock flags
+function applyStock(item, row) {
+  item.QuantityOnStock = row.QuantityOnStock || 0;
+  item.QuantityOrderedFromVendors = row.QuantityOrderedFromVendors || 0;
+  item.QuantityOrderedByCustomers = row.QuantityOrderedByCustomers || 0;
+  item.ItemWarehouseInfoCollection = mapWarehouses(
+    row.ItemWarehouseInfoCollection
+  );
+
+  const wasLow = item.lowStock;
+  item.refreshLowStock();
+  item.lastSAPSync = new Date();
+  return !wasLow && item.lowStock;
+}
+
+const loadItems = async (rows) => {
+  const items = await Item.find({
+    ItemCode: { $in: rows.map((row) => row.ItemCode) },
+  });
+  return new Map(items.map((item) => [item.ItemCode, item]));
+};
+
+// Items created or changed in SAP since the watermark day
+async function syncItemMaster() {
+  const key = SYNC_KEYS.items;
+  // Without a watermark the whole item master is imported
+  const since = await getWatermark(key, new Date(0));
+  const stats = { fetched: 0, created: 0, updated: 0, failed: 0 };
+  // UpdateDate of every row read; rows are not kept past their page
+  const read = [];
+  const failedRows = [];
+
+  await sapClient.Items.listAll(
+    {
+      $filter: `UpdateDate ge '${toODataDate(since)}'`,
+      $orderby: "UpdateDate asc,ItemCode asc",
+    },
+    {
+      pageSize: PAGE_SIZE,
+      onPage: async (rows) => {
+        stats.fetched += rows.length;
+        read.push(...rows.map(({ UpdateDate }) => ({ UpdateDate })));
+        const existing = await loadItems(rows);
+
+        for (const row of rows) {
+          try {
+            const item = existing.get(row.ItemCode) || new Item();
+            const isNew = item.isNew;
+            const {
+              ItemPrices,
+              ItemWarehouseInfoCollection,
+              ...fields
+            } = stripODataMetadata(row);
+
+            item.set(fields);
+            item.ItemPrices = mapPrices(ItemPrices);
+            applyStock(item, { ...row, ItemWarehouseInfoCollection });
+            await item.save();
+
+            stats[isNew ? "created" : "updated"] += 1;
+          } catch (error) {
+            stats.failed += 1;
+            failedRows.push(row);
+            console.error(
+              `Error importing SAP item ${row.ItemCode}:`,
+              error.message
+            );
+          }
+        }
+      },
+    }
+  );
+
+  return {
+    key,
+    stats,
+    watermark: nextWatermark(read, since, failedRows),
+  };
+}
+
+// Re-read stock for every inventory item known locally
+async function syncStockLevels() {
+  const key = SYNC_KEYS.stock;
+  const startedAt = new Date();
+  const stats = { fetched: 0, updated: 0, missing: 0, newlyLow: 0, failed: 0 };
+
+  await sapClient.Items.listAll(
+    {
+      $select: STOCK_FIELDS.join(","),
+      $filter: "InventoryItem eq 'tYES'",
+      $orderby: "ItemCode asc",
+    },
+    {
+      pageSize: PAGE_SIZE,
+      onPage: async (rows) => {
+        stats.fetched += rows.length;
+        const existing = await loadItems(rows);
+        const changed = [];
+
+        for (const row of rows) {
+          const item = existing.get(row.ItemCode);
+          if (!item) {
+            // Not imported yet; the master sync creates it with its stock
+            stats.missing += 1;
+            continue;
+          }
+          if (applyStock(item, row)) {
+            stats.newlyLow += 1;
+          }
+          changed.push(item);
+        }
+
+        try {
+          await Item.bulkSave(changed);
+          stats.updated += changed.length;
+        } catch (error) {
+          stats.failed += changed.length;
+          console.error("Error saving SAP stock levels:", error.message);
+        }
+      },
+    }
+  );
+
+  // The watermark of the stock step is the time the last full read started
+  return { key, stats, watermark: startedAt };
+}
+
+const toDate = (value) => (value ? new Date(value) : undefined);
+
+const mapSpecialPrice = (row) => ({
+  CardCode: row.CardCode,
+  ItemCode: row.ItemCode,
+  PriceListNum: row.PriceListNum,
+  Price: row.Price || 0,
+  Currency: row.Currency || undefined,
+  DiscountPercent: row.DiscountPercent || 0,
+  Valid: row.Valid || "tYES",
+  ValidFrom: toDate(row.ValidFrom),
+  ValidTo: toDate(row.ValidTo),
+  SpecialPriceDataAreas: (row.SpecialPriceDataAreas || []).map((area) => ({
+    DateFrom: toDate(area.DateFrom),
+    Dateto: toDate(area.Dateto),
+    PriceListNo: area.PriceListNo,
+    SpecialPrice: area.SpecialPrice,
+    PriceCurrency: area.PriceCurrency || undefined,
+    Discount: area.Discount || 0,
+    SpecialPriceQuantityAreas: (area.SpecialPriceQuantityAreas || []).map(
+      (tier) => ({
+        Quantity: tier.Quantity,
+        SpecialPrice: tier.SpecialPrice,
+        PriceCurrency: tier.PriceCurrency || undefined,
+        Discount: tier.Discount || 0,
+      })
+    ),
+  })),
+});
+
+// Mirror every SAP special price; entries removed in SAP are deleted
+async function syncSpecialPrices() {
+  const key = SYNC_KEYS.specialPrices;
+  const startedAt = new Date();
+  const stats = { fetched: 0, upserted: 0, removed: 0, failed: 0 };
+
+  await sapClient.listAll(
+    "SpecialPrices",
+    {},
+    {
+      pageSize: PAGE_SIZE,
+      onPage: async (rows) => {
+        stats.fetched += rows.length;
+        if (!rows.length) {
+          return;
+        }
+        const result = await SpecialPrice.bulkWrite(
+          rows.map((row) => ({
+            updateOne: {
+              filter: { CardCode: row.CardCode, ItemCode: row.ItemCode },
+              update: {
+                $set: { ...mapSpecialPrice(row), lastSAPSync: new Date() },
+              },
+              upsert: true,
+            },
+          })),
+          { ordered: false }
+        );
+        stats.upserted += result.upsertedCount + result.modifiedCount;
+      },
+    }
+  );
+
+  const removed = await SpecialPrice.deleteMany({
+    $or: [
+      { lastSAPSync: { $lt: startedAt } },
+      { lastSAPSync: { $exists: false } },
+    ],
+  });
+  stats.removed = removed.deletedCount;
+
+  return { key, stats, watermark: startedAt };
+}
+
+// Assigned price list and discount of every customer known locally
+async function syncCustomerPricing() {
+  const key = SYNC_KEYS.customerPricing;
+  const startedAt = new Date();
+  const stats = { fetched: 0, updated: 0 };
+
+  await sapClient.BusinessPartners.listAll(
+    {
+      $select: "CardCode,PriceListNum,DiscountPercent",
+      $filter: "CardType eq 'cCustomer'",
+    },
+    {
+      pageSize: PAGE_SIZE,
+      onPage: async (rows) => {
+        stats.fetched += rows.length;
+        if (!rows.length) {
+          return;
+        }
+        const result = await Customer.bulkWrite(
+          rows.map((row) => ({
+            updateMany: {
+              filter: { CardCode: row.CardCode },
+              update: {
+                $set: {
+                  PriceListNum: row.PriceListNum,
+                  DiscountPercent: row.DiscountPercent || 0,
+                },
+              },
+            },
+          })),
+          { ordered: false }
+        );
+        stats.updated += result.modifiedCount;
+      },
+    }
+  );
+
+  return { key, stats, watermark: startedAt };
+}
+
+/**
+ * Pull item master data and prices, refresh stock for all items, then the
+ * special prices and customer price lists used by the pricing engine.
+ * @returns {Promise<Object>} Stats per step
+ */
+async function runItemSync() {
+  return {
+    items: await runStep(SYNC_KEYS.items, syncItemMaster),
+    stock: await runStep(SYNC_KEYS.stock, syncStockLevels),
+    specialPrices: await runStep(SYNC_KEYS.specialPrices, syncSpecialPrices),
+    customerPricing: await runStep(
+      SYNC_KEYS.customerPricing,
+      syncCustomerPricing
+    ),
+  };
+}
+
+// Current watermarks and last results
+async function getItemSyncStatus() {
+  return SyncState.find({ key: { $in: Object.values(SYNC_KEYS) } }).lean();
+}
+
+module.exports = {
+  runItemSync,
+  getItemSyncStatus,
+  SYNC_KEYS,
+};
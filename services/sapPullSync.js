@@ -0,0 +1,521 @@
+// services/sapPullSync.js
+// Incremental pull of invoices, credit notes, incoming payments and customer
+// credit limits from the SAP B1 Service Layer. Each document type keeps an
+// UpdateDate watermark in SyncState; every run re-reads the watermark day so
+// late edits on that day are not missed (upserts make the overlap harmless).
+// A row that fails to import holds the watermark back to its UpdateDate, so
+// it is retried on the next run. Credit notes are kept in their own
+// collection with SAP's positive totals.
+const Invoice = require("../models/Invoice");
+const CreditNote = require("../models/CreditNote");
+const Payment = require("../models/payment");
+const PaymentLink = require("../models/paymentLinks");
+const CustomerLedger = require("../models/CustomerLedger");
+const Customer = require("../models/Customer");
+const SyncState = require("../models/SyncState");
+const sapClient = require("../utils/sapB1Client");
+const {
+  updateCustomerTargetProgressFromInvoice,
+} = require("../controllers/customerTarget.controller");
+
+const PAGE_SIZE = 100;
+// First run without a watermark only looks back this far
+const INITIAL_LOOKBACK_DAYS = parseInt(process.env.SAP_PULL_LOOKBACK_DAYS, 10) || 30;
+
+const SYNC_KEYS = {
+  invoices: "sap-pull:invoices",
+  creditNotes: "sap-pull:credit-notes",
+  payments: "sap-pull:incoming-payments",
+  customerCredit: "sap-pull:customer-credit",
+};
+
+const toODataDate = (date) => date.toISOString().split("T")[0];
+
+const toDate = (value) => (value ? new Date(value) : undefined);
+
+// Same rules as the customer journey: cash + transfer + checks + cards
+const calculatePaymentTotal = (payment) =>
+  (payment.CashSum || 0) +
+  (payment.TransferSum || 0) +
+  (payment.PaymentChecks || []).reduce(
+    (sum, check) => sum + (check.CheckSum || 0),
+    0
+  ) +
+  (payment.PaymentCreditCards || []).reduce(
+    (sum, card) => sum + (card.CreditSum || 0),
+    0
+  );
+
+// Watermark of a sync key; the first run starts at `initial` or looks back
+// INITIAL_LOOKBACK_DAYS
+async function getWatermark(key, initial) {
+  const state = await SyncState.findOne({ key });
+  if (state && state.watermark) {
+    return state.watermark;
+  }
+  if (initial) {
+    return initial;
+  }
+  const since = new Date();
+  since.setDate(since.getDate() - INITIAL_LOOKBACK_DAYS);
+  return since;
+}
+
+// Rows changed on or after the watermark day, oldest first
+async function fetchChanged(resource, since) {
+  return resource.listAll(
+    {
+      $filter: `UpdateDate ge '${toODataDate(since)}'`,
+      $orderby: "UpdateDate asc,DocEntry asc",
+    },
+    { pageSize: PAGE_SIZE }
+  );
+}
+
+// Drop OData metadata ("odata.etag", ...) before storing a raw SAP row
+const stripODataMetadata = (row) =>
+  Object.fromEntries(
+    Object.entries(row).filter(([field]) => !field.includes("."))
+  );
+
+const maxUpdateDate = (rows, current) =>
+  rows.reduce((max, row) => {
+    const updated = toDate(row.UpdateDate);
+    return updated && updated > max ? updated : max;
+  }, current);
+
+// Watermark after a run: the latest UpdateDate read, held back to the
+// earliest row that failed to import so the next run reads it again
+function nextWatermark(rows, current, failedRows) {
+  return failedRows.reduce((watermark, row) => {
+    const updated = toDate(row.UpdateDate) || current;
+    return updated < watermark ? updated : watermark;
+  }, maxUpdateDate(rows, current));
+}
+
+// Map a SAP A/R document (invoice or credit note) onto the Invoice and
+// CreditNote models
+function mapSalesDocument(doc) {
+  return {
+    DocEntry: doc.DocEntry,
+    DocNum: doc.DocNum,
+    DocType: doc.DocType,
+    DocObjectCode: doc.DocObjectCode,
+    DocDate: toDate(doc.DocDate),
+    DocDueDate: toDate(doc.DocDueDate),
+    TaxDate: toDate(doc.TaxDate),
+    CreationDate: toDate(doc.CreationDate),
+    UpdateDate: toDate(doc.UpdateDate),
+    CancelDate: toDate(doc.CancelDate),
+    CardCode: doc.CardCode,
+    CardName: doc.CardName,
+    Address: doc.Address,
+    NumAtCard: doc.NumAtCard,
+    Comments: doc.Comments,
+    JournalMemo: doc.JournalMemo,
+    Reference1: doc.Reference1,
+    Reference2: doc.Reference2,
+    DocCurrency: doc.DocCurrency,
+    DocRate: doc.DocRate,
+    SalesPersonCode: doc.SalesPersonCode,
+    PaymentGroupCode: doc.PaymentGroupCode,
+    DocumentStatus: doc.DocumentStatus,
+    Cancelled: doc.Cancelled,
+    DocTotal: doc.DocTotal,
+    VatSum: doc.VatSum,
+    PaidToDate: doc.PaidToDate,
+    DocumentLines: (doc.DocumentLines || []).map((line) => ({
+      LineNum: line.LineNum,
+      ItemCode: line.ItemCode,
+      ItemDescription: line.ItemDescription,
+      Quantity: line.Quantity,
+      ShipDate: toDate(line.ShipDate),
+      Price: line.Price,
+      PriceAfterVAT: line.PriceAfterVAT,
+      Currency: line.Currency,
+      LineTotal: line.LineTotal,
+      VatGroup: line.VatGroup,
+      BaseType: line.BaseType,
+      BaseEntry: line.BaseEntry,
+      BaseLine: line.BaseLine,
+    })),
+  };
+}
+
+// Recompute running balances for a customer from a given date onwards
+async function recalculateRunningBalance(customerId, fromDate) {
+  const previous = await CustomerLedger.findOne({
+    customerId,
+    date: { $lt: fromDate },
+  }).sort({ date: -1, createdAt: -1 });
+
+  let balance = previous ? previous.runningBalance : 0;
+
+  const entries = await CustomerLedger.find({
+    customerId,
+    date: { $gte: fromDate },
+  }).sort({ date: 1, createdAt: 1 });
+
+  const updates = entries.map((entry) => {
+    balance += (entry.debitAmount || 0) - (entry.creditAmount || 0);
+    return {
+      updateOne: {
+        filter: { _id: entry._id },
+        update: { $set: { runningBalance: balance } },
+      },
+    };
+  });
+
+  if (updates.length) {
+    await CustomerLedger.bulkWrite(updates);
+  }
+}
+
+// Match the ledger line of a document, including lines imported from the
+// Excel ledger exports before the document itself was linked
+const legacyAwareLedgerFilter = (relation, customerId, type, docNum) => ({
+  $or: [
+    relation,
+    {
+      customerId,
+      transactionType: type,
+      transactionNumber: String(docNum),
+      relatedInvoiceId: { $exists: false },
+      relatedPaymentId: { $exists: false },
+    },
+  ],
+});
+
+// Create or refresh the ledger line for a document
+async function upsertLedgerEntry(filter, entry) {
+  await CustomerLedger.findOneAndUpdate(
+    filter,
+    {
+      $set: entry,
+      $setOnInsert: { runningBalance: 0 },
+    },
+    { upsert: true }
+  );
+  await recalculateRunningBalance(entry.customerId, entry.date);
+}
+
+async function removeLedgerEntry(filter) {
+  const entry = await CustomerLedger.findOneAndDelete(filter);
+  if (entry) {
+    await recalculateRunningBalance(entry.customerId, entry.date);
+  }
+}
+
+async function syncSalesDocuments(isCreditNote) {
+  const key = isCreditNote ? SYNC_KEYS.creditNotes : SYNC_KEYS.invoices;
+  const resource = isCreditNote ? sapClient.CreditNotes : sapClient.Invoices;
+  const model = isCreditNote ? CreditNote : Invoice;
+  const since = await getWatermark(key);
+  const rows = await fetchChanged(resource, since);
+
+  const stats = { fetched: rows.length, created: 0, updated: 0, failed: 0 };
+  const failedRows = [];
+
+  for (const row of rows) {
+    try {
+      const filter = { DocEntry: row.DocEntry };
+      const existing = await model.findOne(filter).select("_id");
+      const invoice = await model.findOneAndUpdate(
+        filter,
+        { $set: mapSalesDocument(row) },
+        { upsert: true, new: true, setDefaultsOnInsert: true }
+      );
+
+      const cancelled = row.Cancelled === "tYES";
+      const ledgerFilter = isCreditNote
+        ? { relatedCreditNoteId: invoice._id }
+        : legacyAwareLedgerFilter(
+            { relatedInvoiceId: invoice._id },
+            invoice.CardCode,
+            "SJ",
+            invoice.DocNum
+          );
+
+      if (cancelled) {
+        await removeLedgerEntry(ledgerFilter);
+      } else {
+        await upsertLedgerEntry(ledgerFilter, {
+          customerId: invoice.CardCode,
+          customerName: invoice.CardName || invoice.CardCode,
+          date: invoice.DocDate || new Date(),
+          transactionNumber: String(invoice.DocNum),
+          transactionType: "SJ",
+          debitAmount: isCreditNote ? 0 : Math.abs(invoice.DocTotal || 0),
+          creditAmount: isCreditNote ? Math.abs(invoice.DocTotal || 0) : 0,
+          description: isCreditNote
+            ? `Credit note ${invoice.DocNum}`
+            : `Invoice ${invoice.DocNum}`,
+          [isCreditNote ? "relatedCreditNoteId" : "relatedInvoiceId"]:
+            invoice._id,
+        });
+      }
+
+      if (existing) {
+        stats.updated += 1;
+      } else {
+        stats.created += 1;
+        if (!cancelled && !isCreditNote) {
+          await updateCustomerTargetProgressFromInvoice(invoice);
+        }
+      }
+    } catch (error) {
+      stats.failed += 1;
+      failedRows.push(row);
+      console.error(
+        `Error importing SAP ${isCreditNote ? "credit note" : "invoice"} ${
+          row.DocEntry
+        }:`,
+        error.message
+      );
+    }
+  }
+
+  return {
+    key,
+    stats,
+    watermark: nextWatermark(rows, since, failedRows),
+  };
+}
+
+async function syncIncomingPayments() {
+  const key = SYNC_KEYS.payments;
+  const since = await getWatermark(key);
+  const rows = await fetchChanged(sapClient.IncomingPayments, since);
+
+  const stats = { fetched: rows.length, created: 0, updated: 0, failed: 0 };
+  const failedRows = [];
+
+  for (const row of rows) {
+    try {
+      const existing = await Payment.findOne({ DocEntry: row.DocEntry }).select(
+        "_id"
+      );
+      const payment = await Payment.findOneAndUpdate(
+        { DocEntry: row.DocEntry },
+        {
+          $set: {
+            ...stripODataMetadata(row),
+            DocDate: toDate(row.DocDate),
+            DueDate: toDate(row.DueDate),
+            TaxDate: toDate(row.TaxDate),
+            TransferDate: toDate(row.TransferDate),
+          },
+        },
+        { upsert: true, new: true, setDefaultsOnInsert: true }
+      );
+
+      const cancelled = row.Cancelled === "tYES";
+      const ledgerFilter = legacyAwareLedgerFilter(
+        { relatedPaymentId: payment._id },
+        payment.CardCode,
+        "CRJ",
+        payment.DocNum
+      );
+
+      if (cancelled) {
+        await PaymentLink.deleteMany({ paymentNumber: payment.DocNum });
+        await removeLedgerEntry(ledgerFilter);
+      } else {
+        await syncPaymentLinks(payment);
+        await upsertLedgerEntry(ledgerFilter, {
+          customerId: payment.CardCode,
+          customerName: payment.CardName || payment.CardCode,
+          date: payment.DocDate || new Date(),
+          transactionNumber: String(payment.DocNum),
+          transactionType: "CRJ",
+          debitAmount: 0,
+          creditAmount: calculatePaymentTotal(payment),
+          description: `Payment ${payment.DocNum}`,
+          relatedPaymentId: payment._id,
+        });
+      }
+
+      if (existing) {
+        stats.updated += 1;
+      } else {
+        stats.created += 1;
+      }
+    } catch (error) {
+      stats.failed += 1;
+      failedRows.push(row);
+      console.error(
+        `Error importing SAP incoming payment ${row.DocEntry}:`,
+        error.message
+      );
+    }
+  }
+
+  return {
+    key,
+    stats,
+    watermark: nextWatermark(rows, since, failedRows),
+  };
+}
+
+// Credit limits of customer business partners. Limits set by hand in the
+// CRM (creditLimitSource "manual") are left alone; 0 in SAP means no limit.
+async function syncCustomerCredit() {
+  const key = SYNC_KEYS.customerCredit;
+  // Credit limits rarely change, so the first run reads every customer
+  const since = await getWatermark(key, new Date("2000-01-01"));
+  const rows = await sapClient.BusinessPartners.listAll(
+    {
+      $filter: `CardType eq 'cCustomer' and UpdateDate ge '${toODataDate(
+        since
+      )}'`,
+      $select: "CardCode,CreditLimit,UpdateDate",
+      $orderby: "UpdateDate asc,CardCode asc",
+    },
+    { pageSize: PAGE_SIZE }
+  );
+
+  const stats = { fetched: rows.length, updated: 0, failed: 0 };
+  const failedRows = [];
+
+  for (const row of rows) {
+    try {
+      const result = await Customer.updateOne(
+        { CardCode: row.CardCode, creditLimitSource: { $ne: "manual" } },
+        {
+          $set: {
+            creditLimit: row.CreditLimit > 0 ? row.CreditLimit : null,
+            creditLimitSource: "sap",
+            creditLimitUpdatedAt: new Date(),
+          },
+        }
+      );
+      if (result.modifiedCount) {
+        stats.updated += 1;
+      }
+    } catch (error) {
+      stats.failed += 1;
+      failedRows.push(row);
+      console.error(
+        `Error importing SAP credit limit of ${row.CardCode}:`,
+        error.message
+      );
+    }
+  }
+
+  return {
+    key,
+    stats,
+    watermark: nextWatermark(rows, since, failedRows),
+  };
+}
+
+// One PaymentLink per invoice the payment was applied to
+async function syncPaymentLinks(payment) {
+  const appliedInvoices = (payment.PaymentInvoices || []).filter(
+    (line) => line.InvoiceType === "it_Invoice"
+  );
+
+  const invoices = await Invoice.find({
+    DocEntry: { $in: appliedInvoices.map((line) => line.DocEntry) },
+  }).select("DocEntry DocNum DocTotal DocDate");
+  const invoiceByEntry = new Map(
+    invoices.map((invoice) => [invoice.DocEntry, invoice])
+  );
+
+  const linkedInvoiceNumbers = [];
+  for (const line of appliedInvoices) {
+    const invoice = invoiceByEntry.get(line.DocEntry);
+    if (!invoice) {
+      // Invoice not imported yet; the link is created on the next update
+      continue;
+    }
+
+    linkedInvoiceNumbers.push(invoice.DocNum);
+    await PaymentLink.findOneAndUpdate(
+      { paymentNumber: payment.DocNum, invoiceNumber: invoice.DocNum },
+      {
+        $set: {
+          paymentAmount: line.SumApplied || 0,
+          invoiceAmount: invoice.DocTotal || 0,
+          paymentDate: payment.DocDate,
+          invoiceDate: invoice.DocDate || payment.DocDate,
+        },
+      },
+      { upsert: true }
+    );
+  }
+
+  // Drop links to invoices the payment is no longer applied to
+  await PaymentLink.deleteMany({
+    paymentNumber: payment.DocNum,
+    invoiceNumber: { $nin: linkedInvoiceNumbers },
+  });
+}
+
+async function runStep(key, step) {
+  await SyncState.findOneAndUpdate(
+    { key },
+    { $set: { running: true, lastRunAt: new Date() } },
+    { upsert: true }
+  );
+
+  try {
+    const result = await step();
+    await SyncState.findOneAndUpdate(
+      { key },
+      {
+        $set: {
+          running: false,
+          watermark: result.watermark,
+          lastSuccessAt: new Date(),
+          lastStats: result.stats,
+          lastError: null,
+        },
+      }
+    );
+    return result.stats;
+  } catch (error) {
+    await SyncState.findOneAndUpdate(
+      { key },
+      { $set: { running: false, lastError: error.message } }
+    );
+    console.error(`SAP pull ${key} failed:`, error.message);
+    return { error: error.message };
+  }
+}
+
+/**
+ * Pull every document type once, then the customers' credit limits.
+ * Invoices go first so payments can be linked to invoices imported in the
+ * same run.
+ * @returns {Promise<Object>} Stats per document type
+ */
+async function runPullSync() {
+  return {
+    invoices: await runStep(SYNC_KEYS.invoices, () => syncSalesDocuments(false)),
+    creditNotes: await runStep(SYNC_KEYS.creditNotes, () =>
+      syncSalesDocuments(true)
+    ),
+    payments: await runStep(SYNC_KEYS.payments, syncIncomingPayments),
+    customerCredit: await runStep(
+      SYNC_KEYS.customerCredit,
+      syncCustomerCredit
+    ),
+  };
+}
+
+// Current watermarks and last results
+async function getPullSyncStatus() {
+  return SyncState.find({ key: { $in: Object.values(SYNC_KEYS) } }).lean();
+}
+
+module.exports = {
+  runPullSync,
+  getPullSyncStatus,
+  recalculateRunningBalance,
+  getWatermark,
+  nextWatermark,
+  runStep,
+  calculatePaymentTotal,
+  SYNC_KEYS,
+};
@@ -0,0 +1,589 @@
+// services/sapSyncQueue.js
+// Persisted outbox for documents that have to be pushed to SAP B1.
+// Every push goes through a SapSyncJob so a Service Layer outage only delays
+// the document: the worker in jobs/sapSyncJob.js retries with exponential
+// backoff until the job succeeds or ends up in the dead state.
+const SapSyncJob = require("../models/SapSyncJob");
+const SalesOrder = require("../models/SalesOrder");
+const Quotation = require("../models/Quotation");
+const Customer = require("../models/Customer");
+const User = require("../models/User");
+const {
+  formatOrderForSAP,
+  createSalesOrderInSAP,
+  checkBusinessPartnerExists,
+  findSalesOrderBySyncKey,
+  formatQuotationForSAP,
+  createQuotationInSAP,
+  updateQuotationInSAP,
+  cancelQuotationInSAP,
+  findQuotationBySyncKey,
+} = require("../utils/sapB1Integration");
+const {
+  generateNextCardCode,
+  formatCustomerForSAP,
+  createCustomerInSAP,
+  checkCustomerExistsInSAP,
+  findCustomerBySyncKey,
+} = require("../utils/sapB1CustomerIntegration");
+
+const BASE_DELAY_MS = 60 * 1000; // 1 minute
+const MAX_DELAY_MS = 6 * 60 * 60 * 1000; // 6 hours
+const LOCK_TIMEOUT_MS = 10 * 60 * 1000; // Reclaim jobs stuck in processing
+
+const ENTITY_MODELS = {
+  SalesOrder,
+  Quotation,
+  Customer,
+};
+
+// Error codes that will never succeed by simply trying again
+const PERMANENT_ERROR_CODES = [
+  "BP_NOT_FOUND",
+  "INVALID_BP_CODE",
+  "ENTITY_NOT_FOUND",
+  "SAP_VALIDATION_ERROR",
+  "NOT_APPROVED",
+  "CANCELLED",
+];
+
+class SapSyncError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = "SapSyncError";
+    this.code = code;
+  }
+}
+
+// Pushes keep the plain key already stamped on documents in SAP
+const buildIdempotencyKey = (entityType, entityId, operation = "push") =>
+  operation === "push"
+    ? `${entityType}:${entityId}`
+    : `${entityType}:${entityId}:${operation}`;
+
+// Exponential backoff: 1m, 2m, 4m, ... capped at 6h
+const getBackoffDelay = (attempts) =>
+  Math.min(BASE_DELAY_MS * Math.pow(2, Math.max(attempts - 1, 0)), MAX_DELAY_MS);
+
+// Map an error thrown by the SAP integration to a queue error code
+const classifyError = (error) => {
+  if (error.code && PERMANENT_ERROR_CODES.includes(error.code)) {
+    return error.code;
+  }
+
+  const message = `${error.message || ""} ${error.sapMessage || ""}`;
+  if (message.includes("Business partner") && message.includes("does not exist")) {
+    return "BP_NOT_FOUND";
+  }
+  if (message.includes("Invalid BP code")) {
+    return "INVALID_BP_CODE";
+  }
+
+  // SAP rejected the payload itself; retrying the same payload won't help
+  if (error.status && error.status >= 400 && error.status < 500) {
+    if (![401, 408, 429].includes(error.status)) {
+      return "SAP_VALIDATION_ERROR";
+    }
+  }
+
+  return "GENERAL_ERROR";
+};
+
+// Fail fast when the customer does not exist in SAP
+async function ensureBusinessPartner(cardCode) {
+  try {
+    const businessPartnerExists = await checkBusinessPartnerExists(cardCode);
+    if (!businessPartnerExists) {
+      throw new SapSyncError(
+        `Business partner ${cardCode} does not exist in SAP B1`,
+        "BP_NOT_FOUND"
+      );
+    }
+  } catch (bpError) {
+    if (bpError instanceof SapSyncError) throw bpError;
+    // If BP check itself fails, continue with the document creation attempt
+    console.warn(`Could not verify business partner in SAP: ${bpError.message}`);
+  }
+}
+
+// SAP quotation an order should be based on, if it came from one
+async function getBaseQuotation(order) {
+  if (!order.OriginatingQuotation) {
+    return null;
+  }
+
+  const quotation = await Quotation.findOne({
+    DocEntry: order.OriginatingQuotation,
+  });
+  if (!quotation || !quotation.SAPDocEntry) {
+    return null;
+  }
+
+  return {
+    DocEntry: quotation.SAPDocEntry,
+    DocumentLines: quotation.DocumentLines,
+  };
+}
+
+async function updateSalesAgentAchievement(salesAgentId) {
+  const agent = await User.findById(salesAgentId);
+  if (!agent) return;
+
+  // Increment a counter of successfully synced orders
+  agent.syncedOrderCount = (agent.syncedOrderCount || 0) + 1;
+  await agent.save();
+}
+
+// Push a local sales order to SAP B1
+async function pushSalesOrder(job, order) {
+  if (order.SyncedWithSAP && order.SAPDocEntry) {
+    return { sapReference: order.SAPDocEntry, sapData: null };
+  }
+
+  // A previous attempt may have reached SAP before the response was lost
+  const existing = await findSalesOrderBySyncKey(job.idempotencyKey);
+  let sapResponse = existing;
+
+  if (!existing) {
+    await ensureBusinessPartner(order.CardCode);
+
+    const sapOrder = await formatOrderForSAP(order, {
+      syncKey: job.idempotencyKey,
+      baseQuotation: await getBaseQuotation(order),
+    });
+    sapResponse = await createSalesOrderInSAP(sapOrder);
+  }
+
+  if (!sapResponse || !sapResponse.DocEntry) {
+    throw new Error("Invalid response from SAP B1");
+  }
+
+  order.SAPDocEntry = sapResponse.DocEntry;
+  order.DocumentStatus = "bost_Closed";
+  order.UpdateDate = new Date();
+  order.SyncedWithSAP = true;
+  order.LocalStatus = "Synced";
+  order.SyncErrors = undefined;
+  order.LastSyncAttempt = new Date();
+  await order.save();
+
+  // Update sales agent stats for synced order
+  if (order.salesAgent) {
+    await updateSalesAgentAchievement(order.salesAgent);
+  }
+
+  return { sapReference: sapResponse.DocEntry, sapData: sapResponse };
+}
+
+// Push an approved quotation to SAP B1 as a sales quotation. A quotation that
+// already exists in SAP is updated in place after a local revision
+async function pushQuotation(job, quotation) {
+  if (quotation.SyncedWithSAP && quotation.SAPDocEntry) {
+    return { sapReference: quotation.SAPDocEntry, sapData: null };
+  }
+
+  if (!quotation.IsActive) {
+    throw new SapSyncError(
+      `Quotation ${quotation.DocEntry} is cancelled`,
+      "CANCELLED"
+    );
+  }
+
+  if (quotation.approvalStatus !== "approved") {
+    throw new SapSyncError(
+      `Quotation ${quotation.DocEntry} is not approved`,
+      "NOT_APPROVED"
+    );
+  }
+
+  let sapResponse = quotation.SAPDocEntry
+    ? null
+    : await findQuotationBySyncKey(job.idempotencyKey);
+
+  if (!sapResponse) {
+    await ensureBusinessPartner(quotation.CardCode);
+
+    const sapQuotation = await formatQuotationForSAP(quotation, {
+      syncKey: job.idempotencyKey,
+    });
+    sapResponse = quotation.SAPDocEntry
+      ? await updateQuotationInSAP(quotation.SAPDocEntry, sapQuotation)
+      : await createQuotationInSAP(sapQuotation);
+  }
+
+  if (!sapResponse || !sapResponse.DocEntry) {
+    throw new Error("Invalid response from SAP B1");
+  }
+
+  quotation.SAPDocEntry = sapResponse.DocEntry;
+  quotation.UpdateDate = new Date();
+  quotation.SyncedWithSAP = true;
+  quotation.LocalStatus = "Synced";
+  quotation.SyncErrors = undefined;
+  quotation.LastSyncAttempt = new Date();
+  await quotation.save();
+
+  return { sapReference: sapResponse.DocEntry, sapData: sapResponse };
+}
+
+// Push a local customer to SAP B1 as a business partner
+async function pushCustomer(job, customer) {
+  if (customer.SyncedWithSAP && customer.customerType === "sap") {
+    return { sapReference: customer.CardCode, sapData: null };
+  }
+
+  // A previous attempt may have reached SAP before the response was lost
+  let sapResponse = await findCustomerBySyncKey(job.idempotencyKey, customer);
+
+  if (!sapResponse) {
+    // The CardCode was reserved when the customer was created; if someone
+    // else took it in the meantime, pick the next free one
+    if (await checkCustomerExistsInSAP(customer.CardCode)) {
+      customer.CardCode = await generateNextCardCode();
+    }
+
+    const sapCustomer = await formatCustomerForSAP(customer, {
+      syncKey: job.idempotencyKey,
+    });
+    sapResponse = await createCustomerInSAP(sapCustomer);
+  }
+
+  if (!sapResponse || !sapResponse.CardCode) {
+    throw new Error("Invalid response from SAP B1");
+  }
+
+  customer.CardCode = sapResponse.CardCode;
+  customer.customerType = "sap";
+  customer.SyncedWithSAP = true;
+  customer.LocalStatus = "Synced";
+  customer.SyncErrors = undefined;
+  customer.LastSyncAttempt = new Date();
+  await customer.save();
+
+  return { sapReference: sapResponse.CardCode, sapData: sapResponse };
+}
+
+// Cancel the SAP quotation of a quotation cancelled in the CRM
+async function cancelQuotation(job, quotation) {
+  if (!quotation.SAPDocEntry) {
+    throw new SapSyncError(
+      `Quotation ${quotation.DocEntry} was never pushed to SAP`,
+      "ENTITY_NOT_FOUND"
+    );
+  }
+
+  const sapResponse = await cancelQuotationInSAP(quotation.SAPDocEntry);
+
+  quotation.SyncErrors = undefined;
+  quotation.LastSyncAttempt = new Date();
+  await quotation.save();
+
+  return { sapReference: quotation.SAPDocEntry, sapData: sapResponse };
+}
+
+const HANDLERS = {
+  push: {
+    SalesOrder: pushSalesOrder,
+    Quotation: pushQuotation,
+    Customer: pushCustomer,
+  },
+  cancel: {
+    Quotation: cancelQuotation,
+  },
+};
+
+const getEntityRef = (entityType, entity) =>
+  entityType === "Customer"
+    ? entity.CardCode || entity.CardName
+    : String(entity.DocEntry);
+
+/**
+ * Add a document to the outbox (or return its existing job).
+ * @param {String} entityType - "SalesOrder", "Quotation" or "Customer"
+ * @param {Object} entity - Mongoose document to push
+ * @param {Object} options - { createdBy, rearm, resync, operation }; rearm
+ *   puts a dead or abandoned job back into the pending state, resync also
+ *   re-opens a succeeded job so a revised document is pushed again;
+ *   operation is "push" (default) or "cancel"
+ * @returns {Promise<Object>} The SapSyncJob document
+ */
+async function enqueue(entityType, entity, options = {}) {
+  const operation = options.operation || "push";
+  if (!HANDLERS[operation] || !HANDLERS[operation][entityType]) {
+    throw new Error(
+      `Unsupported SAP sync operation: ${operation} ${entityType}`
+    );
+  }
+
+  const idempotencyKey = buildIdempotencyKey(
+    entityType,
+    entity._id,
+    operation
+  );
+
+  let job = await SapSyncJob.findOneAndUpdate(
+    { idempotencyKey },
+    {
+      $setOnInsert: {
+        entityType,
+        entityId: entity._id,
+        operation,
+        entityRef: getEntityRef(entityType, entity),
+        status: "pending",
+        nextAttemptAt: new Date(),
+        createdBy: options.createdBy,
+      },
+    },
+    { new: true, upsert: true }
+  );
+
+  const rearmStatuses = ["dead", "abandoned"];
+  if (options.resync) {
+    rearmStatuses.push("succeeded");
+  }
+  if ((options.rearm || options.resync) && rearmStatuses.includes(job.status)) {
+    job = await rearmJob(job);
+  }
+
+  return job;
+}
+
+async function rearmJob(job) {
+  job.status = "pending";
+  job.attempts = 0;
+  job.nextAttemptAt = new Date();
+  job.lockedAt = undefined;
+  job.abandonedAt = undefined;
+  job.abandonedBy = undefined;
+  await job.save();
+  return job;
+}
+
+/**
+ * Run one attempt for a job. The job is claimed atomically so the worker and
+ * a request never push the same document at the same time.
+ * @param {Object} job - SapSyncJob document
+ * @param {Object} options - { entity, triggeredBy }
+ * @returns {Promise<Object>} { success, error, code, sapReference, sapData, job }
+ */
+async function processJob(job, options = {}) {
+  const triggeredBy = options.triggeredBy || "worker";
+
+  const claimed = await SapSyncJob.findOneAndUpdate(
+    { _id: job._id, status: "pending" },
+    { $set: { status: "processing", lockedAt: new Date() } },
+    { new: true }
+  );
+
+  if (!claimed) {
+    const current = await SapSyncJob.findById(job._id);
+    return {
+      success: current && current.status === "succeeded",
+      sapReference: current ? current.sapReference : undefined,
+      error:
+        current && current.status !== "succeeded"
+          ? `SAP sync job is ${current.status}`
+          : undefined,
+      code: current && current.status !== "succeeded" ? "JOB_BUSY" : undefined,
+      job: current,
+    };
+  }
+
+  const Model = ENTITY_MODELS[claimed.entityType];
+  let entity = options.entity;
+
+  try {
+    if (!entity) {
+      entity = await Model.findById(claimed.entityId);
+    }
+    if (!entity) {
+      throw new SapSyncError(
+        `${claimed.entityType} ${claimed.entityId} no longer exists`,
+        "ENTITY_NOT_FOUND"
+      );
+    }
+
+    const handler = HANDLERS[claimed.operation || "push"][claimed.entityType];
+    const result = await handler(claimed, entity);
+
+    claimed.status = "succeeded";
+    claimed.attempts += 1;
+    claimed.sapReference = String(result.sapReference);
+    claimed.entityRef = getEntityRef(claimed.entityType, entity);
+    claimed.lastError = undefined;
+    claimed.lastErrorCode = undefined;
+    claimed.lockedAt = undefined;
+    claimed.completedAt = new Date();
+    claimed.history.push({ success: true, triggeredBy });
+    await claimed.save();
+
+    return {
+      success: true,
+      sapReference: result.sapReference,
+      sapData: result.sapData,
+      job: claimed,
+    };
+  } catch (error) {
+    const code = classifyError(error);
+    const message = error.sapMessage
+      ? `${error.message}: ${error.sapMessage}`
+      : error.message || "Unknown error";
+    const permanent = PERMANENT_ERROR_CODES.includes(code);
+
+    claimed.attempts += 1;
+    claimed.lastError = message;
+    claimed.lastErrorCode = code;
+    claimed.lockedAt = undefined;
+    claimed.history.push({ success: false, error: message, code, triggeredBy });
+
+    if (permanent || claimed.attempts >= claimed.maxAttempts) {
+      claimed.status = "dead";
+    } else {
+      claimed.status = "pending";
+      claimed.nextAttemptAt = new Date(
+        Date.now() + getBackoffDelay(claimed.attempts)
+      );
+    }
+    await claimed.save();
+
+    // Mirror the failure on the local document
+    if (entity) {
+      entity.SyncErrors = message;
+      entity.LastSyncAttempt = new Date();
+      entity.LocalStatus = "SyncFailed";
+      if (code === "BP_NOT_FOUND" || code === "INVALID_BP_CODE") {
+        entity.SAPSyncDisabled = true;
+      }
+      await entity.save();
+    }
+
+    console.error(
+      `SAP sync job ${claimed._id} (${claimed.idempotencyKey}) failed:`,
+      message
+    );
+
+    return {
+      success: false,
+      error: message,
+      code,
+      willRetry: claimed.status === "pending",
+      nextAttemptAt:
+        claimed.status === "pending" ? claimed.nextAttemptAt : undefined,
+      job: claimed,
+    };
+  }
+}
+
+/**
+ * Enqueue a document and try to push it right away. Transient failures stay
+ * in the queue and are retried by the worker.
+ */
+async function syncNow(entityType, entity, options = {}) {
+  const job = await enqueue(entityType, entity, options);
+
+  if (job.status === "succeeded") {
+    return { success: true, sapReference: job.sapReference, job };
+  }
+
+  return processJob(job, {
+    entity,
+    triggeredBy: options.triggeredBy || "request",
+  });
+}
+
+/**
+ * Worker entry point: process every job whose backoff has elapsed.
+ * @param {Object} options - { limit }
+ * @returns {Promise<Object>} Summary counts
+ */
+async function processDueJobs(options = {}) {
+  const limit = options.limit || 50;
+  const summary = { processed: 0, succeeded: 0, failed: 0, released: 0 };
+
+  // Release jobs left in processing by a crashed worker
+  const released = await SapSyncJob.updateMany(
+    {
+      status: "processing",
+      lockedAt: { $lt: new Date(Date.now() - LOCK_TIMEOUT_MS) },
+    },
+    { $set: { status: "pending", nextAttemptAt: new Date() }, $unset: { lockedAt: 1 } }
+  );
+  summary.released = released.modifiedCount || 0;
+
+  const dueJobs = await SapSyncJob.find({
+    status: "pending",
+    nextAttemptAt: { $lte: new Date() },
+  })
+    .sort({ nextAttemptAt: 1 })
+    .limit(limit);
+
+  for (const job of dueJobs) {
+    const result = await processJob(job, { triggeredBy: "worker" });
+    summary.processed += 1;
+    if (result.success) {
+      summary.succeeded += 1;
+    } else {
+      summary.failed += 1;
+    }
+  }
+
+  return summary;
+}
+
+/**
+ * Put a job back in the queue and attempt it immediately.
+ */
+async function retryJob(jobId) {
+  let job = await SapSyncJob.findById(jobId);
+  if (!job) {
+    return null;
+  }
+
+  if (job.status === "processing" || job.status === "succeeded") {
+    return { success: job.status === "succeeded", job, unchanged: true };
+  }
+
+  job = await rearmJob(job);
+
+  // Manual retry overrides the "don't sync again" flag on the document
+  const Model = ENTITY_MODELS[job.entityType];
+  const entity = await Model.findById(job.entityId);
+  if (entity && entity.SAPSyncDisabled) {
+    entity.SAPSyncDisabled = false;
+    await entity.save();
+  }
+
+  return processJob(job, { entity, triggeredBy: "manual" });
+}
+
+/**
+ * Stop retrying a job without pushing it.
+ */
+async function abandonJob(jobId, userId) {
+  const job = await SapSyncJob.findById(jobId);
+  if (!job) {
+    return null;
+  }
+
+  if (["succeeded", "processing"].includes(job.status)) {
+    return { job, unchanged: true };
+  }
+
+  job.status = "abandoned";
+  job.abandonedAt = new Date();
+  job.abandonedBy = userId;
+  await job.save();
+
+  return { job };
+}
+
+module.exports = {
+  enqueue,
+  processJob,
+  syncNow,
+  processDueJobs,
+  retryJob,
+  abandonJob,
+  getBackoffDelay,
+  buildIdempotencyKey,
+};
@@ -0,0 +1,109 @@
+// services/softDelete.js
+// Mongoose plugin for soft deletion: deleted records keep their data with
+// deletedAt/deletedBy set and disappear from queries until they are
+// restored or purged (jobs/softDeletePurgeJob.js).
+//
+// Queries skip deleted records unless their filter mentions deletedAt, e.g.
+// Model.find({ deletedAt: { $ne: null } }) for the recycle bin, or they are
+// run with setOptions({ withDeleted: true }). Upserts and bulkWrite reach
+// deleted records too, so imports never duplicate them.
+const mongoose = require("mongoose");
+
+const FILTERED_QUERIES = [
+  "find",
+  "findOne",
+  "countDocuments",
+  "distinct",
+  "findOneAndUpdate",
+  "findOneAndReplace",
+  "findOneAndDelete",
+  "updateOne",
+  "updateMany",
+  "replaceOne",
+  "deleteOne",
+  "deleteMany",
+];
+
+// Aggregation stages that must stay first in a pipeline
+const LEADING_STAGES = ["$geoNear", "$search", "$searchMeta", "$collStats"];
+
+const mentionsDeletedAt = (filter) =>
+  Boolean(filter) &&
+  (Object.prototype.hasOwnProperty.call(filter, "deletedAt") ||
+    ["$and", "$or", "$nor"].some(
+      (operator) =>
+        Array.isArray(filter[operator]) &&
+        filter[operator].some(mentionsDeletedAt)
+    ));
+
+/**
+ * @param {Object} schema - Mongoose schema
+ */
+function softDeletePlugin(schema) {
+  schema.add({
+    deletedAt: {
+      type: Date,
+      default: null,
+      index: true,
+    },
+    deletedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  });
+
+  schema.pre(FILTERED_QUERIES, { document: false, query: true }, function () {
+    const options = this.getOptions();
+    const withDeleted = options.withDeleted || options.upsert;
+    // Not a MongoDB option, keep it out of the command
+    delete options.withDeleted;
+
+    if (!withDeleted && !mentionsDeletedAt(this.getFilter())) {
+      this.where({ deletedAt: null });
+    }
+  });
+
+  schema.pre("aggregate", function () {
+    const pipeline = this.pipeline();
+    const first = pipeline[0] || {};
+    if (first.$match) {
+      // Merged rather than prepended: $text must stay in the first stage
+      if (!mentionsDeletedAt(first.$match)) {
+        pipeline[0] = { $match: { ...first.$match, deletedAt: null } };
+      }
+      return;
+    }
+    const leading = LEADING_STAGES.some((stage) => first[stage]) ? 1 : 0;
+    pipeline.splice(leading, 0, { $match: { deletedAt: null } });
+  });
+
+  /**
+   * Soft delete the matching records.
+   * @returns {Promise<Object>} updateMany result
+   */
+  schema.statics.softDeleteMany = function (filter, deletedBy, deletedAt) {
+    return this.updateMany(
+      { ...filter, deletedAt: null },
+      { $set: { deletedAt: deletedAt || new Date(), deletedBy } }
+    );
+  };
+
+  // Restore soft deleted records matching the filter
+  schema.statics.restoreMany = function (filter) {
+    return this.updateMany(
+      { deletedAt: { $ne: null }, ...filter },
+      { $set: { deletedAt: null }, $unset: { deletedBy: "" } }
+    );
+  };
+
+  // Soft delete this record
+  schema.methods.softDelete = function (deletedBy) {
+    this.deletedAt = new Date();
+    this.deletedBy = deletedBy;
+    return this.save();
+  };
+}
+
+module.exports = {
+  softDeletePlugin,
+};
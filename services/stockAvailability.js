@@ -0,0 +1,268 @@
+// services/stockAvailability.js
+// Availability check (InStock - Committed - soft reservations) per document
+// line and warehouse, and soft reservations held by open quotations.
+const Item = require("../models/item");
+
+// Reservations without an explicit end are held this long
+const RESERVATION_DAYS = parseInt(process.env.STOCK_RESERVATION_DAYS, 10) || 7;
+
+// "warn" (default): shortages are returned with the saved document; "block":
+// documents with shortages are refused unless the request sets allowShortage
+const STOCK_CHECK_MODE = process.env.STOCK_CHECK_MODE || "warn";
+
+// Warehouse a line is served from; null means "any warehouse"
+const resolveWarehouse = (item, line) =>
+  line.WarehouseCode || item.DefaultWarehouse || null;
+
+const isSameDocument = (reservation, exclude) =>
+  exclude &&
+  reservation.documentType === exclude.documentType &&
+  reservation.documentEntry === Number(exclude.documentEntry);
+
+// Quantity held by other documents' active reservations
+function reservedQuantity(item, warehouseCode, exclude, now) {
+  return (item.softReservations || [])
+    .filter(
+      (reservation) =>
+        reservation.expiresAt > now &&
+        !isSameDocument(reservation, exclude) &&
+        (!warehouseCode || reservation.WarehouseCode === warehouseCode)
+    )
+    .reduce((sum, reservation) => sum + (reservation.Quantity || 0), 0);
+}
+
+const warehouseFree = (wh) => (wh.InStock || 0) - (wh.Committed || 0);
+
+/**
+ * Check stock for every line of a document.
+ * Lines of the same item and warehouse draw from the same stock.
+ * @param {Array} lines - DocumentLines (ItemCode, Quantity, WarehouseCode)
+ * @param {Object} options - { exclude: { documentType, documentEntry } } to
+ *   ignore the document's own reservations
+ * @returns {Promise<Object>} { available, lines, shortages }
+ */
+async function checkAvailability(lines, { exclude } = {}) {
+  const items = await Item.find({
+    ItemCode: { $in: lines.map((line) => line.ItemCode) },
+  }).select(
+    "ItemCode ItemName InventoryItem DefaultWarehouse ItemWarehouseInfoCollection softReservations"
+  );
+  const itemMap = new Map(items.map((item) => [item.ItemCode, item]));
+
+  const now = new Date();
+  // Quantity taken by earlier lines, keyed by item and warehouse
+  const demand = new Map();
+  const taken = (itemCode, warehouseCode) =>
+    demand.get(`${itemCode}|${warehouseCode || "*"}`) || 0;
+
+  const freeIn = (item, warehouseCode) => {
+    const warehouses = item.ItemWarehouseInfoCollection.filter(
+      (wh) => !warehouseCode || wh.WarehouseCode === warehouseCode
+    );
+    const free = warehouses.reduce((sum, wh) => sum + warehouseFree(wh), 0);
+    return (
+      free -
+      reservedQuantity(item, warehouseCode, exclude, now) -
+      taken(item.ItemCode, warehouseCode)
+    );
+  };
+
+  const results = lines.map((line, index) => {
+    const requested = Number(line.Quantity) || 0;
+    const item = itemMap.get(line.ItemCode);
+
+    if (!item || item.InventoryItem === "tNO") {
+      return {
+        LineNum: index,
+        ItemCode: line.ItemCode,
+        WarehouseCode: line.WarehouseCode || null,
+        requested,
+        stockManaged: false,
+        shortage: 0,
+        alternatives: [],
+      };
+    }
+
+    // No warehouse figures synced from SAP yet: stock unknown, not zero
+    if (!(item.ItemWarehouseInfoCollection || []).length) {
+      return {
+        LineNum: index,
+        ItemCode: item.ItemCode,
+        ItemName: item.ItemName,
+        WarehouseCode: resolveWarehouse(item, line),
+        requested,
+        stockManaged: true,
+        stockKnown: false,
+        available: null,
+        shortage: 0,
+        alternatives: [],
+      };
+    }
+
+    const warehouseCode = resolveWarehouse(item, line);
+    const available = Math.max(0, freeIn(item, warehouseCode));
+    const shortage = Math.max(0, requested - available);
+
+    // Other warehouses with free stock, best first
+    const alternatives = shortage
+      ? item.ItemWarehouseInfoCollection.filter(
+          (wh) => wh.WarehouseCode !== warehouseCode && wh.Locked !== "tYES"
+        )
+          .map((wh) => {
+            const free = Math.max(0, freeIn(item, wh.WarehouseCode));
+            return {
+              WarehouseCode: wh.WarehouseCode,
+              available: free,
+              canFulfil: free >= requested,
+            };
+          })
+          .filter((alternative) => alternative.available > 0)
+          .sort((a, b) => b.available - a.available)
+      : [];
+
+    const key = `${item.ItemCode}|${warehouseCode || "*"}`;
+    demand.set(key, (demand.get(key) || 0) + requested);
+
+    return {
+      LineNum: index,
+      ItemCode: item.ItemCode,
+      ItemName: item.ItemName,
+      WarehouseCode: warehouseCode,
+      requested,
+      stockManaged: true,
+      stockKnown: true,
+      available,
+      shortage,
+      alternatives,
+    };
+  });
+
+  const shortages = results.filter((line) => line.shortage > 0);
+
+  return {
+    available: shortages.length === 0,
+    lines: results,
+    shortages,
+  };
+}
+
+/**
+ * Whether a stock check refuses the document: only in "block" mode, and
+ * allowShortage still accepts a backorder there.
+ * @param {Object} stockCheck - Result of checkAvailability
+ * @param {Boolean} allowShortage - Request flag
+ * @returns {Boolean}
+ */
+const blocksOnShortage = (stockCheck, allowShortage) =>
+  STOCK_CHECK_MODE === "block" && !stockCheck.available && !allowShortage;
+
+// Reservation end: explicit date, else the document's due date when it is
+// still ahead, else RESERVATION_DAYS from now
+function getReservationExpiry(document, requestedExpiry) {
+  const now = new Date();
+  const explicit = requestedExpiry ? new Date(requestedExpiry) : null;
+  if (explicit && !Number.isNaN(explicit.getTime()) && explicit > now) {
+    return explicit;
+  }
+  if (document.DocDueDate && document.DocDueDate > now) {
+    return document.DocDueDate;
+  }
+  return new Date(now.getTime() + RESERVATION_DAYS * 24 * 60 * 60 * 1000);
+}
+
+/**
+ * Release a document's soft reservations on every item.
+ * @returns {Promise<Number>} Number of items that were released
+ */
+async function releaseReservations(documentType, documentEntry) {
+  const result = await Item.updateMany(
+    {
+      softReservations: {
+        $elemMatch: { documentType, documentEntry: Number(documentEntry) },
+      },
+    },
+    {
+      $pull: {
+        softReservations: { documentType, documentEntry: Number(documentEntry) },
+      },
+    }
+  );
+  return result.modifiedCount;
+}
+
+/**
+ * Replace a document's soft reservations with one per item and warehouse.
+ * @param {String} documentType - "Quotation" or "SalesOrder"
+ * @param {Number} documentEntry - DocEntry of the document
+ * @param {Array} lines - DocumentLines to reserve
+ * @param {Object} options - { expiresAt, createdBy }
+ * @returns {Promise<Array>} Reservations that were placed
+ */
+async function reserveStock(documentType, documentEntry, lines, options = {}) {
+  await releaseReservations(documentType, documentEntry);
+
+  const items = await Item.find({
+    ItemCode: { $in: lines.map((line) => line.ItemCode) },
+  }).select("ItemCode InventoryItem DefaultWarehouse");
+  const itemMap = new Map(items.map((item) => [item.ItemCode, item]));
+
+  const quantities = new Map();
+  for (const line of lines) {
+    const item = itemMap.get(line.ItemCode);
+    if (!item || item.InventoryItem === "tNO" || !(line.Quantity > 0)) {
+      continue;
+    }
+    const warehouseCode = resolveWarehouse(item, line);
+    const key = `${item.ItemCode}|${warehouseCode || ""}`;
+    const entry = quantities.get(key) || {
+      ItemCode: item.ItemCode,
+      WarehouseCode: warehouseCode || undefined,
+      Quantity: 0,
+    };
+    entry.Quantity += Number(line.Quantity);
+    quantities.set(key, entry);
+  }
+
+  const reservations = [...quantities.values()];
+  for (const reservation of reservations) {
+    await Item.updateOne(
+      { ItemCode: reservation.ItemCode },
+      {
+        $push: {
+          softReservations: {
+            WarehouseCode: reservation.WarehouseCode,
+            Quantity: reservation.Quantity,
+            documentType,
+            documentEntry: Number(documentEntry),
+            expiresAt: options.expiresAt,
+            createdBy: options.createdBy,
+          },
+        },
+      }
+    );
+  }
+
+  return reservations;
+}
+
+/**
+ * Drop reservations whose expiry passed.
+ * @returns {Promise<Number>} Number of items cleaned up
+ */
+async function releaseExpiredReservations() {
+  const now = new Date();
+  const result = await Item.updateMany(
+    { "softReservations.expiresAt": { $lte: now } },
+    { $pull: { softReservations: { expiresAt: { $lte: now } } } }
+  );
+  return result.modifiedCount;
+}
+
+module.exports = {
+  checkAvailability,
+  blocksOnShortage,
+  reserveStock,
+  releaseReservations,
+  releaseExpiredReservations,
+  getReservationExpiry,
+};
@@ -0,0 +1,220 @@
+// services/twoFactor.js
+// TOTP enrolment, login verification, recovery codes and the policy of
+// which roles must use two-factor authentication.
+const crypto = require("crypto");
+const User = require("../models/User");
+const SecurityPolicy = require("../models/SecurityPolicy");
+const totp = require("../utils/totp");
+
+const ISSUER = process.env.TWO_FACTOR_ISSUER || "Premier Quality Foods";
+const RECOVERY_CODE_COUNT = 10;
+
+// Roles that must use 2FA while no policy is stored
+const DEFAULT_REQUIRED_ROLES = (process.env.TWO_FACTOR_REQUIRED_ROLES || "")
+  .split(",")
+  .map((role) => role.trim())
+  .filter(Boolean);
+
+// The policy is re-read at most this often
+const POLICY_CACHE_MS = 60 * 1000;
+let policyCache = null;
+let policyCacheAt = 0;
+
+const SECRET_FIELDS =
+  "+twoFactor.secret +twoFactor.pendingSecret +twoFactor.recoveryCodes " +
+  "+twoFactor.lastUsedStep";
+
+const hashRecoveryCode = (code) =>
+  crypto
+    .createHash("sha256")
+    .update(code.replace(/[\s-]/g, "").toUpperCase())
+    .digest("hex");
+
+// xxxxx-xxxxx codes, shown once
+const generateRecoveryCodes = () =>
+  Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const code = crypto.randomBytes(5).toString("hex").toUpperCase();
+    return `${code.slice(0, 5)}-${code.slice(5)}`;
+  });
+
+const badRequest = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+async function getPolicy() {
+  if (policyCache && Date.now() - policyCacheAt < POLICY_CACHE_MS) {
+    return policyCache;
+  }
+  const stored = await SecurityPolicy.findOne({ key: "default" }).lean();
+  policyCache = {
+    twoFactorRequiredRoles: stored
+      ? stored.twoFactorRequiredRoles
+      : DEFAULT_REQUIRED_ROLES,
+    isDefault: !stored,
+  };
+  policyCacheAt = Date.now();
+  return policyCache;
+}
+
+async function updatePolicy({ twoFactorRequiredRoles }, updatedBy) {
+  const roles = User.schema.path("role").enumValues;
+  const unknown = twoFactorRequiredRoles.filter(
+    (role) => !roles.includes(role)
+  );
+  if (unknown.length) {
+    throw badRequest(`Unknown roles: ${unknown.join(", ")}`);
+  }
+
+  const policy = await SecurityPolicy.findOneAndUpdate(
+    { key: "default" },
+    { twoFactorRequiredRoles, updatedBy },
+    { new: true, upsert: true }
+  );
+  policyCache = null;
+  return policy;
+}
+
+// Whether the user's role must use 2FA
+async function isRequired(user) {
+  const policy = await getPolicy();
+  return policy.twoFactorRequiredRoles.includes(user.role);
+}
+
+// Users whose role requires 2FA but who have not enrolled yet may only
+// reach the enrolment routes
+async function mustEnrol(user) {
+  return !(user.twoFactor && user.twoFactor.enabled) && isRequired(user);
+}
+
+/**
+ * Start enrolment: a new secret to scan into an authenticator app. It only
+ * replaces the active secret once confirmed by enable().
+ * @returns {Promise<Object>} { secret, otpauthUrl }
+ */
+async function startSetup(userId) {
+  const user = await User.findById(userId).select(SECRET_FIELDS);
+  const secret = totp.generateSecret();
+  user.twoFactor.pendingSecret = secret;
+  await user.save();
+
+  return { secret, otpauthUrl: totp.keyUri(secret, user.email, ISSUER) };
+}
+
+/**
+ * Confirm enrolment with a first code.
+ * @returns {Promise<Array<String>>} Recovery codes, shown once
+ */
+async function enable(userId, code) {
+  const user = await User.findById(userId).select(SECRET_FIELDS);
+  const pending = user.twoFactor.pendingSecret;
+  if (!pending) {
+    throw badRequest("Start two-factor setup first");
+  }
+
+  const step = totp.verify(pending, code);
+  if (step === null) {
+    throw badRequest("Invalid verification code");
+  }
+
+  const recoveryCodes = generateRecoveryCodes();
+  user.twoFactor.secret = pending;
+  user.twoFactor.pendingSecret = undefined;
+  user.twoFactor.recoveryCodes = recoveryCodes.map(hashRecoveryCode);
+  user.twoFactor.lastUsedStep = step;
+  user.twoFactor.enabled = true;
+  user.twoFactor.enabledAt = new Date();
+  await user.save();
+
+  return recoveryCodes;
+}
+
+/**
+ * Check a login code, or else a recovery code (which is then used up).
+ * @param {Object} input - { code, recoveryCode }
+ * @returns {Promise<Object|null>} { method: "totp"|"recovery_code",
+ *   recoveryCodesLeft } or null when neither matches
+ */
+async function verifyLogin(userId, { code, recoveryCode }) {
+  const user = await User.findById(userId).select(SECRET_FIELDS);
+  if (!user || !user.twoFactor.enabled) {
+    return null;
+  }
+
+  if (code) {
+    const step = totp.verify(user.twoFactor.secret, code);
+    const lastUsed = user.twoFactor.lastUsedStep;
+    if (step === null || (lastUsed !== undefined && step <= lastUsed)) {
+      return null;
+    }
+    user.twoFactor.lastUsedStep = step;
+    await user.save();
+    return { method: "totp" };
+  }
+
+  if (recoveryCode) {
+    const hash = hashRecoveryCode(recoveryCode);
+    const remaining = user.twoFactor.recoveryCodes.filter(
+      (stored) => stored !== hash
+    );
+    if (remaining.length === user.twoFactor.recoveryCodes.length) {
+      return null;
+    }
+    user.twoFactor.recoveryCodes = remaining;
+    await user.save();
+    return { method: "recovery_code", recoveryCodesLeft: remaining.length };
+  }
+
+  return null;
+}
+
+// New set of recovery codes, replacing the old ones
+async function regenerateRecoveryCodes(userId) {
+  const user = await User.findById(userId).select(SECRET_FIELDS);
+  const recoveryCodes = generateRecoveryCodes();
+  user.twoFactor.recoveryCodes = recoveryCodes.map(hashRecoveryCode);
+  await user.save();
+  return recoveryCodes;
+}
+
+// Turn 2FA off (by the user, or an admin for a lost device)
+async function disable(userId) {
+  await User.updateOne(
+    { _id: userId },
+    {
+      $set: { "twoFactor.enabled": false },
+      $unset: {
+        "twoFactor.secret": "",
+        "twoFactor.pendingSecret": "",
+        "twoFactor.recoveryCodes": "",
+        "twoFactor.lastUsedStep": "",
+        "twoFactor.enabledAt": "",
+      },
+    }
+  );
+}
+
+async function getStatus(user) {
+  const stored = await User.findById(user._id).select(SECRET_FIELDS).lean();
+  const twoFactor = (stored && stored.twoFactor) || {};
+  return {
+    enabled: Boolean(twoFactor.enabled),
+    enabledAt: twoFactor.enabledAt || null,
+    required: await isRequired(user),
+    recoveryCodesLeft: (twoFactor.recoveryCodes || []).length,
+  };
+}
+
+module.exports = {
+  getPolicy,
+  updatePolicy,
+  isRequired,
+  mustEnrol,
+  startSetup,
+  enable,
+  verifyLogin,
+  regenerateRecoveryCodes,
+  disable,
+  getStatus,
+};
@@ -13,7 +13,7 @@ class NotificationService {
   }) {
     try {
       // Don't create notification if sender and recipient are the same
-      if (sender.toString() === recipient.toString()) {
+      if (sender && sender.toString() === recipient.toString()) {
         return null;
       }
 
@@ -155,6 +155,113 @@ class NotificationService {
     });
   }
 
+  static async createQuotationApprovalNotification(
+    quotation,
+    task,
+    approverId,
+    requestedBy
+  ) {
+    const reasons = (quotation.approvalRouting?.firedRules || [])
+      .map((rule) => rule.name)
+      .join(", ");
+
+    return this.createNotification({
+      recipient: approverId,
+      sender: requestedBy,
+      type: "quotation_approval_required",
+      title: "Quotation Awaiting Approval",
+      message: `Quotation #${quotation.DocNum} for ${quotation.CardName} needs your approval${
+        reasons ? ` (${reasons})` : ""
+      }`,
+      relatedTask: task._id,
+    });
+  }
+
+  static async createQuotationDecisionNotification(
+    quotation,
+    decidedBy,
+    approved
+  ) {
+    if (!quotation.salesAgent) {
+      return null;
+    }
+
+    return this.createNotification({
+      recipient: quotation.salesAgent,
+      sender: decidedBy,
+      type: approved ? "quotation_approved" : "quotation_rejected",
+      title: approved ? "Quotation Approved" : "Quotation Rejected",
+      message: `Your quotation #${quotation.DocNum} for ${
+        quotation.CardName
+      } has been ${approved ? "approved" : "rejected"}`,
+      relatedTask: quotation.approvalTask,
+    });
+  }
+
+  static async createOrderCreditApprovalNotification(
+    order,
+    task,
+    approverId,
+    requestedBy
+  ) {
+    return this.createNotification({
+      recipient: approverId,
+      sender: requestedBy,
+      type: "order_credit_approval_required",
+      title: "Order Awaiting Credit Approval",
+      message: `Order #${order.DocNum} for ${
+        order.CardName
+      } exceeds the customer's credit: ${(
+        order.creditApproval?.check?.reasons || []
+      ).join("; ")}`,
+      relatedTask: task._id,
+    });
+  }
+
+  static async createOrderCreditDecisionNotification(
+    order,
+    decidedBy,
+    approved
+  ) {
+    if (!order.salesAgent) {
+      return null;
+    }
+
+    return this.createNotification({
+      recipient: order.salesAgent,
+      sender: decidedBy,
+      type: approved ? "order_credit_approved" : "order_credit_rejected",
+      title: approved ? "Order Credit Approved" : "Order Credit Rejected",
+      message: `Your order #${order.DocNum} for ${order.CardName} has been ${
+        approved ? "approved" : "rejected"
+      } on credit`,
+      relatedTask: order.creditApproval?.task,
+    });
+  }
+
+  static async createPaymentNotification(document, documentType, event) {
+    if (!document.salesAgent) {
+      return null;
+    }
+
+    const label = documentType === "Quotation" ? "quotation" : "sales order";
+    const amount = event.amount
+      ? ` (${(event.amount.value / 100).toFixed(2)} ${event.amount.currency})`
+      : "";
+
+    return this.createNotification({
+      recipient: document.salesAgent,
+      sender: null,
+      type: "payment_update",
+      title: event.success ? "Payment Update" : "Payment Failed",
+      message: `Payment for ${label} #${document.DocNum} (${
+        document.CardName
+      }): ${event.paymentStatus}${amount}${
+        event.reason && !event.success ? ` - ${event.reason}` : ""
+      }`,
+    });
+  }
+
   static async markAsRead(notificationId, userId) {
     return Notification.findOneAndUpdate(
       { _id: notificationId, recipient: userId },
@@ -0,0 +1,32 @@
+// utils/pagination.js - ?page= and ?limit= of list endpoints
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+/**
+ * Clamp the requested page and page size.
+ * @param {Object} query - { page, limit } as received
+ * @returns {Object} { page, limit, skip }
+ */
+function parsePagination({ page, limit } = {}) {
+  const pageNumber = Math.max(parseInt(page) || 1, 1);
+  const pageSize = Math.min(
+    Math.max(parseInt(limit) || DEFAULT_LIMIT, 1),
+    MAX_LIMIT
+  );
+  return {
+    page: pageNumber,
+    limit: pageSize,
+    skip: (pageNumber - 1) * pageSize,
+  };
+}
+
+// Pagination block of a list response
+const paginationInfo = ({ page, limit }, total) => ({
+  page,
+  limit,
+  total,
+  pages: Math.ceil(total / limit),
+});
+
+module.exports = { parsePagination, paginationInfo };
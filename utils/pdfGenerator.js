@@ -11,88 +11,55 @@ const templateSource = fs.readFileSync(
 );
 const template = handlebars.compile(templateSource);
 
+// Customer statement of account
+const statementTemplate = handlebars.compile(
+  fs.readFileSync(
+    path.join(__dirname, "../templates/customer-statement-template.html"),
+    "utf8"
+  )
+);
+
+const COMPANY_INFO = {
+  name: "Premier Quality Foods",
+  address: "32, Rue Raspail",
+  city: "La Courneuve",
+  zipCode: "93120",
+  country: "France",
+  phone: "+33 1 79 64 84 05",
+  email: "commande@halalfs.com",
+  website: "www.HalalFS.com",
+  siren: "798545448",
+  vatNumber: "FR02798545448",
+  bankName: "BRED BANQUE POPULAIRE",
+  iban: "FR7610107006090001804792320",
+  swift: "BREDFRPPXXX",
+};
+
+// Format data for the template
+const formatDate = (dateString) => {
+  const date = new Date(dateString);
+  return `${date.getDate().toString().padStart(2, "0")}-${(date.getMonth() + 1)
+    .toString()
+    .padStart(2, "0")}-${date.getFullYear()}`;
+};
+
 /**
- * Generate a PDF for a quotation
- * @param {Object} quotation - Quotation data
- * @param {Object} customer - Customer data
+ * Render HTML to an A4 PDF with Puppeteer
+ * @param {String} html - Complete HTML document
+ * @param {String} [debugName] - Writes temp-<debugName>.html/.pdf for
+ *   debugging
  * @returns {Promise<Buffer>} PDF buffer
  */
-async function generateQuotationPDF(quotation, customer) {
+async function renderPDF(html, debugName) {
   let browser = null;
 
   try {
-    console.log("Starting PDF generation process...");
-
-    // Format data for the template
-    const formatDate = (dateString) => {
-      const date = new Date(dateString);
-      return `${date.getDate().toString().padStart(2, "0")}-${(
-        date.getMonth() + 1
-      )
-        .toString()
-        .padStart(2, "0")}-${date.getFullYear()}`;
-    };
-
-    // Calculate totals
-    const subtotal = quotation.DocTotal || 0;
-    const vat = subtotal * 0.055; // 5.5% VAT
-    const totalTTC = subtotal + vat;
-
-    console.log("Customer data structure:", {
-      hasCustomer: !!customer,
-      customerType: typeof customer,
-      hasCardName: customer && !!customer.CardName,
-      hasAddress: customer && !!customer.address,
-      addressType:
-        customer && customer.address ? typeof customer.address : "N/A",
-      properties: customer ? Object.keys(customer).join(", ") : "none",
-    });
-
-    // Prepare the data for the template
-    const data = {
-      quotation: {
-        ...(quotation.toObject ? quotation.toObject() : quotation), // Convert Mongoose object to plain JS object
-        formattedDocDate: formatDate(quotation.DocDate),
-        formattedDocDueDate: formatDate(quotation.DocDueDate),
-        subtotal: subtotal.toFixed(2),
-        vat: vat.toFixed(2),
-        totalTTC: totalTTC.toFixed(2),
-        // Make sure DocumentLines is explicitly passed and is an array
-        DocumentLines: Array.isArray(quotation.DocumentLines)
-          ? quotation.DocumentLines.map((line) => ({
-              ...(line.toObject ? line.toObject() : line),
-              Price: line.Price ? line.Price.toFixed(2) : "0.00",
-              LineTotal: line.LineTotal ? line.LineTotal.toFixed(2) : "0.00",
-            }))
-          : [],
-      },
-      customer,
-      companyInfo: {
-        name: "Premier Quality Foods",
-        address: "32, Rue Raspail",
-        city: "La Courneuve",
-        zipCode: "93120",
-        country: "France",
-        phone: "+33 1 79 64 84 05",
-        email: "commande@halalfs.com",
-        website: "www.HalalFS.com",
-        siren: "798545448",
-        vatNumber: "FR02798545448",
-        bankName: "BRED BANQUE POPULAIRE",
-        iban: "FR7610107006090001804792320",
-        swift: "BREDFRPPXXX",
-      },
-      // We will handle the logo differently
-      logoUrl: "https://bexbucket.s3.eu-north-1.amazonaws.com/Logo/PQF-22.png",
-    };
-
-    // Generate HTML from template (inject the logo as base64 directly in the HTML)
-    let html = template(data);
-
     // For debugging - save the generated HTML to a file
-    const debugHtmlPath = path.join(__dirname, "../temp-quotation.html");
-    fs.writeFileSync(debugHtmlPath, html);
-    console.log(`Generated HTML saved to ${debugHtmlPath}`);
+    if (debugName) {
+      const debugHtmlPath = path.join(__dirname, `../temp-${debugName}.html`);
+      fs.writeFileSync(debugHtmlPath, html);
+      console.log(`Generated HTML saved to ${debugHtmlPath}`);
+    }
 
     // Launch Puppeteer
     browser = await puppeteer.launch({
@@ -155,9 +122,11 @@ async function generateQuotationPDF(quotation, customer) {
     }
 
     // Save a copy of the PDF for debugging
-    const debugPdfPath = path.join(__dirname, "../temp-quotation.pdf");
-    fs.writeFileSync(debugPdfPath, pdfBuffer);
-    console.log(`PDF saved to ${debugPdfPath} for debugging`);
+    if (debugName) {
+      const debugPdfPath = path.join(__dirname, `../temp-${debugName}.pdf`);
+      fs.writeFileSync(debugPdfPath, pdfBuffer);
+      console.log(`PDF saved to ${debugPdfPath} for debugging`);
+    }
 
     if (browser) {
       await browser.close();
@@ -178,10 +147,109 @@ async function generateQuotationPDF(quotation, customer) {
       }
     }
 
+    throw error;
+  }
+}
+
+/**
+ * Generate a PDF for a quotation
+ * @param {Object} quotation - Quotation data
+ * @param {Object} customer - Customer data
+ * @returns {Promise<Buffer>} PDF buffer
+ */
+async function generateQuotationPDF(quotation, customer) {
+  try {
+    console.log("Starting PDF generation process...");
+
+    // Calculate totals
+    const subtotal = quotation.DocTotal || 0;
+    const vat = subtotal * 0.055; // 5.5% VAT
+    const totalTTC = subtotal + vat;
+
+    console.log("Customer data structure:", {
+      hasCustomer: !!customer,
+      customerType: typeof customer,
+      hasCardName: customer && !!customer.CardName,
+      hasAddress: customer && !!customer.address,
+      addressType:
+        customer && customer.address ? typeof customer.address : "N/A",
+      properties: customer ? Object.keys(customer).join(", ") : "none",
+    });
+
+    // Prepare the data for the template
+    const data = {
+      quotation: {
+        ...(quotation.toObject ? quotation.toObject() : quotation), // Convert Mongoose object to plain JS object
+        formattedDocDate: formatDate(quotation.DocDate),
+        formattedDocDueDate: formatDate(quotation.DocDueDate),
+        subtotal: subtotal.toFixed(2),
+        vat: vat.toFixed(2),
+        totalTTC: totalTTC.toFixed(2),
+        // Make sure DocumentLines is explicitly passed and is an array
+        DocumentLines: Array.isArray(quotation.DocumentLines)
+          ? quotation.DocumentLines.map((line) => ({
+              ...(line.toObject ? line.toObject() : line),
+              Price: line.Price ? line.Price.toFixed(2) : "0.00",
+              LineTotal: line.LineTotal ? line.LineTotal.toFixed(2) : "0.00",
+            }))
+          : [],
+      },
+      customer,
+      companyInfo: COMPANY_INFO,
+      // We will handle the logo differently
+      logoUrl: "https://bexbucket.s3.eu-north-1.amazonaws.com/Logo/PQF-22.png",
+    };
+
+    // Generate HTML from template (inject the logo as base64 directly in the HTML)
+    const html = template(data);
+
+    return await renderPDF(html, "quotation");
+  } catch (error) {
     throw new Error(`Failed to generate quotation PDF: ${error.message}`);
   }
 }
 
+const formatAmount = (value) => (Number(value) || 0).toFixed(2);
+
+/**
+ * Generate a statement of account PDF
+ * @param {Object} statement - Statement from services/customerStatement
+ * @param {Object} customer - Customer data
+ * @returns {Promise<Buffer>} PDF buffer
+ */
+async function generateStatementPDF(statement, customer) {
+  try {
+    const data = {
+      statement: {
+        ...statement,
+        formattedFrom: formatDate(statement.from),
+        formattedTo: formatDate(statement.to),
+        formattedGeneratedAt: formatDate(statement.generatedAt || new Date()),
+        openingBalance: formatAmount(statement.openingBalance),
+        closingBalance: formatAmount(statement.closingBalance),
+        totalDebit: formatAmount(statement.totalDebit),
+        totalCredit: formatAmount(statement.totalCredit),
+        transactions: statement.transactions.map((entry) => ({
+          ...entry,
+          formattedDate: formatDate(entry.date),
+          debitAmount: entry.debitAmount ? formatAmount(entry.debitAmount) : "",
+          creditAmount: entry.creditAmount
+            ? formatAmount(entry.creditAmount)
+            : "",
+          runningBalance: formatAmount(entry.runningBalance),
+        })),
+      },
+      customer,
+      companyInfo: COMPANY_INFO,
+    };
+
+    return await renderPDF(statementTemplate(data));
+  } catch (error) {
+    throw new Error(`Failed to generate statement PDF: ${error.message}`);
+  }
+}
+
 module.exports = {
   generateQuotationPDF,
+  generateStatementPDF,
 };
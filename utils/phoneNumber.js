@@ -0,0 +1,98 @@
+// utils/phoneNumber.js - Phone number normalization to E.164 ("+33612345678")
+// Numbers without a country code are read as French, the way customers,
+// leads, HubSpot exports and Ringover calls usually write them.
+
+// Overseas departments dial as French numbers ("0590 ...") but have their
+// own country code, keyed here by the first 3 digits after the 0
+const OVERSEAS_PREFIXES = {
+  590: "590", // Guadeloupe
+  690: "590",
+  691: "590",
+  594: "594", // French Guiana
+  694: "594",
+  596: "596", // Martinique
+  696: "596",
+  697: "596",
+  262: "262", // Réunion
+  263: "262",
+  692: "262",
+  693: "262",
+  269: "262", // Mayotte
+  639: "262",
+};
+
+// E.164 allows at most 15 digits; shorter than 8 is not a phone number
+const MIN_DIGITS = 8;
+const MAX_DIGITS = 15;
+
+// French national number (9 digits, no leading 0) in E.164
+function frenchNumber(national) {
+  const countryCode = OVERSEAS_PREFIXES[national.slice(0, 3)] || "33";
+  return `+${countryCode}${national}`;
+}
+
+/**
+ * E.164 form of a phone number written in any usual format:
+ * "06 12 34 56 78", "+33 (0)6 12 34 56 78", "0033612345678",
+ * "612345678" (leading 0 lost in a spreadsheet), "+44 20 7946 0958".
+ * Trailing text ("06 12 34 56 78 standard") is ignored.
+ * @param {String} value - Phone number as entered
+ * @returns {String|null} E.164 number, or null when it isn't one
+ */
+function toE164(value) {
+  if (value === undefined || value === null) {
+    return null;
+  }
+  const match = String(value).match(/\+?[\d\s().\-]+/);
+  if (!match) {
+    return null;
+  }
+  const international = /^\s*(\+|00)/.test(match[0]);
+  let digits = match[0].replace(/\D/g, "");
+  if (international && digits.startsWith("00")) {
+    digits = digits.slice(2);
+  }
+
+  // French numbers, with or without +33, and the "+33 (0)6..." mistake
+  if (digits.startsWith("330") && digits.length === 12) {
+    return frenchNumber(digits.slice(3));
+  }
+  if (digits.startsWith("33") && digits.length === 11) {
+    return frenchNumber(digits.slice(2));
+  }
+  if (!international) {
+    if (digits.startsWith("0") && digits.length === 10) {
+      return frenchNumber(digits.slice(1));
+    }
+    if (/^[1-9]\d{8}$/.test(digits)) {
+      return frenchNumber(digits);
+    }
+  }
+
+  // Anything else needs its country code (spreadsheets drop the "+")
+  if (
+    (international || digits.length > 10) &&
+    digits.length >= MIN_DIGITS &&
+    digits.length <= MAX_DIGITS &&
+    !digits.startsWith("0")
+  ) {
+    return `+${digits}`;
+  }
+  return null;
+}
+
+/**
+ * Distinct E.164 numbers of a list, in order, without the invalid ones.
+ * @param {Array<String>} values
+ * @returns {Array<String>}
+ */
+function toE164List(values) {
+  return [
+    ...new Set((values || []).map(toE164).filter((number) => number)),
+  ];
+}
+
+module.exports = {
+  toE164,
+  toE164List,
+};
@@ -0,0 +1,340 @@
+// utils/sapB1Client.js - Shared SAP B1 Service Layer client
+const axios = require("axios");
+const dotenv = require("dotenv");
+
+// Load environment variables
+dotenv.config();
+
+// SAP B1 Service Layer Configuration
+const SAP_CONFIG = {
+  serviceLayerUrl: process.env.SAP_SERVICE_LAYER_URL,
+  companyDB: process.env.COMPANY_DB,
+  username: process.env.USER_NAME,
+  password: process.env.PASSWORD,
+  // Number of parallel Service Layer sessions kept open
+  poolSize: parseInt(process.env.SAP_SESSION_POOL_SIZE, 10) || 2,
+  // Maximum number of requests in flight per session
+  maxConcurrentPerSession:
+    parseInt(process.env.SAP_MAX_CONCURRENT_PER_SESSION, 10) || 2,
+  // Minimum delay between two requests leaving this process
+  minRequestIntervalMs: parseInt(process.env.SAP_MIN_REQUEST_INTERVAL_MS, 10) || 50,
+  requestTimeoutMs: parseInt(process.env.SAP_REQUEST_TIMEOUT_MS, 10) || 60000,
+  // Field carrying the outbox idempotency key, looked up before a retry
+  // creates the document again. Orders and quotations use the standard
+  // customer reference (NumAtCard) unless a user-defined field is set, e.g.
+  // SAP_SYNC_KEY_FIELD=U_CRMSyncKey. Create it first in SAP (Tools >
+  // Customization Tools > User-Defined Fields - Management) as an
+  // alphanumeric field of 100 characters named CRMSyncKey on Marketing
+  // Documents (ORDR, OQUT) and Business Partners (OCRD).
+  documentSyncKeyField: process.env.SAP_SYNC_KEY_FIELD || "NumAtCard",
+  // Business partners have no free reference field: without the
+  // user-defined field a retry finds its partner by the reserved CardCode
+  // and name
+  partnerSyncKeyField: process.env.SAP_SYNC_KEY_FIELD || null,
+};
+
+// Refresh sessions this long before SAP would expire them
+const SESSION_SAFETY_MARGIN_MS = 5 * 60 * 1000;
+const DEFAULT_SESSION_TIMEOUT_MIN = 30;
+
+// Error raised for any failed Service Layer call
+class SapRequestError extends Error {
+  constructor(message, details = {}) {
+    super(message);
+    this.name = "SapRequestError";
+    this.status = details.status;
+    this.sapCode = details.sapCode;
+    this.sapMessage = details.sapMessage;
+    this.data = details.data;
+  }
+}
+
+const toSapError = (error, prefix = "SAP Error") => {
+  if (error instanceof SapRequestError) {
+    return error;
+  }
+
+  const sapError = error.response?.data?.error;
+  return new SapRequestError(`${prefix}: ${error.message}`, {
+    status: error.response ? error.response.status : undefined,
+    sapCode: sapError ? sapError.code : undefined,
+    sapMessage: sapError?.message?.value,
+    data: error.response ? error.response.data : undefined,
+  });
+};
+
+// Session pool: each slot holds its own B1SESSION (and ROUTEID when the
+// Service Layer runs behind its load balancer)
+const sessions = Array.from({ length: SAP_CONFIG.poolSize }, (_, index) => ({
+  index,
+  cookie: null,
+  expiresAt: 0,
+  loginPromise: null,
+  active: 0,
+}));
+
+const waiters = [];
+let lastRequestAt = 0;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Login a single pool slot and store its cookies
+async function loginSession(session) {
+  console.log(`Logging in to SAP B1 Service Layer (session ${session.index})...`);
+
+  try {
+    const response = await axios.post(
+      `${SAP_CONFIG.serviceLayerUrl}/Login`,
+      {
+        CompanyDB: SAP_CONFIG.companyDB,
+        UserName: SAP_CONFIG.username,
+        Password: SAP_CONFIG.password,
+      },
+      {
+        headers: { "Content-Type": "application/json" },
+        timeout: SAP_CONFIG.requestTimeoutMs,
+      }
+    );
+
+    // Extract session cookies
+    const cookies = response.headers["set-cookie"];
+    if (!cookies) {
+      throw new Error("No cookies returned from SAP B1 login");
+    }
+
+    const sessionCookie = cookies.find((cookie) =>
+      cookie.includes("B1SESSION=")
+    );
+    if (!sessionCookie) {
+      throw new Error("B1SESSION cookie not found");
+    }
+
+    session.cookie = cookies
+      .filter(
+        (cookie) =>
+          cookie.startsWith("B1SESSION=") || cookie.startsWith("ROUTEID=")
+      )
+      .map((cookie) => cookie.split(";")[0])
+      .join("; ");
+
+    const timeoutMinutes =
+      (response.data && response.data.SessionTimeout) ||
+      DEFAULT_SESSION_TIMEOUT_MIN;
+    session.expiresAt =
+      Date.now() + timeoutMinutes * 60 * 1000 - SESSION_SAFETY_MARGIN_MS;
+
+    console.log("Successfully logged in to SAP B1 Service Layer");
+    return session.cookie;
+  } catch (error) {
+    session.cookie = null;
+    session.expiresAt = 0;
+    console.error("Error logging in to SAP B1:", error.message);
+    if (error.response) {
+      console.error("SAP Error details:", error.response.data);
+    }
+    throw toSapError(error, "SAP Login Error");
+  }
+}
+
+// Get the cookie for a slot, logging in once even if many callers wait on it
+async function ensureSession(session) {
+  if (session.cookie && Date.now() < session.expiresAt) {
+    return session.cookie;
+  }
+
+  if (!session.loginPromise) {
+    session.loginPromise = loginSession(session).finally(() => {
+      session.loginPromise = null;
+    });
+  }
+  return session.loginPromise;
+}
+
+// Drop a slot's cookie, unless a concurrent request already renewed it
+function invalidateSession(session, staleCookie) {
+  if (session.cookie !== staleCookie) {
+    return;
+  }
+  session.cookie = null;
+  session.expiresAt = 0;
+}
+
+// Borrow the least busy session slot, waiting when all slots are saturated
+function acquireSlot() {
+  const free = sessions
+    .filter((session) => session.active < SAP_CONFIG.maxConcurrentPerSession)
+    .sort((a, b) => a.active - b.active)[0];
+
+  if (free) {
+    free.active += 1;
+    return Promise.resolve(free);
+  }
+
+  return new Promise((resolve) => waiters.push(resolve));
+}
+
+function releaseSlot(session) {
+  const next = waiters.shift();
+  if (next) {
+    // Hand the slot straight to the next waiter
+    next(session);
+    return;
+  }
+  session.active -= 1;
+}
+
+// Space requests out so a batch does not hammer the Service Layer
+async function throttle() {
+  const now = Date.now();
+  const scheduledAt = Math.max(now, lastRequestAt + SAP_CONFIG.minRequestIntervalMs);
+  lastRequestAt = scheduledAt;
+  if (scheduledAt > now) {
+    await sleep(scheduledAt - now);
+  }
+}
+
+const buildQuery = (params = {}) => {
+  const parts = Object.entries(params)
+    .filter(([, value]) => value !== undefined && value !== null && value !== "")
+    .map(([key, value]) => `${key}=${encodeURIComponent(value)}`);
+  return parts.length ? `?${parts.join("&")}` : "";
+};
+
+/**
+ * Send a request to the Service Layer. Re-logs in and retries once when the
+ * session has expired (401).
+ * @param {String} method - HTTP method
+ * @param {String} path - Resource path, e.g. "Orders(12)"
+ * @param {Object} options - { data, params, headers }
+ * @returns {Promise<Object>} Response body
+ */
+async function request(method, path, options = {}) {
+  const session = await acquireSlot();
+
+  try {
+    for (let attempt = 0; attempt < 2; attempt++) {
+      const cookie = await ensureSession(session);
+      await throttle();
+
+      try {
+        const response = await axios({
+          method,
+          url: `${SAP_CONFIG.serviceLayerUrl}/${path}${buildQuery(options.params)}`,
+          data: options.data,
+          headers: {
+            "Content-Type": "application/json",
+            Cookie: cookie,
+            ...(options.headers || {}),
+          },
+          timeout: SAP_CONFIG.requestTimeoutMs,
+        });
+        return response.data;
+      } catch (error) {
+        if (error.response && error.response.status === 401 && attempt === 0) {
+          console.log("Session expired, attempting to login again...");
+          invalidateSession(session, cookie);
+          continue;
+        }
+        throw toSapError(error);
+      }
+    }
+  } finally {
+    releaseSlot(session);
+  }
+}
+
+/**
+ * Follow odata.nextLink pages and return every row. With an onPage callback
+ * each page is handed over as it arrives and nothing is collected.
+ * @param {String} path - Collection path, e.g. "Invoices"
+ * @param {Object} params - OData query options ($filter, $select, ...)
+ * @param {Object} options - { maxPages, pageSize, onPage }
+ * @returns {Promise<Array>} All rows (empty when onPage is given)
+ */
+async function listAll(path, params = {}, options = {}) {
+  const maxPages = options.maxPages || 1000;
+  const headers = options.pageSize
+    ? { Prefer: `odata.maxpagesize=${options.pageSize}` }
+    : undefined;
+
+  const rows = [];
+  let data = await request("get", path, { params, headers });
+
+  for (let page = 1; ; page++) {
+    const pageRows = (data && data.value) || [];
+    if (options.onPage) {
+      await options.onPage(pageRows);
+    } else {
+      rows.push(...pageRows);
+    }
+
+    const nextLink = data && (data["odata.nextLink"] || data["@odata.nextLink"]);
+    if (!nextLink || page >= maxPages) {
+      break;
+    }
+    // nextLink is relative to the service root, with the query already encoded
+    const nextPath = nextLink.replace(/^\/?b1s\/v\d\//, "");
+    data = await request("get", nextPath, { headers });
+  }
+
+  return rows;
+}
+
+// Format an entity key the way the Service Layer expects it
+const formatKey = (key, keyType) =>
+  keyType === "string" ? `'${String(key).replace(/'/g, "''")}'` : Number(key);
+
+// CRUD helpers shared by every document/master data endpoint
+function createResource(entitySet, keyType = "number", keyField = "DocEntry") {
+  const keyPath = (key) => `${entitySet}(${formatKey(key, keyType)})`;
+
+  return {
+    entitySet,
+    get: (key, params) => request("get", keyPath(key), { params }),
+    list: (params) => request("get", entitySet, { params }),
+    listAll: (params, options) => listAll(entitySet, params, options),
+    find: async (filter, params = {}) => {
+      const data = await request("get", entitySet, {
+        params: { ...params, $filter: filter, $top: 1 },
+      });
+      return data && data.value && data.value.length ? data.value[0] : null;
+    },
+    create: (data) => request("post", entitySet, { data }),
+    update: (key, data, options = {}) =>
+      request("patch", keyPath(key), { ...options, data }),
+    action: (key, name, data) =>
+      request("post", `${keyPath(key)}/${name}`, { data }),
+    exists: async (key) => {
+      try {
+        await request("get", keyPath(key), {
+          params: { $select: keyField },
+        });
+        return true;
+      } catch (error) {
+        if (error.status === 404) {
+          return false;
+        }
+        throw error;
+      }
+    },
+  };
+}
+
+// Quote a value for use inside an OData $filter
+const odataString = (value) => `'${String(value).replace(/'/g, "''")}'`;
+
+module.exports = {
+  SAP_CONFIG,
+  SapRequestError,
+  request,
+  listAll,
+  odataString,
+  BusinessPartners: createResource("BusinessPartners", "string", "CardCode"),
+  BusinessPartnerGroups: createResource("BusinessPartnerGroups", "number", "Code"),
+  Items: createResource("Items", "string", "ItemCode"),
+  Orders: createResource("Orders"),
+  Quotations: createResource("Quotations"),
+  Invoices: createResource("Invoices"),
+  CreditNotes: createResource("CreditNotes"),
+  IncomingPayments: createResource("IncomingPayments"),
+};
@@ -1,93 +1,14 @@
-const axios = require("axios");
-const dotenv = require("dotenv");
-
-// Load environment variables
-dotenv.config();
-
-// SAP B1 Service Layer Configuration
-const SAP_CONFIG = {
-  serviceLayerUrl: process.env.SAP_SERVICE_LAYER_URL,
-  companyDB: process.env.COMPANY_DB,
-  username: process.env.USER_NAME,
-  password: process.env.PASSWORD,
-};
+// utils/sapB1CustomerIntegration.js
+const sapClient = require("./sapB1Client");
+
+const { SAP_CONFIG } = sapClient;
 
 // Set this to true to enable automatic SAP sync
 const ENABLE_SAP_SYNC = true;
 
-// Session management (reuse from your existing SAP integration)
-let sessionId = null;
-let sessionTimeout = null;
-
 // Cache for valid group codes
 let validGroupCodes = null;
 
-// Login to SAP B1 Service Layer and get session ID
-async function loginToSAP() {
-  try {
-    console.log("Logging in to SAP B1 Service Layer...");
-
-    // Clear any existing session timeout
-    if (sessionTimeout) {
-      clearTimeout(sessionTimeout);
-    }
-
-    const loginData = {
-      CompanyDB: SAP_CONFIG.companyDB,
-      UserName: SAP_CONFIG.username,
-      Password: SAP_CONFIG.password,
-    };
-
-    const response = await axios.post(
-      `${SAP_CONFIG.serviceLayerUrl}/Login`,
-      loginData,
-      {
-        headers: {
-          "Content-Type": "application/json",
-        },
-      }
-    );
-
-    // Extract session ID from cookies
-    const cookies = response.headers["set-cookie"];
-    if (!cookies) {
-      throw new Error("No cookies returned from SAP B1 login");
-    }
-
-    // Parse session ID from cookies
-    const sessionCookie = cookies.find((cookie) =>
-      cookie.includes("B1SESSION=")
-    );
-    if (!sessionCookie) {
-      throw new Error("B1SESSION cookie not found");
-    }
-
-    sessionId = sessionCookie.split(";")[0].replace("B1SESSION=", "");
-
-    // Set session timeout (25 minutes)
-    sessionTimeout = setTimeout(() => {
-      sessionId = null;
-    }, 25 * 60 * 1000);
-
-    console.log("Successfully logged in to SAP B1 Service Layer");
-    return sessionId;
-  } catch (error) {
-    console.error("Error logging in to SAP B1:", error.message);
-    if (error.response) {
-      console.error("SAP Error details:", error.response.data);
-    }
-    throw new Error(`SAP Login Error: ${error.message}`);
-  }
-}
-
-// Get a valid session ID (login if necessary)
-async function getSessionId() {
-  if (!sessionId) {
-    return await loginToSAP();
-  }
-  return sessionId;
-}
-
 // Get valid customer group codes from SAP
 exports.getValidGroupCodes = async () => {
   try {
@@ -96,22 +17,12 @@ exports.getValidGroupCodes = async () => {
       return validGroupCodes;
     }
 
-    const sessionId = await getSessionId();
-
     console.log("Fetching valid customer group codes from SAP B1...");
 
-    const response = await axios.get(
-      `${SAP_CONFIG.serviceLayerUrl}/BusinessPartnerGroups`,
-      {
-        headers: {
-          "Content-Type": "application/json",
-          Cookie: `B1SESSION=${sessionId}`,
-        },
-      }
-    );
+    const data = await sapClient.BusinessPartnerGroups.list();
 
-    if (response.data && response.data.value) {
-      validGroupCodes = response.data.value;
+    if (data && data.value) {
+      validGroupCodes = data.value;
       console.log(`Found ${validGroupCodes.length} valid group codes:`);
       validGroupCodes.forEach((group) => {
         console.log(`  - Code: ${group.Code}, Name: ${group.Name}`);
@@ -122,16 +33,8 @@ exports.getValidGroupCodes = async () => {
     console.log("No group codes found in SAP B1");
     return [];
   } catch (error) {
-    // If unauthorized, try to login again and retry once
-    if (error.response && error.response.status === 401) {
-      console.log("Session expired, attempting to login again...");
-      sessionId = null;
-      await getSessionId();
-      return exports.getValidGroupCodes();
-    }
-
     console.error("Error fetching group codes from SAP:", error.message);
-    throw new Error(`SAP Error: ${error.message}`);
+    throw error;
   }
 };
 
@@ -159,26 +62,16 @@ exports.getDefaultGroupCode = async () => {
 // Get the last customer from SAP B1
 exports.getLastCustomerFromSAP = async () => {
   try {
-    const sessionId = await getSessionId();
-
     console.log("Fetching last customer from SAP B1...");
 
-    const response = await axios.get(
-      `${SAP_CONFIG.serviceLayerUrl}/BusinessPartners?$top=1&$orderby=CardCode desc&$filter=CardType eq 'cCustomer'`,
-      {
-        headers: {
-          "Content-Type": "application/json",
-          Cookie: `B1SESSION=${sessionId}`,
-        },
-      }
-    );
+    const data = await sapClient.BusinessPartners.list({
+      $top: 1,
+      $orderby: "CardCode desc",
+      $filter: "CardType eq 'cCustomer'",
+    });
 
-    if (
-      response.data &&
-      response.data.value &&
-      response.data.value.length > 0
-    ) {
-      const lastCustomer = response.data.value[0];
+    if (data && data.value && data.value.length > 0) {
+      const lastCustomer = data.value[0];
       console.log(`Last customer CardCode: ${lastCustomer.CardCode}`);
       return lastCustomer;
     }
@@ -186,47 +79,30 @@ exports.getLastCustomerFromSAP = async () => {
     console.log("No customers found in SAP B1");
     return null;
   } catch (error) {
-    // If unauthorized, try to login again and retry once
-    if (error.response && error.response.status === 401) {
-      console.log("Session expired, attempting to login again...");
-      sessionId = null;
-      await getSessionId();
-      return exports.getLastCustomerFromSAP();
-    }
-
     console.error("Error fetching last customer from SAP:", error.message);
-    throw new Error(`SAP Error: ${error.message}`);
+    throw error;
   }
 };
 
 // Generate next CardCode based on last customer - MODIFIED FOR C001 FORMAT
 exports.generateNextCardCode = async () => {
   try {
-    const sessionId = await getSessionId();
-
     console.log("Fetching last customer with C prefix from SAP B1...");
 
-    // Modified query to filter for customers starting with 'C' followed by digits
-    const response = await axios.get(
-      `${SAP_CONFIG.serviceLayerUrl}/BusinessPartners?$top=50&$orderby=CardCode desc&$filter=CardType eq 'cCustomer' and startswith(CardCode,'C')`,
-      {
-        headers: {
-          "Content-Type": "application/json",
-          Cookie: `B1SESSION=${sessionId}`,
-        },
-      }
-    );
+    // Filter for customers starting with 'C' followed by digits
+    const data = await sapClient.BusinessPartners.list({
+      $top: 50,
+      $orderby: "CardCode desc",
+      $filter: "CardType eq 'cCustomer' and startswith(CardCode,'C')",
+      $select: "CardCode",
+    });
 
-    if (
-      response.data &&
-      response.data.value &&
-      response.data.value.length > 0
-    ) {
+    if (data && data.value && data.value.length > 0) {
       // Find the highest numbered C customer
       let highestNumber = 0;
       let highestCardCode = null;
 
-      for (const customer of response.data.value) {
+      for (const customer of data.value) {
         const cardCode = customer.CardCode;
         // Match pattern C followed by digits (C001, C002, etc.)
         const match = cardCode.match(/^C(\d+)$/);
@@ -255,14 +131,6 @@ exports.generateNextCardCode = async () => {
     console.log("No C customers found, starting with C001");
     return "C001";
   } catch (error) {
-    // If unauthorized, try to login again and retry once
-    if (error.response && error.response.status === 401) {
-      console.log("Session expired, attempting to login again...");
-      sessionId = null;
-      await getSessionId();
-      return exports.generateNextCardCode();
-    }
-
     console.error("Error generating next CardCode:", error);
     // Fallback to a default CardCode
     return "C001";
@@ -270,7 +138,7 @@ exports.generateNextCardCode = async () => {
 };
 
 // Format customer data for SAP B1
-exports.formatCustomerForSAP = async (customer) => {
+exports.formatCustomerForSAP = async (customer, options = {}) => {
   // Get a valid group code
   const groupCode = await exports.getDefaultGroupCode();
 
@@ -287,7 +155,7 @@ exports.formatCustomerForSAP = async (customer) => {
     GroupCode: groupCode,
     Currency: "EUR", // Euro currency as requested
     PayTermsGrpCode: -1, // Default payment terms - adjust as needed
-    PriceListNum: 2,
+    PriceListNum: customer.PriceListNum || 2,
 
     // Additional phone numbers
     Phone2:
@@ -299,6 +167,9 @@ exports.formatCustomerForSAP = async (customer) => {
     // Notes
     Notes: customer.notes || "",
 
+    // SIRET / VAT number
+    FederalTaxID: customer.FederalTaxID || "",
+
     // Status
     Valid: customer.status === "active" ? "tYES" : "tNO",
     Frozen: customer.status === "inactive" ? "tYES" : "tNO",
@@ -338,6 +209,11 @@ exports.formatCustomerForSAP = async (customer) => {
     ];
   }
 
+  // Tag the business partner with the sync queue key so retries can detect it
+  if (options.syncKey && SAP_CONFIG.partnerSyncKeyField) {
+    sapCustomer[SAP_CONFIG.partnerSyncKeyField] = options.syncKey;
+  }
+
   console.log("Formatted customer for SAP:", {
     CardCode: sapCustomer.CardCode,
     CardName: sapCustomer.CardName,
@@ -351,99 +227,68 @@ exports.formatCustomerForSAP = async (customer) => {
 
 // Create a customer in SAP B1
 exports.createCustomerInSAP = async (customerData) => {
-  try {
-    // Skip SAP sync if disabled
-    if (!ENABLE_SAP_SYNC) {
-      console.log("SAP sync is disabled. Skipping customer creation in SAP.");
-      return {
-        simulated: true,
-        message: "SAP sync is disabled",
-        CardCode: customerData.CardCode,
-      };
-    }
-
-    const sessionId = await getSessionId();
+  // Skip SAP sync if disabled
+  if (!ENABLE_SAP_SYNC) {
+    console.log("SAP sync is disabled. Skipping customer creation in SAP.");
+    return {
+      simulated: true,
+      message: "SAP sync is disabled",
+      CardCode: customerData.CardCode,
+    };
+  }
 
+  try {
     console.log("Creating customer in SAP B1...");
 
-    const response = await axios.post(
-      `${SAP_CONFIG.serviceLayerUrl}/BusinessPartners`,
-      customerData,
-      {
-        headers: {
-          "Content-Type": "application/json",
-          Cookie: `B1SESSION=${sessionId}`,
-        },
-      }
-    );
+    const sapCustomer = await sapClient.BusinessPartners.create(customerData);
 
     console.log("Customer created successfully in SAP B1");
-    return response.data;
+    return sapCustomer;
   } catch (error) {
     console.error("Error creating customer in SAP B1:", error.message);
-    if (error.response) {
-      console.error("SAP Error details:", error.response.data);
-
-      // Log detailed error information
-      if (
-        error.response.data &&
-        error.response.data.error &&
-        error.response.data.error.message
-      ) {
-        console.error(
-          "Error field details:",
-          error.response.data.error.message.value
-        );
-      }
+    if (error.data) {
+      console.error("SAP Error details:", error.data);
     }
-
-    // If unauthorized, try to login again and retry once
-    if (error.response && error.response.status === 401) {
-      console.log("Session expired, attempting to login again...");
-      sessionId = null;
-      await getSessionId();
-      return exports.createCustomerInSAP(customerData);
+    if (error.sapMessage) {
+      console.error("Error field details:", error.sapMessage);
     }
-
-    throw new Error(`SAP Error: ${error.message}`);
+    throw error;
   }
 };
 
 // Check if a customer exists in SAP
 exports.checkCustomerExistsInSAP = async (cardCode) => {
   try {
-    const sessionId = await getSessionId();
-
     console.log(`Checking if customer ${cardCode} exists in SAP...`);
 
-    const response = await axios.get(
-      `${SAP_CONFIG.serviceLayerUrl}/BusinessPartners('${cardCode}')`,
-      {
-        headers: {
-          "Content-Type": "application/json",
-          Cookie: `B1SESSION=${sessionId}`,
-        },
-      }
-    );
+    const exists = await sapClient.BusinessPartners.exists(cardCode);
 
-    console.log(`Customer ${cardCode} exists in SAP`);
-    return true;
+    console.log(
+      `Customer ${cardCode} ${exists ? "exists" : "does not exist"} in SAP`
+    );
+    return exists;
   } catch (error) {
-    if (error.response && error.response.status === 404) {
-      console.log(`Customer ${cardCode} does not exist in SAP`);
-      return false;
-    }
+    console.error("Error checking customer in SAP:", error.message);
+    throw error;
+  }
+};
 
-    // If unauthorized, try to login again and retry once
-    if (error.response && error.response.status === 401) {
-      console.log("Session expired, attempting to login again...");
-      sessionId = null;
-      await getSessionId();
-      return exports.checkCustomerExistsInSAP(cardCode);
-    }
+// Find a business partner in SAP B1 that was created with the given sync
+// key, or without a sync key field, under the customer's reserved CardCode
+// and name
+exports.findCustomerBySyncKey = async (syncKey, customer) => {
+  const filter = SAP_CONFIG.partnerSyncKeyField
+    ? `${SAP_CONFIG.partnerSyncKeyField} eq ${sapClient.odataString(syncKey)}`
+    : `CardCode eq ${sapClient.odataString(customer.CardCode)} and ` +
+      `CardName eq ${sapClient.odataString(customer.CardName)}`;
 
-    console.error("Error checking customer in SAP:", error.message);
-    throw new Error(`SAP Error: ${error.message}`);
+  try {
+    return await sapClient.BusinessPartners.find(filter, {
+      $select: "CardCode,CardName",
+    });
+  } catch (error) {
+    console.error("Error looking up customer by sync key:", error.message);
+    throw error;
   }
 };
 
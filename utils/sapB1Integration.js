@@ -1,132 +1,32 @@
 // utils/sapB1Integration.js - Complete rewrite with minimal approach
-const axios = require("axios");
-const dotenv = require("dotenv");
-
-// Load environment variables
-dotenv.config();
-
-// SAP B1 Service Layer Configuration
-const SAP_CONFIG = {
-  serviceLayerUrl: process.env.SAP_SERVICE_LAYER_URL,
-  companyDB: process.env.COMPANY_DB,
-  username: process.env.USER_NAME,
-  password: process.env.PASSWORD,
-};
+const sapClient = require("./sapB1Client");
+
+const { SAP_CONFIG } = sapClient;
 
 // Set this to true to enable automatic SAP sync
 const ENABLE_SAP_SYNC = true;
 
-// Session management
-let sessionId = null;
-let sessionTimeout = null;
-
-// Login to SAP B1 Service Layer and get session ID
-async function loginToSAP() {
-  try {
-    console.log("Logging in to SAP B1 Service Layer...");
-
-    // Clear any existing session timeout
-    if (sessionTimeout) {
-      clearTimeout(sessionTimeout);
-    }
-
-    const loginData = {
-      CompanyDB: SAP_CONFIG.companyDB,
-      UserName: SAP_CONFIG.username,
-      Password: SAP_CONFIG.password,
-    };
-
-    const response = await axios.post(
-      `${SAP_CONFIG.serviceLayerUrl}/Login`,
-      loginData,
-      {
-        headers: {
-          "Content-Type": "application/json",
-        },
-      }
-    );
-
-    // Extract session ID from cookies
-    const cookies = response.headers["set-cookie"];
-    if (!cookies) {
-      throw new Error("No cookies returned from SAP B1 login");
-    }
-
-    // Parse session ID from cookies
-    const sessionCookie = cookies.find((cookie) =>
-      cookie.includes("B1SESSION=")
-    );
-    if (!sessionCookie) {
-      throw new Error("B1SESSION cookie not found");
-    }
-
-    sessionId = sessionCookie.split(";")[0].replace("B1SESSION=", "");
-
-    // Set session timeout (SAP B1 sessions typically expire after 30 minutes)
-    // We'll set it to refresh after 25 minutes to be safe
-    sessionTimeout = setTimeout(() => {
-      sessionId = null;
-    }, 25 * 60 * 1000);
-
-    console.log("Successfully logged in to SAP B1 Service Layer");
-    return sessionId;
-  } catch (error) {
-    console.error("Error logging in to SAP B1:", error.message);
-    if (error.response) {
-      console.error("SAP Error details:", error.response.data);
-    }
-    throw new Error(`SAP Login Error: ${error.message}`);
-  }
-}
-
-// Get a valid session ID (login if necessary)
-async function getSessionId() {
-  if (!sessionId) {
-    return await loginToSAP();
-  }
-  return sessionId;
-}
+// SAP object type of sales quotations (OQUT), used as BaseType on order lines
+const SAP_QUOTATION_OBJECT_TYPE = 23;
 
 // Check if a business partner exists in SAP
 exports.checkBusinessPartnerExists = async (cardCode) => {
   try {
-    const sessionId = await getSessionId();
-
     console.log(`Checking if business partner ${cardCode} exists in SAP...`);
 
-    const response = await axios.get(
-      `${SAP_CONFIG.serviceLayerUrl}/BusinessPartners('${cardCode}')`,
-      {
-        headers: {
-          "Content-Type": "application/json",
-          Cookie: `B1SESSION=${sessionId}`,
-        },
-      }
-    );
+    const exists = await sapClient.BusinessPartners.exists(cardCode);
 
-    // If we get here, the business partner exists
-    console.log(`Business partner ${cardCode} exists in SAP`);
-    return true;
+    console.log(
+      `Business partner ${cardCode} ${exists ? "exists" : "does not exist"} in SAP`
+    );
+    return exists;
   } catch (error) {
-    if (error.response && error.response.status === 404) {
-      console.log(`Business partner ${cardCode} does not exist in SAP`);
-      return false;
-    }
-
-    // If unauthorized, try to login again and retry once
-    if (error.response && error.response.status === 401) {
-      console.log("Session expired, attempting to login again...");
-      sessionId = null;
-      await getSessionId();
-      return exports.checkBusinessPartnerExists(cardCode);
-    }
-
     console.error("Error checking business partner in SAP:", error.message);
-    throw new Error(`SAP Error: ${error.message}`);
+    throw error;
   }
 };
 
-exports.formatOrderForSAP = async (order) => {
+exports.formatOrderForSAP = async (order, options = {}) => {
   const today = new Date();
 
   // Create SAP order with price list information
@@ -144,6 +44,12 @@ exports.formatOrderForSAP = async (order) => {
     DocumentLines: [],
   };
 
+  // Lines of the base SAP quotation (when converting an approved quotation)
+  const baseQuotationLines =
+    options.baseQuotation && options.baseQuotation.DocEntry
+      ? options.baseQuotation.DocumentLines || []
+      : [];
+
   // Process document lines with price list information
   if (order.DocumentLines && Array.isArray(order.DocumentLines)) {
     sapOrder.DocumentLines = order.DocumentLines.map((line, index) => {
@@ -165,6 +71,14 @@ exports.formatOrderForSAP = async (order) => {
         LineNum: index,
       };
 
+      // Link the line to the SAP quotation it was copied from
+      const baseLine = baseQuotationLines[index];
+      if (baseLine && baseLine.ItemCode === line.ItemCode) {
+        sapLine.BaseType = SAP_QUOTATION_OBJECT_TYPE;
+        sapLine.BaseEntry = options.baseQuotation.DocEntry;
+        sapLine.BaseLine = index;
+      }
+
       return sapLine;
     });
   }
@@ -174,6 +88,11 @@ exports.formatOrderForSAP = async (order) => {
     sapOrder.U_SalesAgentId = order.salesAgent.toString();
   }
 
+  // Tag the document with the sync queue key so retries can detect it
+  if (options.syncKey) {
+    sapOrder[SAP_CONFIG.documentSyncKeyField] = options.syncKey;
+  }
+
   // Log detailed information for debugging
   console.log("SAP Order with Price List:", {
     CardCode: sapOrder.CardCode,
@@ -191,94 +110,170 @@ exports.formatOrderForSAP = async (order) => {
 
 // Create a sales order in SAP B1
 exports.createSalesOrderInSAP = async (orderData) => {
-  try {
-    // Skip SAP sync if disabled (for testing/debugging purposes)
-    if (!ENABLE_SAP_SYNC) {
-      console.log("SAP sync is disabled. Skipping order creation in SAP.");
-      return {
-        simulated: true,
-        message: "SAP sync is disabled",
-        DocEntry: Math.floor(Math.random() * 10000), // Simulate a DocEntry
-      };
-    }
-
-    const sessionId = await getSessionId();
+  // Skip SAP sync if disabled (for testing/debugging purposes)
+  if (!ENABLE_SAP_SYNC) {
+    console.log("SAP sync is disabled. Skipping order creation in SAP.");
+    return {
+      simulated: true,
+      message: "SAP sync is disabled",
+      DocEntry: Math.floor(Math.random() * 10000), // Simulate a DocEntry
+    };
+  }
 
+  try {
     console.log("Creating sales order in SAP B1...");
 
-    const response = await axios.post(
-      `${SAP_CONFIG.serviceLayerUrl}/Orders`,
-      orderData,
-      {
-        headers: {
-          "Content-Type": "application/json",
-          Cookie: `B1SESSION=${sessionId}`,
-        },
-      }
-    );
+    const sapOrder = await sapClient.Orders.create(orderData);
 
     console.log("Sales order created successfully in SAP B1");
-    return response.data;
+    return sapOrder;
   } catch (error) {
     console.error("Error creating sales order in SAP B1:", error.message);
-    if (error.response) {
-      console.error("SAP Error details:", error.response.data);
-
-      // For debugging, log the full error details
-      if (
-        error.response.data &&
-        error.response.data.error &&
-        error.response.data.error.message
-      ) {
-        console.error(
-          "Error field details:",
-          error.response.data.error.message.value
-        );
-      }
+    if (error.data) {
+      console.error("SAP Error details:", error.data);
     }
-
-    // If unauthorized, try to login again and retry once
-    if (error.response && error.response.status === 401) {
-      console.log("Session expired, attempting to login again...");
-      sessionId = null;
-      await getSessionId();
-      return exports.createSalesOrderInSAP(orderData);
+    if (error.sapMessage) {
+      console.error("Error field details:", error.sapMessage);
     }
-
-    throw new Error(`SAP Error: ${error.message}`);
+    throw error;
   }
 };
 
 // Get a sales order from SAP B1 by DocEntry
 exports.getSalesOrderFromSAP = async (docEntry) => {
   try {
-    const sessionId = await getSessionId();
-
     console.log(`Fetching sales order ${docEntry} from SAP B1...`);
 
-    const response = await axios.get(
-      `${SAP_CONFIG.serviceLayerUrl}/Orders(${docEntry})`,
-      {
-        headers: {
-          "Content-Type": "application/json",
-          Cookie: `B1SESSION=${sessionId}`,
-        },
-      }
-    );
+    const sapOrder = await sapClient.Orders.get(docEntry);
 
     console.log("Sales order fetched successfully from SAP B1");
-    return response.data;
+    return sapOrder;
   } catch (error) {
     console.error("Error fetching sales order from SAP B1:", error.message);
+    throw error;
+  }
+};
+
+// Find a sales order in SAP B1 that was created with the given sync key
+exports.findSalesOrderBySyncKey = async (syncKey) => {
+  try {
+    return await sapClient.Orders.find(
+      `${SAP_CONFIG.documentSyncKeyField} eq ${sapClient.odataString(syncKey)}`,
+      { $select: "DocEntry,DocNum" }
+    );
+  } catch (error) {
+    console.error("Error looking up sales order by sync key:", error.message);
+    throw error;
+  }
+};
+
+// Quotations share the order document layout in the Service Layer
+exports.formatQuotationForSAP = async (quotation, options = {}) =>
+  exports.formatOrderForSAP(quotation, options);
+
+// Create a sales quotation in SAP B1
+exports.createQuotationInSAP = async (quotationData) => {
+  if (!ENABLE_SAP_SYNC) {
+    console.log("SAP sync is disabled. Skipping quotation creation in SAP.");
+    return {
+      simulated: true,
+      message: "SAP sync is disabled",
+      DocEntry: Math.floor(Math.random() * 10000), // Simulate a DocEntry
+    };
+  }
+
+  try {
+    console.log("Creating sales quotation in SAP B1...");
+
+    const sapQuotation = await sapClient.Quotations.create(quotationData);
+
+    console.log("Sales quotation created successfully in SAP B1");
+    return sapQuotation;
+  } catch (error) {
+    console.error("Error creating sales quotation in SAP B1:", error.message);
+    if (error.data) {
+      console.error("SAP Error details:", error.data);
+    }
+    throw error;
+  }
+};
+
+// Replace the content of an existing SAP quotation after a local revision
+exports.updateQuotationInSAP = async (docEntry, quotationData) => {
+  try {
+    console.log(`Updating sales quotation ${docEntry} in SAP B1...`);
+
+    await sapClient.Quotations.update(docEntry, quotationData, {
+      headers: { "B1S-ReplaceCollectionsOnPatch": "true" },
+    });
 
-    // If unauthorized, try to login again and retry once
-    if (error.response && error.response.status === 401) {
-      console.log("Session expired, attempting to login again...");
-      sessionId = null;
-      await getSessionId();
-      return exports.getSalesOrderFromSAP(docEntry);
+    console.log("Sales quotation updated successfully in SAP B1");
+    return { DocEntry: docEntry };
+  } catch (error) {
+    console.error("Error updating sales quotation in SAP B1:", error.message);
+    if (error.data) {
+      console.error("SAP Error details:", error.data);
     }
+    throw error;
+  }
+};
 
-    throw new Error(`SAP Error: ${error.message}`);
+// Get a sales quotation from SAP B1 by DocEntry
+exports.getQuotationFromSAP = async (docEntry) => {
+  try {
+    console.log(`Fetching sales quotation ${docEntry} from SAP B1...`);
+
+    return await sapClient.Quotations.get(docEntry);
+  } catch (error) {
+    console.error("Error fetching sales quotation from SAP B1:", error.message);
+    throw error;
+  }
+};
+
+// Cancel a sales quotation in SAP B1 so it can no longer be copied to an
+// order. A quotation that is already closed is left alone.
+exports.cancelQuotationInSAP = async (docEntry) => {
+  if (!ENABLE_SAP_SYNC) {
+    console.log("SAP sync is disabled. Skipping quotation cancel in SAP.");
+    return {
+      simulated: true,
+      message: "SAP sync is disabled",
+      DocEntry: docEntry,
+    };
+  }
+
+  try {
+    const sapQuotation = await sapClient.Quotations.get(docEntry, {
+      $select: "DocEntry,DocumentStatus",
+    });
+    if (sapQuotation.DocumentStatus === "bost_Close") {
+      console.log(`Sales quotation ${docEntry} is already closed in SAP B1`);
+      return { DocEntry: docEntry };
+    }
+
+    console.log(`Cancelling sales quotation ${docEntry} in SAP B1...`);
+    await sapClient.Quotations.action(docEntry, "Cancel");
+
+    console.log("Sales quotation cancelled successfully in SAP B1");
+    return { DocEntry: docEntry };
+  } catch (error) {
+    console.error("Error cancelling sales quotation in SAP B1:", error.message);
+    if (error.data) {
+      console.error("SAP Error details:", error.data);
+    }
+    throw error;
+  }
+};
+
+// Find a sales quotation in SAP B1 that was created with the given sync key
+exports.findQuotationBySyncKey = async (syncKey) => {
+  try {
+    return await sapClient.Quotations.find(
+      `${SAP_CONFIG.documentSyncKeyField} eq ${sapClient.odataString(syncKey)}`,
+      { $select: "DocEntry,DocNum" }
+    );
+  } catch (error) {
+    console.error("Error looking up quotation by sync key:", error.message);
+    throw error;
   }
 };
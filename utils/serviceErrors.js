@@ -0,0 +1,22 @@
+// utils/serviceErrors.js - Errors services throw with the HTTP status the
+// controller answers with
+
+// Error carrying the HTTP status for the response (404, 409, ...)
+const serviceError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Answer with the status of a service error; anything else is a 500
+const sendError = (res, error, message) => {
+  if (error.statusCode) {
+    return res
+      .status(error.statusCode)
+      .json({ success: false, message: error.message });
+  }
+  console.error(`${message}:`, error);
+  res.status(500).json({ success: false, message, error: error.message });
+};
+
+module.exports = { serviceError, sendError };
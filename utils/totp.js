@@ -0,0 +1,104 @@
+// utils/totp.js
+// Time-based one-time passwords (RFC 6238, SHA-1, 6 digits, 30 s steps) as
+// used by Google Authenticator, Microsoft Authenticator, 1Password, ...
+const crypto = require("crypto");
+
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = "";
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+}
+
+function base32Decode(input) {
+  const clean = input.toUpperCase().replace(/=+$/, "").replace(/\s/g, "");
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error("Invalid base32 secret");
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+// New random secret, base32 encoded (160 bits)
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+// HOTP value (RFC 4226) of a counter
+function hotp(secret, counter) {
+  const buffer = Buffer.alloc(8);
+  buffer.writeBigUInt64BE(BigInt(counter));
+  const hmac = crypto
+    .createHmac("sha1", base32Decode(secret))
+    .update(buffer)
+    .digest();
+
+  const offset = hmac[hmac.length - 1] & 15;
+  const code = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** DIGITS;
+  return String(code).padStart(DIGITS, "0");
+}
+
+const currentStep = (time = Date.now()) =>
+  Math.floor(time / 1000 / STEP_SECONDS);
+
+/**
+ * Time step a code is valid for, or null. One step of clock drift is
+ * accepted either way.
+ * @param {String} secret - Base32 secret
+ * @param {String} code - Code typed by the user
+ * @returns {Number|null}
+ */
+function verify(secret, code, time = Date.now()) {
+  const token = String(code || "").replace(/\s/g, "");
+  if (!/^\d{6}$/.test(token)) {
+    return null;
+  }
+
+  const step = currentStep(time);
+  for (const candidate of [step, step - 1, step + 1]) {
+    const expected = hotp(secret, candidate);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(token))) {
+      return candidate;
+    }
+  }
+  return null;
+}
+
+// otpauth:// URI the authenticator app reads (usually shown as a QR code)
+const keyUri = (secret, account, issuer) =>
+  `otpauth://totp/${encodeURIComponent(`${issuer}:${account}`)}` +
+  `?secret=${secret}&issuer=${encodeURIComponent(issuer)}` +
+  `&algorithm=SHA1&digits=${DIGITS}&period=${STEP_SECONDS}`;
+
+module.exports = {
+  generateSecret,
+  hotp,
+  verify,
+  keyUri,
+};